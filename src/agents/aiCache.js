@@ -0,0 +1,107 @@
+/**
+ * ============================================
+ * AI CACHE - THE MEMORY
+ * Model responses remembered by what was asked
+ * ============================================
+ *
+ * The same voice note sent twice (a SpeakSpace resubmit, or
+ * /api/voice/analyze followed by /api/speakspace/action) builds
+ * the same prompts. Answering the second time from here saves a
+ * paid call and gives the same extraction both times.
+ *
+ * Keys hash the provider, its model and endpoint, the system
+ * prompt and the user prompt - change any of them and it is a
+ * different entry. Entries expire after AI_CACHE_TTL_MINUTES and
+ * the least recently used go first past AI_CACHE_MAX_ENTRIES.
+ * Kept in memory only.
+ */
+
+const crypto = require('crypto');
+const { config } = require('../config');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value || '').digest('hex');
+
+/**
+ * AI Response Cache Class
+ */
+class AIResponseCache {
+    constructor(options = {}) {
+        this.ttlMs = options.ttlMs || config.ai.cache.ttlMs;
+        this.maxEntries = options.maxEntries || config.ai.cache.maxEntries;
+        this.entries = new Map();
+        this.stats = { hits: 0, misses: 0, evictions: 0 };
+    }
+
+    /**
+     * Content-addressed key for one call
+     * @param {string} provider - Provider name
+     * @param {Object} definition - Registry definition (model, baseUrl)
+     * @param {string} systemPrompt - System prompt
+     * @param {string} prompt - User prompt
+     * @returns {string} Hex key
+     */
+    static keyFor(provider, definition, systemPrompt, prompt) {
+        return sha256(JSON.stringify([
+            provider,
+            definition?.model || null,
+            definition?.baseUrl || null,
+            sha256(systemPrompt),
+            sha256(prompt)
+        ]));
+    }
+
+    /**
+     * Cached response, or undefined on a miss
+     * @param {string} key - From keyFor
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry || entry.expires_at <= Date.now()) {
+            if (entry) this.entries.delete(key);
+            this.stats.misses++;
+            return undefined;
+        }
+
+        // Re-insert so Map order stays least recently used first
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.stats.hits++;
+        return entry.value;
+    }
+
+    /**
+     * Remember a response
+     * @param {string} key - From keyFor
+     * @param {string} value - Model output
+     */
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expires_at: Date.now() + this.ttlMs });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.stats.evictions++;
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+        this.stats = { hits: 0, misses: 0, evictions: 0 };
+    }
+
+    /**
+     * Counters and size (no prompts or responses)
+     */
+    getStats() {
+        return { ...this.stats, size: this.entries.size, max_entries: this.maxEntries, ttl_ms: this.ttlMs };
+    }
+}
+
+// Shared cache in front of callAI
+const aiResponseCache = new AIResponseCache();
+
+module.exports = {
+    AIResponseCache,
+    aiResponseCache
+};
@@ -0,0 +1,347 @@
+/**
+ * ============================================
+ * AI PROVIDERS - THE SWITCHBOARD
+ * Registry of chat models the AI agent can call
+ * ============================================
+ *
+ * Each provider is a plain definition:
+ * {
+ *   type: 'openai-compatible' | 'gemini' | 'huggingface' | 'recorded',
+ *   baseUrl, apiKey, model, temperature, maxTokens, timeoutMs,
+ *   jsonMode,       // ask for response_format: json_object
+ *   requiresKey     // false for local servers without auth
+ * }
+ *
+ * "openai-compatible" covers Groq, Together, OpenAI and any
+ * local server speaking /v1/chat/completions (llama.cpp,
+ * Ollama, vLLM) - point "local" at one to keep confidential
+ * client data on the office network.
+ *
+ * "recorded" replays saved responses (keyed by the voice note in
+ * the prompt) so the extraction eval can run offline in CI:
+ * { type: 'recorded', responses: { [voiceNote]: responseText },
+ *   passthrough }  // optional (prompt, systemPrompt) => text, recorded on a miss
+ *
+ * Built-in definitions read <PREFIX>_MODEL, <PREFIX>_TEMPERATURE,
+ * <PREFIX>_TIMEOUT_MS and <PREFIX>_BASE_URL from the environment.
+ */
+
+const { config } = require('../config');
+const { logger } = require('../utils/logger');
+const { AIProcessingError } = require('../utils/errors');
+
+/**
+ * Default fallback order when AI_PROVIDER_ORDER is not set
+ */
+const DEFAULT_ORDER = ['groq', 'gemini', 'together', 'huggingface', 'local'];
+
+// Paid providers only run when named in AI_PROVIDER or AI_PROVIDER_ORDER
+const OPT_IN_PROVIDERS = ['openai'];
+
+// Names the old hard-coded switch accepted
+const ALIASES = { hf: 'huggingface' };
+
+/**
+ * Built-in definition with environment overrides
+ */
+const fromEnv = (prefix, definition) => ({
+    ...definition,
+    baseUrl: process.env[`${prefix}_BASE_URL`] || definition.baseUrl,
+    model: process.env[`${prefix}_MODEL`] || definition.model,
+    temperature: process.env[`${prefix}_TEMPERATURE`] !== undefined
+        ? parseFloat(process.env[`${prefix}_TEMPERATURE`])
+        : definition.temperature,
+    timeoutMs: parseInt(process.env[`${prefix}_TIMEOUT_MS`]) || definition.timeoutMs
+});
+
+const builtInProviders = () => ({
+    groq: fromEnv('GROQ', {
+        label: 'Groq',
+        type: 'openai-compatible',
+        baseUrl: 'https://api.groq.com/openai/v1',
+        apiKey: config.groq?.apiKey || process.env.GROQ_API_KEY,
+        model: 'llama-3.3-70b-versatile',
+        temperature: 0,
+        jsonMode: true
+    }),
+    gemini: fromEnv('GEMINI', {
+        label: 'Gemini',
+        type: 'gemini',
+        baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+        apiKey: config.gemini?.apiKey || process.env.GEMINI_API_KEY,
+        model: 'gemini-2.0-flash',
+        temperature: 0
+    }),
+    together: fromEnv('TOGETHER', {
+        label: 'Together',
+        type: 'openai-compatible',
+        baseUrl: 'https://api.together.xyz/v1',
+        apiKey: process.env.TOGETHER_API_KEY,
+        model: 'meta-llama/Llama-3.3-70B-Instruct-Turbo-Free',
+        temperature: 0
+    }),
+    huggingface: fromEnv('HUGGINGFACE', {
+        label: 'HuggingFace',
+        type: 'huggingface',
+        baseUrl: 'https://api-inference.huggingface.co',
+        apiKey: process.env.HUGGINGFACE_API_KEY,
+        model: 'mistralai/Mixtral-8x7B-Instruct-v0.1',
+        temperature: 0.1
+    }),
+    openai: fromEnv('OPENAI', {
+        label: 'OpenAI',
+        type: 'openai-compatible',
+        baseUrl: 'https://api.openai.com/v1',
+        apiKey: config.openai.apiKey,
+        model: config.openai.model,
+        temperature: config.openai.temperature,
+        maxTokens: config.openai.maxTokens,
+        jsonMode: true
+    }),
+    local: fromEnv('LOCAL_AI', {
+        label: 'Local AI',
+        type: 'openai-compatible',
+        baseUrl: config.ai.local.baseUrl,
+        apiKey: config.ai.local.apiKey,
+        model: config.ai.local.model,
+        temperature: 0,
+        jsonMode: config.ai.local.jsonMode,
+        requiresKey: false
+    })
+});
+
+/**
+ * POST JSON with the provider's timeout
+ * The timer covers the whole exchange, including a slow body
+ */
+const postJson = async (provider, url, headers, body) => {
+    const controller = new AbortController();
+    let timer;
+
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            reject(new AIProcessingError(`${provider.label} API timed out after ${provider.timeoutMs}ms`));
+        }, provider.timeoutMs);
+    });
+
+    const exchange = async () => {
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+        } catch (error) {
+            throw new AIProcessingError(`${provider.label} API unreachable: ${error.message}`);
+        }
+
+        if (!response.ok) {
+            const error = await response.text();
+            throw new AIProcessingError(`${provider.label} API error: ${error}`);
+        }
+
+        return response.json();
+    };
+
+    try {
+        return await Promise.race([exchange(), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+/**
+ * What a recorded response is filed under: the voice note when the
+ * prompt wraps one in <voice_note> tags (so prompt wording can change),
+ * otherwise the whole prompt (repair rounds)
+ */
+const recordingKey = (prompt) => {
+    const match = /<voice_note>\n?([\s\S]*?)\n?<\/voice_note>/.exec(prompt);
+    return match ? match[1] : prompt;
+};
+
+/**
+ * Request adapters, one per provider type
+ */
+const ADAPTERS = {
+    'openai-compatible': async (provider, prompt, systemPrompt) => {
+        const data = await postJson(provider, `${provider.baseUrl.replace(/\/$/, '')}/chat/completions`,
+            provider.apiKey ? { 'Authorization': `Bearer ${provider.apiKey}` } : {},
+            {
+                model: provider.model,
+                messages: [
+                    { role: 'system', content: systemPrompt },
+                    { role: 'user', content: prompt }
+                ],
+                temperature: provider.temperature,
+                max_tokens: provider.maxTokens,
+                ...(provider.jsonMode && { response_format: { type: 'json_object' } })
+            });
+        return data.choices?.[0]?.message?.content || '';
+    },
+
+    gemini: async (provider, prompt, systemPrompt) => {
+        const data = await postJson(provider,
+            `${provider.baseUrl}/models/${provider.model}:generateContent?key=${provider.apiKey}`, {},
+            {
+                contents: [{
+                    parts: [{ text: `${systemPrompt}\n\n${prompt}` }]
+                }],
+                generationConfig: {
+                    temperature: provider.temperature,
+                    topK: 1,
+                    topP: 1,
+                    maxOutputTokens: provider.maxTokens
+                }
+            });
+
+        const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (!text) {
+            throw new AIProcessingError('No response from Gemini API');
+        }
+        return text;
+    },
+
+    huggingface: async (provider, prompt, systemPrompt) => {
+        const data = await postJson(provider, `${provider.baseUrl}/models/${provider.model}`,
+            { 'Authorization': `Bearer ${provider.apiKey}` },
+            {
+                inputs: `<s>[INST] ${systemPrompt}\n\n${prompt} [/INST]`,
+                parameters: {
+                    max_new_tokens: provider.maxTokens,
+                    temperature: provider.temperature,
+                    return_full_text: false
+                }
+            });
+        return data[0]?.generated_text || '';
+    },
+
+    recorded: async (provider, prompt, systemPrompt) => {
+        const key = recordingKey(prompt);
+        if (Object.prototype.hasOwnProperty.call(provider.responses, key)) {
+            return provider.responses[key];
+        }
+        if (!provider.passthrough) {
+            throw new AIProcessingError(`${provider.label}: no recorded response for "${key.slice(0, 60)}"`);
+        }
+
+        const text = await provider.passthrough(prompt, systemPrompt);
+        provider.responses[key] = text;
+        return text;
+    }
+};
+
+/**
+ * Provider Registry Class
+ */
+class ProviderRegistry {
+    constructor(providers = {}) {
+        this.providers = new Map();
+        for (const [name, definition] of Object.entries(providers)) {
+            this.register(name, definition);
+        }
+    }
+
+    /**
+     * Add or replace a provider
+     * @param {string} name - Provider name (used in AI_PROVIDER)
+     * @param {Object} definition - See file header
+     */
+    register(name, definition) {
+        if (!ADAPTERS[definition.type]) {
+            throw new AIProcessingError(`Unknown provider type for ${name}: ${definition.type}`);
+        }
+
+        // Unset environment overrides must not wipe out the defaults
+        const settings = Object.fromEntries(Object.entries(definition).filter(([, value]) => value !== undefined));
+
+        this.providers.set(name, {
+            label: name,
+            temperature: 0,
+            maxTokens: 4096,
+            timeoutMs: config.ai.defaultTimeoutMs,
+            jsonMode: false,
+            requiresKey: true,
+            ...settings
+        });
+        return this;
+    }
+
+    get(name) {
+        return this.providers.get(ALIASES[name] || name) || null;
+    }
+
+    /**
+     * A provider can be called: it has a key, or needs none and has a URL
+     */
+    isConfigured(name) {
+        const provider = this.get(name);
+        if (provider?.type === 'recorded') return !!provider.responses;
+        if (!provider?.baseUrl) return false;
+        return provider.requiresKey === false || !!provider.apiKey;
+    }
+
+    /**
+     * Providers to try, in order
+     * An explicit AI_PROVIDER_ORDER is used as-is, so a local-only
+     * setup never falls back to a cloud provider. Otherwise the
+     * fallbacks leave out OPT_IN_PROVIDERS
+     * @param {string} primary - Preferred provider (AI_PROVIDER)
+     * @returns {Array} Provider names
+     */
+    getOrder(primary, explicitOrder = config.ai.providerOrder) {
+        if (explicitOrder) {
+            return explicitOrder.split(',').map(p => p.trim().toLowerCase()).filter(Boolean);
+        }
+
+        const name = ALIASES[primary] || primary;
+        const rest = [...this.providers.keys()].sort((a, b) =>
+            (DEFAULT_ORDER.indexOf(a) + 1 || Infinity) - (DEFAULT_ORDER.indexOf(b) + 1 || Infinity));
+        return [name, ...rest.filter(p => p !== name && !OPT_IN_PROVIDERS.includes(p))];
+    }
+
+    /**
+     * Public view of the registry (no keys)
+     */
+    list() {
+        return [...this.providers.entries()].map(([name, p]) => ({
+            name,
+            type: p.type,
+            model: p.model,
+            base_url: p.baseUrl || null,
+            timeout_ms: p.timeoutMs,
+            configured: this.isConfigured(name)
+        }));
+    }
+
+    /**
+     * Send one prompt to one provider
+     * @param {string} name - Provider name
+     * @param {string} prompt - User prompt
+     * @param {string} systemPrompt - System prompt
+     * @returns {string} Model output
+     */
+    async call(name, prompt, systemPrompt) {
+        const provider = this.get(name);
+        if (!provider) {
+            throw new AIProcessingError(`Unknown provider: ${name}`);
+        }
+
+        logger.debug(`AI Providers: Calling ${name}`, { model: provider.model, baseUrl: provider.baseUrl });
+        return ADAPTERS[provider.type](provider, prompt, systemPrompt);
+    }
+}
+
+// Shared registry used by the AI agent
+const providerRegistry = new ProviderRegistry(builtInProviders());
+
+module.exports = {
+    ProviderRegistry,
+    providerRegistry,
+    DEFAULT_ORDER,
+    PROVIDER_TYPES: Object.keys(ADAPTERS),
+    recordingKey
+};
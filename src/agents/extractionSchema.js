@@ -0,0 +1,386 @@
+/**
+ * ============================================
+ * EXTRACTION SCHEMA - THE CONTRACT
+ * What the AI must return for a voice note
+ * ============================================
+ *
+ * Model output goes through three steps:
+ * 1. parseModelJson  - strip code fences / chatter, JSON.parse
+ * 2. coerceExtraction - fix harmless drift ("Jan 15" -> "2026-01-15",
+ *                       "१५ जुलाई" -> "2026-07-15", "2 PM" -> "14:00",
+ *                       "update" -> "UPDATE_EXISTING", "Hindi" -> "hi")
+ * 3. validateExtraction - check against EXTRACTION_SCHEMA
+ *
+ * Whatever step 3 still rejects is sent back to the model as a
+ * repair prompt (see extractCaseInformation).
+ */
+
+const { parseDate } = require('../utils/helpers');
+const { SUPPORTED_LANGUAGES, DICTATION_LANGUAGES, normaliseLanguage, normaliseDigits } = require('../utils/languages');
+
+const ACTION_TYPES = ['UPDATE_EXISTING', 'CREATE_NEW', 'CLARIFICATION_NEEDED'];
+const CASE_STATUSES = ['CONTINUING', 'FINALIZED', 'DRAFT', 'ACTIVE'];
+const CONFIDENCE_LEVELS = ['HIGH', 'MEDIUM', 'LOW'];
+
+const nullableString = { type: ['string', 'null'] };
+const stringList = { type: 'array', items: { type: 'string' } };
+
+/**
+ * One case in the extraction (JSON Schema subset)
+ * Extra properties are allowed so the prompt can grow
+ */
+const CASE_SCHEMA = {
+    type: 'object',
+    required: ['action_type', 'confidence'],
+    properties: {
+        action_type: { enum: ACTION_TYPES },
+        confidence: { enum: CONFIDENCE_LEVELS },
+        lookup_key: nullableString,
+        case_name: nullableString,
+        case_number: nullableString,
+        case_summary: nullableString,
+        client_name: nullableString,
+        client_email: { type: ['string', 'null'], format: 'email' },
+        junior_name: nullableString,
+        junior_email: { type: ['string', 'null'], format: 'email' },
+        outcome: nullableString,
+        status: { enum: [...CASE_STATUSES, null] },
+        next_hearing_date: { type: ['string', 'null'], format: 'date' },
+        next_hearing_time: { type: ['string', 'null'], pattern: '^([01]\\d|2[0-3]):[0-5]\\d$' },
+        documents_needed: stringList,
+        assign_to_junior: { type: 'boolean' },
+        send_client_email: { type: 'boolean' },
+        missing_fields: stringList,
+        client_language: { enum: [...SUPPORTED_LANGUAGES, null] },
+        court: nullableString,
+        bench: nullableString,
+        judge: nullableString,
+        sections: stringList,
+        fir_number: nullableString,
+        opposing_party: nullableString,
+        opposing_counsel: nullableString,
+        raw_notes: nullableString
+    }
+};
+
+const EXTRACTION_SCHEMA = {
+    type: 'object',
+    required: ['cases'],
+    properties: {
+        cases: { type: 'array', items: CASE_SCHEMA },
+        detected_language: { enum: [...DICTATION_LANGUAGES, null] },
+        overall_summary: nullableString,
+        requires_clarification: { type: 'boolean' },
+        clarification_message: nullableString
+    }
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * YYYY-MM-DD for a calendar date, or null if there is no such day
+ * (Date would roll 30 February over into March)
+ * @param {number} month - 0-11
+ */
+const isoDate = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month || date.getUTCDate() !== day) return null;
+    return `${year}-${pad(month + 1)}-${pad(day)}`;
+};
+
+const FORMATS = {
+    date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && isoDate(+value.slice(0, 4), +value.slice(5, 7) - 1, +value.slice(8, 10)) === value,
+    email: value => /^[\w.+-]+@[\w.-]+\.\w+$/i.test(value)
+};
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+};
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - Schema (type, enum, format, pattern, required, properties, items)
+ * @param {*} value - Value to check
+ * @param {string} path - Location for error messages
+ * @returns {Array} Error messages (empty when valid)
+ */
+const validateSchema = (schema, value, path = 'response') => {
+    const errors = [];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${path} must be one of: ${schema.enum.map(v => v === null ? 'null' : v).join(', ')} (got ${JSON.stringify(value)})`];
+    }
+
+    if (schema.type) {
+        const allowed = [].concat(schema.type);
+        if (!allowed.includes(typeOf(value))) {
+            return [`${path} must be ${allowed.join(' or ')} (got ${typeOf(value)})`];
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.format && !FORMATS[schema.format](value)) {
+            errors.push(`${path} must be a valid ${schema.format === 'date' ? 'ISO date (YYYY-MM-DD)' : schema.format} (got "${value}")`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path} must match ${schema.pattern} (got "${value}")`);
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const field of schema.required || []) {
+            if (value[field] === undefined) errors.push(`${path}.${field} is required`);
+        }
+        for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+            if (value[field] !== undefined) {
+                errors.push(...validateSchema(fieldSchema, value[field], `${path}.${field}`));
+            }
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`)));
+    }
+
+    return errors;
+};
+
+/**
+ * Validate a complete extraction
+ * @param {Object} extraction - Parsed (and coerced) model output
+ * @returns {Array} Error messages
+ */
+const validateExtraction = (extraction) => validateSchema(EXTRACTION_SCHEMA, extraction);
+
+/**
+ * Pull the JSON object out of a model response
+ * @param {string} text - Raw model output
+ * @returns {Object} { value } or { error }
+ */
+const parseModelJson = (text) => {
+    let cleaned = (text || '').trim()
+        .replace(/^```(?:json)?\s*/i, '')
+        .replace(/\s*```$/, '');
+
+    // Models sometimes add a sentence before or after the object
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+        cleaned = cleaned.slice(start, end + 1);
+    }
+
+    try {
+        return { value: JSON.parse(cleaned) };
+    } catch (error) {
+        return { error: `Response is not valid JSON: ${error.message}` };
+    }
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Month names dictated in Hindi or Tamil (romanised and native script)
+ * that the English three-letter prefixes do not catch
+ */
+const MONTH_ALIASES = {
+    farvari: 1, pharvari: 1, pebravari: 1, mai: 4, joon: 5, agast: 7, ogast: 7,
+    sitambar: 8, sitmbar: 8, aktubar: 9, aktobar: 9, navambar: 10, navampar: 10, disambar: 11, tisampar: 11,
+    'जनवरी': 0, 'फरवरी': 1, 'फ़रवरी': 1, 'मार्च': 2, 'अप्रैल': 3, 'मई': 4, 'जून': 5, 'जुलाई': 6,
+    'अगस्त': 7, 'सितंबर': 8, 'सितम्बर': 8, 'अक्टूबर': 9, 'अक्तूबर': 9, 'नवंबर': 10, 'नवम्बर': 10,
+    'दिसंबर': 11, 'दिसम्बर': 11,
+    'ஜனவரி': 0, 'பிப்ரவரி': 1, 'மார்ச்': 2, 'ஏப்ரல்': 3, 'மே': 4, 'ஜூன்': 5, 'ஜூலை': 6,
+    'ஆகஸ்ட்': 7, 'செப்டம்பர்': 8, 'அக்டோபர்': 9, 'நவம்பர்': 10, 'டிசம்பர்': 11
+};
+
+const monthIndex = (word) => MONTH_ALIASES[word] ?? MONTHS.indexOf(word.slice(0, 3));
+
+const toIsoLocal = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * Turn a spoken or loosely formatted date into YYYY-MM-DD
+ * Day-first for numeric dates (15/01/2026), as written in Indian courts;
+ * a date without a year is the next such date from today.
+ * Devanagari/Tamil digits and month names are read too.
+ * @param {string} value - Date as the model returned it
+ * @param {Date} now - Reference date
+ * @returns {string} ISO date, or the input if it cannot be read
+ */
+const coerceDate = (value, now = new Date()) => {
+    const text = normaliseDigits(value).trim().toLowerCase().replace(/(\d)(st|nd|rd|th)\b/g, '$1').replace(/,/g, ' ');
+
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+
+    const numeric = text.match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{4})$/);
+    if (numeric) {
+        return isoDate(+numeric[3], +numeric[2] - 1, +numeric[1]) || value;
+    }
+
+    // "jan 15", "15 january", "january 15 2026", "15 जुलाई"
+    const dayFirst = text.match(/^(\d{1,2})\s+([a-z\u0900-\u097F\u0B80-\u0BFF]+)\.?(?:\s+(\d{4}))?$/);
+    const monthFirst = text.match(/^([a-z\u0900-\u097F\u0B80-\u0BFF]+)\.?\s+(\d{1,2})(?:\s+(\d{4}))?$/);
+    const parts = dayFirst
+        ? { day: dayFirst[1], month: dayFirst[2], year: dayFirst[3] }
+        : monthFirst && { day: monthFirst[2], month: monthFirst[1], year: monthFirst[3] };
+
+    const month = parts ? monthIndex(parts.month) : -1;
+    if (month !== -1) {
+        let year = parts.year ? +parts.year : now.getFullYear();
+        if (!parts.year && (month < now.getMonth() || (month === now.getMonth() && +parts.day < now.getDate()))) year++;
+        // "Feb 30" is left as it was, so validation asks the model again
+        return isoDate(year, month, +parts.day) || value;
+    }
+
+    const parsed = parseDate(value);
+    return parsed ? toIsoLocal(parsed) : value;
+};
+
+/**
+ * "2 PM" -> "14:00", "10.30 am" -> "10:30"
+ */
+const coerceTime = (value) => {
+    const match = value.trim().toLowerCase().match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(a\.?m\.?|p\.?m\.?)?$/);
+    if (!match) return value;
+
+    let hours = +match[1];
+    if (match[3]?.startsWith('p') && hours < 12) hours += 12;
+    if (match[3]?.startsWith('a') && hours === 12) hours = 0;
+    return `${pad(hours)}:${match[2] || '00'}`;
+};
+
+/**
+ * "rohan sharma" -> "Rohan Sharma"
+ * Only all-lowercase Latin names are touched; "McDonald" or "D'Souza" stay as given
+ */
+const coerceName = (value) => (/^[a-z][a-z\s.'-]*$/.test(value.trim())
+    ? value.trim().replace(/(^|[\s.'-])([a-z])/g, (_, sep, letter) => sep + letter.toUpperCase())
+    : value);
+
+/**
+ * "rohan dot sharma at gmail dot com" -> "rohan.sharma@gmail.com"
+ */
+const coerceEmail = (value) => value.trim().toLowerCase()
+    .replace(/\s+at\s+/g, '@')
+    .replace(/\s+dot\s+/g, '.')
+    .replace(/\s+/g, '');
+
+const ENUM_SYNONYMS = {
+    action_type: { UPDATE: 'UPDATE_EXISTING', EXISTING: 'UPDATE_EXISTING', NEW: 'CREATE_NEW', CREATE: 'CREATE_NEW', CLARIFICATION: 'CLARIFICATION_NEEDED' },
+    status: { ADJOURNED: 'CONTINUING', ONGOING: 'CONTINUING', DISPOSED: 'FINALIZED', CLOSED: 'FINALIZED' },
+    confidence: {}
+};
+
+const coerceEnum = (field, value) => {
+    if (typeof value !== 'string') return value;
+    const normalised = value.trim().toUpperCase().replace(/[\s-]+/g, '_');
+    return ENUM_SYNONYMS[field][normalised] || normalised;
+};
+
+const coerceBoolean = (value) => {
+    if (value === 'true' || value === 'yes') return true;
+    if (value === 'false' || value === 'no' || value === null || value === undefined) return false;
+    return value;
+};
+
+const coerceList = (value) => {
+    if (value === null || value === undefined || value === '') return [];
+    if (typeof value === 'string') return value.split(/\s*[,;]\s*/).filter(Boolean);
+    return value;
+};
+
+/**
+ * Fix field-level drift in place so near-misses do not cost a repair round
+ * @param {Object} extraction - Parsed model output
+ * @param {Date} now - Reference date for relative dates
+ * @returns {Object} The same extraction
+ */
+const coerceExtraction = (extraction, now = new Date()) => {
+    if (!extraction || typeof extraction !== 'object') return extraction;
+
+    // A single case returned without the wrapper
+    if (!extraction.cases && extraction.action_type) {
+        extraction = { cases: [extraction] };
+    }
+
+    for (const caseData of Array.isArray(extraction.cases) ? extraction.cases : []) {
+        if (!caseData || typeof caseData !== 'object') continue;
+
+        for (const [field, value] of Object.entries(caseData)) {
+            // "null", "" and "N/A" mean nothing was said
+            if (typeof value === 'string' && /^(null|none|n\/a|)$/i.test(value.trim())) {
+                caseData[field] = null;
+            }
+        }
+
+        for (const field of Object.keys(ENUM_SYNONYMS)) {
+            caseData[field] = coerceEnum(field, caseData[field]);
+        }
+        // A missing confidence is left for validation, so the model is asked for it
+        if (caseData.status === undefined) caseData.status = null;
+
+        if (typeof caseData.next_hearing_date === 'string') {
+            caseData.next_hearing_date = coerceDate(caseData.next_hearing_date, now);
+        }
+        if (typeof caseData.next_hearing_time === 'string') {
+            caseData.next_hearing_time = coerceTime(caseData.next_hearing_time);
+        }
+        for (const field of ['client_email', 'junior_email']) {
+            if (typeof caseData[field] === 'string') caseData[field] = coerceEmail(caseData[field]);
+        }
+        for (const field of ['client_name', 'junior_name', 'judge', 'opposing_counsel']) {
+            if (typeof caseData[field] === 'string') caseData[field] = coerceName(caseData[field]);
+        }
+        // A language we cannot write emails in is the same as none
+        if (caseData.client_language !== undefined) {
+            caseData.client_language = normaliseLanguage(caseData.client_language);
+        }
+        for (const field of ['documents_needed', 'missing_fields', 'sections']) {
+            caseData[field] = coerceList(caseData[field]);
+        }
+        for (const field of ['assign_to_junior', 'send_client_email']) {
+            caseData[field] = coerceBoolean(caseData[field]);
+        }
+    }
+
+    if (extraction.detected_language !== undefined) {
+        extraction.detected_language = normaliseLanguage(extraction.detected_language, DICTATION_LANGUAGES);
+    }
+
+    if (extraction.requires_clarification !== undefined) {
+        extraction.requires_clarification = coerceBoolean(extraction.requires_clarification);
+    }
+
+    return extraction;
+};
+
+/**
+ * Prompt asking the model to fix its own output
+ * @param {string} previous - The rejected response
+ * @param {Array} errors - Validation errors
+ * @returns {string} Repair prompt
+ */
+const buildRepairPrompt = (previous, errors) => `Your previous response did not match the required JSON format.
+
+Problems:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Previous response:
+${previous}
+
+Return the corrected JSON only. Keep every value that was already valid, fix only the problems listed, and do not invent information that was not in the voice note.`;
+
+module.exports = {
+    EXTRACTION_SCHEMA,
+    CASE_SCHEMA,
+    ACTION_TYPES,
+    CASE_STATUSES,
+    CONFIDENCE_LEVELS,
+    parseModelJson,
+    coerceExtraction,
+    validateExtraction,
+    validateSchema,
+    buildRepairPrompt,
+    coerceDate,
+    coerceTime
+};
@@ -0,0 +1,133 @@
+/**
+ * ============================================
+ * PROMPT SAFETY - THE FILTER
+ * What a transcription may carry into an LLM prompt
+ * ============================================
+ *
+ * Voice notes are untrusted text sent to third-party models:
+ *
+ * 1. neutraliseInjections - defuse text that tries to give the model
+ *    instructions ("ignore previous instructions", fake "system:"
+ *    turns, chat-template tokens) and anything that would close the
+ *    <voice_note> delimiter the prompt wraps the note in
+ * 2. redactPII (AI_REDACT_PII=true) - swap phone, Aadhaar and PAN
+ *    numbers and emails for placeholders like [EMAIL_1] before the
+ *    call; restorePII puts the real values back into the extraction
+ *
+ * Only kinds and counts are logged, never the values themselves.
+ */
+
+/**
+ * Instruction-like phrases, each replaced with INJECTION_MARK
+ */
+const INJECTION_PATTERNS = [
+    { name: 'ignore_instructions', pattern: /\b(?:ignore|disregard|forget|override)\s+(?:all\s+|any\s+)?(?:the\s+)?(?:previous|prior|above|earlier|your|system)\s+(?:instructions?|prompts?|rules?|messages?)\b/gi },
+    { name: 'new_instructions', pattern: /\b(?:new|updated|real)\s+instructions?\s*:/gi },
+    { name: 'role_override', pattern: /\b(?:you are now|from now on,? you (?:are|will)|pretend (?:to be|you are)|act as (?:an?\s+)?(?:ai|assistant|system|admin|developer))\b/gi },
+    { name: 'prompt_leak', pattern: /\b(?:reveal|print|show|repeat|output)\s+(?:your|the)\s+(?:system\s+)?(?:prompt|instructions)\b/gi },
+    { name: 'fake_turn', pattern: /(?:^|\n)\s*(?:system|assistant|developer)\s*:/gi },
+    { name: 'template_token', pattern: /<\|[^|>]{1,30}\|>|\[\/?INST\]|<\/?(?:system|s)>/gi },
+    { name: 'delimiter_escape', pattern: /<\/?\s*voice_note\s*>/gi }
+];
+
+const INJECTION_MARK = '[instruction removed]';
+
+/**
+ * Defuse instruction-injection text in a transcription
+ * @param {string} text - Transcription
+ * @returns {Object} { text, findings } - findings are pattern names with counts
+ */
+const neutraliseInjections = (text) => {
+    const findings = {};
+    let cleaned = text || '';
+
+    for (const { name, pattern } of INJECTION_PATTERNS) {
+        cleaned = cleaned.replace(pattern, (match) => {
+            findings[name] = (findings[name] || 0) + 1;
+            // Keep the line break a fake "system:" turn started on
+            return match.startsWith('\n') ? `\n${INJECTION_MARK}` : INJECTION_MARK;
+        });
+    }
+
+    return { text: cleaned, findings };
+};
+
+/**
+ * PII kinds, most specific first so a 12-digit Aadhaar is not read as a phone
+ */
+const PII_PATTERNS = [
+    { kind: 'EMAIL', pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g },
+    { kind: 'AADHAAR', pattern: /(?<![+\w])[2-9]\d{3}[\s-]?\d{4}[\s-]?\d{4}(?!\w)/g },
+    { kind: 'PAN', pattern: /\b[A-Z]{5}\d{4}[A-Z]\b/gi },
+    { kind: 'PHONE', pattern: /(?:\+91[\s-]?|(?<!\w)0?)[6-9]\d{4}[\s-]?\d{5}(?!\w)/g }
+];
+
+/**
+ * Replace PII with numbered placeholders
+ * The same value always gets the same placeholder
+ * @param {string} text - Transcription
+ * @returns {Object} { text, placeholders, counts } - placeholders maps "[EMAIL_1]" to the value
+ */
+const redactPII = (text) => {
+    const placeholders = new Map();
+    const byValue = new Map();
+    const counts = {};
+    let redacted = text || '';
+
+    for (const { kind, pattern } of PII_PATTERNS) {
+        redacted = redacted.replace(pattern, (value) => {
+            if (!byValue.has(value)) {
+                counts[kind] = (counts[kind] || 0) + 1;
+                const placeholder = `[${kind}_${counts[kind]}]`;
+                byValue.set(value, placeholder);
+                placeholders.set(placeholder, value);
+            }
+            return byValue.get(value);
+        });
+    }
+
+    return { text: redacted, placeholders, counts };
+};
+
+/**
+ * Put redacted values back, anywhere in a model result
+ * @param {*} value - String, array or object from the model
+ * @param {Map} placeholders - From redactPII
+ * @returns {*} Same shape with placeholders replaced
+ */
+const restorePII = (value, placeholders) => {
+    if (!placeholders?.size) return value;
+
+    if (typeof value === 'string') {
+        return value.replace(/\[(?:EMAIL|AADHAAR|PAN|PHONE)_\d+\]/g, p => placeholders.get(p) ?? p);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => restorePII(item, placeholders));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, restorePII(v, placeholders)]));
+    }
+    return value;
+};
+
+/**
+ * Redact values already known to be PII (e.g. in validation errors sent back to the model)
+ * @param {string} text - Text that may contain restored values
+ * @param {Map} placeholders - From redactPII
+ * @returns {string} Text with the values swapped back to placeholders
+ */
+const reapplyRedaction = (text, placeholders) => {
+    let result = text;
+    for (const [placeholder, value] of placeholders || []) {
+        result = result.split(value).join(placeholder);
+    }
+    return result;
+};
+
+module.exports = {
+    INJECTION_MARK,
+    neutraliseInjections,
+    redactPII,
+    restorePII,
+    reapplyRedaction
+};
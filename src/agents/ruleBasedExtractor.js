@@ -0,0 +1,270 @@
+/**
+ * ============================================
+ * RULE-BASED EXTRACTOR - THE SAFETY NET
+ * Offline extraction when every AI provider is down
+ * ============================================
+ *
+ * Regexes and keywords only, so it works without a network:
+ * - case numbers: CASE-2025-AB12C, CTR-2025-001
+ * - client names: "Sharma bail matter", "new client Priya Nair"
+ * - emails (extractEmail), hearing dates and times
+ * - status keywords: bail, adjourned, disposed... (and the common
+ *   Hinglish ones: jamanat, tareekh, faisla)
+ * - court, judge, sections and FIR numbers: "Delhi High Court",
+ *   "Justice Menon", "u/s 420 IPC", "FIR 245/2025"
+ *
+ * Returns the same shape as extractCaseInformation, with every
+ * case at confidence LOW, so the orchestrator can still log
+ * hearings and create drafts for the lawyer to review.
+ */
+
+const { extractEmail } = require('../utils/helpers');
+const { normaliseDigits } = require('../utils/languages');
+const { coerceDate, coerceTime } = require('./extractionSchema');
+
+const CASE_NUMBER_PATTERN = /\b[A-Z]{2,6}-\d{4}-[A-Z0-9]{3,5}\b/i;
+
+// "new client Priya Nair", "New client is Arun Mehta"
+const NEW_CLIENT_PATTERN = /\b[Nn]ew client(?:\s+(?:is|named|called))?[,:]?\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+){0,2})/;
+const NEW_MATTER_PATTERN = /\b(new (?:client|case|matter)|retainer|onboard(?:ed|ing)?|hired us|engaged us)\b/i;
+
+// "Rohan Sharma bail matter", "Sharma case", "case of Arun Mehta"
+const NAMED_CASE_PATTERN = /((?:\b[A-Z][a-zA-Z]+\s+)+)((?:[a-z]+\s+){0,2})(?:case|matter)\b/g;
+const CASE_OF_PATTERN = /\b(?:case|matter) of ([A-Z][a-z]+(?:\s+[A-Z][a-z]+){0,2})/;
+
+// Capitalised words that start a sentence rather than a name
+const NOT_NAMES = new Set([
+    'in', 'the', 'a', 'an', 'also', 'for', 'and', 'today', 'yesterday', 'new', 'client', 'our', 'my',
+    'this', 'that', 'next', 'mr', 'mrs', 'ms', 'adv', 'update', 'regarding', 'about', 'on'
+]);
+
+const CASE_TYPES = [
+    'bail', 'property dispute', 'contract breach', 'employment dispute', 'divorce', 'custody',
+    'cheque bounce', 'criminal', 'civil', 'consumer', 'tax', 'arbitration', 'recovery'
+];
+const CASE_TYPE_WORDS = new Set([...CASE_TYPES.flatMap(t => t.split(' ')), 'dispute', 'family', 'land', 'labour']);
+
+/**
+ * Status keywords, strongest first
+ */
+const STATUS_RULES = [
+    { status: 'FINALIZED', pattern: /\b(disposed|dismissed|decreed|acquitted|convicted|settled|withdrawn|final (?:order|judgment)|case closed|faisla)\b/i },
+    { status: 'CONTINUING', pattern: /\b(bail|adjourn(?:ed|ment)?|postponed|next hearing|stay (?:granted|order)|notice issued|part heard|[jz]amanat|tar[ei]e?kh|agli peshi)\b/i }
+];
+
+const DOCUMENT_KEYWORDS = [
+    'affidavit', 'surety bond', 'bail bond', 'id proof', 'vakalatnama', 'charge sheet',
+    'written statement', 'power of attorney', 'medical records', 'income proof', 'sale deed'
+];
+
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const ORDINAL = '\\d{1,2}(?:st|nd|rd|th)?';
+const DATE_PATTERNS = [
+    /\b\d{4}-\d{2}-\d{2}\b/,
+    /\b\d{1,2}[\/.-]\d{1,2}[\/.-]\d{4}\b/,
+    new RegExp(`\\b${ORDINAL}\\s+(?:of\\s+)?${MONTH}(?:,?\\s+\\d{4})?`, 'i'),
+    new RegExp(`\\b${MONTH}\\s+${ORDINAL}\\b(?:,?\\s+\\d{4})?`, 'i'),
+    /\b(?:tomorrow|next week|next month)\b/i
+];
+const COURT_PATTERN = /\b((?:[A-Z][a-z]+\s+){1,2}(?:High|District|Sessions|Family|Civil|Consumer)\s+Court|Supreme Court|NCLAT|NCLT(?:\s+[A-Z][a-z]+)?)\b/;
+const JUDGE_PATTERN = /\b(Justice\s+(?:[A-Z]\.\s*)*[A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/;
+const SECTION_PATTERN = /\b(?:section|sec\.?|u\/s)\s*(\d+[A-Z]?)(?:\s+(?:of\s+(?:the\s+)?)?(IPC|CrPC|BNSS|BNS|CPC|NI Act|IT Act|Evidence Act))?/gi;
+const FIR_PATTERN = /\bFIR\s*(?:no\.?|number)?\s*(\d+\/\d{2,4})/i;
+const TIME_PATTERN = /\b\d{1,2}(?:[:.]\d{2})?\s*(?:a\.?m\.?|p\.?m\.?)|\b(?:[01]?\d|2[0-3]):[0-5]\d\b/i;
+
+const titleCase = (text) => text.replace(/\b[a-z]/g, c => c.toUpperCase());
+
+/**
+ * Client name from a "<Name> [type] case" phrase
+ * @returns {Object|null} { name, type }
+ */
+const findNamedCase = (text) => {
+    for (const match of text.matchAll(NAMED_CASE_PATTERN)) {
+        const between = match[2].trim().split(/\s+/).filter(Boolean);
+        if (!between.every(w => CASE_TYPE_WORDS.has(w))) continue;
+
+        const words = match[1].trim().split(/\s+/);
+        while (words.length && NOT_NAMES.has(words[0].toLowerCase())) words.shift();
+
+        // "Rohan Sharma Bail matter" - the type is not part of the name
+        const typeWords = [];
+        while (words.length && CASE_TYPE_WORDS.has(words[words.length - 1].toLowerCase())) {
+            typeWords.unshift(words.pop().toLowerCase());
+        }
+
+        if (words.length) {
+            return { name: words.join(' '), type: [...typeWords, ...between].join(' ') || null };
+        }
+    }
+
+    const caseOf = text.match(CASE_OF_PATTERN);
+    return caseOf ? { name: caseOf[1], type: null } : null;
+};
+
+/**
+ * Which case a sentence is about, if it says
+ * @returns {Object|null} { key, case_number, client_name, type, is_new }
+ */
+const findReference = (sentence) => {
+    const caseNumber = sentence.match(CASE_NUMBER_PATTERN)?.[0].toUpperCase() || null;
+    const newClient = sentence.match(NEW_CLIENT_PATTERN)?.[1] || null;
+    const named = newClient ? null : findNamedCase(sentence);
+    const clientName = newClient || named?.name || null;
+
+    if (!caseNumber && !clientName && !NEW_MATTER_PATTERN.test(sentence)) {
+        return null;
+    }
+
+    return {
+        key: (caseNumber || clientName || '').toLowerCase() || null,
+        case_number: caseNumber,
+        client_name: clientName,
+        type: named?.type || null,
+        is_new: NEW_MATTER_PATTERN.test(sentence)
+    };
+};
+
+/**
+ * Group sentences by the case they talk about
+ * A sentence without a reference belongs to the case before it
+ */
+const splitIntoCases = (transcription) => {
+    const sentences = transcription
+        .split(/(?<=[.!?;])\s+|\s+(?=\b(?:[Aa]lso|[Aa]nother)\b)/)
+        .map(s => s.trim())
+        .filter(Boolean);
+
+    const groups = [];
+    for (const sentence of sentences) {
+        const reference = findReference(sentence);
+        const current = groups[groups.length - 1];
+
+        if (current && (!reference || reference.key === current.key ||
+            (!reference.key && current.is_new))) {
+            current.sentences.push(sentence);
+            continue;
+        }
+
+        // "Bail granted today. That was the Sharma case."
+        if (current && !current.key && reference?.key) {
+            Object.assign(current, reference, { is_new: current.is_new || reference.is_new });
+            current.sentences.push(sentence);
+            continue;
+        }
+
+        groups.push({ key: null, is_new: false, ...reference, sentences: [sentence] });
+    }
+
+    return groups;
+};
+
+const findDate = (text, now) => {
+    const found = DATE_PATTERNS
+        .map(pattern => text.match(pattern))
+        .filter(Boolean)
+        .sort((a, b) => a.index - b.index)[0];
+    if (!found) return null;
+
+    // Relative phrases ("tomorrow", "next week") go through parseDate
+    const date = coerceDate(found[0].replace(/\bof\s+/i, ''), now);
+    return /^\d{4}-\d{2}-\d{2}$/.test(date) ? date : null;
+};
+
+const findTime = (text) => {
+    const found = text.match(TIME_PATTERN);
+    if (!found) return null;
+
+    const time = coerceTime(found[0]);
+    return /^([01]\d|2[0-3]):[0-5]\d$/.test(time) ? time : null;
+};
+
+/**
+ * Build one case from its sentences
+ */
+const buildCase = (group, now) => {
+    const text = group.sentences.join(' ');
+    const statusRule = STATUS_RULES.find(rule => rule.pattern.test(text));
+    const outcome = statusRule ? group.sentences.find(s => statusRule.pattern.test(s)) : null;
+    const type = group.type || CASE_TYPES.find(t => text.toLowerCase().includes(t)) || null;
+    const clientEmail = extractEmail(text);
+
+    let actionType = 'CLARIFICATION_NEEDED';
+    if (group.is_new) actionType = 'CREATE_NEW';
+    else if (group.key) actionType = 'UPDATE_EXISTING';
+
+    const caseName = group.client_name
+        ? `${group.client_name} ${type ? titleCase(type) : 'Case'}`
+        : null;
+
+    const missingFields = actionType === 'CREATE_NEW'
+        ? [
+            !caseName && 'case_name',
+            !group.client_name && 'client_name',
+            !clientEmail && 'client_email'
+        ].filter(Boolean)
+        : [];
+
+    return {
+        action_type: actionType,
+        confidence: 'LOW',
+        lookup_key: group.case_number || group.client_name || null,
+        case_name: caseName,
+        case_number: group.case_number || null,
+        case_summary: null,
+        client_name: group.client_name || null,
+        client_email: clientEmail,
+        junior_name: null,
+        junior_email: null,
+        outcome: outcome || null,
+        status: statusRule?.status || null,
+        next_hearing_date: findDate(text, now),
+        next_hearing_time: findTime(text),
+        documents_needed: DOCUMENT_KEYWORDS
+            .filter(doc => text.toLowerCase().includes(doc))
+            .map(titleCase),
+        court: text.match(COURT_PATTERN)?.[1] || null,
+        judge: text.match(JUDGE_PATTERN)?.[1] || null,
+        sections: [...new Set([...text.matchAll(SECTION_PATTERN)]
+            .map(m => `Section ${m[1].toUpperCase()}${m[2] ? ` ${m[2]}` : ''}`))],
+        fir_number: text.match(FIR_PATTERN) ? `FIR ${text.match(FIR_PATTERN)[1]}` : null,
+        assign_to_junior: false,
+        send_client_email: false,
+        missing_fields: missingFields,
+        raw_notes: text
+    };
+};
+
+/**
+ * Extract cases without an AI model
+ * @param {string} transcription - Voice note transcription
+ * @param {Date} now - Reference date for dates without a year
+ * @returns {Object} Extraction in the extractCaseInformation shape
+ */
+const extractWithRules = (transcription, now = new Date()) => {
+    const cases = splitIntoCases(normaliseDigits(transcription || '')).map(group => buildCase(group, now));
+    const identified = cases.filter(c => c.action_type !== 'CLARIFICATION_NEEDED');
+
+    if (identified.length === 0) {
+        return {
+            cases,
+            overall_summary: 'AI extraction unavailable; no case could be identified from the voice note',
+            requires_clarification: true,
+            clarification_message: 'AI extraction is temporarily unavailable and no case number or client name was recognised. ' +
+                'Which case is this about? Please include the case number.',
+            extraction_method: 'RULE_BASED'
+        };
+    }
+
+    return {
+        cases,
+        overall_summary: `AI extraction unavailable; ${identified.length} case(s) extracted with offline rules - please review`,
+        requires_clarification: false,
+        clarification_message: null,
+        extraction_method: 'RULE_BASED'
+    };
+};
+
+module.exports = {
+    extractWithRules,
+    CASE_NUMBER_PATTERN
+};
@@ -0,0 +1,391 @@
+/**
+ * ============================================
+ * TRANSCRIPTION BACKENDS - THE EARS
+ * Registry of speech-to-text engines for audio voice notes
+ * ============================================
+ *
+ * Each backend is a plain definition:
+ * {
+ *   type: 'assemblyai' | 'whisper-cpp' | 'vosk',
+ *   label, timeoutMs,
+ *   apiKey, baseUrl, pollIntervalMs, speakerLabels   // assemblyai
+ *   command, model, language, threads                // local CLIs
+ * }
+ *
+ * "whisper-cpp" and "vosk" run a CLI on this machine, so audio
+ * never leaves the office network. whisper.cpp reads 16 kHz mono
+ * WAV only; uploads are converted with ffmpeg first.
+ *
+ * Every backend returns the same transcript:
+ * {
+ *   text, language, backend,
+ *   words:    [{ text, start_ms, end_ms, speaker, confidence }],
+ *   segments: [{ speaker, start_ms, end_ms, text }],
+ *   speakers: ['A', 'B']
+ * }
+ * speaker/confidence are null where the engine does not provide
+ * them. Segments follow speaker turns, pauses and sentence ends,
+ * which is where a long hearing memo moves from one case to the next.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { config } = require('../config');
+const { logger } = require('../utils/logger');
+const { AIProcessingError } = require('../utils/errors');
+
+/**
+ * Default order when TRANSCRIPTION_BACKEND_ORDER is not set
+ */
+const DEFAULT_BACKEND_ORDER = ['assemblyai', 'whisper-cpp', 'vosk'];
+
+// A pause this long between words starts a new segment
+const SEGMENT_PAUSE_MS = 1500;
+
+const builtInBackends = () => ({
+    assemblyai: {
+        label: 'AssemblyAI',
+        type: 'assemblyai',
+        ...config.transcription.assemblyai
+    },
+    'whisper-cpp': {
+        label: 'whisper.cpp',
+        type: 'whisper-cpp',
+        ...config.transcription.whisperCpp
+    },
+    vosk: {
+        label: 'Vosk',
+        type: 'vosk',
+        ...config.transcription.vosk
+    }
+});
+
+/**
+ * Run a CLI without a shell, killed at the deadline
+ * @returns {Promise<string>} stdout
+ */
+const runCommand = (backend, command, args, deadline) => new Promise((resolve, reject) => {
+    const timeoutMs = Math.max(deadline - Date.now(), 1);
+
+    execFile(command, args, { timeout: timeoutMs, maxBuffer: 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (!error) return resolve(stdout);
+
+        if (error.code === 'ENOENT') {
+            return reject(new AIProcessingError(`${backend.label}: ${command} not found - install it or set its path in .env`));
+        }
+        if (error.killed) {
+            return reject(new AIProcessingError(`${backend.label}: ${command} timed out after ${timeoutMs}ms`));
+        }
+        const detail = (stderr || error.message).trim().split('\n').slice(-3).join(' ');
+        reject(new AIProcessingError(`${backend.label}: ${command} failed: ${detail}`));
+    });
+});
+
+/**
+ * Fetch JSON from AssemblyAI, aborted at the deadline
+ */
+const requestJson = async (backend, url, options, deadline) => {
+    let response;
+    try {
+        response = await fetch(url, {
+            ...options,
+            headers: { 'Authorization': backend.apiKey, ...options.headers },
+            signal: AbortSignal.timeout(Math.max(deadline - Date.now(), 1))
+        });
+    } catch (error) {
+        if (error.name === 'TimeoutError') {
+            throw new AIProcessingError(`${backend.label} transcription timed out after ${backend.timeoutMs}ms`);
+        }
+        throw new AIProcessingError(`${backend.label} API unreachable: ${error.message}`);
+    }
+
+    if (!response.ok) {
+        throw new AIProcessingError(`${backend.label} API error: ${await response.text()}`);
+    }
+    return response.json();
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Group words into segments at speaker changes, pauses and sentence ends
+ * @param {Array} words - Transcript words
+ * @returns {Array} Segments
+ */
+const groupIntoSegments = (words) => {
+    const segments = [];
+    let current = null;
+
+    for (const word of words) {
+        const previous = current?.words[current.words.length - 1];
+        const startsNew = !current
+            || word.speaker !== current.speaker
+            || word.start_ms - previous.end_ms >= SEGMENT_PAUSE_MS
+            || /[.?!।]$/.test(previous.text);
+
+        if (startsNew) {
+            current = { speaker: word.speaker, words: [] };
+            segments.push(current);
+        }
+        current.words.push(word);
+    }
+
+    return segments.map(segment => ({
+        speaker: segment.speaker,
+        start_ms: segment.words[0].start_ms,
+        end_ms: segment.words[segment.words.length - 1].end_ms,
+        text: segment.words.map(w => w.text).join(' ')
+    }));
+};
+
+/**
+ * Fill in the parts of a transcript a backend did not provide
+ */
+const buildTranscript = (backend, { text, words = [], segments, language = null }) => {
+    const allSegments = segments?.length ? segments : groupIntoSegments(words);
+
+    return {
+        text: (text || allSegments.map(s => s.text).join(' ')).trim(),
+        language,
+        backend: backend.name,
+        words,
+        segments: allSegments,
+        speakers: [...new Set(allSegments.map(s => s.speaker).filter(Boolean))]
+    };
+};
+
+const toWord = (text, startMs, endMs, speaker = null, confidence = null) => ({
+    text: text.trim(),
+    start_ms: Math.round(startMs),
+    end_ms: Math.round(endMs),
+    speaker,
+    confidence
+});
+
+/**
+ * whisper.cpp --output-json with one word per segment (-ml 1 -sow)
+ */
+const parseWhisperJson = (data) => ({
+    language: data.result?.language || null,
+    words: (data.transcription || [])
+        .map(s => toWord(s.text || '', s.offsets?.from || 0, s.offsets?.to || 0))
+        .filter(w => w.text)
+});
+
+/**
+ * vosk-transcriber JSON ("monologues" of "terms", times in seconds),
+ * or a raw Vosk recogniser result ({ result: [{ word, start, end, conf }] })
+ */
+const parseVoskJson = (data) => {
+    if (Array.isArray(data.monologues)) {
+        return {
+            words: data.monologues.flatMap(m => (m.terms || [])
+                .filter(t => !t.type || t.type === 'WORD')
+                .map(t => toWord(t.text, t.start * 1000, t.end * 1000, m.speaker?.name ?? (typeof m.speaker === 'string' ? m.speaker : null), t.confidence ?? null)))
+        };
+    }
+
+    return {
+        words: [].concat(data)
+            .flatMap(r => r.result || [])
+            .map(w => toWord(w.word, w.start * 1000, w.end * 1000, null, w.conf ?? null))
+    };
+};
+
+/**
+ * Backend adapters, one per type
+ */
+const ADAPTERS = {
+    assemblyai: {
+        isConfigured: backend => !!backend.apiKey && !!backend.baseUrl,
+
+        async transcribe(backend, audioFilePath, deadline) {
+            const baseUrl = backend.baseUrl.replace(/\/$/, '');
+
+            const { upload_url } = await requestJson(backend, `${baseUrl}/upload`, {
+                method: 'POST',
+                body: fs.readFileSync(audioFilePath)
+            }, deadline);
+
+            const job = await requestJson(backend, `${baseUrl}/transcript`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    audio_url: upload_url,
+                    speaker_labels: backend.speakerLabels,
+                    language_detection: true
+                })
+            }, deadline);
+
+            // Poll until done - or until the deadline, instead of forever
+            while (true) {
+                const result = await requestJson(backend, `${baseUrl}/transcript/${job.id}`, {}, deadline);
+
+                if (result.status === 'completed') {
+                    return buildTranscript(backend, {
+                        text: result.text,
+                        language: result.language_code || null,
+                        words: (result.words || []).map(w => toWord(w.text, w.start, w.end, w.speaker || null, w.confidence ?? null)),
+                        segments: (result.utterances || []).map(u => ({
+                            speaker: u.speaker || null,
+                            start_ms: u.start,
+                            end_ms: u.end,
+                            text: u.text
+                        }))
+                    });
+                }
+                if (result.status === 'error') {
+                    throw new AIProcessingError(`${backend.label} transcription failed: ${result.error}`);
+                }
+                if (Date.now() + backend.pollIntervalMs >= deadline) {
+                    throw new AIProcessingError(
+                        `${backend.label} transcription timed out after ${backend.timeoutMs}ms (job ${job.id}, status ${result.status})`
+                    );
+                }
+
+                await sleep(backend.pollIntervalMs);
+            }
+        }
+    },
+
+    'whisper-cpp': {
+        isConfigured: backend => !!backend.model,
+
+        async transcribe(backend, audioFilePath, deadline, workDir) {
+            const wavPath = path.join(workDir, 'audio.wav');
+            await runCommand(backend, config.transcription.ffmpegCommand,
+                ['-y', '-i', audioFilePath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wavPath], deadline);
+
+            const outputBase = path.join(workDir, 'transcript');
+            await runCommand(backend, backend.command, [
+                '-m', backend.model,
+                '-f', wavPath,
+                '-l', backend.language || 'auto',
+                '-t', String(backend.threads || 4),
+                '-ml', '1', '-sow', // one word per segment, for word timestamps
+                '-oj', '-of', outputBase,
+                '-np'
+            ], deadline);
+
+            const data = JSON.parse(fs.readFileSync(`${outputBase}.json`, 'utf8'));
+            return buildTranscript(backend, parseWhisperJson(data));
+        }
+    },
+
+    vosk: {
+        isConfigured: backend => !!backend.model,
+
+        async transcribe(backend, audioFilePath, deadline, workDir) {
+            const outputPath = path.join(workDir, 'transcript.json');
+            await runCommand(backend, backend.command,
+                ['-m', backend.model, '-i', audioFilePath, '-t', 'json', '-o', outputPath], deadline);
+
+            const data = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+            return buildTranscript(backend, parseVoskJson(data));
+        }
+    }
+};
+
+/**
+ * Transcription Registry Class
+ */
+class TranscriptionRegistry {
+    constructor(backends = {}) {
+        this.backends = new Map();
+        for (const [name, definition] of Object.entries(backends)) {
+            this.register(name, definition);
+        }
+    }
+
+    /**
+     * Add or replace a backend
+     * @param {string} name - Backend name (used in TRANSCRIPTION_BACKEND_ORDER)
+     * @param {Object} definition - See file header
+     */
+    register(name, definition) {
+        if (!ADAPTERS[definition.type]) {
+            throw new AIProcessingError(`Unknown transcription backend type for ${name}: ${definition.type}`);
+        }
+
+        const settings = Object.fromEntries(Object.entries(definition).filter(([, value]) => value !== undefined));
+
+        this.backends.set(name, {
+            label: name,
+            timeoutMs: config.transcription.timeoutMs,
+            ...settings,
+            name
+        });
+        return this;
+    }
+
+    get(name) {
+        return this.backends.get(name) || null;
+    }
+
+    isConfigured(name) {
+        const backend = this.get(name);
+        return !!backend && ADAPTERS[backend.type].isConfigured(backend);
+    }
+
+    /**
+     * Backends to try, in order
+     * An explicit TRANSCRIPTION_BACKEND_ORDER is used as-is, so an
+     * offline setup never uploads audio to a cloud service
+     */
+    getOrder(explicitOrder = config.transcription.backendOrder) {
+        if (explicitOrder) {
+            return explicitOrder.split(',').map(b => b.trim().toLowerCase()).filter(Boolean);
+        }
+
+        return [...this.backends.keys()].sort((a, b) =>
+            (DEFAULT_BACKEND_ORDER.indexOf(a) + 1 || Infinity) - (DEFAULT_BACKEND_ORDER.indexOf(b) + 1 || Infinity));
+    }
+
+    /**
+     * Public view of the registry (no keys)
+     */
+    list() {
+        return [...this.backends.entries()].map(([name, b]) => ({
+            name,
+            type: b.type,
+            model: b.model || null,
+            timeout_ms: b.timeoutMs,
+            configured: this.isConfigured(name)
+        }));
+    }
+
+    /**
+     * Transcribe one file with one backend
+     * @param {string} name - Backend name
+     * @param {string} audioFilePath - Path to the audio file
+     * @returns {Object} Transcript (see file header)
+     */
+    async transcribe(name, audioFilePath) {
+        const backend = this.get(name);
+        if (!backend) {
+            throw new AIProcessingError(`Unknown transcription backend: ${name}`);
+        }
+
+        logger.debug(`Transcription: Calling ${name}`, { model: backend.model, audioFilePath });
+
+        const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcribe-'));
+        try {
+            return await ADAPTERS[backend.type].transcribe(backend, audioFilePath, Date.now() + backend.timeoutMs, workDir);
+        } finally {
+            fs.rmSync(workDir, { recursive: true, force: true });
+        }
+    }
+}
+
+// Shared registry used by the AI agent
+const transcriptionRegistry = new TranscriptionRegistry(builtInBackends());
+
+module.exports = {
+    TranscriptionRegistry,
+    transcriptionRegistry,
+    DEFAULT_BACKEND_ORDER,
+    BACKEND_TYPES: Object.keys(ADAPTERS),
+    groupIntoSegments
+};
@@ -36,6 +36,7 @@
  * - email: User's email address
  * - notion_db_id: Their Notion workspace database ID
  * - notion_token: Their Notion API token (for multi-workspace support)
+ * - case_store: 'notion' or 'local' - where their cases live (optional, defaults to CASE_STORE)
  * - junior_email: Email of assigned junior (null for juniors)
  * - junior_name: Name of assigned junior (null for juniors)
  * - google_calendar_id: Their Google Calendar ID
@@ -53,6 +54,8 @@ const USER_REGISTRY = {
         email: process.env.DEMO_USER_EMAIL || "demo@legalfirm.com",
         notion_db_id: process.env.NOTION_DATABASE_ID,
         notion_token: process.env.NOTION_API_KEY,
+        // DEMO_CASE_STORE=local runs the demo without a Notion workspace
+        case_store: process.env.DEMO_CASE_STORE,
         junior_email: process.env.DEMO_JUNIOR_EMAIL || "junior@legalfirm.com",
         junior_name: "Demo Junior",
         google_calendar_id: "primary",
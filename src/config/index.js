@@ -5,6 +5,8 @@
  * ============================================
  */
 
+const path = require('path');
+
 const config = {
     // Server
     port: process.env.PORT || 3000,
@@ -26,11 +28,94 @@ const config = {
     // OpenAI (PAID - kept for backward compatibility)
     openai: {
         apiKey: process.env.OPENAI_API_KEY,
-        model: 'gpt-4o',
+        model: process.env.OPENAI_MODEL || 'gpt-4o',
         temperature: 0,
         maxTokens: 4096
     },
     
+    // AI provider registry (see src/agents/aiProviders.js)
+    // Every provider can be tuned with <PREFIX>_MODEL, <PREFIX>_TEMPERATURE,
+    // <PREFIX>_TIMEOUT_MS and <PREFIX>_BASE_URL, e.g. GROQ_MODEL=llama-3.1-8b-instant
+    // or LOCAL_AI_TIMEOUT_MS=180000
+    ai: {
+        // Comma-separated fallback order; set to "local" to keep client data on-prem
+        providerOrder: process.env.AI_PROVIDER_ORDER,
+        defaultTimeoutMs: parseInt(process.env.AI_TIMEOUT_MS) || 60000,
+        
+        // Regex/keyword extraction (confidence LOW) when every provider fails
+        ruleFallback: process.env.AI_RULE_FALLBACK !== 'false',
+        
+        // Send phone, Aadhaar and PAN numbers and emails to providers as
+        // placeholders ([PHONE_1]...) and restore them in the extraction
+        redactPII: process.env.AI_REDACT_PII === 'true',
+        
+        // Identical prompts to the same provider/model are answered from memory
+        // (see src/agents/aiCache.js)
+        cache: {
+            enabled: process.env.AI_CACHE !== 'false',
+            ttlMs: (parseInt(process.env.AI_CACHE_TTL_MINUTES) || 60) * 60 * 1000,
+            maxEntries: parseInt(process.env.AI_CACHE_MAX_ENTRIES) || 500
+        },
+        
+        // Any OpenAI-compatible server: llama.cpp (http://localhost:8080/v1),
+        // Ollama (http://localhost:11434/v1), vLLM, LM Studio...
+        local: {
+            baseUrl: process.env.LOCAL_AI_BASE_URL,
+            apiKey: process.env.LOCAL_AI_API_KEY,
+            model: process.env.LOCAL_AI_MODEL || 'llama3.1',
+            jsonMode: process.env.LOCAL_AI_JSON_MODE !== 'false'
+        }
+    },
+    
+    // Speech-to-text backends (see src/agents/transcriptionBackends.js)
+    transcription: {
+        // Comma-separated order; set to "whisper-cpp" or "vosk" to transcribe offline
+        backendOrder: process.env.TRANSCRIPTION_BACKEND_ORDER,
+        // Upper bound for one transcription (AssemblyAI polling or a local CLI run)
+        timeoutMs: parseInt(process.env.TRANSCRIPTION_TIMEOUT_MS) || 300000,
+        // whisper.cpp only reads 16 kHz WAV; other uploads are converted first
+        ffmpegCommand: process.env.FFMPEG_COMMAND || 'ffmpeg',
+        
+        assemblyai: {
+            apiKey: process.env.ASSEMBLYAI_API_KEY,
+            baseUrl: process.env.ASSEMBLYAI_BASE_URL || 'https://api.assemblyai.com/v2',
+            pollIntervalMs: parseInt(process.env.ASSEMBLYAI_POLL_INTERVAL_MS) || 1000,
+            speakerLabels: process.env.ASSEMBLYAI_SPEAKER_LABELS !== 'false'
+        },
+        // https://github.com/ggerganov/whisper.cpp - WHISPER_CPP_MODEL=/models/ggml-small.bin
+        whisperCpp: {
+            command: process.env.WHISPER_CPP_COMMAND || 'whisper-cli',
+            model: process.env.WHISPER_CPP_MODEL,
+            language: process.env.WHISPER_CPP_LANGUAGE || 'auto',
+            threads: parseInt(process.env.WHISPER_CPP_THREADS) || 4
+        },
+        // https://alphacephei.com/vosk - pip install vosk, VOSK_MODEL=/models/vosk-model-small-hi-0.22
+        vosk: {
+            command: process.env.VOSK_COMMAND || 'vosk-transcriber',
+            model: process.env.VOSK_MODEL
+        }
+    },
+    
+    // Recordings fetched from a SpeakSpace audio_url (see src/services/audioFetcher.js)
+    audio: {
+        maxBytes: (parseInt(process.env.AUDIO_URL_MAX_MB) || 25) * 1024 * 1024,
+        timeoutMs: parseInt(process.env.AUDIO_URL_TIMEOUT_MS) || 60000,
+        // Comma-separated, e.g. "speakspace.ai,storage.googleapis.com"; empty allows any host
+        allowedHosts: (process.env.AUDIO_URL_ALLOWED_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean),
+        // Loopback, private and link-local addresses are refused unless this is 'true'
+        allowPrivateHosts: process.env.AUDIO_URL_ALLOW_PRIVATE === 'true',
+        // Downloaded recordings are kept here as evidence
+        evidenceDir: process.env.AUDIO_EVIDENCE_DIR || path.join(__dirname, '../../data/evidence')
+    },
+    
+    // Where cases are kept: 'notion' or 'local' (see src/services/caseStore.js)
+    // A user's case_store setting overrides the default
+    caseStore: {
+        backend: process.env.CASE_STORE || 'notion',
+        // One JSON file per lawyer for the local store
+        localDir: process.env.CASE_STORE_DIR || path.join(__dirname, '../../data/cases')
+    },
+    
     // Notion
     notion: {
         apiKey: process.env.NOTION_API_KEY,  // Default for single-user mode
@@ -46,6 +131,14 @@ const config = {
             status: 'Status',
             clientName: 'Client Name',
             clientEmail: 'Client Email',
+            clientLanguage: 'Client Language',
+            court: 'Court',
+            bench: 'Bench',
+            judge: 'Judge',
+            sections: 'Sections',
+            firNumber: 'FIR Number',
+            opposingParty: 'Opposing Party',
+            opposingCounsel: 'Opposing Counsel',
             juniorName: 'Junior Name',
             juniorEmail: 'Junior Email',
             summary: 'Summary',
@@ -111,8 +204,7 @@ const config = {
 const validateConfig = () => {
     const required = [
         'openai.apiKey',
-        'notion.apiKey',
-        'notion.databaseId'
+        ...(config.caseStore.backend === 'notion' ? ['notion.apiKey', 'notion.databaseId'] : [])
     ];
     
     const missing = required.filter(key => {
@@ -0,0 +1,351 @@
+/**
+ * ============================================
+ * EXTRACTION EVAL - THE SCOREBOARD
+ * Golden voice notes scored against any provider
+ * ============================================
+ *
+ * Each fixture in eval/golden/*.json is one voice note and the
+ * extraction a careful lawyer would expect:
+ * {
+ *   id, description, transcript,
+ *   expected: { cases: [{ action_type, lookup_key, next_hearing_date, documents_needed }] }
+ * }
+ *
+ * The transcript goes through extractCaseInformation (prompt,
+ * safeguards, repair loop, coercion) with one provider pinned, and
+ * every field in SCORED_FIELDS gets precision and recall:
+ * - scalar fields count one value per case
+ * - documents_needed counts each document
+ * Predicted cases are paired with expected ones by the fields they
+ * agree on, so the order the model lists cases in does not matter.
+ *
+ * Providers: any name in the registry (groq, local...), "recorded"
+ * (eval/recordings/golden.json, no network - used in CI) or "rules"
+ * (the offline rule-based extractor).
+ *
+ *   npm run eval                                 # recorded responses
+ *   npm run eval -- --provider groq              # live
+ *   npm run eval -- --provider groq --record     # live, then save as the recording
+ *   npm run eval -- --min-f1 0.8                 # exit 1 on a regression
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { extractCaseInformation } = require('../agents/aiAgent');
+const { extractWithRules } = require('../agents/ruleBasedExtractor');
+const { providerRegistry } = require('../agents/aiProviders');
+const { calculateSimilarity } = require('../utils/helpers');
+const { config } = require('../config');
+const { logger } = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+
+const ROOT = path.join(__dirname, '..', '..');
+const DEFAULT_FIXTURES_DIR = path.join(ROOT, 'eval', 'golden');
+const DEFAULT_RECORDINGS = path.join(ROOT, 'eval', 'recordings', 'golden.json');
+
+const SCORED_FIELDS = ['action_type', 'lookup_key', 'next_hearing_date', 'documents_needed'];
+
+// Whoever dictates the golden notes
+const EVAL_USER = { id: 'eval', name: 'Adv. Eval', role: 'SENIOR' };
+
+/**
+ * Whether a predicted value counts as the expected one
+ * Free text (lookup keys, documents) only has to be close:
+ * "Sharma" matches "Rohan Sharma", "Surety bond" matches "surety bond"
+ */
+const valuesMatch = (field, expected, predicted) => {
+    if (expected === null || expected === undefined || predicted === null || predicted === undefined) {
+        return false;
+    }
+    if (field === 'lookup_key' || field === 'documents_needed') {
+        return calculateSimilarity(String(expected), String(predicted)) >= 0.85;
+    }
+    return String(expected).toLowerCase() === String(predicted).toLowerCase();
+};
+
+const present = value => value !== null && value !== undefined && value !== '';
+
+/**
+ * Load golden fixtures, sorted by id
+ * @param {string} directory - Folder of *.json fixtures
+ * @returns {Array} Fixtures
+ */
+const loadFixtures = (directory = DEFAULT_FIXTURES_DIR) => fs.readdirSync(directory)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+        const fixture = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+        if (!fixture.transcript || !Array.isArray(fixture.expected?.cases)) {
+            throw new ValidationError(`Golden fixture ${file} needs a transcript and expected.cases`);
+        }
+        return { id: path.basename(file, '.json'), ...fixture };
+    })
+    .sort((a, b) => a.id.localeCompare(b.id));
+
+/**
+ * Pair each expected case with the unused predicted case agreeing on most fields
+ * @returns {Array} [{ expected, predicted }] - either side may be null
+ */
+const alignCases = (expectedCases, predictedCases) => {
+    const unused = [...predictedCases];
+    const pairs = expectedCases.map(expected => {
+        let best = -1;
+        let bestScore = -1;
+        unused.forEach((predicted, index) => {
+            const score = ['action_type', 'lookup_key', 'next_hearing_date']
+                .filter(field => valuesMatch(field, expected[field], predicted[field])).length;
+            if (score > bestScore) {
+                best = index;
+                bestScore = score;
+            }
+        });
+        return { expected, predicted: best >= 0 ? unused.splice(best, 1)[0] : null };
+    });
+
+    return [...pairs, ...unused.map(predicted => ({ expected: null, predicted }))];
+};
+
+const emptyCounts = () => Object.fromEntries(SCORED_FIELDS.map(field => [field, { tp: 0, fp: 0, fn: 0 }]));
+
+/**
+ * Count true/false positives and false negatives for one voice note
+ * @param {Array} expectedCases - Golden cases
+ * @param {Array} predictedCases - Extracted cases
+ * @returns {Object} { counts, mismatches }
+ */
+const scoreCases = (expectedCases, predictedCases) => {
+    const counts = emptyCounts();
+    const mismatches = [];
+
+    for (const { expected = null, predicted = null } of alignCases(expectedCases, predictedCases || [])) {
+        for (const field of SCORED_FIELDS) {
+            const want = expected?.[field];
+            const got = predicted?.[field];
+            const tally = counts[field];
+
+            if (field === 'documents_needed') {
+                const remaining = [...(got || [])];
+                const missed = [];
+                for (const document of want || []) {
+                    const index = remaining.findIndex(item => valuesMatch(field, document, item));
+                    if (index >= 0) {
+                        remaining.splice(index, 1);
+                        tally.tp++;
+                    } else {
+                        missed.push(document);
+                        tally.fn++;
+                    }
+                }
+                tally.fp += remaining.length;
+                if (missed.length > 0 || remaining.length > 0) {
+                    mismatches.push({ field, expected: want || [], predicted: got || [] });
+                }
+                continue;
+            }
+
+            if (valuesMatch(field, want, got)) {
+                tally.tp++;
+                continue;
+            }
+            if (present(got)) tally.fp++;
+            if (present(want)) tally.fn++;
+            if (present(got) || present(want)) {
+                mismatches.push({ field, expected: want ?? null, predicted: got ?? null });
+            }
+        }
+    }
+
+    return { counts, mismatches };
+};
+
+/**
+ * Precision, recall and F1 per field from summed counts
+ */
+const summarise = (counts) => Object.fromEntries(Object.entries(counts).map(([field, { tp, fp, fn }]) => {
+    // Nothing predicted and nothing expected is a perfect score, not 0/0
+    const precision = tp + fp === 0 ? 1 : tp / (tp + fp);
+    const recall = tp + fn === 0 ? 1 : tp / (tp + fn);
+    const f1 = precision + recall === 0 ? 0 : (2 * precision * recall) / (precision + recall);
+    return [field, { precision, recall, f1, tp, fp, fn }];
+}));
+
+/**
+ * Pin extraction to one provider for the length of a run
+ * @returns {Function} Restores the previous settings
+ */
+const useProvider = (provider, { recordingsPath, record }) => {
+    const previous = {
+        order: config.ai.providerOrder,
+        ruleFallback: config.ai.ruleFallback,
+        recorded: providerRegistry.get('recorded')
+    };
+
+    // A failing provider must score as a failure, not as the rule extractor
+    config.ai.ruleFallback = false;
+    config.ai.providerOrder = 'recorded';
+
+    if (provider === 'recorded') {
+        if (!fs.existsSync(recordingsPath)) {
+            throw new ValidationError(`No recordings at ${recordingsPath} - run with --provider <name> --record first`);
+        }
+        providerRegistry.register('recorded', {
+            type: 'recorded',
+            label: 'Recorded',
+            responses: JSON.parse(fs.readFileSync(recordingsPath, 'utf8'))
+        });
+    } else if (record) {
+        if (!providerRegistry.isConfigured(provider)) {
+            throw new ValidationError(`Provider ${provider} is not configured`);
+        }
+        providerRegistry.register('recorded', {
+            type: 'recorded',
+            label: `Recording ${provider}`,
+            responses: {},
+            passthrough: (prompt, systemPrompt) => providerRegistry.call(provider, prompt, systemPrompt)
+        });
+    } else {
+        config.ai.providerOrder = provider;
+    }
+
+    return () => {
+        config.ai.providerOrder = previous.order;
+        config.ai.ruleFallback = previous.ruleFallback;
+        if (previous.recorded) {
+            providerRegistry.register('recorded', previous.recorded);
+        } else {
+            providerRegistry.providers.delete('recorded');
+        }
+    };
+};
+
+/**
+ * Run every golden fixture through one provider and score it
+ * @param {Object} options
+ * @param {string} options.provider - Registry name, "recorded" or "rules"
+ * @param {string} options.fixturesDir - Golden fixtures folder
+ * @param {string} options.recordingsPath - Recorded responses file
+ * @param {boolean} options.record - Save the live responses as the recording
+ * @returns {Object} { provider, fixtures, fields, results }
+ */
+const runEvaluation = async ({
+    provider = 'recorded',
+    fixturesDir = DEFAULT_FIXTURES_DIR,
+    recordingsPath = DEFAULT_RECORDINGS,
+    record = false
+} = {}) => {
+    const fixtures = loadFixtures(fixturesDir);
+    const restore = provider === 'rules' ? () => {} : useProvider(provider, { recordingsPath, record });
+    const totals = emptyCounts();
+    const results = [];
+
+    try {
+        for (const fixture of fixtures) {
+            let predicted;
+            let error = null;
+            try {
+                const extraction = provider === 'rules'
+                    ? extractWithRules(fixture.transcript)
+                    : await extractCaseInformation(fixture.transcript, EVAL_USER);
+                predicted = extraction.cases || [];
+            } catch (err) {
+                predicted = [];
+                error = err.message;
+            }
+
+            const { counts, mismatches } = scoreCases(fixture.expected.cases, predicted);
+            for (const field of SCORED_FIELDS) {
+                for (const key of ['tp', 'fp', 'fn']) totals[field][key] += counts[field][key];
+            }
+            results.push({ id: fixture.id, error, mismatches });
+        }
+
+        if (record) {
+            fs.mkdirSync(path.dirname(recordingsPath), { recursive: true });
+            fs.writeFileSync(recordingsPath, JSON.stringify(providerRegistry.get('recorded').responses, null, 4) + '\n');
+        }
+    } finally {
+        restore();
+    }
+
+    return { provider, fixtures: fixtures.length, fields: summarise(totals), results };
+};
+
+/**
+ * Plain-text report for the terminal
+ */
+const formatReport = ({ provider, fixtures, fields, results }) => {
+    const pct = value => `${(value * 100).toFixed(1)}%`.padStart(7);
+    const lines = [
+        `Extraction eval - provider: ${provider}, fixtures: ${fixtures}`,
+        '',
+        `${'field'.padEnd(20)}${'precision'.padStart(10)}${'recall'.padStart(10)}${'f1'.padStart(10)}   tp/fp/fn`
+    ];
+
+    for (const [field, s] of Object.entries(fields)) {
+        lines.push(`${field.padEnd(20)}${pct(s.precision).padStart(10)}${pct(s.recall).padStart(10)}${pct(s.f1).padStart(10)}   ${s.tp}/${s.fp}/${s.fn}`);
+    }
+
+    const failing = results.filter(r => r.error || r.mismatches.length > 0);
+    if (failing.length > 0) {
+        lines.push('', 'Mismatches:');
+        for (const result of failing) {
+            if (result.error) {
+                lines.push(`  ${result.id}: error - ${result.error}`);
+            }
+            for (const m of result.mismatches) {
+                lines.push(`  ${result.id}: ${m.field} expected ${JSON.stringify(m.expected)}, got ${JSON.stringify(m.predicted)}`);
+            }
+        }
+    }
+
+    return lines.join('\n');
+};
+
+/**
+ * --provider groq --record --min-f1 0.8 --json --fixtures dir --recordings file
+ */
+const parseArgs = (argv) => {
+    const options = { provider: 'recorded', record: false, json: false, minF1: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--record') options.record = true;
+        else if (arg === '--json') options.json = true;
+        else if (arg === '--provider') options.provider = argv[++i];
+        else if (arg === '--fixtures') options.fixturesDir = path.resolve(argv[++i]);
+        else if (arg === '--recordings') options.recordingsPath = path.resolve(argv[++i]);
+        else if (arg === '--min-f1') options.minF1 = parseFloat(argv[++i]);
+        else throw new ValidationError(`Unknown option: ${arg}`);
+    }
+    return options;
+};
+
+if (require.main === module) {
+    logger.level = process.env.LOG_LEVEL || 'warn';
+
+    (async () => {
+        const options = parseArgs(process.argv.slice(2));
+        const report = await runEvaluation(options);
+
+        console.log(options.json ? JSON.stringify(report, null, 2) : formatReport(report));
+
+        const below = options.minF1 === null
+            ? []
+            : Object.entries(report.fields).filter(([, s]) => s.f1 < options.minF1).map(([field]) => field);
+        if (below.length > 0) {
+            console.error(`\nF1 below ${options.minF1} for: ${below.join(', ')}`);
+            process.exitCode = 1;
+        }
+    })().catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    SCORED_FIELDS,
+    loadFixtures,
+    alignCases,
+    scoreCases,
+    summarise,
+    runEvaluation,
+    formatReport
+};
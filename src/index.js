@@ -17,12 +17,15 @@ const path = require('path');
 const { logger } = require('./utils/logger');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const { authMiddleware } = require('./middleware/auth');
+const { correlationId } = require('./middleware/correlationId');
 const voiceRoutes = require('./routes/voice');
 const caseRoutes = require('./routes/cases');
 const authRoutes = require('./routes/auth');
 const healthRoutes = require('./routes/health');
 const speakspaceRoutes = require('./routes/speakspace');
 const oauthRoutes = require('./routes/oauth');
+const auditRoutes = require('./routes/audit');
+const ruleRoutes = require('./routes/rules');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -34,7 +37,8 @@ app.use(helmet());
 app.use(cors({
     origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'x-user-id', 'x-api-key']
+    allowedHeaders: ['Content-Type', 'Authorization', 'x-user-id', 'x-api-key', 'Idempotency-Key', 'X-Correlation-ID', 'X-Request-ID'],
+    exposedHeaders: ['Idempotent-Replayed', 'X-Correlation-ID']
 }));
 
 // Rate limiting
@@ -88,6 +92,9 @@ app.set('upload', upload);
 // ============================================
 // Request Logging
 // ============================================
+// Everything after this runs (and logs) with the request's correlation ID
+app.use(correlationId());
+
 app.use((req, res, next) => {
     logger.info(`${req.method} ${req.path}`, {
         ip: req.ip,
@@ -113,6 +120,8 @@ app.use('/api/oauth', oauthRoutes);
 app.use('/api/voice', authMiddleware, voiceRoutes);
 app.use('/api/cases', authMiddleware, caseRoutes);
 app.use('/api/speakspace', authMiddleware, speakspaceRoutes);
+app.use('/api/audit', authMiddleware, auditRoutes);
+app.use('/api/rules', authMiddleware, ruleRoutes);
 
 // ============================================
 // Error Handling
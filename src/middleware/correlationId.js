@@ -0,0 +1,29 @@
+/**
+ * ============================================
+ * CORRELATION ID MIDDLEWARE
+ * One ID per request, across every log line
+ * ============================================
+ *
+ * A client-supplied X-Correlation-ID (or X-Request-ID) is reused
+ * so SpeakSpace retries can be matched up; otherwise a new ID is
+ * generated. It is echoed back in the X-Correlation-ID header.
+ */
+
+const { runWithCorrelationId } = require('../utils/requestContext');
+const { generateId } = require('../utils/helpers');
+
+const VALID_ID = /^[\w.:-]{1,128}$/;
+
+const correlationId = () => (req, res, next) => {
+    const supplied = req.get('X-Correlation-ID') || req.get('X-Request-ID');
+    const id = supplied && VALID_ID.test(supplied) ? supplied : generateId();
+
+    req.correlationId = id;
+    res.set('X-Correlation-ID', id);
+
+    runWithCorrelationId(id, next);
+};
+
+module.exports = {
+    correlationId
+};
@@ -0,0 +1,110 @@
+/**
+ * ============================================
+ * IDEMPOTENCY MIDDLEWARE
+ * Replays the stored response for retried requests
+ * ============================================
+ *
+ * Key resolution:
+ * 1. Idempotency-Key header (client-chosen, scoped per user)
+ * 2. Derived from user + transcription (or audio_url) + timestamp (+ request options)
+ *
+ * Reusing an explicit key with a different body is rejected.
+ * Responses with a 5xx status are not stored, so a retry
+ * after a server failure runs the workflow again.
+ */
+
+const crypto = require('crypto');
+const { idempotencyStore, IDEMPOTENCY_STATUSES } = require('../services/idempotencyStore');
+const { AppError, ValidationError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+const MAX_KEY_LENGTH = 255;
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Transcription under any of the field names the SpeakSpace routes accept
+ */
+const getTranscription = (body = {}) => body.transcription
+    || body.text
+    || body.message
+    || body.content
+    || body.input
+    || body.data?.transcription;
+
+/**
+ * Build the idempotency middleware
+ * @param {IdempotencyStore} store - Store to use (shared store by default)
+ * @returns {Function} Express middleware
+ */
+const idempotency = (store = idempotencyStore) => {
+    const middleware = async (req, res, next) => {
+        try {
+            const headerKey = req.get('Idempotency-Key');
+            const transcription = getTranscription(req.body) || req.body.audio_url;
+
+            if (headerKey && headerKey.length > MAX_KEY_LENGTH) {
+                throw new ValidationError(`Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`, ['Idempotency-Key']);
+            }
+
+            // Nothing to key on - let the route reject the request
+            if (!headerKey && typeof transcription !== 'string') return next();
+
+            const fingerprint = hash(JSON.stringify({ path: req.path, query: req.query, body: req.body }));
+            // Derived keys include the fingerprint, so a preview and the
+            // real run of the same note are never retries of each other
+            const key = headerKey
+                ? `${req.user.id}:key:${headerKey}`
+                : `${req.user.id}:derived:${hash(`${transcription}|${req.body.timestamp || ''}|${fingerprint}`)}`;
+
+            const existing = store.begin(key, fingerprint);
+
+            if (existing && existing.fingerprint !== fingerprint) {
+                throw new AppError('Idempotency-Key was already used for a different request', 422, 'IDEMPOTENCY_KEY_REUSED');
+            }
+
+            if (existing) {
+                const settled = existing.status === IDEMPOTENCY_STATUSES.COMPLETED
+                    ? existing
+                    : await existing.done;
+
+                // The original request failed - run this one instead
+                if (!settled) return middleware(req, res, next);
+
+                logger.info('Idempotency: Replaying stored response', {
+                    userId: req.user.id,
+                    path: req.path,
+                    derived: !headerKey
+                });
+
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(settled.statusCode).json(settled.body);
+            }
+
+            // First time we see this key - capture the response
+            const json = res.json.bind(res);
+            res.json = (body) => {
+                if (res.statusCode < 500) {
+                    store.complete(key, res.statusCode, body);
+                } else {
+                    store.release(key);
+                }
+                return json(body);
+            };
+            res.on('close', () => {
+                if (!res.writableEnded) store.release(key);
+            });
+
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    return middleware;
+};
+
+module.exports = {
+    idempotency,
+    getTranscription
+};
@@ -0,0 +1,72 @@
+/**
+ * ============================================
+ * AUDIT ROUTES
+ * Query the compliance audit trail
+ * ============================================
+ */
+
+const express = require('express');
+const router = express.Router();
+const { asyncHandler } = require('../middleware/errorHandler');
+const { auditLog, AUDIT_TYPES } = require('../services/auditLog');
+const { AuthorizationError, ValidationError } = require('../utils/errors');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * Parse a from/to query value
+ * A bare date (2025-01-10) covers the whole day
+ */
+const parseBoundary = (value, name, endOfDay = false) => {
+    if (!value) return null;
+
+    const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const date = new Date(isDateOnly
+        ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`
+        : value);
+
+    if (isNaN(date.getTime())) {
+        throw new ValidationError(`Invalid ${name} date: ${value}`, [name]);
+    }
+    return date;
+};
+
+/**
+ * GET /api/audit
+ * Query: ?case_id=&user=&from=&to=&type=&limit=
+ *
+ * Seniors can query the whole firm; juniors only see their own entries.
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const { case_id, type } = req.query;
+    let { user } = req.query;
+
+    if (req.user.role === 'JUNIOR') {
+        if (user && user !== req.user.id) {
+            throw new AuthorizationError('Juniors can only view their own audit entries');
+        }
+        user = req.user.id;
+    }
+
+    if (type && !AUDIT_TYPES[type]) {
+        throw new ValidationError(`Unknown type: ${type}`, ['type']);
+    }
+
+    const from = parseBoundary(req.query.from, 'from');
+    const to = parseBoundary(req.query.to, 'to', true);
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+
+    const entries = await auditLog.query({ case_id, user, type, from, to, limit });
+
+    res.json({
+        success: true,
+        data: {
+            filters: { case_id, user, type, from, to },
+            count: entries.length,
+            entries
+        }
+    });
+}));
+
+module.exports = router;
@@ -8,25 +8,30 @@
 const express = require('express');
 const router = express.Router();
 const { asyncHandler } = require('../middleware/errorHandler');
-const { NotionService } = require('../services/notionService');
+const { createCaseStore, parseCaseFilters } = require('../services/caseStore');
+const { WorkflowOrchestrator } = require('../services/workflowOrchestrator');
 const { logger } = require('../utils/logger');
 
 /**
  * GET /api/cases
  * Get all cases for the authenticated user
+ * 
+ * Optional filters (applied by the case store, e.g. as a Notion query):
+ *   ?status=Active,Draft&client=sharma&assignee=rahul&created_by=priya
+ *   &hearing_from=2026-11-01&hearing_to=2026-11-30
+ *   &sort=last_updated|next_hearing|case_name|hearing_count|created&order=asc|desc
  */
 router.get('/', asyncHandler(async (req, res) => {
-    const notion = new NotionService(
-        req.user.notion_token,
-        req.user.notion_db_id
-    );
+    const filters = parseCaseFilters(req.query);
+    const notion = createCaseStore(req.user);
     
-    const cases = await notion.getAllCases(req.user);
+    const cases = await notion.getAllCases(req.user, filters);
     
     res.json({
         success: true,
         data: {
             count: cases.length,
+            filters,
             cases
         }
     });
@@ -46,10 +51,7 @@ router.get('/search', asyncHandler(async (req, res) => {
         });
     }
     
-    const notion = new NotionService(
-        req.user.notion_token,
-        req.user.notion_db_id
-    );
+    const notion = createCaseStore(req.user);
     
     const results = await notion.searchCases(q);
     
@@ -63,15 +65,35 @@ router.get('/search', asyncHandler(async (req, res) => {
     });
 }));
 
+/**
+ * GET /api/cases/merge-suggestions
+ * The real case each "Unknown Case" draft most likely meant
+ * 
+ * Optional: ?limit=3 candidates per draft. suggested_case_id is only
+ * set when one candidate is clearly ahead of the others.
+ */
+router.get('/merge-suggestions', asyncHandler(async (req, res) => {
+    const orchestrator = new WorkflowOrchestrator(req.user);
+    
+    const suggestions = await orchestrator.suggestDraftMerges({
+        limit: parseInt(req.query.limit) || undefined
+    });
+    
+    res.json({
+        success: true,
+        data: {
+            count: suggestions.length,
+            drafts: suggestions
+        }
+    });
+}));
+
 /**
  * GET /api/cases/:id
  * Get a specific case by ID
  */
 router.get('/:id', asyncHandler(async (req, res) => {
-    const notion = new NotionService(
-        req.user.notion_token,
-        req.user.notion_db_id
-    );
+    const notion = createCaseStore(req.user);
     
     const caseData = await notion.getCaseById(req.params.id);
     
@@ -105,10 +127,7 @@ router.post('/', asyncHandler(async (req, res) => {
         });
     }
     
-    const notion = new NotionService(
-        req.user.notion_token,
-        req.user.notion_db_id
-    );
+    const notion = createCaseStore(req.user);
     
     const caseData = {
         case_name,
@@ -146,10 +165,7 @@ router.post('/', asyncHandler(async (req, res) => {
  * Update an existing case
  */
 router.patch('/:id', asyncHandler(async (req, res) => {
-    const notion = new NotionService(
-        req.user.notion_token,
-        req.user.notion_db_id
-    );
+    const notion = createCaseStore(req.user);
     
     const updates = req.body;
     
@@ -181,10 +197,7 @@ router.post('/:id/outcome', asyncHandler(async (req, res) => {
         });
     }
     
-    const notion = new NotionService(
-        req.user.notion_token,
-        req.user.notion_db_id
-    );
+    const notion = createCaseStore(req.user);
     
     await notion.updateCase(req.params.id, {
         outcome,
@@ -205,15 +218,38 @@ router.post('/:id/outcome', asyncHandler(async (req, res) => {
     });
 }));
 
+/**
+ * POST /api/cases/:id/merge
+ * Merge an "Unknown Case" draft into a real case
+ * Moves its hearings and history, recounts hearings, archives the draft
+ * 
+ * Body:
+ * { "target_case_id": "..." }
+ */
+router.post('/:id/merge', asyncHandler(async (req, res) => {
+    const orchestrator = new WorkflowOrchestrator(req.user);
+    
+    const result = await orchestrator.mergeDraftCase(req.params.id, req.body.target_case_id);
+    
+    logger.info('Cases: Merged draft', {
+        draftId: req.params.id,
+        targetId: req.body.target_case_id,
+        success: result.success,
+        userId: req.user.id
+    });
+    
+    res.status(result.success ? 200 : 502).json({
+        success: result.success,
+        data: result
+    });
+}));
+
 /**
  * POST /api/cases/:id/close
  * Close/archive a case
  */
 router.post('/:id/close', asyncHandler(async (req, res) => {
-    const notion = new NotionService(
-        req.user.notion_token,
-        req.user.notion_db_id
-    );
+    const notion = createCaseStore(req.user);
     
     await notion.closeCase(req.params.id, req.user);
     
@@ -31,7 +31,8 @@ router.get('/', asyncHandler(async (req, res) => {
 router.get('/ready', asyncHandler(async (req, res) => {
     const checks = {
         openai: !!config.openai.apiKey,
-        notion: !!config.notion.apiKey && !!config.notion.databaseId,
+        // Only needed when cases are kept in Notion
+        notion: config.caseStore.backend !== 'notion' || (!!config.notion.apiKey && !!config.notion.databaseId),
         google: !!config.google.clientId,
         email: !!config.email.auth.user
     };
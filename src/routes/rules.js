@@ -0,0 +1,144 @@
+/**
+ * ============================================
+ * RULES ROUTES
+ * Edit the per-user workflow rules
+ * ============================================
+ *
+ * Seniors may manage any user's rules with ?user=<id>;
+ * juniors can only manage their own.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+    ruleStore,
+    validateRule,
+    RULE_TRIGGERS,
+    RULE_ACTIONS,
+    RULE_CONDITIONS
+} = require('../services/workflowRules');
+const { getUserById } = require('../auth/userRegistry');
+const { AuthorizationError, NotFoundError, ValidationError } = require('../utils/errors');
+
+/**
+ * Whose rules this request is about
+ */
+const resolveTargetUser = (req) => {
+    const userId = req.query.user || req.user.id;
+
+    if (userId !== req.user.id && req.user.role !== 'SENIOR') {
+        throw new AuthorizationError('Only seniors can manage other users\' rules');
+    }
+    if (!getUserById(userId)) {
+        throw new NotFoundError('User');
+    }
+    return userId;
+};
+
+const formatRules = (userId, entry) => ({
+    success: true,
+    data: {
+        user_id: userId,
+        is_default: entry.is_default,
+        count: entry.rules.length,
+        rules: entry.rules
+    }
+});
+
+/**
+ * GET /api/rules/catalog
+ * Triggers, conditions and actions a rule can use
+ */
+router.get('/catalog', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            triggers: Object.keys(RULE_TRIGGERS),
+            conditions: RULE_CONDITIONS,
+            actions: RULE_ACTIONS
+        }
+    });
+});
+
+/**
+ * GET /api/rules
+ * Current rules (defaults if the user never customised them)
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const userId = resolveTargetUser(req);
+    res.json(formatRules(userId, await ruleStore.getRules(userId)));
+}));
+
+/**
+ * PUT /api/rules
+ * Replace the whole rule set
+ * Body: { "rules": [ ... ] }
+ */
+router.put('/', asyncHandler(async (req, res) => {
+    const userId = resolveTargetUser(req);
+    res.json(formatRules(userId, await ruleStore.setRules(userId, req.body.rules)));
+}));
+
+/**
+ * POST /api/rules
+ * Append one rule
+ * Body: { "trigger": "...", "when": {...}, "actions": [...] }
+ */
+router.post('/', asyncHandler(async (req, res) => {
+    const userId = resolveTargetUser(req);
+    const { rules } = await ruleStore.getRules(userId);
+    const rule = validateRule(req.body, rules.length);
+
+    if (rules.some(r => r.id === rule.id)) {
+        throw new ValidationError(`Duplicate rule id: ${rule.id}`, ['id']);
+    }
+
+    res.status(201).json(formatRules(userId, await ruleStore.setRules(userId, [...rules, rule])));
+}));
+
+/**
+ * PATCH /api/rules/:id
+ * Change one rule (e.g. { "enabled": false })
+ */
+router.patch('/:id', asyncHandler(async (req, res) => {
+    const userId = resolveTargetUser(req);
+    const { rules } = await ruleStore.getRules(userId);
+    const index = rules.findIndex(r => r.id === req.params.id);
+
+    if (index === -1) {
+        throw new NotFoundError('Rule');
+    }
+
+    const updated = rules.map((rule, i) => i === index
+        ? { ...rule, ...req.body, id: rule.id }
+        : rule);
+
+    res.json(formatRules(userId, await ruleStore.setRules(userId, updated)));
+}));
+
+/**
+ * DELETE /api/rules/:id
+ * Remove one rule
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+    const userId = resolveTargetUser(req);
+    const { rules } = await ruleStore.getRules(userId);
+
+    if (!rules.some(r => r.id === req.params.id)) {
+        throw new NotFoundError('Rule');
+    }
+
+    res.json(formatRules(userId, await ruleStore.setRules(userId, rules.filter(r => r.id !== req.params.id))));
+}));
+
+/**
+ * DELETE /api/rules
+ * Forget custom rules and go back to the defaults
+ */
+router.delete('/', asyncHandler(async (req, res) => {
+    const userId = resolveTargetUser(req);
+    res.json(formatRules(userId, await ruleStore.resetRules(userId)));
+}));
+
+module.exports = router;
@@ -17,10 +17,19 @@
 const express = require('express');
 const router = express.Router();
 const { asyncHandler } = require('../middleware/errorHandler');
+const { idempotency } = require('../middleware/idempotency');
 const { WorkflowOrchestrator } = require('../services/workflowOrchestrator');
 const { CalendarService } = require('../services/calendarService');
 const { EmailService } = require('../services/emailService');
+const { pendingActionStore, PENDING_STATUSES } = require('../services/pendingActionStore');
+const { jobQueue, JOB_STATUSES } = require('../services/jobQueue');
+const { providerRegistry } = require('../agents/aiProviders');
+const { checkAudioUrl } = require('../services/audioFetcher');
+const { caseStoreFor, CASE_STORES } = require('../services/caseStore');
+const { BatchProcessor, BATCH_MAX_ITEMS } = require('../services/batchProcessor');
+const { NotFoundError, ValidationError } = require('../utils/errors');
 const { logger } = require('../utils/logger');
+const { config } = require('../config');
 
 /**
  * POST /api/speakspace/action
@@ -31,24 +40,57 @@ const { logger } = require('../utils/logger');
  * Request Format (from SpeakSpace):
  * {
  *   "transcription": "Update Sharma case, bail granted...",
- *   "audio_url": "https://...",  // Optional: URL to audio file
+ *   "audio_url": "https://...",  // Used when there is no transcription: downloaded,
+ *                                // transcribed and attached to the case as evidence
  *   "timestamp": "2024-12-09T10:30:00Z",
- *   "user_metadata": {}  // Optional additional data
+ *   "user_metadata": {},  // Optional additional data
+ *   "preview": true,  // Optional: return the plan without executing it
+ *   "require_confirmation": true,  // Optional: park the plan for approval
+ *   "conversation_id": "..."  // Optional: this note answers a clarification
  * }
  * 
+ * Preview mode can also be requested with ?preview=true. Extraction and
+ * case lookup run as usual, but nothing is written to Notion, Calendar
+ * or email - the response lists what would have happened.
+ * 
+ * With require_confirmation (or ?require_confirmation=true, or the user's
+ * require_confirmation preference) the plan is parked as a pending action
+ * and only executed once confirmed via /api/speakspace/pending/:id/confirm.
+ * 
+ * Each case is also gated by the AI's confidence (preferences.confidence_gates):
+ * by default MEDIUM cases run but their client emails wait for approval, and
+ * LOW cases only get a draft note - both come back as pending_actions.
+ * 
+ * With conversation_id the transcription is treated as the answer to an
+ * earlier CLARIFICATION_NEEDED response and the original note resumes.
+ * 
+ * With ?async=true (or "async": true) the note is queued instead and the
+ * response is 202 with a job_id - poll /api/speakspace/jobs/:id for the
+ * progress of each step and the final result.
+ * 
+ * Retries are safe: a repeat with the same Idempotency-Key header (or,
+ * without one, the same transcription and timestamp) within the replay
+ * window returns the stored response instead of running the note again.
+ * 
  * Headers:
  * - x-user-id: lawyer_senior_01
  * - Content-Type: application/json
+ * - Idempotency-Key: <unique per voice note>  (optional)
  */
-router.post('/action', asyncHandler(async (req, res) => {
+router.post('/action', idempotency(), asyncHandler(async (req, res) => {
     // Extract transcription from various possible field names
     const transcription = req.body.transcription 
         || req.body.text 
         || req.body.message 
         || req.body.content
         || req.body.input;
+    const hasTranscription = !!transcription && typeof transcription === 'string';
+    // The recording is only fetched when SpeakSpace sent no text
+    const audioUrl = !hasTranscription && typeof req.body.audio_url === 'string' && !req.body.conversation_id
+        ? req.body.audio_url
+        : null;
     
-    if (!transcription || typeof transcription !== 'string') {
+    if (!hasTranscription && !audioUrl) {
         logger.warn('SpeakSpace: No transcription in request', { 
             body: Object.keys(req.body) 
         });
@@ -56,27 +98,60 @@ router.post('/action', asyncHandler(async (req, res) => {
         return res.status(400).json({
             success: false,
             error: 'No transcription provided',
-            message: 'Please include the transcription in the request body',
+            message: 'Please include the transcription (or an audio_url) in the request body',
             expected_format: {
                 transcription: "Your voice note text here"
             }
         });
     }
     
+    // Reject unusable URLs now rather than inside a queued job
+    if (audioUrl) {
+        checkAudioUrl(audioUrl, config.audio.allowedHosts, config.audio.allowPrivateHosts);
+    }
+    
+    const preview = req.body.preview === true || req.query.preview === 'true';
+    const requireConfirmation = req.body.require_confirmation === true
+        || req.query.require_confirmation === 'true'
+        || req.user.preferences?.require_confirmation === true;
+    
+    const runAsync = req.body.async === true || req.query.async === 'true';
+    
     logger.info('SpeakSpace: Received action request', {
         userId: req.user.id,
         userName: req.user.name,
-        transcriptionLength: transcription.length,
-        timestamp: req.body.timestamp
+        transcriptionLength: hasTranscription ? transcription.length : 0,
+        audioUrl: !!audioUrl,
+        timestamp: req.body.timestamp,
+        preview,
+        requireConfirmation,
+        async: runAsync
     });
     
+    const action = {
+        transcription: hasTranscription ? transcription : null,
+        audioUrl,
+        preview,
+        requireConfirmation,
+        conversationId: req.body.conversation_id,
+        questionId: req.body.question_id
+    };
+    
+    // Queue it and answer right away - the client polls the job
+    if (runAsync) {
+        const job = jobQueue.enqueue(req.user, orchestrator => runAction(orchestrator, action));
+        
+        return res.status(202).json({
+            success: true,
+            status: 'queued',
+            job_id: job.id,
+            status_url: `/api/speakspace/jobs/${job.id}`
+        });
+    }
+    
     // Initialize orchestrator with user context
     const orchestrator = new WorkflowOrchestrator(req.user);
-    
-    // Process the voice note
-    const result = await orchestrator.processVoiceNote({
-        text: transcription
-    });
+    const result = await runAction(orchestrator, action);
     
     // Format response for SpeakSpace
     const response = formatSpeakSpaceResponse(result, req.user);
@@ -89,11 +164,71 @@ router.post('/action', asyncHandler(async (req, res) => {
     res.json(response);
 }));
 
+/**
+ * Run an /action request on an orchestrator
+ * @param {WorkflowOrchestrator} orchestrator - Orchestrator for the user
+ * @param {Object} action - { transcription, audioUrl, preview, requireConfirmation, conversationId, questionId }
+ * @returns {Object} Orchestrator result
+ */
+async function runAction(orchestrator, action) {
+    // Answer to an earlier clarification - resume that note instead
+    if (action.conversationId) {
+        return orchestrator.resumeConversation(action.conversationId, {
+            answer: action.transcription,
+            question_id: action.questionId
+        });
+    }
+    
+    // Process the voice note (or only plan it)
+    const input = { text: action.transcription, audioUrl: action.audioUrl };
+    return action.requireConfirmation && !action.preview
+        ? orchestrator.proposeVoiceNote(input)
+        : orchestrator.processVoiceNote(input, { preview: action.preview });
+}
+
+/**
+ * GET /api/speakspace/jobs/:id
+ * Progress and result of a queued (?async=true) action
+ */
+router.get('/jobs/:id', asyncHandler(async (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    
+    if (!job || job.user_id !== req.user.id) {
+        throw new NotFoundError('Job');
+    }
+    
+    const finished = job.status === JOB_STATUSES.COMPLETED || job.status === JOB_STATUSES.FAILED;
+    
+    res.json({
+        success: true,
+        data: {
+            id: job.id,
+            status: job.status,
+            correlation_id: job.correlation_id,
+            attempts: job.attempts,
+            max_attempts: job.max_attempts,
+            next_attempt_at: job.next_attempt_at,
+            created_at: job.created_at,
+            started_at: job.started_at,
+            finished_at: job.finished_at,
+            steps: job.steps.map(s => ({
+                attempt: s.attempt,
+                type: s.type,
+                message: s.message,
+                timestamp: s.timestamp
+            })),
+            error: job.error,
+            result: finished && job.result ? formatSpeakSpaceResponse(job.result, req.user) : null
+        }
+    });
+}));
+
 /**
  * POST /api/speakspace/webhook
  * Alternative webhook endpoint for SpeakSpace
+ * Deduplicated like /action (Idempotency-Key or derived key)
  */
-router.post('/webhook', asyncHandler(async (req, res) => {
+router.post('/webhook', idempotency(), asyncHandler(async (req, res) => {
     // Same as /action but with webhook-specific handling
     const transcription = req.body.transcription 
         || req.body.text 
@@ -112,6 +247,185 @@ router.post('/webhook', asyncHandler(async (req, res) => {
     res.json(formatSpeakSpaceResponse(result, req.user));
 }));
 
+/**
+ * POST /api/speakspace/batch
+ * Several voice notes in one request (e.g. the end of a court day)
+ *
+ * Body:
+ * {
+ *   "transcriptions": [
+ *     "Sharma case, adjourned to 15th March",
+ *     { "transcription": "Mehta matter ...", "timestamp": "..." }
+ *   ],
+ *   "preview": false,       // Optional: plan every note, change nothing
+ *   "send_digest": true     // Optional: one summary email to the lawyer
+ * }
+ *
+ * Notes run in order and share case lookups, so a case mentioned
+ * in several notes is only searched once. Only an Idempotency-Key
+ * header deduplicates a retried batch.
+ */
+router.post('/batch', idempotency(), asyncHandler(async (req, res) => {
+    const { transcriptions } = req.body;
+
+    if (!Array.isArray(transcriptions) || transcriptions.length === 0) {
+        throw new ValidationError('transcriptions must be a non-empty array', ['transcriptions']);
+    }
+    if (transcriptions.length > BATCH_MAX_ITEMS) {
+        throw new ValidationError(`A batch can hold at most ${BATCH_MAX_ITEMS} transcriptions`, ['transcriptions']);
+    }
+
+    const items = transcriptions.map((item, i) => {
+        const text = typeof item === 'string' ? item : item?.transcription || item?.text;
+        if (!text || typeof text !== 'string') {
+            throw new ValidationError(`transcriptions[${i}] has no transcription`, [`transcriptions[${i}]`]);
+        }
+        return { text, timestamp: item?.timestamp };
+    });
+
+    const preview = req.body.preview === true || req.query.preview === 'true';
+
+    logger.info('SpeakSpace: Received batch request', {
+        userId: req.user.id,
+        count: items.length,
+        preview
+    });
+
+    const processor = new BatchProcessor(req.user, { preview });
+    const report = await processor.process(items, { sendDigest: req.body.send_digest !== false });
+
+    res.json({
+        success: report.success,
+        status: report.status,
+        message: `${report.notes_processed} voice notes processed for ${report.cases.length} cases`
+            + (report.notes_failed > 0 ? ` (${report.notes_failed} failed)` : ''),
+        data: report
+    });
+}));
+
+/**
+ * POST /api/speakspace/conversations/:id/reply
+ * Answer a clarification question and continue the original voice note
+ * 
+ * Body (any of):
+ * {
+ *   "answer": "the CTR-2025-001 one",  // Free-text answer
+ *   "question_id": "a1b2c3d4",          // Which question (default: first open one)
+ *   "case_id": "notion-page-id",        // Pick a match directly
+ *   "fields": { "client_email": "..." } // Supply missing fields
+ * }
+ */
+router.post('/conversations/:id/reply', asyncHandler(async (req, res) => {
+    const { answer, question_id, case_id, fields } = req.body;
+    
+    if (!answer && !case_id && !fields) {
+        return res.status(400).json({
+            success: false,
+            error: 'Provide an answer, case_id or fields'
+        });
+    }
+    
+    const orchestrator = new WorkflowOrchestrator(req.user);
+    const result = await orchestrator.resumeConversation(req.params.id, {
+        answer,
+        question_id,
+        case_id,
+        fields
+    });
+    
+    logger.info('SpeakSpace: Clarification answered', {
+        conversationId: req.params.id,
+        status: result.status
+    });
+    
+    res.json(formatSpeakSpaceResponse(result, req.user));
+}));
+
+/**
+ * GET /api/speakspace/pending
+ * List the user's pending actions (default: only open ones)
+ * Query: ?status=PENDING|CONFIRMED|REJECTED|FAILED|EXPIRED|all
+ */
+router.get('/pending', asyncHandler(async (req, res) => {
+    const status = req.query.status === 'all' ? null : (req.query.status || PENDING_STATUSES.PENDING);
+    const actions = await pendingActionStore.listForUser(req.user.id, status);
+    
+    res.json({
+        success: true,
+        data: {
+            count: actions.length,
+            pending_actions: actions.map(formatPendingAction)
+        }
+    });
+}));
+
+/**
+ * GET /api/speakspace/pending/:id
+ * Show a pending action and its plan
+ */
+router.get('/pending/:id', asyncHandler(async (req, res) => {
+    const pending = await pendingActionStore.get(req.params.id);
+    
+    if (!pending || pending.user_id !== req.user.id) {
+        throw new NotFoundError('Pending action');
+    }
+    
+    res.json({
+        success: true,
+        data: formatPendingAction(pending)
+    });
+}));
+
+/**
+ * PATCH /api/speakspace/pending/:id
+ * Edit the extracted cases and rebuild the plan
+ * 
+ * Body:
+ * {
+ *   "cases": [{ "index": 0, "outcome": "Bail rejected", "notify_client": false }],
+ *   "remove_cases": [1]
+ * }
+ */
+router.patch('/pending/:id', asyncHandler(async (req, res) => {
+    const orchestrator = new WorkflowOrchestrator(req.user);
+    const pending = await orchestrator.editPendingAction(req.params.id, req.body);
+    
+    res.json({
+        success: true,
+        data: formatPendingAction(pending)
+    });
+}));
+
+/**
+ * POST /api/speakspace/pending/:id/confirm
+ * Execute a pending action exactly as planned
+ */
+router.post('/pending/:id/confirm', asyncHandler(async (req, res) => {
+    const orchestrator = new WorkflowOrchestrator(req.user);
+    const result = await orchestrator.confirmPendingAction(req.params.id);
+    
+    logger.info('SpeakSpace: Pending action confirmed', {
+        pendingActionId: req.params.id,
+        success: result.success
+    });
+    
+    res.json(formatSpeakSpaceResponse(result, req.user));
+}));
+
+/**
+ * POST /api/speakspace/pending/:id/reject
+ * Discard a pending action without executing anything
+ */
+router.post('/pending/:id/reject', asyncHandler(async (req, res) => {
+    const orchestrator = new WorkflowOrchestrator(req.user);
+    const pending = await orchestrator.rejectPendingAction(req.params.id, req.body.reason);
+    
+    res.json({
+        success: true,
+        data: formatPendingAction(pending)
+    });
+}));
+
 /**
  * GET /api/speakspace/status
  * Check integration status
@@ -119,13 +433,14 @@ router.post('/webhook', asyncHandler(async (req, res) => {
 router.get('/status', asyncHandler(async (req, res) => {
     const calendar = new CalendarService();
     const email = new EmailService();
+    const aiProviders = providerRegistry.list().filter(p => p.configured).map(p => p.name);
     
     res.json({
         success: true,
         status: 'connected',
         services: {
             notion: '✅ Connected',
-            ai: '✅ Active (Groq/Gemini)',
+            ai: aiProviders.length > 0 ? `✅ Active (${aiProviders.join(', ')})` : '⚠️ No AI provider configured',
             calendar: calendar.isConfigured ? '✅ Connected' : '⚠️ Not configured',
             email: email.isConfigured ? '✅ Connected' : '⚠️ Not configured'
         }
@@ -144,12 +459,42 @@ function formatSpeakSpaceResponse(result, user) {
         };
     }
     
+    // PENDING CONFIRMATION - plan parked, awaiting the lawyer
+    if (result.status === 'PENDING_CONFIRMATION') {
+        return {
+            success: true,
+            status: 'pending_confirmation',
+            pending_action_id: result.pending_action_id,
+            message: `Review and confirm: /api/speakspace/pending/${result.pending_action_id}`,
+            expires_at: result.expires_at,
+            plan: result.plan
+        };
+    }
+    
+    // PREVIEW - nothing was executed, return the plan
+    if (result.status === 'PREVIEW') {
+        return {
+            success: true,
+            status: 'preview',
+            message: result.summary || 'Preview only - no changes were made',
+            cases: (result.cases || []).map(c => ({
+                status: c.status,
+                case_name: c.case_name,
+                case_number: c.case_number,
+                message: c.message
+            })),
+            plan: result.plan
+        };
+    }
+    
     // CLARIFICATION NEEDED
     if (result.status === 'CLARIFICATION_NEEDED') {
         return {
             success: true,
             status: 'NEEDS_INFO',
-            message: result.message
+            message: result.message,
+            conversation_id: result.conversation_id,
+            clarifications: result.clarifications
         };
     }
     
@@ -160,10 +505,31 @@ function formatSpeakSpaceResponse(result, user) {
     if (firstCase?.status === 'CLARIFICATION_NEEDED') {
         return {
             status: 'needs_clarification',
-            message: firstCase.message || 'Multiple cases found. Please specify case number.'
+            message: firstCase.message || 'Multiple cases found. Please specify case number.',
+            conversation_id: result.conversation_id,
+            clarifications: result.clarifications
+        };
+    }
+    
+    // LOW CONFIDENCE - only a draft note was written
+    if (firstCase?.status === 'AWAITING_CONFIRMATION') {
+        return {
+            status: 'awaiting_confirmation',
+            message: firstCase.message,
+            pending_action_id: firstCase.pending_action_id,
+            confirm: `/api/speakspace/pending/${firstCase.pending_action_id}/confirm`
         };
     }
     
+    // FAILED MIDWAY - report what was undone and what could not be
+    if (firstCase?.status === 'ERROR') {
+        return {
+            status: 'error',
+            message: firstCase.error,
+            rollback: firstCase.rollback
+        };
+    }
+
     // Handle DUPLICATE CASE - inform user about existing case
     if (firstCase?.status === 'DUPLICATE_CASE') {
         return {
@@ -203,9 +569,11 @@ function formatSpeakSpaceResponse(result, user) {
         status: 'complete'
     };
     
-    // Notion link
+    // Notion link (cases in the local store have no page to link to)
     if (firstCase.notion_page_id) {
-        response.notion = `done - https://notion.so/${firstCase.notion_page_id.replace(/-/g, '')}`;
+        response.notion = caseStoreFor(user) === CASE_STORES.LOCAL
+            ? `done - saved locally (${firstCase.notion_page_id})`
+            : `done - https://notion.so/${firstCase.notion_page_id.replace(/-/g, '')}`;
     }
     
     // Calendar link
@@ -220,7 +588,50 @@ function formatSpeakSpaceResponse(result, user) {
         response.email = 'sent';
     }
     
+    // Recording fetched from audio_url
+    if (result.evidence?.attached_to.length > 0) {
+        response.evidence = `attached - ${result.evidence.filename}`;
+    }
+    
+    // Client emails held back (medium confidence) or other cases parked
+    const parked = result.pending_actions || [];
+    const heldEmails = parked.find(p => p.reason === 'CLIENT_EMAILS_HELD');
+    if (heldEmails) {
+        response.email = `held for approval - /api/speakspace/pending/${heldEmails.id}/confirm`;
+    }
+    if (parked.length > 0) {
+        response.pending_actions = parked;
+    }
+    
     return response;
 }
 
+/**
+ * Format a pending action for API responses
+ * The raw transcription stays server-side
+ */
+function formatPendingAction(pending) {
+    return {
+        id: pending.id,
+        status: pending.status,
+        reason: pending.reason || 'REQUIRE_CONFIRMATION',
+        summary: pending.summary,
+        created_at: pending.created_at,
+        expires_at: pending.expires_at,
+        cases: (pending.extraction?.cases || []).map((c, index) => ({
+            index,
+            action_type: c.action_type,
+            lookup_key: c.lookup_key,
+            case_name: c.case_name,
+            outcome: c.outcome,
+            status: c.status,
+            next_hearing_date: c.next_hearing_date,
+            documents_needed: c.documents_needed,
+            notify_client: c.notify_client !== false
+        })),
+        ...(pending.held_emails && { held_emails: pending.plan.emails }),
+        plan: pending.plan
+    };
+}
+
 module.exports = router;
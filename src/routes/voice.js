@@ -109,6 +109,7 @@ router.post('/text', asyncHandler(async (req, res) => {
 /**
  * POST /api/voice/transcribe
  * Transcribe audio only (without processing)
+ * Returns word timestamps, segments and speaker labels where the backend provides them
  */
 router.post('/transcribe', asyncHandler(async (req, res) => {
     const upload = req.app.get('upload');
@@ -130,7 +131,7 @@ router.post('/transcribe', asyncHandler(async (req, res) => {
         
         try {
             const { transcribeAudio } = require('../agents/aiAgent');
-            const transcription = await transcribeAudio(req.file.path);
+            const transcript = await transcribeAudio(req.file.path);
             
             // Clean up
             fs.unlink(req.file.path, () => {});
@@ -138,7 +139,12 @@ router.post('/transcribe', asyncHandler(async (req, res) => {
             res.json({
                 success: true,
                 data: {
-                    transcription
+                    transcription: transcript.text,
+                    language: transcript.language,
+                    backend: transcript.backend,
+                    speakers: transcript.speakers,
+                    segments: transcript.segments,
+                    words: transcript.words
                 }
             });
             
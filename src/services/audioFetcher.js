@@ -0,0 +1,241 @@
+/**
+ * ============================================
+ * AUDIO FETCHER - THE COURIER
+ * Downloads the recording behind a SpeakSpace audio_url
+ * ============================================
+ *
+ * SpeakSpace may send only an audio_url. The recording is fetched
+ * with limits (http/https only, optional host allowlist, no private
+ * or loopback addresses, size cap, audio MIME types only, timeout)
+ * and saved to the evidence folder, where it stays: the orchestrator
+ * transcribes it and attaches it to every case the note touched.
+ * Redirects are followed one hop at a time and every hop is checked
+ * like the URL SpeakSpace sent.
+ *
+ * Limits: AUDIO_URL_MAX_MB, AUDIO_URL_TIMEOUT_MS,
+ * AUDIO_URL_ALLOWED_HOSTS (comma-separated; empty allows any host),
+ * AUDIO_URL_ALLOW_PRIVATE=true (for recordings on the office network).
+ */
+
+const fs = require('fs');
+const net = require('net');
+const dns = require('dns');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('../config');
+const { logger } = require('../utils/logger');
+const { ValidationError, ExternalServiceError } = require('../utils/errors');
+
+/**
+ * Accepted Content-Types and the extension the file is saved with
+ */
+const AUDIO_MIME_TYPES = {
+    'audio/mpeg': 'mp3',
+    'audio/mp3': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/x-m4a': 'm4a',
+    'audio/aac': 'aac',
+    'audio/wav': 'wav',
+    'audio/x-wav': 'wav',
+    'audio/wave': 'wav',
+    'audio/webm': 'webm',
+    'audio/ogg': 'ogg',
+    'audio/opus': 'opus',
+    'audio/flac': 'flac',
+    'audio/amr': 'amr',
+    'audio/3gpp': '3gp'
+};
+
+// Storage buckets often serve recordings as application/octet-stream
+const GENERIC_MIME_TYPES = ['application/octet-stream', 'binary/octet-stream', ''];
+
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * Addresses a public recording never lives on: this server, the office
+ * network and the cloud metadata endpoint (169.254.169.254)
+ */
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'], // Carrier-grade NAT
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'], // Link-local
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['224.0.0.0', 3, 'ipv4'], // Multicast and reserved
+    ['::', 96, 'ipv6'], // Unspecified, loopback and IPv4-compatible
+    ['::ffff:0:0', 96, 'ipv6'], // IPv4-mapped
+    ['fc00::', 7, 'ipv6'], // Unique local
+    ['fe80::', 10, 'ipv6'] // Link-local
+].forEach(([address, prefix, family]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, family));
+
+const isPrivateAddress = (address) => {
+    const family = net.isIP(address);
+    return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// URL.hostname keeps the brackets around IPv6 literals
+const bareHost = (url) => url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+/**
+ * Audio MIME type from the file extension in the URL
+ */
+const mimeFromUrl = (url) => {
+    const extension = path.extname(url.pathname).slice(1).toLowerCase();
+    return Object.keys(AUDIO_MIME_TYPES).find(mime => AUDIO_MIME_TYPES[mime] === extension) || null;
+};
+
+/**
+ * Reject URLs the server should not fetch
+ * @param {string} audioUrl - URL from the request
+ * @param {Array} allowedHosts - Hosts (and their subdomains) to allow; empty allows any
+ * @param {boolean} allowPrivateHosts - Allow private and loopback IP addresses
+ * @returns {URL} Parsed URL
+ */
+const checkAudioUrl = (audioUrl, allowedHosts = [], allowPrivateHosts = false) => {
+    let url;
+    try {
+        url = new URL(audioUrl);
+    } catch {
+        throw new ValidationError('audio_url is not a valid URL', ['audio_url']);
+    }
+
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new ValidationError('audio_url must be an http(s) URL', ['audio_url']);
+    }
+
+    const host = url.hostname.toLowerCase();
+    if (allowedHosts.length > 0 && !allowedHosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`))) {
+        throw new ValidationError(`audio_url host ${host} is not allowed`, ['audio_url']);
+    }
+
+    if (!allowPrivateHosts && (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(bareHost(url)))) {
+        throw new ValidationError(`audio_url host ${host} is a private address`, ['audio_url']);
+    }
+
+    return url;
+};
+
+/**
+ * Reject host names that resolve to a private or loopback address
+ * @param {URL} url - URL about to be fetched
+ * @param {boolean} allowPrivateHosts - Skip the check
+ */
+const checkAudioHost = async (url, allowPrivateHosts = false) => {
+    const host = bareHost(url);
+    if (allowPrivateHosts || net.isIP(host)) return;
+
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(host, { all: true });
+    } catch (error) {
+        throw new ExternalServiceError('Audio download', `cannot resolve ${host}: ${error.code || error.message}`);
+    }
+
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw new ValidationError(`audio_url host ${host} is a private address`, ['audio_url']);
+    }
+};
+
+/**
+ * Download a recording into the evidence folder
+ * @param {string} audioUrl - URL sent by SpeakSpace
+ * @param {Object} options - Overrides for config.audio (maxBytes, timeoutMs, allowedHosts, allowPrivateHosts, evidenceDir)
+ * @returns {Object} Evidence: { path, filename, mime_type, size_bytes, sha256, source_url, downloaded_at }
+ */
+const fetchAudio = async (audioUrl, options = {}) => {
+    const { maxBytes, timeoutMs, allowedHosts, allowPrivateHosts, evidenceDir } = { ...config.audio, ...options };
+    const source = checkAudioUrl(audioUrl, allowedHosts, allowPrivateHosts);
+    let url = source;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+        let response;
+        for (let hops = 0; ; hops++) {
+            await checkAudioHost(url, allowPrivateHosts);
+            try {
+                response = await fetch(url, { signal: controller.signal, redirect: 'manual' });
+            } catch (error) {
+                throw new ExternalServiceError('Audio download', controller.signal.aborted
+                    ? `timed out after ${timeoutMs}ms`
+                    : error.message);
+            }
+
+            const location = response.headers.get('location');
+            if (!REDIRECT_STATUSES.includes(response.status) || !location) break;
+            if (hops === MAX_REDIRECTS) {
+                throw new ExternalServiceError('Audio download', `more than ${MAX_REDIRECTS} redirects from ${source.hostname}`);
+            }
+
+            await response.body?.cancel();
+            url = checkAudioUrl(new URL(location, url).toString(), allowedHosts, allowPrivateHosts);
+        }
+
+        if (!response.ok) {
+            throw new ExternalServiceError('Audio download', `HTTP ${response.status} from ${url.hostname}`);
+        }
+
+        const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+        const mimeType = GENERIC_MIME_TYPES.includes(contentType) ? mimeFromUrl(url) : contentType;
+        if (!AUDIO_MIME_TYPES[mimeType]) {
+            throw new ValidationError(`audio_url is not audio (Content-Type: ${contentType || 'none'})`, ['audio_url']);
+        }
+
+        const declared = parseInt(response.headers.get('content-length'));
+        if (declared > maxBytes) {
+            throw new ValidationError(`audio_url is larger than ${maxBytes} bytes`, ['audio_url']);
+        }
+
+        // Content-Length can be missing or wrong, so count while reading
+        const chunks = [];
+        let size = 0;
+        try {
+            for await (const chunk of response.body) {
+                size += chunk.length;
+                if (size > maxBytes) {
+                    controller.abort();
+                    throw new ValidationError(`audio_url is larger than ${maxBytes} bytes`, ['audio_url']);
+                }
+                chunks.push(Buffer.from(chunk));
+            }
+        } catch (error) {
+            if (error instanceof ValidationError) throw error;
+            throw new ExternalServiceError('Audio download', controller.signal.aborted
+                ? `timed out after ${timeoutMs}ms`
+                : error.message);
+        }
+
+        const data = Buffer.concat(chunks);
+        const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+        const filename = `voice-note-${new Date().toISOString().replace(/[:.]/g, '-')}-${sha256.slice(0, 12)}.${AUDIO_MIME_TYPES[mimeType]}`;
+
+        await fs.promises.mkdir(evidenceDir, { recursive: true });
+        const filePath = path.join(evidenceDir, filename);
+        await fs.promises.writeFile(filePath, data);
+
+        logger.info('Audio: Downloaded voice note', { host: url.hostname, mimeType, size, filename });
+
+        return {
+            path: filePath,
+            filename,
+            mime_type: mimeType,
+            size_bytes: size,
+            sha256,
+            source_url: source.toString(),
+            downloaded_at: new Date().toISOString()
+        };
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+module.exports = {
+    fetchAudio,
+    checkAudioUrl,
+    AUDIO_MIME_TYPES
+};
@@ -0,0 +1,225 @@
+/**
+ * ============================================
+ * AUDIT LOG - THE PAPER TRAIL
+ * Durable record of every voice-note workflow
+ * ============================================
+ *
+ * Records who dictated what, the raw transcription, the
+ * extracted JSON, every external write (Notion, Calendar)
+ * and every email, for bar-council compliance.
+ *
+ * Stored as append-only JSONL, one file per day:
+ *   data/audit/audit-2025-01-10.jsonl
+ * Queried via GET /api/audit.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { generateId } = require('../utils/helpers');
+
+const AUDIT_TYPES = {
+    VOICE_NOTE: 'VOICE_NOTE',
+    EXTRACTION: 'EXTRACTION',
+    CLARIFICATION_ANSWER: 'CLARIFICATION_ANSWER',
+    PENDING_CONFIRMED: 'PENDING_CONFIRMED',
+    CASE_MERGE: 'CASE_MERGE',
+    EXTERNAL_WRITE: 'EXTERNAL_WRITE',
+    EMAIL: 'EMAIL'
+};
+
+/**
+ * Service methods that change something outside this server
+ */
+const AUDITED_WRITES = {
+    notion: ['createCase', 'updateCase', 'addHearing', 'addHearingRow', 'addHistoryEntry', 'addAttachment', 'closeCase', 'restoreCase', 'archivePage'],
+    calendar: ['createHearingEvent', 'createDocumentReminder', 'deleteEvent'],
+    email: ['sendEmail']
+};
+
+const FILE_PATTERN = /^audit-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+/**
+ * Audit Log Class
+ */
+class AuditLog {
+    constructor(options = {}) {
+        this.directory = options.directory
+            || process.env.AUDIT_LOG_DIR
+            || path.join(__dirname, '../../data/audit');
+        // Appends are chained so lines never interleave
+        this.writing = Promise.resolve();
+    }
+
+    /**
+     * Append an entry - never throws, auditing must not break a workflow
+     * @param {Object} data - Entry fields (user_id, type, case_id, ...)
+     * @returns {Object} Stored entry
+     */
+    async record(data) {
+        const entry = {
+            id: generateId(),
+            timestamp: new Date().toISOString(),
+            ...data
+        };
+        const file = path.join(this.directory, `audit-${entry.timestamp.split('T')[0]}.jsonl`);
+
+        this.writing = this.writing.then(async () => {
+            try {
+                await fs.mkdir(this.directory, { recursive: true });
+                await fs.appendFile(file, JSON.stringify(entry) + '\n');
+            } catch (error) {
+                logger.error('Audit: Failed to write entry', { type: entry.type, error: error.message });
+            }
+        });
+
+        await this.writing;
+        return entry;
+    }
+
+    /**
+     * Query entries, newest first
+     * @param {Object} filters - { case_id, user, type, from, to, limit }
+     *   from/to are Date objects (inclusive)
+     * @returns {Array} Matching entries
+     */
+    async query(filters = {}) {
+        await this.writing;
+
+        let files;
+        try {
+            files = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const fromDay = filters.from?.toISOString().split('T')[0];
+        const toDay = filters.to?.toISOString().split('T')[0];
+        const days = files
+            .map(f => f.match(FILE_PATTERN))
+            .filter(m => m && (!fromDay || m[1] >= fromDay) && (!toDay || m[1] <= toDay))
+            .map(m => m[0]);
+
+        const entries = [];
+        for (const file of days) {
+            const content = await fs.readFile(path.join(this.directory, file), 'utf8');
+            for (const line of content.split('\n')) {
+                if (!line.trim()) continue;
+
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (error) {
+                    logger.warn('Audit: Skipping unreadable line', { file });
+                    continue;
+                }
+
+                const time = Date.parse(entry.timestamp);
+                if (filters.case_id && entry.case_id !== filters.case_id) continue;
+                if (filters.user && entry.user_id !== filters.user) continue;
+                if (filters.type && entry.type !== filters.type) continue;
+                if (filters.from && time < filters.from.getTime()) continue;
+                if (filters.to && time > filters.to.getTime()) continue;
+
+                entries.push(entry);
+            }
+        }
+
+        entries.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+        return filters.limit ? entries.slice(0, filters.limit) : entries;
+    }
+}
+
+/**
+ * Describe a completed write for the audit trail
+ */
+const describeWrite = (service, operation, args, result, user) => {
+    if (service === 'email') {
+        const [options] = args;
+        return {
+            type: AUDIT_TYPES.EMAIL,
+            to: options.to,
+            subject: options.subject,
+            outcome: result?.skipped ? 'SKIPPED' : result?.success ? 'SENT' : 'FAILED',
+            message_id: result?.messageId,
+            error: result?.error
+        };
+    }
+
+    return {
+        type: AUDIT_TYPES.EXTERNAL_WRITE,
+        service,
+        operation,
+        // The user context carries OAuth tokens - never log it
+        data: args.filter(a => a !== user),
+        result: result ?? null
+    };
+};
+
+/**
+ * Wrap one service so its writes are recorded
+ */
+const auditService = (service, name, audit, getContext) => new Proxy(service, {
+    get(target, prop, receiver) {
+        const value = Reflect.get(target, prop, receiver);
+        if (typeof value !== 'function' || !AUDITED_WRITES[name].includes(prop)) {
+            return value;
+        }
+
+        return async (...args) => {
+            const { user, caseRef } = getContext();
+            const base = {
+                user_id: user.id,
+                user_name: user.name,
+                case_id: caseRef?.id || null,
+                case_name: caseRef?.case_name || null
+            };
+
+            try {
+                // Called on the target so nested writes (addHearing -> updateCase) count once
+                const result = await value.apply(target, args);
+                const entry = { ...base, ...describeWrite(name, prop, args, result, user) };
+                if (prop === 'createCase' && result?.id) {
+                    entry.case_id = result.id;
+                    entry.case_name = args[0]?.case_name || null;
+                }
+                await audit.record(entry);
+                return result;
+            } catch (error) {
+                await audit.record({
+                    ...base,
+                    type: AUDIT_TYPES.EXTERNAL_WRITE,
+                    service: name,
+                    operation: prop,
+                    data: args.filter(a => a !== user),
+                    error: error.message
+                });
+                throw error;
+            }
+        };
+    }
+});
+
+/**
+ * Wrap real services so every external write is audited
+ * @param {Object} services - { notion, calendar, email }
+ * @param {AuditLog} audit - Log to write to
+ * @param {Function} getContext - () => { user, caseRef } at call time
+ * @returns {Object} Audited services
+ */
+const createAuditedServices = ({ notion, calendar, email }, audit, getContext) => ({
+    notion: auditService(notion, 'notion', audit, getContext),
+    calendar: auditService(calendar, 'calendar', audit, getContext),
+    email: auditService(email, 'email', audit, getContext)
+});
+
+// Shared log used by the orchestrator and /api/audit
+const auditLog = new AuditLog();
+
+module.exports = {
+    AuditLog,
+    auditLog,
+    createAuditedServices,
+    AUDIT_TYPES
+};
@@ -0,0 +1,236 @@
+/**
+ * ============================================
+ * BATCH PROCESSOR - END OF THE COURT DAY
+ * Several voice memos in one request
+ * ============================================
+ *
+ * Each memo still runs through its own WorkflowOrchestrator,
+ * in order, but they share one Notion service that:
+ * - remembers case lookups, so "Sharma" is searched once
+ * - is rate limited to stay under Notion's request limit
+ *
+ * The results are folded into one report per case and the
+ * lawyer gets a single digest email for the whole batch.
+ */
+
+const { WorkflowOrchestrator } = require('./workflowOrchestrator');
+const { createCaseStore } = require('./caseStore');
+const { EmailService } = require('./emailService');
+const { RateLimiter } = require('../utils/rateLimiter');
+const { logger } = require('../utils/logger');
+
+const NOTION_REQUESTS_PER_SECOND = parseFloat(process.env.NOTION_REQUESTS_PER_SECOND) || 3;
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS) || 20;
+
+/**
+ * Notion methods that change a case (its cached copy goes stale)
+ */
+const NOTION_WRITES = ['createCase', 'updateCase', 'addHearing', 'addHearingRow', 'addHistoryEntry', 'closeCase', 'restoreCase', 'archivePage'];
+
+/**
+ * Wrap a case store so lookups are shared across the batch
+ * @param {CaseStore} notion - Real (rate limited) store
+ * @returns {Proxy} Caching service with a stats object
+ */
+const createCachingNotion = (notion) => {
+    const lookups = new Map();    // normalised lookup key -> case id
+    const cases = new Map();      // case id -> case
+    const searches = new Map();   // query -> results
+    const stats = { lookups: 0, cache_hits: 0 };
+
+    const normalise = (key) => (key || '').toLowerCase().trim().replace(/\s+/g, ' ');
+
+    const cached = {
+        stats,
+
+        async findCase(lookupKey) {
+            stats.lookups++;
+            const key = normalise(lookupKey);
+
+            if (lookups.has(key)) {
+                stats.cache_hits++;
+                return cached.getCaseById(lookups.get(key));
+            }
+
+            // Not-found and ambiguous results are not cached - a later
+            // memo in the batch may have created or clarified the case
+            const found = await notion.findCase(lookupKey);
+            lookups.set(key, found.id);
+            cases.set(found.id, found);
+            return found;
+        },
+
+        async getCaseById(pageId) {
+            if (cases.has(pageId)) return cases.get(pageId);
+
+            const found = await notion.getCaseById(pageId);
+            cases.set(pageId, found);
+            return found;
+        },
+
+        async searchCases(query) {
+            const key = normalise(query);
+            if (searches.has(key)) return searches.get(key);
+
+            const results = await notion.searchCases(query);
+            searches.set(key, results);
+            return results;
+        }
+    };
+
+    return new Proxy(notion, {
+        get(target, prop) {
+            if (prop in cached) return cached[prop];
+
+            const value = target[prop];
+            if (typeof value !== 'function' || !NOTION_WRITES.includes(prop)) {
+                return typeof value === 'function' ? value.bind(target) : value;
+            }
+
+            return async (...args) => {
+                const result = await value.apply(target, args);
+                // Hearing counts, statuses and search hits may all have moved
+                cases.delete(args[0]);
+                searches.clear();
+                return result;
+            };
+        }
+    });
+};
+
+/**
+ * Fold per-note results into one entry per case
+ * @param {Array} notes - [{ index, result }]
+ * @returns {Array} Per-case report
+ */
+const buildCaseReport = (notes) => {
+    const byCase = new Map();
+
+    for (const { index, result } of notes) {
+        for (const caseResult of result?.cases || []) {
+            const key = caseResult.case_id || `name:${caseResult.case_name}`;
+            if (!byCase.has(key)) {
+                byCase.set(key, {
+                    case_id: caseResult.case_id || null,
+                    case_name: caseResult.case_name,
+                    case_number: caseResult.case_number || null,
+                    notes: [],
+                    statuses: [],
+                    outcomes: [],
+                    actions: [],
+                    errors: []
+                });
+            }
+
+            const entry = byCase.get(key);
+            entry.notes.push(index);
+            entry.statuses.push(caseResult.status);
+            if (caseResult.outcome) entry.outcomes.push(caseResult.outcome);
+            if (caseResult.next_date) entry.next_hearing_date = caseResult.next_date;
+            entry.actions.push(...(caseResult.actions || []));
+            if (caseResult.error) entry.errors.push(caseResult.error);
+            if (caseResult.message && caseResult.status === 'CLARIFICATION_NEEDED') {
+                entry.errors.push(caseResult.message);
+            }
+        }
+    }
+
+    return [...byCase.values()];
+};
+
+/**
+ * Batch Processor Class
+ */
+class BatchProcessor {
+    constructor(userContext, options = {}) {
+        this.user = userContext;
+        this.preview = !!options.preview;
+
+        const notion = options.notion || createCaseStore(userContext)
+            .useRateLimiter(new RateLimiter({ requestsPerSecond: NOTION_REQUESTS_PER_SECOND }));
+
+        this.notion = createCachingNotion(notion);
+        this.email = options.email || new EmailService();
+        this.createOrchestrator = options.createOrchestrator || (user => new WorkflowOrchestrator(user));
+    }
+
+    /**
+     * Process the memos one after another
+     * @param {Array} items - [{ text, timestamp }]
+     * @param {Object} options - { sendDigest }
+     * @returns {Object} Consolidated report
+     */
+    async process(items, options = {}) {
+        logger.info('Batch: Starting', { userId: this.user.id, count: items.length, preview: this.preview });
+
+        const notes = [];
+        for (const [index, item] of items.entries()) {
+            const orchestrator = this.createOrchestrator(this.user);
+            orchestrator.notion = this.notion;
+
+            // Memos are independent - one failing must not stop the rest
+            let result;
+            try {
+                result = await orchestrator.processVoiceNote({ text: item.text }, { preview: this.preview });
+            } catch (error) {
+                result = { success: false, status: 'ERROR', error: error.message };
+            }
+
+            notes.push({
+                index,
+                timestamp: item.timestamp || null,
+                status: result.status,
+                success: result.success !== false,
+                summary: result.summary || result.message || null,
+                error: result.error || null,
+                conversation_id: result.conversation_id,
+                result
+            });
+        }
+
+        const report = {
+            success: notes.some(n => n.success),
+            status: 'BATCH_COMPLETED',
+            preview: this.preview,
+            notes_processed: notes.length,
+            notes_failed: notes.filter(n => !n.success).length,
+            cases: buildCaseReport(notes),
+            notes: notes.map(({ result, ...note }) => ({
+                ...note,
+                cases: (result.cases || []).map(c => ({
+                    status: c.status,
+                    case_id: c.case_id || null,
+                    case_name: c.case_name
+                }))
+            })),
+            lookups: { ...this.notion.stats }
+        };
+
+        // One digest for the lawyer instead of a confirmation per memo
+        if (options.sendDigest !== false && !this.preview) {
+            const digest = await this.email.sendBatchDigestEmail(report, this.user);
+            report.digest = {
+                sent: !!digest?.success,
+                to: this.user.email,
+                ...(digest?.skipped && { skipped: true, reason: digest.reason })
+            };
+        }
+
+        logger.info('Batch: Completed', {
+            userId: this.user.id,
+            notes: report.notes_processed,
+            failed: report.notes_failed,
+            cases: report.cases.length,
+            lookups: report.lookups
+        });
+
+        return report;
+    }
+}
+
+module.exports = {
+    BatchProcessor,
+    createCachingNotion,
+    buildCaseReport,
+    BATCH_MAX_ITEMS
+};
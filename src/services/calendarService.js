@@ -9,6 +9,7 @@
 const { google } = require('googleapis');
 const { config } = require('../config');
 const { logger } = require('../utils/logger');
+const { traceSpan } = require('../utils/tracing');
 const { ExternalServiceError } = require('../utils/errors');
 const { parseDate } = require('../utils/helpers');
 
@@ -135,11 +136,11 @@ class CalendarService {
                 colorId: '11' // Red for court dates
             };
             
-            const response = await this.calendar.events.insert({
+            const response = await traceSpan('calendar.insert', () => this.calendar.events.insert({
                 calendarId: userContext.google_calendar_id || 'primary',
                 resource: event,
                 sendUpdates: 'all' // Send notifications to attendees
-            });
+            }), { event: 'HEARING' });
             
             logger.info('Calendar: Event created', {
                 eventId: response.data.id,
@@ -209,10 +210,10 @@ class CalendarService {
                 colorId: '5' // Yellow for reminders
             };
             
-            const response = await this.calendar.events.insert({
+            const response = await traceSpan('calendar.insert', () => this.calendar.events.insert({
                 calendarId: userContext.google_calendar_id || 'primary',
                 resource: event
-            });
+            }), { event: 'DOCUMENT_REMINDER' });
             
             logger.info('Calendar: Document reminder created', {
                 eventId: response.data.id
@@ -245,6 +246,18 @@ class CalendarService {
             description += `Client: ${eventData.client_name}\n`;
         }
         
+        if (eventData.court_location) {
+            description += `Court: ${eventData.court_location}\n`;
+        }
+        
+        if (eventData.judge) {
+            description += `Judge: ${eventData.judge}\n`;
+        }
+        
+        if (eventData.opposing_counsel) {
+            description += `Opposing Counsel: ${eventData.opposing_counsel}\n`;
+        }
+        
         description += `\nCreated by: ${userContext.name}\n`;
         
         if (eventData.notes) {
@@ -0,0 +1,201 @@
+/**
+ * ============================================
+ * CASE SEARCH INDEX - THE CLERK
+ * Ranked, spelling-tolerant case lookup
+ * ============================================
+ *
+ * Built from every case in a store, searched in memory. Each
+ * query word is matched against the words of the case name,
+ * client name, case number and summary:
+ *   exact     same word                      1.0
+ *   prefix    "sharm" -> "sharma"            0.9
+ *   phonetic  "sarma" -> "sharma"            0.85
+ *   fuzzy     typo within edit distance      0.9 x similarity
+ * A case scores the average over query words (summary matches
+ * count for less), or calculateSimilarity on the whole phrase if
+ * that is higher. Every score carries the matches that produced it.
+ */
+
+const { calculateSimilarity } = require('../utils/helpers');
+const { nameTokens, phoneticKey, editSimilarity } = require('../utils/nameMatching');
+
+/**
+ * Searched fields and how much a match in each counts
+ */
+const FIELD_WEIGHTS = {
+    case_name: 1,
+    client_name: 1,
+    case_number: 1,
+    summary: 0.6
+};
+
+const MATCH_SCORES = {
+    exact: 1,
+    prefix: 0.9,
+    phonetic: 0.85
+};
+
+// Below this, an edit-distance match is noise
+const MIN_FUZZY_SIMILARITY = 0.75;
+// Cases scoring less are not returned
+const DEFAULT_MIN_SCORE = 0.6;
+
+const round = (score) => Math.round(score * 100) / 100;
+
+// "CRIM/2025-001" and "crim 2025 001" are the same number
+const compactNumber = (value) => (value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Every run of whole words in the query, compacted, so a case number
+ * matches only when it is all of a run: "crim 2025 12" holds CRIM/2025-12
+ * but not CRIM/2025-1
+ */
+const numberCandidates = (query) => {
+    const tokens = (query || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+    const candidates = new Set();
+    tokens.forEach((_, start) => {
+        let joined = '';
+        for (let end = start; end < tokens.length; end++) {
+            joined += tokens[end];
+            candidates.add(joined);
+        }
+    });
+    return candidates;
+};
+
+/**
+ * How well one query word matches one case word
+ * @returns {Object|null} { kind, score }
+ */
+const matchWord = (query, word) => {
+    if (query.text === word.text) return { kind: 'exact', score: MATCH_SCORES.exact };
+    if (query.text.length >= 3 && word.text.startsWith(query.text)) return { kind: 'prefix', score: MATCH_SCORES.prefix };
+
+    const similarity = editSimilarity(query.text, word.text);
+    if (query.key.length >= 2 && query.key === word.key && similarity >= 0.5) {
+        return { kind: 'phonetic', score: MATCH_SCORES.phonetic };
+    }
+    if (similarity >= MIN_FUZZY_SIMILARITY) {
+        return { kind: 'fuzzy', score: 0.9 * similarity };
+    }
+    return null;
+};
+
+const indexWords = (text) => nameTokens(text).map(word => ({ text: word, key: phoneticKey(word) }));
+
+/**
+ * Case Search Index Class
+ */
+class CaseSearchIndex {
+    /**
+     * @param {Array} cases - Cases as returned by a case store
+     */
+    constructor(cases = []) {
+        this.entries = cases.map(caseData => this.entryFor(caseData));
+    }
+
+    entryFor(caseData) {
+        return {
+            case: caseData,
+            number: compactNumber(caseData.case_number),
+            fields: Object.keys(FIELD_WEIGHTS).map(field => ({ field, words: indexWords(caseData[field]) }))
+        };
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    /**
+     * Add a case, or replace the one with the same ID
+     * @param {Object} caseData - Case as returned by a case store
+     */
+    upsert(caseData) {
+        this.remove(caseData.id);
+        this.entries.push(this.entryFor(caseData));
+    }
+
+    /**
+     * Drop a case (no-op for an ID the index does not hold)
+     */
+    remove(id) {
+        this.entries = this.entries.filter(entry => entry.case.id !== id);
+    }
+
+    /**
+     * Rank cases against a query
+     * @param {string} query - Lookup key, e.g. "Sarma bail"
+     * @param {Object} options - { minScore, limit }
+     * @returns {Array} [{ case, score, reasons: [{ query, field, matched, kind, score }] }], best first
+     */
+    search(query, options = {}) {
+        const minScore = options.minScore ?? DEFAULT_MIN_SCORE;
+        const words = indexWords(query);
+        const numbers = numberCandidates(query);
+
+        const ranked = this.entries
+            .map(entry => this.score(entry, query, words, numbers))
+            .filter(result => result.score >= minScore)
+            .sort((a, b) => b.score - a.score);
+
+        return options.limit ? ranked.slice(0, options.limit) : ranked;
+    }
+
+    /**
+     * Score one case, keeping the best match for every query word
+     */
+    score(entry, query, words, numbers) {
+        if (entry.number.length > 5 && numbers.has(entry.number)) {
+            return {
+                case: entry.case,
+                score: 1,
+                reasons: [{ query, field: 'case_number', matched: entry.case.case_number, kind: 'exact', score: 1 }]
+            };
+        }
+
+        const reasons = [];
+        let total = 0;
+
+        for (const word of words) {
+            let best = null;
+            for (const { field, words: fieldWords } of entry.fields) {
+                for (const candidate of fieldWords) {
+                    const match = matchWord(word, candidate);
+                    const score = match && match.score * FIELD_WEIGHTS[field];
+                    if (match && (!best || score > best.score)) {
+                        best = { query: word.text, field, matched: candidate.text, kind: match.kind, score: round(score) };
+                    }
+                }
+            }
+            if (best) {
+                reasons.push(best);
+                total += best.score;
+            }
+        }
+
+        const wordScore = words.length > 0 ? total / words.length : 0;
+        const phrase = Math.max(
+            calculateSimilarity(query, entry.case.case_name),
+            calculateSimilarity(query, entry.case.client_name)
+        );
+
+        if (phrase > wordScore) {
+            const field = calculateSimilarity(query, entry.case.case_name) >= phrase ? 'case_name' : 'client_name';
+            return {
+                case: entry.case,
+                score: round(phrase),
+                reasons: [{ query, field, matched: entry.case[field], kind: 'phrase', score: round(phrase) }]
+            };
+        }
+
+        return { case: entry.case, score: round(wordScore), reasons };
+    }
+}
+
+module.exports = {
+    CaseSearchIndex,
+    FIELD_WEIGHTS,
+    DEFAULT_MIN_SCORE,
+    compactNumber,
+    numberCandidates
+};
@@ -0,0 +1,482 @@
+/**
+ * ============================================
+ * CASE STORE - THE FILING CABINET
+ * The interface every case storage backend implements
+ * ============================================
+ *
+ * The orchestrator, batch processor and case routes only talk
+ * to a case store. Two backends exist:
+ *   notion - NotionService, a Notion database per lawyer
+ *   local  - LocalCaseStore, a JSON file per lawyer on this server
+ *
+ * A lawyer's `case_store` setting in the user registry picks one;
+ * CASE_STORE sets the default. Search, lookup and duplicate
+ * detection run on a search index built from getAllCases, so they
+ * live here and behave the same on every backend.
+ *
+ * Building the index reads every case (on Notion, every page of the
+ * database), so it is shared by all stores on the same cases and kept
+ * in step with writes: a written case is re-read on the next lookup,
+ * an archived one is dropped. It is rebuilt in full only when
+ * SEARCH_INDEX_TTL_MS has passed or a written case cannot be re-read.
+ * The index can still be that old, so findCase re-reads the case it
+ * picks before handing it back.
+ */
+
+const { config } = require('../config');
+const { logger } = require('../utils/logger');
+const {
+    AppError,
+    ValidationError,
+    CaseNotFoundError,
+    DuplicateCaseError
+} = require('../utils/errors');
+const { calculateSimilarity } = require('../utils/helpers');
+const { CaseSearchIndex } = require('./caseSearchIndex');
+
+const CASE_STORES = {
+    NOTION: 'notion',
+    LOCAL: 'local'
+};
+
+/**
+ * Orders getAllCases can return cases in
+ */
+const CASE_SORTS = ['last_updated', 'next_hearing', 'case_name', 'hearing_count', 'created'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Methods each backend implements itself
+ */
+const BACKEND_METHODS = [
+    'initialize', 'getCaseById', 'getAllCases',
+    'createCase', 'updateCase', 'addHistoryEntry', 'getHistoryEntries', 'addAttachment',
+    'addHearing', 'addHearingRow', 'getHearings', 'restoreCase', 'archivePage'
+];
+
+// Writes that change what a search would find
+const INDEXED_WRITES = ['createCase', 'updateCase', 'restoreCase', 'archivePage'];
+
+// Other processes may change the cases too, so the index is rebuilt after this
+const SEARCH_INDEX_TTL_MS = 60 * 1000;
+
+// Every orchestrator and route handler creates its own store, so indexes
+// are kept here by searchIndexKey: { index, builtAt, stale: Set of case IDs to re-read }
+const searchIndexes = new Map();
+
+/**
+ * Bring a shared index in step with a write
+ * A failed create leaves no ID to re-read, so the index is dropped
+ */
+const noteIndexedWrite = (key, method, args, result, failed) => {
+    const cached = searchIndexes.get(key);
+    if (!cached) return;
+
+    const id = method === 'createCase' ? result?.id : args[0];
+    if (!id) {
+        searchIndexes.delete(key);
+    } else if (method === 'archivePage' && !failed) {
+        cached.index.remove(id);
+    } else {
+        cached.stale.add(id);
+    }
+};
+
+/**
+ * Case fields restoreCase can put back
+ */
+const RESTORABLE_FIELDS = [
+    'status', 'client_name', 'client_email', 'client_language', 'summary',
+    'court', 'bench', 'judge', 'fir_number', 'opposing_party', 'opposing_counsel',
+    'sections', 'latest_outcome', 'next_hearing', 'hearing_count',
+    'documents_needed', 'client_welcome_sent'
+];
+
+// null, "" and [] all mean "not set"
+const comparable = (value) => JSON.stringify(value == null || value === '' || (Array.isArray(value) && value.length === 0) ? null : value);
+
+/**
+ * Fields whose value has changed since a snapshot was taken
+ * restoreCase puts back only these, so a rollback never overwrites
+ * what the failed workflow did not touch
+ * @param {Object} current - Case as it is now
+ * @param {Object} snapshot - Case as it was
+ * @param {Array} fields - Fields the workflow wrote (default: all restorable)
+ * @returns {Array} Changed fields
+ */
+const changedFields = (current, snapshot, fields = RESTORABLE_FIELDS) =>
+    fields.filter(field => RESTORABLE_FIELDS.includes(field) && comparable(current[field]) !== comparable(snapshot[field]));
+
+// updateCase keys named differently from the case field they set
+const UPDATE_KEY_FIELDS = {
+    case_summary: 'summary',
+    next_hearing_date: 'next_hearing',
+    increment_hearing: 'hearing_count'
+};
+
+/**
+ * Case fields an updateCase call writes
+ * @param {Object} updates - updateCase updates
+ * @returns {Array} Case fields
+ */
+const updatedFields = (updates) => Object.keys(updates)
+    .filter(key => updates[key] !== undefined && updates[key] !== null)
+    .map(key => UPDATE_KEY_FIELDS[key] || key);
+
+/**
+ * The best of ranked candidates if it is clearly ahead of the rest
+ * @param {Array} candidates - CaseSearchIndex results, best first
+ * @returns {Object|null} Winning candidate, or null when it is too close to call
+ */
+const pickClearWinner = (candidates) => {
+    const [best, second] = candidates;
+    if (!best) return null;
+
+    const gap = second ? best.score - second.score : best.score;
+    return !second || (best.score >= 0.9 && gap >= 0.1) || (best.score >= 0.7 && gap >= 0.2) ? best : null;
+};
+
+/**
+ * Case Store Base Class
+ * Backends extend this and implement BACKEND_METHODS
+ */
+class CaseStore {
+    /**
+     * @param {string} storeName - Prefix for log lines, e.g. "Notion"
+     */
+    constructor(storeName) {
+        this.storeName = storeName;
+
+        for (const method of INDEXED_WRITES) {
+            const write = this[method];
+            this[method] = async (...args) => {
+                let result;
+                let failed = true;
+                try {
+                    result = await write.apply(this, args);
+                    failed = false;
+                    return result;
+                } finally {
+                    noteIndexedWrite(this.searchIndexKey, method, args, result, failed);
+                }
+            };
+        }
+    }
+
+    /**
+     * Names the cases this store holds, so stores on the same cases share
+     * a search index. Backends override it; null keeps no index.
+     * @returns {string|null} Key, valid once the store is initialized
+     */
+    get searchIndexKey() {
+        return null;
+    }
+
+    /**
+     * Throttle backend calls - only remote backends need to
+     * @returns {CaseStore} This store
+     */
+    useRateLimiter() {
+        return this;
+    }
+
+    /**
+     * Search index over every case, updated after writes and rebuilt once it is stale
+     * @returns {CaseSearchIndex} Index
+     */
+    async getSearchIndex() {
+        await this.initialize();
+        const key = this.searchIndexKey;
+        const cached = key && searchIndexes.get(key);
+        if (cached && Date.now() - cached.builtAt <= SEARCH_INDEX_TTL_MS && await this.refreshWrittenCases(cached)) {
+            return cached.index;
+        }
+
+        const index = new CaseSearchIndex(await this.getAllCases(null));
+        if (key) searchIndexes.set(key, { index, builtAt: Date.now(), stale: new Set() });
+        logger.info(`${this.storeName}: Search index built`, { cases: index.size });
+        return index;
+    }
+
+    /**
+     * Re-read the cases written since the index was built
+     * @param {Object} cached - Shared index entry
+     * @returns {boolean} False if a case could not be read and the index must be rebuilt
+     */
+    async refreshWrittenCases(cached) {
+        for (const id of [...cached.stale]) {
+            try {
+                cached.index.upsert(await this.getCaseById(id));
+                cached.stale.delete(id);
+            } catch (error) {
+                logger.warn(`${this.storeName}: Could not re-read a written case, rebuilding the search index`, { id, error: error.message });
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Cases matching a query, best first, with the score and reasons for each
+     * @param {string} query - Case name, client name, case number or summary words
+     * @param {Object} options - { minScore, limit }
+     * @returns {Array} [{ case, score, reasons }]
+     */
+    async rankCases(query, options = {}) {
+        const index = await this.getSearchIndex();
+        return index.search(query, options);
+    }
+
+    /**
+     * Search for cases (fuzzy and phonetic, see caseSearchIndex.js)
+     * @param {string} query - Search query
+     * @returns {Array} Matching cases, best first, each with match: { score, reasons }
+     */
+    async searchCases(query) {
+        const ranked = await this.rankCases(query);
+
+        logger.info(`${this.storeName}: Search complete`, { query, resultsCount: ranked.length });
+
+        return ranked.map(({ case: caseData, score, reasons }) => ({ ...caseData, match: { score, reasons } }));
+    }
+
+    /**
+     * Find a single case (with duplicate detection)
+     * The best candidate wins when it is clearly ahead; otherwise the
+     * ranked candidates go back for clarification. The winner is read
+     * again, since the index copy can be SEARCH_INDEX_TTL_MS old.
+     * @param {string} lookupKey - Case name or number to find
+     * @returns {Object} Case data (with match: { score, reasons }) or throws error
+     */
+    async findCase(lookupKey) {
+        const candidates = await this.rankCases(lookupKey);
+
+        if (candidates.length === 0) {
+            throw new CaseNotFoundError(lookupKey);
+        }
+
+        const [best, second] = candidates;
+
+        logger.info(`${this.storeName}: Disambiguation scores`, {
+            search: lookupKey,
+            best: { name: best.case.case_name, score: best.score, reasons: best.reasons },
+            second: second && { name: second.case.case_name, score: second.score }
+        });
+
+        if (pickClearWinner(candidates)) {
+            const current = await this.getCaseById(best.case.id);
+            return { ...current, match: { score: best.score, reasons: best.reasons } };
+        }
+
+        throw new DuplicateCaseError(candidates.map(({ case: caseData, score, reasons }) => ({
+            id: caseData.id,
+            case_name: caseData.case_name,
+            case_number: caseData.case_number,
+            score,
+            reasons
+        })));
+    }
+
+    /**
+     * Check if a similar case already exists (before creating new case)
+     * Checks for matching client name + case type/name pattern
+     * @param {Object} caseData - New case data to check
+     * @returns {Object|null} Existing case if found, null otherwise
+     */
+    async checkDuplicateCase(caseData) {
+        if (!caseData.client_name && !caseData.case_name) {
+            return null; // Nothing to check
+        }
+
+        try {
+            // Search by client name first (most reliable)
+            let searchKey = caseData.client_name;
+            if (!searchKey && caseData.case_name) {
+                // Extract first two words from case name (often client name)
+                const words = caseData.case_name.split(/\s+/).filter(w => w.length > 2);
+                searchKey = words.slice(0, 2).join(' ');
+            }
+
+            if (!searchKey || searchKey.length < 3) return null;
+
+            const results = await this.searchCases(searchKey);
+
+            if (results.length === 0) return null;
+
+            // Check for exact or very close matches
+            for (const existing of results) {
+                const existingClientName = (existing.client_name || '').toLowerCase().trim();
+                const existingCaseName = (existing.case_name || '').toLowerCase().trim();
+                const newClientName = (caseData.client_name || '').toLowerCase().trim();
+                const newCaseName = (caseData.case_name || '').toLowerCase().trim();
+
+                // Skip "Unknown Case" entries
+                if (existingCaseName.startsWith('unknown case')) continue;
+
+                // ==============================================
+                // CRITICAL: If client names match EXACTLY, this is a duplicate
+                // Same client = update existing case, don't create new
+                // ==============================================
+                if (newClientName && existingClientName === newClientName) {
+                    logger.info(`${this.storeName}: Duplicate detected - same client name`, {
+                        existing: existing.case_name,
+                        existingClient: existingClientName,
+                        newCase: caseData.case_name
+                    });
+                    return existing;
+                }
+
+                // Check if client name is contained in case name (e.g., "Arun Mehta" in "Arun Mehta Contract Breach")
+                if (newClientName && existingCaseName.includes(newClientName)) {
+                    logger.info(`${this.storeName}: Duplicate detected - client name in case name`, {
+                        existing: existing.case_name,
+                        searchedClient: newClientName
+                    });
+                    return existing;
+                }
+
+                // Exact case name match = definitely duplicate
+                if (newCaseName && existingCaseName === newCaseName) {
+                    logger.info(`${this.storeName}: Exact duplicate case name found`, {
+                        existing: existing.case_name
+                    });
+                    return existing;
+                }
+
+                // Very high similarity in case name = likely duplicate
+                const nameSimilarity = calculateSimilarity(existingCaseName, newCaseName);
+                if (nameSimilarity >= 0.85) {
+                    logger.info(`${this.storeName}: Very similar case name found`, {
+                        existing: existing.case_name,
+                        new: caseData.case_name,
+                        similarity: nameSimilarity
+                    });
+                    return existing;
+                }
+            }
+
+            return null; // No duplicate found
+
+        } catch (error) {
+            // Don't block creation if duplicate check fails
+            logger.warn(`${this.storeName}: Duplicate check failed, proceeding with creation`, {
+                error: error.message
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Archive/close a case
+     * @param {string} pageId - Case ID
+     * @param {Object} userContext - User context
+     */
+    async closeCase(pageId, userContext) {
+        await this.updateCase(pageId, {
+            status: config.caseStatuses.CLOSED
+        }, userContext);
+
+        await this.addHistoryEntry(pageId, '✅ Case closed/finalized', userContext);
+    }
+}
+
+for (const method of BACKEND_METHODS) {
+    CaseStore.prototype[method] = async function () {
+        throw new AppError(`${this.storeName} case store does not implement ${method}`, 501, 'NOT_IMPLEMENTED');
+    };
+}
+
+/**
+ * Turn GET /api/cases query parameters into getAllCases filters
+ *
+ *   status=Active,Draft        any of these statuses
+ *   client=sharma              client name contains
+ *   assignee=rahul             assigned to contains
+ *   created_by=priya           created by contains
+ *   hearing_from=2026-11-01    next hearing on or after
+ *   hearing_to=2026-11-30      next hearing on or before
+ *   sort=next_hearing&order=asc
+ *
+ * @param {Object} query - Request query
+ * @returns {Object} { status: [], client, assignee, created_by, hearing_from, hearing_to, sort, order }
+ */
+const parseCaseFilters = (query = {}) => {
+    const text = (value) => (typeof value === 'string' && value.trim()) || null;
+    const filters = {
+        status: [],
+        client: text(query.client),
+        assignee: text(query.assignee),
+        created_by: text(query.created_by),
+        hearing_from: text(query.hearing_from),
+        hearing_to: text(query.hearing_to),
+        sort: text(query.sort) || 'last_updated',
+        order: text(query.order) || (query.sort === 'next_hearing' ? 'asc' : 'desc')
+    };
+
+    const statuses = Object.values(config.caseStatuses);
+    for (const status of (text(query.status) || '').split(',').map(s => s.trim()).filter(Boolean)) {
+        const known = statuses.find(s => s.toLowerCase() === status.toLowerCase());
+        if (!known) {
+            throw new ValidationError(`Unknown status "${status}" (use ${statuses.join(', ')})`, ['status']);
+        }
+        filters.status.push(known);
+    }
+
+    for (const field of ['hearing_from', 'hearing_to']) {
+        if (filters[field] && (!DATE_PATTERN.test(filters[field]) || isNaN(Date.parse(filters[field])))) {
+            throw new ValidationError(`${field} must be a date like 2026-11-01`, [field]);
+        }
+    }
+
+    if (!CASE_SORTS.includes(filters.sort)) {
+        throw new ValidationError(`sort must be one of ${CASE_SORTS.join(', ')}`, ['sort']);
+    }
+    if (!['asc', 'desc'].includes(filters.order)) {
+        throw new ValidationError('order must be asc or desc', ['order']);
+    }
+
+    return filters;
+};
+
+/**
+ * Which backend a lawyer's cases live in
+ * @param {Object} userContext - User from the registry
+ * @returns {string} One of CASE_STORES
+ */
+const caseStoreFor = (userContext) => userContext?.case_store || config.caseStore.backend;
+
+/**
+ * Case store for a lawyer
+ * @param {Object} userContext - User from the registry
+ * @returns {CaseStore} NotionService or LocalCaseStore
+ */
+const createCaseStore = (userContext) => {
+    // Required here because both backends extend CaseStore
+    const { NotionService } = require('./notionService');
+    const { LocalCaseStore } = require('./localCaseStore');
+
+    const backend = caseStoreFor(userContext);
+
+    switch (backend) {
+        case CASE_STORES.NOTION:
+            return new NotionService(userContext.notion_token, userContext.notion_db_id);
+        case CASE_STORES.LOCAL:
+            return new LocalCaseStore({ userId: userContext.id });
+        default:
+            throw new ValidationError(`Unknown case store "${backend}" (use ${Object.values(CASE_STORES).join(' or ')})`, ['case_store']);
+    }
+};
+
+module.exports = {
+    CaseStore,
+    CASE_STORES,
+    CASE_SORTS,
+    BACKEND_METHODS,
+    pickClearWinner,
+    changedFields,
+    updatedFields,
+    parseCaseFilters,
+    caseStoreFor,
+    createCaseStore
+};
@@ -0,0 +1,88 @@
+/**
+ * ============================================
+ * CLARIFICATION RESOLVER
+ * Maps a lawyer's short answer onto the open question
+ * ============================================
+ *
+ * Answers like "the CTR-2025-001 one", "the second one"
+ * or "it's a new client" are resolved deterministically
+ * against the options we offered - they are never sent
+ * through AI extraction as if they were a new voice note.
+ */
+
+const { calculateSimilarity } = require('../utils/helpers');
+const { compactNumber, numberCandidates } = require('./caseSearchIndex');
+
+const ORDINALS = {
+    first: 0, '1st': 0, one: 0,
+    second: 1, '2nd': 1, two: 1,
+    third: 2, '3rd': 2, three: 2,
+    fourth: 3, '4th': 3, four: 3,
+    fifth: 4, '5th': 4, five: 4
+};
+
+/**
+ * Pick one of the offered case matches from an answer
+ * @param {string} answer - Lawyer's answer
+ * @param {Array} matches - Offered matches ({ id, case_name, case_number })
+ * @returns {Object|null} Chosen match or null if still ambiguous
+ */
+const resolveCaseChoice = (answer, matches = []) => {
+    if (!answer || matches.length === 0) return null;
+
+    const text = answer.toLowerCase();
+
+    // 1. Case number quoted in the answer, as whole words:
+    // "CTR-2025-0011" does not also name CTR-2025-001
+    const numbers = numberCandidates(answer);
+    const byNumber = matches.filter(m =>
+        m.case_number && numbers.has(compactNumber(m.case_number))
+    );
+    if (byNumber.length === 1) return byNumber[0];
+
+    // 2. Ordinal ("the second one") or a bare number ("2", "two").
+    // Number words only count on their own - "the tax one" is not a choice.
+    const ordinalMatch = text.match(/\b(first|second|third|fourth|fifth|1st|2nd|3rd|4th|5th)\b/)
+        || text.trim().match(/^(one|two|three|four|five)$/);
+    if (ordinalMatch && matches[ORDINALS[ordinalMatch[1]]]) {
+        return matches[ORDINALS[ordinalMatch[1]]];
+    }
+    const numberOnly = text.trim().match(/^#?(\d{1,2})$/);
+    if (numberOnly && matches[parseInt(numberOnly[1], 10) - 1]) {
+        return matches[parseInt(numberOnly[1], 10) - 1];
+    }
+
+    // 3. Closest case name, only if clearly ahead of the rest
+    const scored = matches
+        .map(m => ({ match: m, score: calculateSimilarity(m.case_name, answer) }))
+        .sort((a, b) => b.score - a.score);
+    const best = scored[0];
+    const runnerUp = scored[1];
+    if (best.score >= 0.5 && (!runnerUp || best.score - runnerUp.score >= 0.2)) {
+        return best.match;
+    }
+
+    return null;
+};
+
+/**
+ * Decide new vs existing case from an answer
+ * @param {string} answer - Lawyer's answer
+ * @returns {string|null} CREATE_NEW, UPDATE_EXISTING or null
+ */
+const resolveIntent = (answer) => {
+    if (!answer) return null;
+
+    const text = answer.toLowerCase();
+    const isNew = /\b(new|fresh|onboard|retainer|signed)\b/.test(text);
+    const isExisting = /\b(existing|update|old|ongoing|already)\b/.test(text);
+
+    if (isNew && !isExisting) return 'CREATE_NEW';
+    if (isExisting && !isNew) return 'UPDATE_EXISTING';
+    return null;
+};
+
+module.exports = {
+    resolveCaseChoice,
+    resolveIntent
+};
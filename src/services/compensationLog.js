@@ -0,0 +1,79 @@
+/**
+ * ============================================
+ * COMPENSATION LOG - THE UNDO LIST
+ * Saga-style rollback for multi-step workflows
+ * ============================================
+ *
+ * Every side effect a workflow performs is recorded
+ * together with the action that undoes it. If a later
+ * step fails, the recorded compensations run in reverse
+ * order. Effects that cannot be undone (sent emails)
+ * are recorded too, so the response can say so.
+ */
+
+const { logger } = require('../utils/logger');
+
+/**
+ * Compensation Log Class
+ */
+class CompensationLog {
+    constructor() {
+        this.steps = [];
+    }
+
+    /**
+     * Record a completed step and how to undo it
+     * @param {string} description - What was done
+     * @param {Function} compensate - Async undo; returning false means it failed
+     */
+    record(description, compensate) {
+        this.steps.push({ description, compensate });
+    }
+
+    /**
+     * Record a completed step that cannot be undone
+     * @param {string} description - What was done
+     */
+    recordIrreversible(description) {
+        this.steps.push({ description, compensate: null });
+    }
+
+    /**
+     * Undo all recorded steps, newest first
+     * A failing compensation does not stop the others
+     * @returns {Object} { rolled_back, failed, not_reversible }
+     */
+    async rollback() {
+        const report = {
+            rolled_back: [],
+            failed: [],
+            not_reversible: []
+        };
+
+        for (const step of [...this.steps].reverse()) {
+            if (!step.compensate) {
+                report.not_reversible.push(step.description);
+                continue;
+            }
+
+            try {
+                const outcome = await step.compensate();
+                if (outcome === false) {
+                    report.failed.push({ step: step.description, error: 'Compensation returned false' });
+                } else {
+                    report.rolled_back.push(step.description);
+                }
+            } catch (error) {
+                logger.error('Compensation: Failed to undo step', { step: step.description, error: error.message });
+                report.failed.push({ step: step.description, error: error.message });
+            }
+        }
+
+        this.steps = [];
+        return report;
+    }
+}
+
+module.exports = {
+    CompensationLog
+};
@@ -0,0 +1,75 @@
+/**
+ * ============================================
+ * CONFIDENCE GATES - THE SAFETY CATCH
+ * How much runs unattended for each AI confidence
+ * ============================================
+ *
+ * Every extracted case carries confidence HIGH, MEDIUM or LOW.
+ * The gate for that level decides what the orchestrator does:
+ *
+ * - FULL                run the whole workflow
+ * - HOLD_CLIENT_EMAILS  update Notion, calendar and junior, but park
+ *                       client emails until the lawyer approves them
+ * - CONFIRM             leave only a draft note and park the case as a
+ *                       pending action for confirmation
+ *
+ * Users override the defaults in preferences.confidence_gates, e.g.
+ * { "MEDIUM": "CONFIRM" } for a lawyer who wants to see anything
+ * the model was unsure about.
+ */
+
+const { logger } = require('../utils/logger');
+
+const GATE_MODES = {
+    FULL: 'FULL',
+    HOLD_CLIENT_EMAILS: 'HOLD_CLIENT_EMAILS',
+    CONFIRM: 'CONFIRM'
+};
+
+const DEFAULT_CONFIDENCE_GATES = {
+    HIGH: GATE_MODES.FULL,
+    MEDIUM: GATE_MODES.HOLD_CLIENT_EMAILS,
+    LOW: GATE_MODES.CONFIRM
+};
+
+/**
+ * Merge a user's gate preferences over the defaults
+ * Unknown levels or modes are ignored so a typo cannot open a gate
+ * @param {Object} preferences - User preferences
+ * @returns {Object} Gate mode per confidence level
+ */
+const resolveConfidenceGates = (preferences = {}) => {
+    const gates = { ...DEFAULT_CONFIDENCE_GATES };
+
+    for (const [level, mode] of Object.entries(preferences?.confidence_gates || {})) {
+        const normalisedLevel = String(level).toUpperCase();
+        const normalisedMode = String(mode).toUpperCase();
+
+        if (!DEFAULT_CONFIDENCE_GATES[normalisedLevel] || !GATE_MODES[normalisedMode]) {
+            logger.warn('ConfidenceGates: Ignoring invalid preference', { level, mode });
+            continue;
+        }
+        gates[normalisedLevel] = normalisedMode;
+    }
+
+    return gates;
+};
+
+/**
+ * Gate for one extracted case
+ * Cases without a confidence (built by hand, not by the AI) are not gated
+ * @param {Object} caseData - Extracted case
+ * @param {Object} gates - Output of resolveConfidenceGates
+ * @returns {string} GATE_MODES value
+ */
+const gateForCase = (caseData, gates) => {
+    if (!caseData.confidence) return GATE_MODES.FULL;
+    return gates[String(caseData.confidence).toUpperCase()] || gates.LOW;
+};
+
+module.exports = {
+    GATE_MODES,
+    DEFAULT_CONFIDENCE_GATES,
+    resolveConfidenceGates,
+    gateForCase
+};
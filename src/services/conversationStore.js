@@ -0,0 +1,100 @@
+/**
+ * ============================================
+ * CONVERSATION STORE
+ * Clarification sessions for voice notes
+ * ============================================
+ *
+ * When a voice note needs clarification (ambiguous
+ * intent, several matching cases), the extraction is
+ * parked here under a conversation ID so the lawyer's
+ * answer can resume the same workflow instead of
+ * re-dictating the whole note.
+ *
+ * Sessions are short-lived and kept in memory only.
+ */
+
+const { generateId } = require('../utils/helpers');
+
+const DEFAULT_TTL_MS = (parseInt(process.env.CLARIFICATION_TTL_MINUTES) || 30) * 60 * 1000;
+
+/**
+ * Conversation Store Class
+ */
+class ConversationStore {
+    constructor(options = {}) {
+        this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+        this.conversations = new Map();
+    }
+
+    /**
+     * Open a clarification session
+     * @param {Object} data - { user_id, transcription, extraction, questions }
+     * @returns {Object} Conversation
+     */
+    create(data) {
+        this.purgeExpired();
+
+        const now = Date.now();
+        const conversation = {
+            id: generateId(),
+            created_at: new Date(now).toISOString(),
+            expires_at: new Date(now + this.ttlMs).toISOString(),
+            turns: 0,
+            ...data
+        };
+
+        this.conversations.set(conversation.id, conversation);
+        return conversation;
+    }
+
+    /**
+     * Get an open session
+     * @param {string} id - Conversation ID
+     * @returns {Object|null} Conversation or null if missing/expired
+     */
+    get(id) {
+        this.purgeExpired();
+        return this.conversations.get(id) || null;
+    }
+
+    /**
+     * Update a session and extend its lifetime
+     * @param {string} id - Conversation ID
+     * @param {Object} changes - Fields to merge
+     * @returns {Object|null} Updated conversation
+     */
+    update(id, changes) {
+        const conversation = this.conversations.get(id);
+        if (!conversation) return null;
+
+        Object.assign(conversation, changes, {
+            expires_at: new Date(Date.now() + this.ttlMs).toISOString()
+        });
+        return conversation;
+    }
+
+    /**
+     * Close a session once its workflow has resumed
+     * @param {string} id - Conversation ID
+     */
+    close(id) {
+        this.conversations.delete(id);
+    }
+
+    purgeExpired() {
+        const now = Date.now();
+        for (const [id, conversation] of this.conversations) {
+            if (Date.parse(conversation.expires_at) < now) {
+                this.conversations.delete(id);
+            }
+        }
+    }
+}
+
+// Shared store used by routes and the orchestrator
+const conversationStore = new ConversationStore();
+
+module.exports = {
+    ConversationStore,
+    conversationStore
+};
@@ -9,8 +9,10 @@
 const nodemailer = require('nodemailer');
 const { config } = require('../config');
 const { logger } = require('../utils/logger');
+const { traceSpan } = require('../utils/tracing');
 const { ExternalServiceError } = require('../utils/errors');
 const { formatDate } = require('../utils/helpers');
+const { getClientEmailStrings } = require('./emailTemplates');
 
 /**
  * Email Service Class
@@ -226,6 +228,7 @@ class EmailService {
     
     /**
      * Send document request email to client
+     * Written in caseData.client_language when a translation exists
      * @param {Object} caseData - Case details with documents_needed
      * @param {Object} userContext - User context
      */
@@ -240,32 +243,34 @@ class EmailService {
             return null;
         }
         
+        const t = getClientEmailStrings('documentRequest', caseData.client_language);
+        
         logger.info('Email: Sending document request to client', {
             to: caseData.client_email,
-            documents: caseData.documents_needed
+            documents: caseData.documents_needed,
+            language: t.language
         });
         
-        const subject = `📄 Documents Required - ${caseData.case_name}`;
+        const subject = t.subject(caseData.case_name);
         
         const html = `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div lang="${t.language}" style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
                 <div style="background: linear-gradient(135deg, #f39c12, #e74c3c); color: white; padding: 20px; border-radius: 8px 8px 0 0; text-align: center;">
-                    <h1 style="margin: 0;">📄 Documents Required</h1>
-                    <p style="margin: 10px 0 0; opacity: 0.9;">Action Required From You</p>
+                    <h1 style="margin: 0;">${t.title}</h1>
+                    <p style="margin: 10px 0 0; opacity: 0.9;">${t.tagline}</p>
                 </div>
                 
                 <div style="background: #f8f9fa; padding: 25px; border: 1px solid #ddd; border-top: none;">
                     <p style="color: #333; font-size: 16px;">
-                        Dear <strong>${caseData.client_name}</strong>,
+                        ${t.greeting(caseData.client_name)}
                     </p>
                     
                     <p style="color: #555; line-height: 1.6;">
-                        The court has requested certain documents for your case <strong>${caseData.case_name}</strong>.
-                        Please provide these documents at your earliest convenience to avoid any delays in proceedings.
+                        ${t.intro(caseData.case_name)}
                     </p>
                     
                     <div style="background: #fff3cd; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #f39c12;">
-                        <h3 style="margin-top: 0; color: #856404;">📋 Required Documents:</h3>
+                        <h3 style="margin-top: 0; color: #856404;">${t.listTitle}</h3>
                         <ul style="margin: 0; padding-left: 20px;">
                             ${(caseData.documents_needed || []).map(doc => `
                                 <li style="color: #856404; padding: 8px 0; border-bottom: 1px solid #ffe69c;">${doc}</li>
@@ -274,16 +279,16 @@ class EmailService {
                     </div>
                     
                     <div style="background: #d4edda; padding: 15px; border-radius: 8px; margin: 20px 0;">
-                        <h4 style="margin-top: 0; color: #155724;">How to Submit:</h4>
+                        <h4 style="margin-top: 0; color: #155724;">${t.howTitle}</h4>
                         <p style="color: #155724; margin: 0;">
-                            You can reply to this email with the documents attached, or bring them to our office.
+                            ${t.howText}
                         </p>
                     </div>
                     
                     <p style="color: #666; font-size: 12px; margin-top: 25px; border-top: 1px solid #ddd; padding-top: 15px;">
-                        If you have any questions, please contact us.<br>
+                        ${t.questions}<br>
                         <strong>${userContext.name}</strong><br>
-                        ${new Date().toLocaleDateString('en-IN')}
+                        ${new Date().toLocaleDateString(t.locale)}
                     </p>
                 </div>
             </div>
@@ -446,7 +451,8 @@ class EmailService {
     
     /**
      * Send hearing report to client after EVERY hearing
-     * This is a detailed court report sent after each hearing
+     * This is a detailed court report sent after each hearing,
+     * written in caseData.client_language when a translation exists
      * @param {Object} caseData - Case details with hearing outcome
      * @param {Object} userContext - User context
      * @param {number} hearingNumber - Which hearing number this is
@@ -462,14 +468,18 @@ class EmailService {
             return null;
         }
         
+        const t = getClientEmailStrings('hearingReport', caseData.client_language);
+        
         logger.info('Email: Sending client hearing report', {
             to: caseData.client_email,
             caseName: caseData.case_name,
-            hearingNumber: hearingNumber
+            hearingNumber: hearingNumber,
+            language: t.language
         });
         
-        const subject = `📋 Hearing #${hearingNumber} Report - ${caseData.case_name}`;
-        const hearingDate = new Date().toLocaleDateString('en-IN', {
+        const subject = t.subject(hearingNumber, caseData.case_name);
+        const status = caseData.status || 'Continuing';
+        const hearingDate = new Date().toLocaleDateString(t.locale, {
             weekday: 'long',
             year: 'numeric',
             month: 'long',
@@ -477,37 +487,36 @@ class EmailService {
         });
         
         const html = `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div lang="${t.language}" style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
                 <div style="background: linear-gradient(135deg, #2c3e50, #3498db); color: white; padding: 25px; border-radius: 8px 8px 0 0; text-align: center;">
-                    <h1 style="margin: 0;">⚖️ Court Hearing Report</h1>
-                    <p style="margin: 10px 0 0; opacity: 0.9;">Hearing #${hearingNumber}</p>
+                    <h1 style="margin: 0;">${t.title}</h1>
+                    <p style="margin: 10px 0 0; opacity: 0.9;">${t.hearingLabel(hearingNumber)}</p>
                 </div>
                 
                 <div style="background: #f8f9fa; padding: 30px; border: 1px solid #ddd; border-top: none;">
                     <p style="color: #333; font-size: 16px;">
-                        Dear <strong>${caseData.client_name}</strong>,
+                        ${t.greeting(caseData.client_name)}
                     </p>
                     
                     <p style="color: #555; line-height: 1.8;">
-                        We are writing to provide you with a detailed report of today's court hearing 
-                        for your case <strong>${caseData.case_name}</strong>${caseData.case_number ? ` (Case No: ${caseData.case_number})` : ''}.
+                        ${t.intro(caseData.case_name, caseData.case_number)}
                     </p>
                     
                     <div style="background: #fff; padding: 20px; border-radius: 8px; margin: 25px 0; box-shadow: 0 2px 8px rgba(0,0,0,0.1);">
                         <table style="width: 100%; border-collapse: collapse;">
                             <tr>
-                                <td style="padding: 10px 0; color: #666; width: 40%;"><strong>Hearing Date:</strong></td>
+                                <td style="padding: 10px 0; color: #666; width: 40%;"><strong>${t.hearingDate}</strong></td>
                                 <td style="padding: 10px 0; color: #333;">${hearingDate}</td>
                             </tr>
                             <tr>
-                                <td style="padding: 10px 0; color: #666;"><strong>Hearing Number:</strong></td>
+                                <td style="padding: 10px 0; color: #666;"><strong>${t.hearingNumber}</strong></td>
                                 <td style="padding: 10px 0; color: #333;">#${hearingNumber}</td>
                             </tr>
                             <tr>
-                                <td style="padding: 10px 0; color: #666;"><strong>Case Status:</strong></td>
+                                <td style="padding: 10px 0; color: #666;"><strong>${t.caseStatus}</strong></td>
                                 <td style="padding: 10px 0; color: #333;">
-                                    <span style="background: ${caseData.status === 'Finalized' ? '#28a745' : '#17a2b8'}; color: white; padding: 4px 12px; border-radius: 12px; font-size: 14px;">
-                                        ${caseData.status || 'Continuing'}
+                                    <span style="background: ${status === 'Finalized' ? '#28a745' : '#17a2b8'}; color: white; padding: 4px 12px; border-radius: 12px; font-size: 14px;">
+                                        ${t.statuses[status] || status}
                                     </span>
                                 </td>
                             </tr>
@@ -515,59 +524,58 @@ class EmailService {
                     </div>
                     
                     <div style="background: #e8f4fd; padding: 20px; border-left: 4px solid #3498db; margin: 25px 0;">
-                        <h3 style="margin-top: 0; color: #2c3e50;">📝 What Happened in Court Today</h3>
-                        <p style="color: #333; line-height: 1.8; margin-bottom: 0;">${caseData.outcome || 'The hearing was conducted. Details will be shared in the next update.'}</p>
+                        <h3 style="margin-top: 0; color: #2c3e50;">${t.whatHappened}</h3>
+                        <p style="color: #333; line-height: 1.8; margin-bottom: 0;">${caseData.outcome || t.noOutcome}</p>
                     </div>
                     
                     ${caseData.next_hearing_date ? `
                     <div style="background: #d4edda; padding: 20px; border-radius: 8px; margin: 25px 0;">
-                        <h3 style="margin-top: 0; color: #155724;">📅 Next Hearing Date</h3>
+                        <h3 style="margin-top: 0; color: #155724;">${t.nextHearing}</h3>
                         <p style="color: #155724; font-size: 20px; font-weight: bold; margin: 0;">
-                            ${formatDate(caseData.next_hearing_date)}
+                            ${formatDate(caseData.next_hearing_date, t.locale)}
                         </p>
                         <p style="color: #155724; font-size: 14px; margin: 10px 0 0;">
-                            Please mark this date in your calendar. We will send you a reminder before the hearing.
+                            ${t.nextHearingNote}
                         </p>
                     </div>
                     ` : ''}
                     
                     ${caseData.documents_needed?.length > 0 ? `
                     <div style="background: #fff3cd; padding: 20px; border-radius: 8px; margin: 25px 0; border: 1px solid #ffc107;">
-                        <h3 style="margin-top: 0; color: #856404;">📄 Documents Required From You</h3>
-                        <p style="color: #856404; margin-bottom: 10px;">The court has requested the following documents. Please provide them as soon as possible:</p>
+                        <h3 style="margin-top: 0; color: #856404;">${t.documentsTitle}</h3>
+                        <p style="color: #856404; margin-bottom: 10px;">${t.documentsIntro}</p>
                         <ul style="margin: 0; padding-left: 20px;">
                             ${caseData.documents_needed.map(doc => `<li style="color: #856404; padding: 5px 0;">${doc}</li>`).join('')}
                         </ul>
                     </div>
                     ` : ''}
                     
-                    ${caseData.status === 'Finalized' ? `
+                    ${status === 'Finalized' ? `
                     <div style="background: #d4edda; padding: 20px; border-radius: 8px; margin: 25px 0; text-align: center;">
-                        <h3 style="color: #155724; margin-top: 0;">🎉 Case Concluded</h3>
+                        <h3 style="color: #155724; margin-top: 0;">${t.concludedTitle}</h3>
                         <p style="color: #155724; margin: 0;">
-                            Your case has been successfully concluded. Thank you for trusting us with your legal matters.
+                            ${t.concludedText}
                         </p>
                     </div>
                     ` : ''}
                     
                     <div style="background: #f0f0f0; padding: 15px; border-radius: 8px; margin-top: 30px;">
                         <p style="color: #555; margin: 0; font-size: 14px;">
-                            <strong>Need to contact us?</strong><br>
-                            If you have any questions about this hearing or your case, please reply to this email 
-                            or contact our office directly.
+                            <strong>${t.contactTitle}</strong><br>
+                            ${t.contactText}
                         </p>
                     </div>
                     
                     <p style="color: #333; margin-top: 30px;">
-                        Warm regards,<br>
+                        ${t.regards}<br>
                         <strong>${userContext.name}</strong><br>
-                        <span style="color: #666;">Legal Counsel</span>
+                        <span style="color: #666;">${t.counsel}</span>
                     </p>
                 </div>
                 
                 <div style="background: #2c3e50; color: #95a5a6; padding: 15px; text-align: center; font-size: 12px; border-radius: 0 0 8px 8px;">
-                    <p style="margin: 0;">This is an automated hearing report from the Legal Case Management System.</p>
-                    <p style="margin: 5px 0 0;">Report generated on ${new Date().toLocaleString('en-IN')}</p>
+                    <p style="margin: 0;">${t.footer}</p>
+                    <p style="margin: 5px 0 0;">${t.generatedOn(new Date().toLocaleString(t.locale))}</p>
                 </div>
             </div>
         `;
@@ -619,7 +627,52 @@ class EmailService {
             html
         });
     }
-    
+
+    /**
+     * Send the lawyer one digest for a batch of voice notes
+     * @param {Object} report - BatchProcessor report
+     * @param {Object} userContext - User context
+     */
+    async sendBatchDigestEmail(report, userContext) {
+        const subject = `Daily Digest: ${report.notes_processed} voice notes, ${report.cases.length} cases`;
+
+        const html = `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <div style="background: #1a237e; color: white; padding: 20px; border-radius: 8px 8px 0 0;">
+                    <h2 style="margin: 0;">📋 Voice Note Digest</h2>
+                    <p style="margin: 5px 0 0 0; opacity: 0.9;">${formatDate(new Date())}</p>
+                </div>
+
+                <div style="background: #f8f9fa; padding: 25px; border: 1px solid #ddd; border-top: none;">
+                    <p style="color: #333;">
+                        Dear ${userContext.name},<br><br>
+                        ${report.notes_processed} voice notes were processed
+                        ${report.notes_failed > 0 ? `(<strong style="color: #dc3545;">${report.notes_failed} failed</strong>)` : ''}.
+                    </p>
+
+                    ${report.cases.map(c => `
+                        <div style="background: #fff; padding: 15px; border-radius: 8px; margin: 10px 0; border-left: 4px solid ${c.errors.length > 0 ? '#dc3545' : '#28a745'};">
+                            <p style="margin: 0; font-weight: bold; color: #1a237e;">
+                                ${c.case_name}${c.case_number ? ` (${c.case_number})` : ''}
+                            </p>
+                            ${c.outcomes.map(o => `<p style="margin: 5px 0; color: #555;">${o}</p>`).join('')}
+                            ${c.next_hearing_date ? `
+                                <p style="margin: 5px 0; color: #555;">📅 Next hearing: ${formatDate(c.next_hearing_date)}</p>
+                            ` : ''}
+                            ${c.errors.map(e => `<p style="margin: 5px 0; color: #dc3545;">⚠️ ${e}</p>`).join('')}
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+
+        return this.sendEmail({
+            to: userContext.email,
+            subject,
+            html
+        });
+    }
+
     /**
      * Core email sending function
      * @param {Object} options - Email options
@@ -639,7 +692,7 @@ class EmailService {
                 text: options.text
             };
             
-            const result = await this.transporter.sendMail(mailOptions);
+            const result = await traceSpan('email.sendEmail', () => this.transporter.sendMail(mailOptions));
             
             logger.info('Email: Sent successfully', {
                 to: options.to,
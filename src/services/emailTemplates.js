@@ -0,0 +1,171 @@
+/**
+ * ============================================
+ * CLIENT EMAIL TEMPLATES
+ * Translated text for hearing reports and document requests
+ * ============================================
+ *
+ * EmailService keeps the layout; the words come from here,
+ * picked by the client's preferred language (Notion
+ * "Client Language"). Anything dictated - the outcome, the
+ * document names - is inserted as recorded.
+ *
+ * Missing languages or keys fall back to English.
+ */
+
+const { normaliseLanguage } = require('../utils/languages');
+
+const CLIENT_EMAIL_STRINGS = {
+    en: {
+        locale: 'en-IN',
+        statuses: { Finalized: 'Finalized', Continuing: 'Continuing' },
+        hearingReport: {
+            subject: (n, caseName) => `📋 Hearing #${n} Report - ${caseName}`,
+            title: '⚖️ Court Hearing Report',
+            hearingLabel: (n) => `Hearing #${n}`,
+            greeting: (name) => `Dear <strong>${name}</strong>,`,
+            intro: (caseName, caseNumber) => `We are writing to provide you with a detailed report of today's court hearing
+                        for your case <strong>${caseName}</strong>${caseNumber ? ` (Case No: ${caseNumber})` : ''}.`,
+            hearingDate: 'Hearing Date:',
+            hearingNumber: 'Hearing Number:',
+            caseStatus: 'Case Status:',
+            whatHappened: '📝 What Happened in Court Today',
+            noOutcome: 'The hearing was conducted. Details will be shared in the next update.',
+            nextHearing: '📅 Next Hearing Date',
+            nextHearingNote: 'Please mark this date in your calendar. We will send you a reminder before the hearing.',
+            documentsTitle: '📄 Documents Required From You',
+            documentsIntro: 'The court has requested the following documents. Please provide them as soon as possible:',
+            concludedTitle: '🎉 Case Concluded',
+            concludedText: 'Your case has been successfully concluded. Thank you for trusting us with your legal matters.',
+            contactTitle: 'Need to contact us?',
+            contactText: `If you have any questions about this hearing or your case, please reply to this email
+                            or contact our office directly.`,
+            regards: 'Warm regards,',
+            counsel: 'Legal Counsel',
+            footer: 'This is an automated hearing report from the Legal Case Management System.',
+            generatedOn: (date) => `Report generated on ${date}`
+        },
+        documentRequest: {
+            subject: (caseName) => `📄 Documents Required - ${caseName}`,
+            title: '📄 Documents Required',
+            tagline: 'Action Required From You',
+            greeting: (name) => `Dear <strong>${name}</strong>,`,
+            intro: (caseName) => `The court has requested certain documents for your case <strong>${caseName}</strong>.
+                        Please provide these documents at your earliest convenience to avoid any delays in proceedings.`,
+            listTitle: '📋 Required Documents:',
+            howTitle: 'How to Submit:',
+            howText: 'You can reply to this email with the documents attached, or bring them to our office.',
+            questions: 'If you have any questions, please contact us.'
+        }
+    },
+
+    hi: {
+        locale: 'hi-IN',
+        statuses: { Finalized: 'निर्णीत', Continuing: 'जारी' },
+        hearingReport: {
+            subject: (n, caseName) => `📋 सुनवाई #${n} रिपोर्ट - ${caseName}`,
+            title: '⚖️ अदालती सुनवाई रिपोर्ट',
+            hearingLabel: (n) => `सुनवाई #${n}`,
+            greeting: (name) => `प्रिय <strong>${name}</strong>,`,
+            intro: (caseName, caseNumber) => `आपके मामले <strong>${caseName}</strong>${caseNumber ? ` (मामला संख्या: ${caseNumber})` : ''}
+                        की आज की अदालती सुनवाई की विस्तृत रिपोर्ट नीचे दी गई है।`,
+            hearingDate: 'सुनवाई की तारीख:',
+            hearingNumber: 'सुनवाई संख्या:',
+            caseStatus: 'मामले की स्थिति:',
+            whatHappened: '📝 आज अदालत में क्या हुआ',
+            noOutcome: 'सुनवाई हुई। विवरण अगले अपडेट में साझा किया जाएगा।',
+            nextHearing: '📅 अगली सुनवाई की तारीख',
+            nextHearingNote: 'कृपया यह तारीख अपने कैलेंडर में नोट कर लें। सुनवाई से पहले हम आपको याद दिलाएँगे।',
+            documentsTitle: '📄 आपसे आवश्यक दस्तावेज़',
+            documentsIntro: 'अदालत ने निम्नलिखित दस्तावेज़ माँगे हैं। कृपया इन्हें जल्द से जल्द उपलब्ध कराएँ:',
+            concludedTitle: '🎉 मामला समाप्त',
+            concludedText: 'आपका मामला सफलतापूर्वक समाप्त हो गया है। अपने कानूनी मामलों के लिए हम पर भरोसा करने के लिए धन्यवाद।',
+            contactTitle: 'हमसे संपर्क करना है?',
+            contactText: `इस सुनवाई या अपने मामले के बारे में कोई प्रश्न हो तो कृपया इस ईमेल का उत्तर दें
+                            या सीधे हमारे कार्यालय से संपर्क करें।`,
+            regards: 'सादर,',
+            counsel: 'विधिक सलाहकार',
+            footer: 'यह विधिक केस प्रबंधन प्रणाली द्वारा भेजी गई स्वचालित सुनवाई रिपोर्ट है।',
+            generatedOn: (date) => `रिपोर्ट बनाई गई: ${date}`
+        },
+        documentRequest: {
+            subject: (caseName) => `📄 आवश्यक दस्तावेज़ - ${caseName}`,
+            title: '📄 आवश्यक दस्तावेज़',
+            tagline: 'आपकी ओर से कार्रवाई आवश्यक',
+            greeting: (name) => `प्रिय <strong>${name}</strong>,`,
+            intro: (caseName) => `अदालत ने आपके मामले <strong>${caseName}</strong> के लिए कुछ दस्तावेज़ माँगे हैं।
+                        कार्यवाही में देरी से बचने के लिए कृपया इन्हें जल्द से जल्द उपलब्ध कराएँ।`,
+            listTitle: '📋 आवश्यक दस्तावेज़:',
+            howTitle: 'कैसे जमा करें:',
+            howText: 'आप दस्तावेज़ संलग्न करके इस ईमेल का उत्तर दे सकते हैं, या उन्हें हमारे कार्यालय में ला सकते हैं।',
+            questions: 'कोई प्रश्न हो तो कृपया हमसे संपर्क करें।'
+        }
+    },
+
+    ta: {
+        locale: 'ta-IN',
+        statuses: { Finalized: 'முடிவடைந்தது', Continuing: 'தொடர்கிறது' },
+        hearingReport: {
+            subject: (n, caseName) => `📋 விசாரணை #${n} அறிக்கை - ${caseName}`,
+            title: '⚖️ நீதிமன்ற விசாரணை அறிக்கை',
+            hearingLabel: (n) => `விசாரணை #${n}`,
+            greeting: (name) => `அன்புள்ள <strong>${name}</strong>,`,
+            intro: (caseName, caseNumber) => `உங்கள் வழக்கு <strong>${caseName}</strong>${caseNumber ? ` (வழக்கு எண்: ${caseNumber})` : ''}
+                        தொடர்பான இன்றைய நீதிமன்ற விசாரணையின் விரிவான அறிக்கையை இங்கே வழங்குகிறோம்.`,
+            hearingDate: 'விசாரணை தேதி:',
+            hearingNumber: 'விசாரணை எண்:',
+            caseStatus: 'வழக்கின் நிலை:',
+            whatHappened: '📝 இன்று நீதிமன்றத்தில் நடந்தது',
+            noOutcome: 'விசாரணை நடைபெற்றது. விவரங்கள் அடுத்த புதுப்பிப்பில் பகிரப்படும்.',
+            nextHearing: '📅 அடுத்த விசாரணை தேதி',
+            nextHearingNote: 'இந்த தேதியை உங்கள் நாட்காட்டியில் குறித்துக்கொள்ளவும். விசாரணைக்கு முன் நினைவூட்டல் அனுப்புவோம்.',
+            documentsTitle: '📄 உங்களிடமிருந்து தேவைப்படும் ஆவணங்கள்',
+            documentsIntro: 'நீதிமன்றம் பின்வரும் ஆவணங்களைக் கோரியுள்ளது. தயவுசெய்து விரைவில் வழங்கவும்:',
+            concludedTitle: '🎉 வழக்கு முடிவடைந்தது',
+            concludedText: 'உங்கள் வழக்கு வெற்றிகரமாக முடிவடைந்தது. உங்கள் சட்ட விஷயங்களில் எங்களை நம்பியதற்கு நன்றி.',
+            contactTitle: 'எங்களைத் தொடர்பு கொள்ள வேண்டுமா?',
+            contactText: `இந்த விசாரணை அல்லது உங்கள் வழக்கு பற்றி ஏதேனும் கேள்விகள் இருந்தால், இந்த மின்னஞ்சலுக்குப் பதிலளிக்கவும்
+                            அல்லது எங்கள் அலுவலகத்தை நேரடியாகத் தொடர்பு கொள்ளவும்.`,
+            regards: 'அன்புடன்,',
+            counsel: 'சட்ட ஆலோசகர்',
+            footer: 'இது சட்ட வழக்கு மேலாண்மை அமைப்பிலிருந்து அனுப்பப்பட்ட தானியங்கி விசாரணை அறிக்கை.',
+            generatedOn: (date) => `அறிக்கை உருவாக்கப்பட்டது: ${date}`
+        },
+        documentRequest: {
+            subject: (caseName) => `📄 தேவையான ஆவணங்கள் - ${caseName}`,
+            title: '📄 தேவையான ஆவணங்கள்',
+            tagline: 'உங்களிடமிருந்து நடவடிக்கை தேவை',
+            greeting: (name) => `அன்புள்ள <strong>${name}</strong>,`,
+            intro: (caseName) => `உங்கள் வழக்கு <strong>${caseName}</strong> க்காக நீதிமன்றம் சில ஆவணங்களைக் கோரியுள்ளது.
+                        நடவடிக்கைகளில் தாமதத்தைத் தவிர்க்க, தயவுசெய்து அவற்றை விரைவில் வழங்கவும்.`,
+            listTitle: '📋 தேவையான ஆவணங்கள்:',
+            howTitle: 'சமர்ப்பிக்கும் முறை:',
+            howText: 'ஆவணங்களை இணைத்து இந்த மின்னஞ்சலுக்குப் பதிலளிக்கலாம், அல்லது எங்கள் அலுவலகத்திற்குக் கொண்டு வரலாம்.',
+            questions: 'ஏதேனும் கேள்விகள் இருந்தால், எங்களைத் தொடர்பு கொள்ளவும்.'
+        }
+    }
+};
+
+/**
+ * Strings for one client email in the client's language
+ * @param {string} template - 'hearingReport' or 'documentRequest'
+ * @param {string} language - Preferred language (code or name)
+ * @returns {Object} Strings plus locale, statuses and the language used
+ */
+const getClientEmailStrings = (template, language) => {
+    const code = normaliseLanguage(language) || 'en';
+    const english = CLIENT_EMAIL_STRINGS.en;
+    const translated = CLIENT_EMAIL_STRINGS[code] || english;
+
+    return {
+        ...english[template],
+        ...translated[template],
+        language: code,
+        locale: translated.locale,
+        statuses: { ...english.statuses, ...translated.statuses }
+    };
+};
+
+module.exports = {
+    CLIENT_EMAIL_STRINGS,
+    getClientEmailStrings
+};
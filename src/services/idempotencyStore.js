@@ -0,0 +1,106 @@
+/**
+ * ============================================
+ * IDEMPOTENCY STORE
+ * Remembers responses so retried requests replay
+ * ============================================
+ *
+ * SpeakSpace retries webhooks. Without this, a retried
+ * voice note adds a second hearing row, bumps the hearing
+ * count twice and emails the client twice.
+ *
+ * Each key is held while its request runs (IN_PROGRESS)
+ * and then keeps the response for the replay window.
+ * Kept in memory only - the window is short.
+ */
+
+const DEFAULT_WINDOW_MS = (parseInt(process.env.IDEMPOTENCY_WINDOW_MINUTES) || 10) * 60 * 1000;
+
+const IDEMPOTENCY_STATUSES = {
+    IN_PROGRESS: 'IN_PROGRESS',
+    COMPLETED: 'COMPLETED'
+};
+
+/**
+ * Idempotency Store Class
+ */
+class IdempotencyStore {
+    constructor(options = {}) {
+        this.windowMs = options.windowMs || DEFAULT_WINDOW_MS;
+        this.entries = new Map();
+    }
+
+    /**
+     * Claim a key for a new request
+     * @param {string} key - Scoped idempotency key
+     * @param {string} fingerprint - Hash of the request body
+     * @returns {Object|null} Existing entry, or null if the key was claimed
+     */
+    begin(key, fingerprint) {
+        this.purgeExpired();
+
+        const existing = this.entries.get(key);
+        if (existing) return existing;
+
+        let settle;
+        const done = new Promise(resolve => { settle = resolve; });
+
+        this.entries.set(key, {
+            key,
+            fingerprint,
+            status: IDEMPOTENCY_STATUSES.IN_PROGRESS,
+            expires_at: Date.now() + this.windowMs,
+            done,
+            settle
+        });
+        return null;
+    }
+
+    /**
+     * Store the response for a claimed key
+     * @param {string} key - Scoped idempotency key
+     * @param {number} statusCode - HTTP status sent
+     * @param {Object} body - JSON body sent
+     */
+    complete(key, statusCode, body) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+
+        Object.assign(entry, {
+            status: IDEMPOTENCY_STATUSES.COMPLETED,
+            statusCode,
+            body,
+            expires_at: Date.now() + this.windowMs
+        });
+        entry.settle(entry);
+    }
+
+    /**
+     * Release a key whose request failed, so a retry runs again
+     * @param {string} key - Scoped idempotency key
+     */
+    release(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+
+        this.entries.delete(key);
+        entry.settle(null);
+    }
+
+    purgeExpired() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            if (entry.status === IDEMPOTENCY_STATUSES.COMPLETED && entry.expires_at < now) {
+                this.entries.delete(key);
+            }
+        }
+    }
+}
+
+// Shared store used by the idempotency middleware
+const idempotencyStore = new IdempotencyStore();
+
+module.exports = {
+    IdempotencyStore,
+    idempotencyStore,
+    IDEMPOTENCY_STATUSES
+};
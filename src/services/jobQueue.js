@@ -0,0 +1,190 @@
+/**
+ * ============================================
+ * JOB QUEUE - THE BACK OFFICE
+ * In-process queue for slow voice-note workflows
+ * ============================================
+ *
+ * A voice note can take several AI and Notion round-trips,
+ * longer than a mobile client is willing to wait. Async
+ * requests are queued here and answered with a job ID;
+ * the client polls /api/speakspace/jobs/:id for progress.
+ *
+ * Each attempt runs on a fresh WorkflowOrchestrator and
+ * every orchestrator step is mirrored into the job.
+ * Attempts that throw or return success: false (e.g. the
+ * AI provider timed out) are retried with backoff - per-case
+ * failures are already rolled back by the orchestrator.
+ */
+
+const { WorkflowOrchestrator } = require('./workflowOrchestrator');
+const { AppError } = require('../utils/errors');
+const { getCorrelationId, runWithCorrelationId } = require('../utils/requestContext');
+const { logger } = require('../utils/logger');
+const { generateId } = require('../utils/helpers');
+
+const JOB_STATUSES = {
+    QUEUED: 'QUEUED',
+    RUNNING: 'RUNNING',
+    RETRYING: 'RETRYING',
+    COMPLETED: 'COMPLETED',
+    FAILED: 'FAILED'
+};
+
+const DEFAULTS = {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+    retryDelayMs: parseInt(process.env.JOB_RETRY_DELAY_MS) || 2000,
+    maxQueued: parseInt(process.env.JOB_QUEUE_LIMIT) || 100,
+    retentionMs: (parseInt(process.env.JOB_RETENTION_MINUTES) || 60) * 60 * 1000
+};
+
+/**
+ * Job Queue Class
+ */
+class JobQueue {
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+        this.createOrchestrator = options.createOrchestrator || (user => new WorkflowOrchestrator(user));
+        this.jobs = new Map();
+        this.work = new Map();
+        this.waiting = [];
+        this.running = 0;
+    }
+
+    /**
+     * Queue a workflow for a user
+     * @param {Object} user - User context
+     * @param {Function} work - async (orchestrator) => result
+     * @returns {Object} Queued job
+     */
+    enqueue(user, work) {
+        this.purgeFinished();
+
+        if (this.waiting.length >= this.options.maxQueued) {
+            throw new AppError('Job queue is full. Please try again shortly.', 503, 'QUEUE_FULL');
+        }
+
+        const job = {
+            id: generateId(),
+            user_id: user.id,
+            user,
+            // Attempts run after the request is gone; keep its ID for the logs
+            correlation_id: getCorrelationId(),
+            status: JOB_STATUSES.QUEUED,
+            attempts: 0,
+            max_attempts: this.options.maxAttempts,
+            steps: [],
+            result: null,
+            error: null,
+            created_at: new Date().toISOString(),
+            started_at: null,
+            finished_at: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.work.set(job.id, work);
+        this.waiting.push(job.id);
+
+        logger.info('JobQueue: Job queued', { jobId: job.id, userId: user.id, waiting: this.waiting.length });
+
+        this.pump();
+        return job;
+    }
+
+    /**
+     * Get a job by ID
+     * @param {string} id - Job ID
+     * @returns {Object|null} Job or null
+     */
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * Start waiting jobs up to the concurrency limit
+     */
+    pump() {
+        while (this.running < this.options.concurrency && this.waiting.length > 0) {
+            const job = this.jobs.get(this.waiting.shift());
+            if (!job) continue;
+
+            this.running++;
+            this.execute(job).finally(() => {
+                this.running--;
+                this.pump();
+            });
+        }
+    }
+
+    /**
+     * Run one attempt of a job
+     */
+    async execute(job) {
+        job.status = JOB_STATUSES.RUNNING;
+        job.attempts++;
+        job.started_at = job.started_at || new Date().toISOString();
+
+        const orchestrator = this.createOrchestrator(job.user);
+        orchestrator.onStep = (entry) => job.steps.push({ attempt: job.attempts, ...entry });
+
+        let result = null;
+        let error = null;
+        let retryable = true;
+        try {
+            const work = this.work.get(job.id);
+            result = await runWithCorrelationId(job.correlation_id, () => work(orchestrator));
+            if (result?.success === false) {
+                error = result.error || 'Processing failed';
+            }
+        } catch (err) {
+            error = err.message;
+            // Client errors (unknown conversation, bad input) will not fix themselves
+            retryable = !(err.statusCode < 500);
+        }
+
+        if (error && retryable && job.attempts < job.max_attempts) {
+            const delay = this.options.retryDelayMs * 2 ** (job.attempts - 1);
+            job.status = JOB_STATUSES.RETRYING;
+            job.error = error;
+            job.next_attempt_at = new Date(Date.now() + delay).toISOString();
+
+            logger.warn('JobQueue: Attempt failed, retrying', { jobId: job.id, attempt: job.attempts, delay, error });
+
+            setTimeout(() => {
+                this.waiting.push(job.id);
+                this.pump();
+            }, delay).unref();
+            return;
+        }
+
+        job.status = error ? JOB_STATUSES.FAILED : JOB_STATUSES.COMPLETED;
+        job.result = result;
+        job.error = error;
+        job.next_attempt_at = undefined;
+        job.finished_at = new Date().toISOString();
+        this.work.delete(job.id);
+
+        logger.info('JobQueue: Job finished', { jobId: job.id, status: job.status, attempts: job.attempts });
+    }
+
+    /**
+     * Forget finished jobs older than the retention window
+     */
+    purgeFinished() {
+        const cutoff = Date.now() - this.options.retentionMs;
+        for (const [id, job] of this.jobs) {
+            if (job.finished_at && Date.parse(job.finished_at) < cutoff) {
+                this.jobs.delete(id);
+            }
+        }
+    }
+}
+
+// Shared queue used by the SpeakSpace routes
+const jobQueue = new JobQueue();
+
+module.exports = {
+    JobQueue,
+    jobQueue,
+    JOB_STATUSES
+};
@@ -0,0 +1,459 @@
+/**
+ * ============================================
+ * LOCAL CASE STORE - THE SAFE
+ * Cases kept in a JSON file on this server
+ * ============================================
+ *
+ * The "local" case store: no Notion workspace needed, nothing
+ * leaves the machine, and tests run without fakes. Each lawyer
+ * gets their own file, data/cases/<user id>.json (CASE_STORE_DIR),
+ * holding their cases with each case's hearings, history and
+ * attached evidence.
+ *
+ * Cases come back in the same shape NotionService returns, so the
+ * orchestrator and routes cannot tell the two apart. Every store
+ * for the same file shares one in-memory copy, and writes to the
+ * file are queued so concurrent requests do not overwrite each other.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { config } = require('../config');
+const { logger } = require('../utils/logger');
+const { CaseStore, changedFields } = require('./caseStore');
+const { CaseNotFoundError, CaseAlreadyExistsError } = require('../utils/errors');
+const { generateId, generateCaseNumber, formatDateForNotion } = require('../utils/helpers');
+
+/**
+ * Court-side text fields, copied as-is when present
+ */
+const LEGAL_TEXT_FIELDS = ['court', 'bench', 'judge', 'fir_number', 'opposing_party', 'opposing_counsel'];
+
+/**
+ * Loaded case files by path, shared by every store on that file
+ */
+const databases = new Map();
+
+/**
+ * Case as the rest of the app sees it (hearings, history and evidence stay inside)
+ */
+const toCase = ({ hearings, history, attachments, ...caseData }) => ({ ...caseData });
+
+const contains = (value, query) => (value || '').toLowerCase().includes(query);
+
+/**
+ * Whether a case passes getAllCases filters (see parseCaseFilters)
+ */
+const matchesFilters = (record, filters) =>
+    (!filters.status?.length || filters.status.includes(record.status)) &&
+    (!filters.client || contains(record.client_name, filters.client.toLowerCase())) &&
+    (!filters.assignee || contains(record.assigned_to, filters.assignee.toLowerCase())) &&
+    (!filters.created_by || contains(record.created_by, filters.created_by.toLowerCase())) &&
+    (!filters.hearing_from || (record.next_hearing && record.next_hearing >= filters.hearing_from)) &&
+    (!filters.hearing_to || (record.next_hearing && record.next_hearing <= filters.hearing_to));
+
+/**
+ * Compare two cases on a getAllCases sort; empty values go last, as in Notion
+ */
+const compareCases = (sort, order) => {
+    const field = sort === 'created' ? 'created_time' : sort;
+    const direction = order === 'asc' ? 1 : -1;
+
+    return (a, b) => {
+        const [x, y] = [a[field], b[field]];
+        if (x == null || x === '') return y == null || y === '' ? 0 : 1;
+        if (y == null || y === '') return -1;
+        return (typeof x === 'number' ? x - y : String(x).localeCompare(String(y))) * direction;
+    };
+};
+
+/**
+ * Local Case Store Class
+ */
+class LocalCaseStore extends CaseStore {
+    /**
+     * @param {Object} options - { userId, file } - file overrides <CASE_STORE_DIR>/<userId>.json
+     */
+    constructor(options = {}) {
+        super('Local store');
+        this.file = options.file || path.join(config.caseStore.localDir, `${options.userId || 'default'}.json`);
+    }
+
+    get searchIndexKey() {
+        return `local:${this.file}`;
+    }
+
+    /**
+     * Load the case file once per process
+     * @returns {Object} Shared database { cases: Map, queue }
+     */
+    async initialize() {
+        if (!databases.has(this.file)) {
+            databases.set(this.file, this.load());
+        }
+        return databases.get(this.file);
+    }
+
+    async load() {
+        const database = { cases: new Map(), queue: Promise.resolve() };
+
+        try {
+            const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+            for (const record of data.cases || []) {
+                database.cases.set(record.id, record);
+            }
+            logger.info('Local store: Loaded cases', { file: this.file, count: database.cases.size });
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('Local store: Failed to load cases', { file: this.file, error: error.message });
+            }
+        }
+
+        return database;
+    }
+
+    /**
+     * Write the whole file after the writes already queued
+     * Written to a temp file first so a crash never leaves half a file
+     */
+    async persist() {
+        const database = await this.initialize();
+
+        database.queue = database.queue.then(async () => {
+            try {
+                await fs.mkdir(path.dirname(this.file), { recursive: true });
+                const temp = `${this.file}.tmp`;
+                await fs.writeFile(temp, JSON.stringify({ cases: [...database.cases.values()] }, null, 2));
+                await fs.rename(temp, this.file);
+            } catch (error) {
+                logger.error('Local store: Failed to save cases', { file: this.file, error: error.message });
+            }
+        });
+
+        return database.queue;
+    }
+
+    /**
+     * Stored record for a case, hearings and history included
+     */
+    async getRecord(caseId) {
+        const database = await this.initialize();
+        const record = database.cases.get(caseId);
+
+        if (!record) {
+            throw new CaseNotFoundError(caseId);
+        }
+        return record;
+    }
+
+    /**
+     * Get case by ID
+     * @param {string} caseId - Case ID
+     * @returns {Object} Case data
+     */
+    async getCaseById(caseId) {
+        return toCase(await this.getRecord(caseId));
+    }
+
+    /**
+     * Create a new case
+     * @param {Object} caseData - Case data to create
+     * @param {Object} userContext - User context
+     * @returns {Object} Created case
+     */
+    async createCase(caseData, userContext) {
+        const database = await this.initialize();
+
+        const existingCase = await this.checkDuplicateCase(caseData);
+        if (existingCase) {
+            throw new CaseAlreadyExistsError(existingCase);
+        }
+
+        const caseNumber = caseData.case_number || generateCaseNumber();
+        const isDraft = caseData.missing_fields?.length > 0;
+        const status = isDraft ? config.caseStatuses.DRAFT : config.caseStatuses.ACTIVE;
+        const assignJunior = userContext.role === 'SENIOR' && caseData.assign_to_junior;
+        const now = new Date().toISOString();
+
+        const record = {
+            id: generateId(),
+            case_name: caseData.case_name || 'Untitled Case',
+            case_number: caseNumber,
+            status,
+            client_name: caseData.client_name || null,
+            client_email: caseData.client_email || null,
+            client_language: caseData.client_language || null,
+            junior_name: assignJunior ? (caseData.junior_name || userContext.junior_name || null) : null,
+            junior_email: assignJunior ? (caseData.junior_email || userContext.junior_email || null) : null,
+            summary: caseData.case_summary || null,
+            ...Object.fromEntries(LEGAL_TEXT_FIELDS.map(field => [field, caseData[field] || null])),
+            sections: caseData.sections || [],
+            latest_outcome: null,
+            documents_needed: caseData.documents_needed || [],
+            hearing_count: 0,
+            next_hearing: formatDateForNotion(caseData.next_hearing_date),
+            client_welcome_sent: false,
+            assigned_to: caseData.assign_to_junior && userContext.junior_name ? userContext.junior_name : userContext.name,
+            created_by: userContext.name,
+            last_updated: now,
+            created_time: now,
+            last_edited_time: now,
+            hearings: [],
+            history: [],
+            attachments: []
+        };
+
+        database.cases.set(record.id, record);
+        await this.addHistoryEntry(record.id, `Case created by ${userContext.name}`, userContext);
+
+        if (isDraft) {
+            await this.addHistoryEntry(record.id, `⚠️ Missing information: ${caseData.missing_fields.join(', ')}`, userContext);
+        }
+
+        logger.info('Local store: Case created', { caseId: record.id, caseNumber, isDraft });
+
+        return {
+            id: record.id,
+            case_number: caseNumber,
+            case_name: caseData.case_name,
+            status,
+            is_draft: isDraft,
+            missing_fields: caseData.missing_fields || []
+        };
+    }
+
+    /**
+     * Update an existing case
+     * Takes the same updates as NotionService.updateCase
+     * @param {string} caseId - Case ID
+     * @param {Object} updates - Fields to update
+     * @param {Object} userContext - User context
+     * @returns {Object} Updated case
+     */
+    async updateCase(caseId, updates, userContext) {
+        const record = await this.getRecord(caseId);
+
+        if (updates.status) record.status = updates.status;
+        if (updates.client_name) record.client_name = updates.client_name;
+        if (updates.client_email) record.client_email = updates.client_email;
+        if (updates.client_language) record.client_language = updates.client_language;
+        if (updates.case_summary) record.summary = updates.case_summary;
+        for (const field of LEGAL_TEXT_FIELDS) {
+            if (updates[field]) record[field] = updates[field];
+        }
+        if (updates.sections?.length > 0) record.sections = updates.sections;
+        if (updates.next_hearing_date) record.next_hearing = formatDateForNotion(updates.next_hearing_date);
+        if (updates.documents_needed?.length > 0) record.documents_needed = updates.documents_needed;
+        if (updates.increment_hearing) record.hearing_count = (record.hearing_count || 0) + 1;
+        if (updates.hearing_count !== undefined) record.hearing_count = updates.hearing_count;
+        if (updates.latest_outcome) record.latest_outcome = updates.latest_outcome;
+        if (updates.client_welcome_sent !== undefined) record.client_welcome_sent = updates.client_welcome_sent;
+
+        record.last_updated = new Date().toISOString();
+        record.last_edited_time = record.last_updated;
+
+        if (updates.outcome) {
+            await this.addHistoryEntry(caseId, updates.outcome, userContext);
+        } else {
+            await this.persist();
+        }
+
+        logger.info('Local store: Case updated', { caseId, updates: Object.keys(updates) });
+        return { id: caseId, ...updates };
+    }
+
+    /**
+     * Append a history entry to a case (never throws, like Notion)
+     * @param {string} caseId - Case ID
+     * @param {string} entry - History entry text
+     * @param {Object} userContext - User context
+     */
+    async addHistoryEntry(caseId, entry, userContext) {
+        try {
+            const record = await this.getRecord(caseId);
+            record.history.push({ timestamp: new Date().toISOString(), by: userContext.name, entry });
+            await this.persist();
+        } catch (error) {
+            logger.error('Local store: Failed to add history entry', { caseId, error: error.message });
+        }
+    }
+
+    /**
+     * History entries of a case, oldest first
+     * @param {string} caseId - Case ID
+     * @returns {Array} [{ timestamp, by, entry }]
+     */
+    async getHistoryEntries(caseId) {
+        const record = await this.getRecord(caseId);
+        return record.history.map(item => ({ ...item }));
+    }
+
+    /**
+     * Keep a reference to a voice note recording on the case
+     * @param {string} caseId - Case ID
+     * @param {Object} attachment - Evidence from audioFetcher
+     * @param {Object} userContext - User context
+     * @returns {boolean} Whether the attachment was added
+     */
+    async addAttachment(caseId, attachment, userContext) {
+        try {
+            const record = await this.getRecord(caseId);
+            const { filename, path: filePath, mime_type, size_bytes, sha256, source_url } = attachment;
+
+            record.attachments.push({
+                filename, path: filePath, mime_type, size_bytes, sha256, source_url,
+                added_by: userContext.name,
+                added_at: new Date().toISOString()
+            });
+            await this.persist();
+
+            logger.info('Local store: Evidence attached', { caseId, filename });
+            return true;
+
+        } catch (error) {
+            logger.error('Local store: Failed to attach evidence', { caseId, error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Add a hearing and update the case's latest outcome
+     * @param {string} caseId - Case ID
+     * @param {Object} hearingData - Hearing details
+     * @param {Object} userContext - User context
+     * @returns {Object} Created hearing record
+     */
+    async addHearing(caseId, hearingData, userContext) {
+        const record = await this.getRecord(caseId);
+        const hearingNumber = (record.hearing_count || 0) + 1;
+        const hearingDate = hearingData.date || new Date().toISOString().split('T')[0];
+
+        const hearing = {
+            id: generateId(),
+            hearing_number: `Hearing ${hearingNumber}`,
+            date: hearingDate,
+            description: hearingData.description || '',
+            outcome: hearingData.outcome || '',
+            next_steps: hearingData.next_steps || '',
+            documents: hearingData.documents || '',
+            court: hearingData.court || ''
+        };
+        record.hearings.push(hearing);
+
+        await this.updateCase(caseId, {
+            increment_hearing: true,
+            latest_outcome: hearingData.outcome || `Hearing ${hearingNumber} completed`,
+            next_hearing_date: hearingData.next_hearing_date
+        }, userContext);
+
+        await this.addHistoryEntry(caseId, `📋 Hearing ${hearingNumber}: ${hearingData.outcome || 'Completed'}`, userContext);
+
+        logger.info('Local store: Hearing added', { caseId, hearingNumber });
+
+        return {
+            hearing_id: hearing.id,
+            hearing_number: hearingNumber,
+            date: hearingDate,
+            outcome: hearingData.outcome
+        };
+    }
+
+    /**
+     * Insert a hearing row as-is - no counters, outcome or history change
+     * @param {string} caseId - Case ID
+     * @param {Object} hearing - Row as returned by getHearings (its id is not reused)
+     * @returns {Object} { hearing_id }
+     */
+    async addHearingRow(caseId, hearing) {
+        const record = await this.getRecord(caseId);
+        const { id, ...fields } = hearing;
+        const row = { ...fields, id: generateId() };
+
+        record.hearings.push(row);
+        await this.persist();
+
+        logger.info('Local store: Hearing row added', { caseId, hearingNumber: row.hearing_number });
+        return { hearing_id: row.id };
+    }
+
+    /**
+     * Get all hearings for a case (latest first)
+     * @param {string} caseId - Case ID
+     * @param {Object} options - { strict } - throw instead of returning [] when the read fails
+     * @returns {Array} List of hearings
+     */
+    async getHearings(caseId, options = {}) {
+        try {
+            const record = await this.getRecord(caseId);
+            return [...record.hearings].sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+        } catch (error) {
+            logger.error('Local store: Failed to get hearings', { caseId, error: error.message });
+            if (options.strict) throw error;
+            return [];
+        }
+    }
+
+    /**
+     * Put back the case fields that changed since a snapshot
+     * (empty snapshot values clear the field)
+     * @param {string} caseId - Case ID
+     * @param {Object} snapshot - Case as returned by getCaseById
+     * @param {Array} written - Fields the failed workflow wrote (default: all)
+     */
+    async restoreCase(caseId, snapshot, written) {
+        const record = await this.getRecord(caseId);
+        const fields = changedFields(record, snapshot, written);
+
+        for (const field of fields) {
+            if (field === 'sections' || field === 'documents_needed') {
+                record[field] = snapshot[field] || [];
+            } else if (field === 'hearing_count') {
+                record[field] = snapshot[field] || 0;
+            } else if (field === 'client_welcome_sent') {
+                record[field] = !!snapshot[field];
+            } else {
+                record[field] = snapshot[field] || null;
+            }
+        }
+        record.last_updated = new Date().toISOString();
+
+        await this.persist();
+        logger.info('Local store: Case restored', { caseId, fields });
+    }
+
+    /**
+     * Delete a case or a hearing row
+     * @param {string} id - Case or hearing ID
+     */
+    async archivePage(id) {
+        const database = await this.initialize();
+
+        if (!database.cases.delete(id)) {
+            const record = [...database.cases.values()].find(c => c.hearings.some(h => h.id === id));
+            if (!record) {
+                throw new CaseNotFoundError(id);
+            }
+            record.hearings = record.hearings.filter(h => h.id !== id);
+        }
+
+        await this.persist();
+        logger.info('Local store: Page archived', { id });
+    }
+
+    /**
+     * Get all cases (most recently updated first unless sorted otherwise)
+     * @param {Object} userContext - User context
+     * @param {Object} filters - Parsed filters (see parseCaseFilters in caseStore.js)
+     * @returns {Array} List of cases
+     */
+    async getAllCases(userContext, filters = {}) {
+        const database = await this.initialize();
+
+        return [...database.cases.values()]
+            .filter(record => matchesFilters(record, filters))
+            .sort(compareCases(filters.sort || 'last_updated', filters.order || 'desc'))
+            .map(toCase);
+    }
+}
+
+module.exports = { LocalCaseStore };
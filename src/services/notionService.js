@@ -10,21 +10,55 @@
 const { Client } = require('@notionhq/client');
 const { config } = require('../config');
 const { logger } = require('../utils/logger');
+const { traceMethods } = require('../utils/tracing');
+const { CaseStore, changedFields } = require('./caseStore');
 const { 
     CaseNotFoundError, 
-    DuplicateCaseError, 
     CaseAlreadyExistsError,
     ExternalServiceError 
 } = require('../utils/errors');
 const { 
     generateCaseNumber, 
-    formatDateForNotion, 
-    calculateSimilarity 
+    formatDateForNotion
 } = require('../utils/helpers');
+const { LANGUAGE_NAMES, normaliseLanguage } = require('../utils/languages');
+
+/**
+ * Court-side details of a case: case field -> config.notion.properties key
+ * (all plain text; "Sections" is a list and handled separately)
+ */
+const LEGAL_TEXT_FIELDS = {
+    court: 'court',
+    bench: 'bench',
+    judge: 'judge',
+    fir_number: 'firNumber',
+    opposing_party: 'opposingParty',
+    opposing_counsel: 'opposingCounsel'
+};
+
+/**
+ * getAllCases sort -> config.notion.properties key ("created" is the page timestamp)
+ */
+const SORT_PROPERTIES = {
+    last_updated: 'lastUpdated',
+    next_hearing: 'nextHearing',
+    case_name: 'caseName',
+    hearing_count: 'hearingCount'
+};
+
+// Most results Notion returns per query
+const PAGE_SIZE = 100;
 
 // The EXACT name of our database - only this database will be used
 const DATABASE_NAME = 'Legal Cases - SpeakSpace';
 
+// Calls that hit the Notion API, timed as "notion.<method>" spans
+const TRACED_METHODS = [
+    'initialize', 'searchCases', 'findCase', 'getCaseById', 'checkDuplicateCase',
+    'createCase', 'updateCase', 'addHistoryEntry', 'addHearing', 'getHearings',
+    'closeCase', 'restoreCase', 'archivePage', 'getAllCases'
+];
+
 // Database schema - what properties our Legal Cases database needs
 const DATABASE_SCHEMA = {
     name: DATABASE_NAME,
@@ -44,7 +78,23 @@ const DATABASE_SCHEMA = {
         },
         'Client Name': { rich_text: {} },
         'Client Email': { email: {} },
+        'Client Language': {
+            select: {
+                options: [
+                    { name: 'English', color: 'default' },
+                    { name: 'Hindi', color: 'orange' },
+                    { name: 'Tamil', color: 'purple' }
+                ]
+            }
+        },
         'Summary': { rich_text: {} },
+        'Court': { rich_text: {} },
+        'Bench': { rich_text: {} },
+        'Judge': { rich_text: {} },
+        'Sections': { rich_text: {} },
+        'FIR Number': { rich_text: {} },
+        'Opposing Party': { rich_text: {} },
+        'Opposing Counsel': { rich_text: {} },
         'Latest Outcome': { rich_text: {} },
         'Next Hearing': { date: {} },
         'Hearing Count': { number: {} },
@@ -63,9 +113,11 @@ const DATABASE_SCHEMA = {
  * Handles all Notion database operations
  * AUTO-CREATES the "Legal Cases - SpeakSpace" database if it doesn't exist
  * ALWAYS operates on this ONE database only - never touches other databases
+ * The "notion" case store (see caseStore.js)
  */
-class NotionService {
+class NotionService extends CaseStore {
     constructor(notionToken = null, databaseId = null) {
+        super('Notion');
         this.client = new Client({
             auth: notionToken || config.notion.apiKey
         });
@@ -74,6 +126,40 @@ class NotionService {
         this.databaseId = databaseId || config.notion.databaseId || null;
         this.props = config.notion.properties;
         this.initialized = false;
+        // Columns the database has, once known (see ensureDatabaseProperties)
+        this.columns = null;
+        
+        traceMethods(this, 'notion', TRACED_METHODS);
+    }
+    
+    /**
+     * Route every Notion API call through a rate limiter
+     * Calls rejected with rate_limited are retried with backoff
+     * @param {RateLimiter} limiter - Shared limiter (Notion allows ~3 req/s)
+     * @param {number} maxRetries - Retries after a rate_limited response
+     */
+    useRateLimiter(limiter, maxRetries = 3) {
+        const request = this.client.request.bind(this.client);
+        
+        const send = async (args, attempt = 0) => {
+            try {
+                return await limiter.schedule(() => request(args));
+            } catch (error) {
+                if (error.code !== 'rate_limited' || attempt >= maxRetries) throw error;
+                
+                const delay = 1000 * 2 ** attempt;
+                logger.warn('Notion: Rate limited, backing off', { path: args.path, delay });
+                await new Promise(resolve => setTimeout(resolve, delay));
+                return send(args, attempt + 1);
+            }
+        };
+        
+        this.client.request = send;
+        return this;
+    }
+    
+    get searchIndexKey() {
+        return `notion:${this.databaseId}`;
     }
     
     /**
@@ -97,6 +183,8 @@ class NotionService {
                         databaseId: this.databaseId,
                         name: db.title?.[0]?.plain_text 
                     });
+                    // Databases set up before newer columns (Court, Client Language...) get them added
+                    await this.ensureDatabaseProperties(db);
                     this.initialized = true;
                     return this.databaseId;
                 } catch (error) {
@@ -136,11 +224,14 @@ class NotionService {
     
     /**
      * Ensure database has all required properties (add missing ones)
+     * @param {Object} db - Database already retrieved, if any
      */
-    async ensureDatabaseProperties() {
+    async ensureDatabaseProperties(db = null) {
+        let existingProps = [];
+        
         try {
-            const db = await this.client.databases.retrieve({ database_id: this.databaseId });
-            const existingProps = Object.keys(db.properties);
+            db = db || await this.client.databases.retrieve({ database_id: this.databaseId });
+            existingProps = Object.keys(db.properties);
             const requiredProps = DATABASE_SCHEMA.properties;
             
             const missingProps = {};
@@ -160,12 +251,30 @@ class NotionService {
                     properties: Object.keys(missingProps) 
                 });
             }
+            this.columns = new Set([...existingProps, ...Object.keys(missingProps)]);
         } catch (error) {
             logger.warn('Notion: Could not update database properties', { error: error.message });
-            // Non-fatal - continue anyway
+            // Non-fatal - writes leave out the columns that are still missing
+            this.columns = existingProps.length > 0 ? new Set(existingProps) : null;
         }
     }
     
+    /**
+     * Drop properties the database does not have, so one missing
+     * column does not make Notion reject the whole write
+     * @param {Object} properties - Properties to write
+     * @returns {Object} Properties the database has
+     */
+    withExistingColumns(properties) {
+        if (!this.columns) return properties;
+        
+        const skipped = Object.keys(properties).filter(name => !this.columns.has(name));
+        if (skipped.length > 0) {
+            logger.warn('Notion: Skipping properties the database does not have', { properties: skipped });
+        }
+        return Object.fromEntries(Object.entries(properties).filter(([name]) => this.columns.has(name)));
+    }
+    
     /**
      * Find our EXACT database by name: "Legal Cases - SpeakSpace"
      * Will NOT match any other database
@@ -264,212 +373,6 @@ class NotionService {
         }
     }
     
-    /**
-     * Search for cases by name or number (Fuzzy Search)
-     * @param {string} query - Search query
-     * @returns {Array} Matching cases
-     */
-    async searchCases(query) {
-        // Ensure database is initialized
-        await this.initialize();
-        
-        logger.info('Notion: Searching for cases', { query });
-        
-        try {
-            // Extract keywords from query for better matching
-            const keywords = query.toLowerCase().split(/\s+/).filter(w => w.length > 2);
-            
-            // Search by case name (full query)
-            const nameResults = await this.client.databases.query({
-                database_id: this.databaseId,
-                filter: {
-                    property: this.props.caseName,
-                    title: {
-                        contains: query
-                    }
-                }
-            });
-            
-            // Search by case number
-            const numberResults = await this.client.databases.query({
-                database_id: this.databaseId,
-                filter: {
-                    property: this.props.caseNumber,
-                    rich_text: {
-                        contains: query
-                    }
-                }
-            });
-            
-            // Search by client name
-            const clientResults = await this.client.databases.query({
-                database_id: this.databaseId,
-                filter: {
-                    property: this.props.clientName,
-                    rich_text: {
-                        contains: query
-                    }
-                }
-            });
-            
-            // Also search by first keyword (often the client name like "Meera")
-            let keywordResults = { results: [] };
-            if (keywords.length > 0 && keywords[0].length > 3) {
-                keywordResults = await this.client.databases.query({
-                    database_id: this.databaseId,
-                    filter: {
-                        or: [
-                            {
-                                property: this.props.caseName,
-                                title: { contains: keywords[0] }
-                            },
-                            {
-                                property: this.props.clientName,
-                                rich_text: { contains: keywords[0] }
-                            }
-                        ]
-                    }
-                });
-            }
-            
-            // Combine and deduplicate results
-            const allResults = [...nameResults.results, ...numberResults.results, ...clientResults.results, ...keywordResults.results];
-            const uniqueResults = allResults.filter((item, index, self) =>
-                index === self.findIndex(t => t.id === item.id)
-            );
-            
-            logger.info('Notion: Search complete', { 
-                query, 
-                resultsCount: uniqueResults.length,
-                keywords: keywords.slice(0, 3)
-            });
-            
-            return uniqueResults.map(page => this.parseNotionPage(page));
-            
-        } catch (error) {
-            logger.error('Notion: Search failed', { error: error.message });
-            throw new ExternalServiceError('Notion', error.message);
-        }
-    }
-    
-    /**
-     * Find a single case (with duplicate detection)
-     * @param {string} lookupKey - Case name or number to find
-     * @returns {Object} Case data or throws error
-     */
-    async findCase(lookupKey) {
-        const results = await this.searchCases(lookupKey);
-        
-        if (results.length === 0) {
-            throw new CaseNotFoundError(lookupKey);
-        }
-        
-        if (results.length > 1) {
-            const searchLower = lookupKey.toLowerCase().trim();
-            const searchWords = searchLower.split(/\s+/).filter(w => w.length > 1);
-            
-            // Calculate match scores for each result
-            const scoredResults = results.map(r => {
-                const caseName = (r.case_name || '').toLowerCase();
-                const clientName = (r.client_name || '').toLowerCase();
-                const caseNumber = (r.case_number || '').toUpperCase();
-                
-                // Check for exact case number match
-                if (lookupKey.toUpperCase().includes(caseNumber) && caseNumber.length > 5) {
-                    return { ...r, similarity: 1.0, matchType: 'case_number' };
-                }
-                
-                // Check if ALL search words are in case name or client name
-                const caseNameWords = caseName.split(/\s+/);
-                const clientNameWords = clientName.split(/\s+/);
-                const allTargetWords = [...caseNameWords, ...clientNameWords];
-                
-                const matchingWords = searchWords.filter(sw => 
-                    allTargetWords.some(tw => tw.includes(sw) || sw.includes(tw))
-                );
-                
-                // If ALL search words match, high score
-                if (matchingWords.length === searchWords.length && searchWords.length >= 2) {
-                    return { ...r, similarity: 0.95, matchType: 'full_name_match' };
-                }
-                
-                // Partial match score
-                const matchRatio = searchWords.length > 0 ? matchingWords.length / searchWords.length : 0;
-                return { ...r, similarity: matchRatio * 0.7, matchType: 'partial' };
-            });
-            
-            // Sort by similarity (highest first)
-            scoredResults.sort((a, b) => b.similarity - a.similarity);
-            
-            const bestMatch = scoredResults[0];
-            const secondBest = scoredResults[1];
-            const gap = bestMatch.similarity - secondBest.similarity;
-            
-            logger.info('Notion: Disambiguation scores', {
-                search: lookupKey,
-                best: { name: bestMatch.case_name, sim: bestMatch.similarity, type: bestMatch.matchType },
-                second: { name: secondBest.case_name, sim: secondBest.similarity }
-            });
-            
-            // Auto-select if best match is significantly better OR high confidence
-            if (bestMatch.similarity >= 0.9 || (bestMatch.similarity >= 0.7 && gap >= 0.2)) {
-                logger.info('Notion: Auto-selected best match', {
-                    selected: bestMatch.case_name,
-                    similarity: bestMatch.similarity,
-                    gap: gap
-                });
-                return bestMatch;
-            }
-            
-            // Otherwise, throw duplicate error for user clarification
-            throw new DuplicateCaseError(results.map(r => ({
-                id: r.id,
-                case_name: r.case_name,
-                case_number: r.case_number
-            })));
-        }
-        
-        // Single result - but verify it's a good match before returning
-        const singleResult = results[0];
-        const searchLower = lookupKey.toLowerCase().trim();
-        const searchWords = searchLower.split(/\s+/).filter(w => w.length > 1);
-        
-        // Check if search words match the single result
-        const caseName = (singleResult.case_name || '').toLowerCase();
-        const clientName = (singleResult.client_name || '').toLowerCase();
-        const caseNumber = (singleResult.case_number || '').toUpperCase();
-        
-        // Exact case number match is always valid
-        if (lookupKey.toUpperCase().includes(caseNumber) && caseNumber.length > 5) {
-            return singleResult;
-        }
-        
-        // Check word matching
-        const allTargetWords = [...caseName.split(/\s+/), ...clientName.split(/\s+/)];
-        const matchingWords = searchWords.filter(sw => 
-            allTargetWords.some(tw => tw.includes(sw) || sw.includes(tw))
-        );
-        
-        // If at least 2 search words and ALL match, it's valid
-        if (searchWords.length >= 2 && matchingWords.length === searchWords.length) {
-            return singleResult;
-        }
-        
-        // If only 1 search word OR not all words match, the case wasn't found
-        // (e.g., "Priya Sharma" found "Priya Patel" - only "Priya" matches)
-        if (searchWords.length >= 2 && matchingWords.length < searchWords.length) {
-            logger.info('Notion: Single result does not fully match search', {
-                search: lookupKey,
-                found: singleResult.case_name,
-                matchingWords: matchingWords.length,
-                totalSearchWords: searchWords.length
-            });
-            throw new CaseNotFoundError(lookupKey);
-        }
-        
-        return singleResult;
-    }
-
     /**
      * Get case by Notion page ID
      * @param {string} pageId - Notion page ID
@@ -485,95 +388,6 @@ class NotionService {
         }
     }
     
-    /**
-     * Check if a similar case already exists (before creating new case)
-     * Checks for matching client name + case type/name pattern
-     * @param {Object} caseData - New case data to check
-     * @returns {Object|null} Existing case if found, null otherwise
-     */
-    async checkDuplicateCase(caseData) {
-        if (!caseData.client_name && !caseData.case_name) {
-            return null; // Nothing to check
-        }
-        
-        try {
-            // Search by client name first (most reliable)
-            let searchKey = caseData.client_name;
-            if (!searchKey && caseData.case_name) {
-                // Extract first two words from case name (often client name)
-                const words = caseData.case_name.split(/\s+/).filter(w => w.length > 2);
-                searchKey = words.slice(0, 2).join(' ');
-            }
-            
-            if (!searchKey || searchKey.length < 3) return null;
-            
-            const results = await this.searchCases(searchKey);
-            
-            if (results.length === 0) return null;
-            
-            // Check for exact or very close matches
-            for (const existing of results) {
-                const existingClientName = (existing.client_name || '').toLowerCase().trim();
-                const existingCaseName = (existing.case_name || '').toLowerCase().trim();
-                const newClientName = (caseData.client_name || '').toLowerCase().trim();
-                const newCaseName = (caseData.case_name || '').toLowerCase().trim();
-                
-                // Skip "Unknown Case" entries
-                if (existingCaseName.startsWith('unknown case')) continue;
-                
-                // ==============================================
-                // CRITICAL: If client names match EXACTLY, this is a duplicate
-                // Same client = update existing case, don't create new
-                // ==============================================
-                if (newClientName && existingClientName === newClientName) {
-                    logger.info('Notion: Duplicate detected - same client name', {
-                        existing: existing.case_name,
-                        existingClient: existingClientName,
-                        newCase: caseData.case_name
-                    });
-                    return existing;
-                }
-                
-                // Check if client name is contained in case name (e.g., "Arun Mehta" in "Arun Mehta Contract Breach")
-                if (newClientName && existingCaseName.includes(newClientName)) {
-                    logger.info('Notion: Duplicate detected - client name in case name', {
-                        existing: existing.case_name,
-                        searchedClient: newClientName
-                    });
-                    return existing;
-                }
-                
-                // Exact case name match = definitely duplicate
-                if (newCaseName && existingCaseName === newCaseName) {
-                    logger.info('Notion: Exact duplicate case name found', {
-                        existing: existing.case_name
-                    });
-                    return existing;
-                }
-                
-                // Very high similarity in case name = likely duplicate
-                const nameSimilarity = calculateSimilarity(existingCaseName, newCaseName);
-                if (nameSimilarity >= 0.85) {
-                    logger.info('Notion: Very similar case name found', {
-                        existing: existing.case_name,
-                        new: caseData.case_name,
-                        similarity: nameSimilarity
-                    });
-                    return existing;
-                }
-            }
-            
-            return null; // No duplicate found
-            
-        } catch (error) {
-            // Don't block creation if duplicate check fails
-            logger.warn('Notion: Duplicate check failed, proceeding with creation', { 
-                error: error.message 
-            });
-            return null;
-        }
-    }
-    
     /**
      * Create a new case
      * @param {Object} caseData - Case data to create
@@ -636,12 +450,20 @@ class NotionService {
                 };
             }
             
+            if (LANGUAGE_NAMES[caseData.client_language]) {
+                properties[this.props.clientLanguage] = {
+                    select: { name: LANGUAGE_NAMES[caseData.client_language] }
+                };
+            }
+            
             if (caseData.case_summary) {
                 properties[this.props.summary] = {
                     rich_text: [{ text: { content: caseData.case_summary } }]
                 };
             }
             
+            Object.assign(properties, this.buildLegalProperties(caseData));
+            
             // Handle junior assignment (only for seniors)
             if (userContext.role === 'SENIOR' && caseData.assign_to_junior) {
                 if (caseData.junior_name || userContext.junior_name) {
@@ -678,7 +500,7 @@ class NotionService {
             
             const page = await this.client.pages.create({
                 parent: { database_id: this.databaseId },
-                properties: properties
+                properties: this.withExistingColumns(properties)
             });
             
             // Add initial content block
@@ -750,6 +572,12 @@ class NotionService {
                 };
             }
             
+            if (LANGUAGE_NAMES[updates.client_language]) {
+                properties[this.props.clientLanguage] = {
+                    select: { name: LANGUAGE_NAMES[updates.client_language] }
+                };
+            }
+            
             // Update summary
             if (updates.case_summary) {
                 properties[this.props.summary] = {
@@ -757,6 +585,9 @@ class NotionService {
                 };
             }
             
+            // Update court, judge, sections, FIR and opposing side
+            Object.assign(properties, this.buildLegalProperties(updates));
+            
             // Update next hearing
             if (updates.next_hearing_date) {
                 properties[this.props.nextHearing] = {
@@ -779,6 +610,13 @@ class NotionService {
                 };
             }
             
+            // Set hearing count (recounted after a merge)
+            if (updates.hearing_count !== undefined) {
+                properties[this.props.hearingCount] = {
+                    number: updates.hearing_count
+                };
+            }
+            
             // Update latest outcome
             if (updates.latest_outcome) {
                 properties[this.props.latestOutcome] = {
@@ -801,7 +639,7 @@ class NotionService {
             if (Object.keys(properties).length > 0) {
                 await this.client.pages.update({
                     page_id: pageId,
-                    properties: properties
+                    properties: this.withExistingColumns(properties)
                 });
             }
             
@@ -869,7 +707,102 @@ class NotionService {
             // Don't throw - history is non-critical
         }
     }
-    
+
+    /**
+     * Read back the history entries written by addHistoryEntry, oldest first
+     * @param {string} pageId - Notion page ID
+     * @returns {Array} [{ timestamp, by, entry }]
+     */
+    async getHistoryEntries(pageId) {
+        const entries = [];
+        let cursor;
+
+        try {
+            do {
+                const response = await this.client.blocks.children.list({
+                    block_id: pageId,
+                    start_cursor: cursor,
+                    page_size: PAGE_SIZE
+                });
+
+                for (const block of response.results) {
+                    const parts = block.type === 'paragraph' ? block.paragraph.rich_text : [];
+                    const timestamp = parts[0]?.plain_text?.match(/^\[(.+)\] $/);
+                    const by = parts[1]?.plain_text?.match(/^\((.+)\) $/);
+                    if (timestamp && by) {
+                        entries.push({
+                            timestamp: timestamp[1],
+                            by: by[1],
+                            entry: parts.slice(2).map(part => part.plain_text).join('')
+                        });
+                    }
+                }
+
+                cursor = response.has_more ? response.next_cursor : undefined;
+            } while (cursor);
+
+            return entries;
+
+        } catch (error) {
+            logger.error('Notion: Failed to read history', { pageId, error: error.message });
+            throw new ExternalServiceError('Notion', error.message);
+        }
+    }
+
+    /**
+     * Attach a voice note recording to a case page as evidence
+     * Notion cannot take the file itself, so the page gets a caption with
+     * the stored file's name, size and SHA-256 plus a player for the source URL
+     * @param {string} pageId - Case page ID
+     * @param {Object} attachment - Evidence from audioFetcher (filename, size_bytes, sha256, source_url)
+     * @param {Object} userContext - User context
+     * @returns {boolean} Whether the attachment was added
+     */
+    async addAttachment(pageId, attachment, userContext) {
+        const sizeKb = Math.ceil(attachment.size_bytes / 1024);
+
+        try {
+            await this.client.blocks.children.append({
+                block_id: pageId,
+                children: [
+                    {
+                        object: 'block',
+                        type: 'paragraph',
+                        paragraph: {
+                            rich_text: [
+                                {
+                                    type: 'text',
+                                    text: { content: '🎙️ Voice note evidence: ' },
+                                    annotations: { bold: true }
+                                },
+                                {
+                                    type: 'text',
+                                    text: { content: `${attachment.filename} (${sizeKb} KB, SHA-256 ${attachment.sha256}) - added by ${userContext.name}` }
+                                }
+                            ]
+                        }
+                    },
+                    {
+                        object: 'block',
+                        type: 'audio',
+                        audio: {
+                            type: 'external',
+                            external: { url: attachment.source_url }
+                        }
+                    }
+                ]
+            });
+
+            logger.info('Notion: Evidence attached', { pageId, filename: attachment.filename });
+            return true;
+
+        } catch (error) {
+            logger.error('Notion: Failed to attach evidence', { error: error.message });
+            // Don't throw - the recording is still kept on disk
+            return false;
+        }
+    }
+
     /**
      * Create or get the Hearing History table inside a case page
      * Each case has its own hearing history table as a child database
@@ -944,29 +877,7 @@ class NotionService {
             
             const hearingRecord = await this.client.pages.create({
                 parent: { database_id: hearingDbId },
-                properties: {
-                    'Hearing #': {
-                        title: [{ text: { content: `Hearing ${hearingNumber}` } }]
-                    },
-                    'Date': {
-                        date: { start: hearingDate }
-                    },
-                    'Description': {
-                        rich_text: [{ text: { content: hearingData.description || '' } }]
-                    },
-                    'Outcome': {
-                        rich_text: [{ text: { content: hearingData.outcome || '' } }]
-                    },
-                    'Next Steps': {
-                        rich_text: [{ text: { content: hearingData.next_steps || '' } }]
-                    },
-                    'Documents Submitted': {
-                        rich_text: [{ text: { content: hearingData.documents || '' } }]
-                    },
-                    'Judge/Court': {
-                        rich_text: [{ text: { content: hearingData.court || '' } }]
-                    }
-                }
+                properties: this.buildHearingProperties(`Hearing ${hearingNumber}`, hearingDate, hearingData)
             });
             
             // Update the main case with latest outcome and increment hearing count
@@ -1005,20 +916,76 @@ class NotionService {
     }
     
     /**
-     * Get all hearings for a case
+     * Insert a hearing row as-is - no counters, outcome or history change
+     * Used to move rows between cases
      * @param {string} casePageId - The case page ID
-     * @returns {Array} List of hearings
+     * @param {Object} hearing - Row as returned by getHearings
+     * @returns {Object} { hearing_id }
      */
-    async getHearings(casePageId) {
+    async addHearingRow(casePageId, hearing) {
         try {
             const hearingDbId = await this.getOrCreateHearingTable(casePageId);
             
-            const response = await this.client.databases.query({
-                database_id: hearingDbId,
-                sorts: [{ property: 'Date', direction: 'descending' }]
+            const hearingRecord = await this.client.pages.create({
+                parent: { database_id: hearingDbId },
+                properties: this.buildHearingProperties(hearing.hearing_number, hearing.date, hearing)
             });
             
-            return response.results.map(page => ({
+            logger.info('Notion: Hearing row added', { casePageId, hearingNumber: hearing.hearing_number });
+            
+            return { hearing_id: hearingRecord.id };
+            
+        } catch (error) {
+            logger.error('Notion: Failed to add hearing row', { error: error.message });
+            throw new ExternalServiceError('Notion', `Failed to add hearing row: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Properties of a Hearing History row
+     * @param {string} title - "Hearing 3"
+     * @param {string} date - YYYY-MM-DD
+     * @param {Object} hearingData - description, outcome, next_steps, documents, court
+     * @returns {Object} Notion properties
+     */
+    buildHearingProperties(title, date, hearingData) {
+        const text = (value) => ({ rich_text: [{ text: { content: value || '' } }] });
+        
+        return {
+            'Hearing #': { title: [{ text: { content: title } }] },
+            'Date': date ? { date: { start: date } } : { date: null },
+            'Description': text(hearingData.description),
+            'Outcome': text(hearingData.outcome),
+            'Next Steps': text(hearingData.next_steps),
+            'Documents Submitted': text(hearingData.documents),
+            'Judge/Court': text(hearingData.court)
+        };
+    }
+    
+    /**
+     * Get all hearings for a case (latest first)
+     * @param {string} casePageId - The case page ID
+     * @param {Object} options - { strict } - throw instead of returning [] when the read fails
+     * @returns {Array} List of hearings
+     */
+    async getHearings(casePageId, options = {}) {
+        try {
+            const hearingDbId = await this.getOrCreateHearingTable(casePageId);
+            const pages = [];
+            let cursor;
+            
+            do {
+                const response = await this.client.databases.query({
+                    database_id: hearingDbId,
+                    sorts: [{ property: 'Date', direction: 'descending' }],
+                    start_cursor: cursor,
+                    page_size: PAGE_SIZE
+                });
+                pages.push(...response.results);
+                cursor = response.has_more ? response.next_cursor : undefined;
+            } while (cursor);
+            
+            return pages.map(page => ({
                 id: page.id,
                 hearing_number: page.properties['Hearing #']?.title?.[0]?.text?.content || '',
                 date: page.properties['Date']?.date?.start || '',
@@ -1031,21 +998,109 @@ class NotionService {
             
         } catch (error) {
             logger.error('Notion: Failed to get hearings', { error: error.message });
+            if (options.strict) {
+                throw new ExternalServiceError('Notion', `Failed to get hearings: ${error.message}`);
+            }
             return [];
         }
     }
 
     /**
-     * Archive/close a case
+     * Restore case properties from a snapshot taken before an update
+     * Only properties that changed since the snapshot are written, and
+     * unlike updateCase, empty snapshot fields are cleared again
      * @param {string} pageId - Notion page ID
-     * @param {Object} userContext - User context
+     * @param {Object} snapshot - Case as returned by getCaseById
+     * @param {Array} written - Fields the failed workflow wrote (default: all)
+     */
+    async restoreCase(pageId, snapshot, written) {
+        await this.initialize();
+        
+        const text = (value) => ({
+            rich_text: value ? [{ text: { content: value } }] : []
+        });
+        const restored = {
+            status: [this.props.status, { select: snapshot.status ? { name: snapshot.status } : null }],
+            client_name: [this.props.clientName, text(snapshot.client_name)],
+            client_email: [this.props.clientEmail, { email: snapshot.client_email || null }],
+            client_language: [this.props.clientLanguage, { select: LANGUAGE_NAMES[snapshot.client_language] ? { name: LANGUAGE_NAMES[snapshot.client_language] } : null }],
+            summary: [this.props.summary, text(snapshot.summary)],
+            ...Object.fromEntries(Object.entries(LEGAL_TEXT_FIELDS)
+                .map(([field, prop]) => [field, [this.props[prop], text(snapshot[field])]])),
+            sections: [this.props.sections, text(snapshot.sections?.join(', '))],
+            latest_outcome: [this.props.latestOutcome, text(snapshot.latest_outcome)],
+            next_hearing: [this.props.nextHearing, { date: snapshot.next_hearing ? { start: snapshot.next_hearing } : null }],
+            hearing_count: [this.props.hearingCount, { number: snapshot.hearing_count || 0 }],
+            documents_needed: [this.props.documentsNeeded, text(snapshot.documents_needed?.join(', '))],
+            client_welcome_sent: [this.props.clientWelcomeSent, { checkbox: !!snapshot.client_welcome_sent }]
+        };
+        
+        try {
+            const fields = changedFields(await this.getCaseById(pageId), snapshot, written);
+            if (fields.length === 0) {
+                logger.info('Notion: Case unchanged, nothing to restore', { pageId });
+                return;
+            }
+            
+            await this.client.pages.update({
+                page_id: pageId,
+                properties: this.withExistingColumns({
+                    ...Object.fromEntries(fields.map(field => restored[field])),
+                    [this.props.lastUpdated]: text(new Date().toISOString())
+                })
+            });
+            
+            logger.info('Notion: Case restored', { pageId, fields });
+            
+        } catch (error) {
+            logger.error('Notion: Failed to restore case', { pageId, error: error.message });
+            throw new ExternalServiceError('Notion', error.message);
+        }
+    }
+
+    
+    /**
+     * Archive a page (e.g. a hearing row) - Notion's delete
+     * @param {string} pageId - Notion page ID
+     */
+    async archivePage(pageId) {
+        try {
+            await this.client.pages.update({
+                page_id: pageId,
+                archived: true
+            });
+            
+            logger.info('Notion: Page archived', { pageId });
+            
+        } catch (error) {
+            logger.error('Notion: Failed to archive page', { pageId, error: error.message });
+            throw new ExternalServiceError('Notion', error.message);
+        }
+    }
+    
+    /**
+     * Notion properties for the court-side fields present on a case or update
+     * @param {Object} data - Case data or updates
+     * @returns {Object} Properties to write
      */
-    async closeCase(pageId, userContext) {
-        await this.updateCase(pageId, {
-            status: config.caseStatuses.CLOSED
-        }, userContext);
+    buildLegalProperties(data) {
+        const properties = {};
+        
+        for (const [field, prop] of Object.entries(LEGAL_TEXT_FIELDS)) {
+            if (data[field]) {
+                properties[this.props[prop]] = {
+                    rich_text: [{ text: { content: data[field] } }]
+                };
+            }
+        }
         
-        await this.addHistoryEntry(pageId, '✅ Case closed/finalized', userContext);
+        if (data.sections?.length > 0) {
+            properties[this.props.sections] = {
+                rich_text: [{ text: { content: data.sections.join(', ') } }]
+            };
+        }
+        
+        return properties;
     }
     
     /**
@@ -1063,9 +1118,14 @@ class NotionService {
             status: props[this.props.status]?.select?.name,
             client_name: this.getRichText(props[this.props.clientName]),
             client_email: props[this.props.clientEmail]?.email,
+            client_language: normaliseLanguage(props[this.props.clientLanguage]?.select?.name),
             junior_name: this.getRichText(props[this.props.juniorName]),
             junior_email: props[this.props.juniorEmail]?.email,
             summary: this.getRichText(props[this.props.summary]),
+            ...Object.fromEntries(Object.entries(LEGAL_TEXT_FIELDS)
+                .map(([field, prop]) => [field, this.getRichText(props[this.props[prop]])])),
+            sections: this.getRichText(props[this.props.sections])?.split(', ').filter(Boolean) || [],
+            latest_outcome: this.getRichText(props[this.props.latestOutcome]),
             documents_needed: this.getRichText(props[this.props.documentsNeeded])?.split(', ').filter(Boolean),
             hearing_count: props[this.props.hearingCount]?.number || 0,
             next_hearing: props[this.props.nextHearing]?.date?.start,
@@ -1093,23 +1153,84 @@ class NotionService {
     }
     
     /**
-     * Get all cases for a user
+     * Notion filter for getAllCases filters (see parseCaseFilters)
+     * @param {Object} filters - Parsed filters
+     * @returns {Object|undefined} Filter object, or undefined for no filter
+     */
+    buildCaseFilter(filters = {}) {
+        const conditions = [];
+        
+        if (filters.status?.length > 0) {
+            const statuses = filters.status.map(name => ({
+                property: this.props.status,
+                select: { equals: name }
+            }));
+            conditions.push(statuses.length === 1 ? statuses[0] : { or: statuses });
+        }
+        
+        const textFilters = { client: 'clientName', assignee: 'assignedTo', created_by: 'createdBy' };
+        for (const [field, prop] of Object.entries(textFilters)) {
+            if (filters[field]) {
+                conditions.push({ property: this.props[prop], rich_text: { contains: filters[field] } });
+            }
+        }
+        
+        if (filters.hearing_from) {
+            conditions.push({ property: this.props.nextHearing, date: { on_or_after: filters.hearing_from } });
+        }
+        if (filters.hearing_to) {
+            conditions.push({ property: this.props.nextHearing, date: { on_or_before: filters.hearing_to } });
+        }
+        
+        if (conditions.length === 0) return undefined;
+        return conditions.length === 1 ? conditions[0] : { and: conditions };
+    }
+    
+    /**
+     * Notion sorts for getAllCases filters
+     * @param {Object} filters - Parsed filters
+     * @returns {Array} Sort objects
+     */
+    buildCaseSorts(filters = {}) {
+        const direction = filters.order === 'asc' ? 'ascending' : 'descending';
+        const sort = filters.sort || 'last_updated';
+        
+        return [sort === 'created'
+            ? { timestamp: 'created_time', direction }
+            : { property: this.props[SORT_PROPERTIES[sort]], direction }];
+    }
+    
+    /**
+     * Get all cases for a user, following next_cursor until the last page
      * @param {Object} userContext - User context
+     * @param {Object} filters - Parsed filters (see parseCaseFilters in caseStore.js)
      * @returns {Array} List of cases
      */
-    async getAllCases(userContext) {
+    async getAllCases(userContext, filters = {}) {
         // Ensure database is initialized
         await this.initialize();
         
         try {
-            const response = await this.client.databases.query({
-                database_id: this.databaseId,
-                sorts: [
-                    { property: 'Last Updated', direction: 'descending' }
-                ]
-            });
+            const filter = this.buildCaseFilter(filters);
+            const pages = [];
+            let cursor;
+            
+            do {
+                const response = await this.client.databases.query({
+                    database_id: this.databaseId,
+                    ...(filter && { filter }),
+                    sorts: this.buildCaseSorts(filters),
+                    page_size: PAGE_SIZE,
+                    ...(cursor && { start_cursor: cursor })
+                });
+                
+                pages.push(...response.results);
+                cursor = response.has_more ? response.next_cursor : null;
+            } while (cursor);
+            
+            logger.info('Notion: Listed cases', { count: pages.length, filtered: !!filter });
             
-            return response.results.map(page => this.parseNotionPage(page));
+            return pages.map(page => this.parseNotionPage(page));
             
         } catch (error) {
             logger.error('Notion: Failed to get all cases', { error: error.message });
@@ -0,0 +1,197 @@
+/**
+ * ============================================
+ * PENDING ACTION STORE
+ * Voice-note plans parked for lawyer approval
+ * ============================================
+ *
+ * A pending action holds the AI extraction and the
+ * preview plan for one voice note. Nothing in it has
+ * been executed yet - the lawyer confirms, edits or
+ * rejects it through /api/speakspace/pending/:id.
+ *
+ * Kept in memory and mirrored to data/pending so a
+ * restart does not lose plans awaiting approval. Actions
+ * stay one TTL after they close or expire, then are
+ * purged when the folder is next loaded.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { generateId } = require('../utils/helpers');
+
+const PENDING_STATUSES = {
+    PENDING: 'PENDING',
+    CONFIRMED: 'CONFIRMED',
+    REJECTED: 'REJECTED',
+    FAILED: 'FAILED',
+    EXPIRED: 'EXPIRED'
+};
+
+const DEFAULT_TTL_MS = (parseInt(process.env.PENDING_ACTION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+/**
+ * Pending Action Store Class
+ */
+class PendingActionStore {
+    constructor(options = {}) {
+        this.directory = options.directory || path.join(__dirname, '../../data/pending');
+        this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+        this.actions = new Map();
+        // Set by the first load; every caller waits on the same read
+        this.loading = null;
+    }
+
+    /**
+     * Park a new pending action
+     * @param {Object} data - { user_id, transcription, extraction, plan, summary }
+     * @returns {Object} Stored pending action
+     */
+    async create(data) {
+        await this.load();
+
+        const now = Date.now();
+        const action = {
+            id: generateId(),
+            status: PENDING_STATUSES.PENDING,
+            created_at: new Date(now).toISOString(),
+            updated_at: new Date(now).toISOString(),
+            expires_at: new Date(now + this.ttlMs).toISOString(),
+            ...data
+        };
+
+        this.actions.set(action.id, action);
+        await this.persist(action);
+
+        logger.info('PendingActions: Created', { id: action.id, userId: action.user_id });
+        return action;
+    }
+
+    /**
+     * Get a pending action by ID
+     * Expired actions are flagged on read
+     * @param {string} id - Pending action ID
+     * @returns {Object|null} Pending action or null
+     */
+    async get(id) {
+        await this.load();
+
+        const action = this.actions.get(id);
+        if (!action) return null;
+
+        if (action.status === PENDING_STATUSES.PENDING && Date.parse(action.expires_at) < Date.now()) {
+            return this.update(id, { status: PENDING_STATUSES.EXPIRED });
+        }
+
+        return action;
+    }
+
+    /**
+     * Update fields on a pending action
+     * @param {string} id - Pending action ID
+     * @param {Object} changes - Fields to merge
+     * @returns {Object|null} Updated action
+     */
+    async update(id, changes) {
+        const action = this.actions.get(id);
+        if (!action) return null;
+
+        Object.assign(action, changes, { updated_at: new Date().toISOString() });
+        await this.persist(action);
+        return action;
+    }
+
+    /**
+     * List pending actions for a user (newest first)
+     * @param {string} userId - User ID
+     * @param {string} status - Optional status filter
+     * @returns {Array} Pending actions
+     */
+    async listForUser(userId, status = null) {
+        await this.load();
+
+        const results = [];
+        for (const action of this.actions.values()) {
+            if (action.user_id !== userId) continue;
+            const current = await this.get(action.id);
+            if (status && current.status !== status) continue;
+            results.push(current);
+        }
+
+        return results.sort((a, b) => b.created_at.localeCompare(a.created_at));
+    }
+
+    /**
+     * Persist a single action to disk
+     */
+    async persist(action) {
+        try {
+            await fs.mkdir(this.directory, { recursive: true });
+            await fs.writeFile(
+                path.join(this.directory, `${action.id}.json`),
+                JSON.stringify(action, null, 2)
+            );
+        } catch (error) {
+            logger.error('PendingActions: Failed to persist', { id: action.id, error: error.message });
+        }
+    }
+
+    /**
+     * Load persisted actions once per process
+     * Requests arriving while the folder is read wait for it
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = this.readPersisted();
+        }
+        return this.loading;
+    }
+
+    async readPersisted() {
+        let files;
+        try {
+            files = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('PendingActions: Failed to load persisted actions', { error: error.message });
+            }
+            return;
+        }
+
+        for (const file of files.filter(f => f.endsWith('.json'))) {
+            const filePath = path.join(this.directory, file);
+            let action;
+            try {
+                action = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            } catch (error) {
+                // One bad file must not hide the others
+                logger.warn('PendingActions: Skipping unreadable action', { file, error: error.message });
+                continue;
+            }
+
+            if (this.isPurgeable(action)) {
+                await fs.unlink(filePath).catch(error =>
+                    logger.warn('PendingActions: Failed to purge action', { file, error: error.message }));
+            } else if (!this.actions.has(action.id)) {
+                this.actions.set(action.id, action);
+            }
+        }
+    }
+
+    /**
+     * An action is kept one TTL after it closed (or, still pending, expired)
+     */
+    isPurgeable(action) {
+        const closedAt = action.status === PENDING_STATUSES.PENDING ? action.expires_at : action.updated_at;
+        return Date.parse(closedAt) + this.ttlMs < Date.now();
+    }
+}
+
+// Shared store used by routes and the orchestrator
+const pendingActionStore = new PendingActionStore();
+
+module.exports = {
+    PendingActionStore,
+    pendingActionStore,
+    PENDING_STATUSES
+};
@@ -0,0 +1,282 @@
+/**
+ * ============================================
+ * PREVIEW SERVICES - THE DRY RUN
+ * Stand-ins for Notion, Calendar and Email that
+ * record what WOULD happen instead of doing it
+ * ============================================
+ */
+
+const { EmailService } = require('./emailService');
+const { config } = require('../config');
+const { CaseAlreadyExistsError } = require('../utils/errors');
+const { formatDateForNotion } = require('../utils/helpers');
+
+/**
+ * Placeholder used where the real value is only known after execution
+ */
+const ASSIGNED_ON_CREATE = '(assigned on create)';
+
+/**
+ * Create an empty execution plan
+ * @returns {Object} Plan with one list per side-effect type
+ */
+const createEmptyPlan = () => ({
+    notion: [],
+    hearings: [],
+    calendar: [],
+    emails: []
+});
+
+/**
+ * Preview Notion Service
+ * Reads go to the real service (so case lookup is accurate),
+ * writes are recorded into the plan
+ */
+class PreviewNotionService {
+    constructor(target, plan) {
+        this.target = target;
+        this.plan = plan;
+        this.caseNames = new Map();
+        this.previewCounter = 0;
+    }
+
+    remember(caseData) {
+        if (caseData?.id) {
+            this.caseNames.set(caseData.id, caseData.case_name);
+        }
+        return caseData;
+    }
+
+    async searchCases(query) {
+        const results = await this.target.searchCases(query);
+        results.forEach(r => this.remember(r));
+        return results;
+    }
+
+    async findCase(lookupKey) {
+        return this.remember(await this.target.findCase(lookupKey));
+    }
+
+    async getCaseById(pageId) {
+        if (pageId.startsWith('preview-')) {
+            return { id: pageId, case_name: this.caseNames.get(pageId), hearing_count: 0 };
+        }
+        return this.remember(await this.target.getCaseById(pageId));
+    }
+
+    async getHearings(casePageId, options) {
+        if (casePageId.startsWith('preview-')) return [];
+        return this.target.getHearings(casePageId, options);
+    }
+
+    async checkDuplicateCase(caseData) {
+        return this.target.checkDuplicateCase(caseData);
+    }
+
+    async createCase(caseData, userContext) {
+        // Same duplicate guard the real createCase applies
+        const existingCase = await this.target.checkDuplicateCase(caseData);
+        if (existingCase) {
+            throw new CaseAlreadyExistsError(existingCase);
+        }
+
+        const isDraft = caseData.missing_fields?.length > 0;
+        const id = `preview-case-${++this.previewCounter}`;
+        this.caseNames.set(id, caseData.case_name);
+
+        this.plan.notion.push({
+            operation: 'CREATE_CASE',
+            case_id: id,
+            case_name: caseData.case_name || 'Untitled Case',
+            case_number: caseData.case_number || ASSIGNED_ON_CREATE,
+            status: isDraft ? config.caseStatuses.DRAFT : config.caseStatuses.ACTIVE,
+            client_name: caseData.client_name || null,
+            client_email: caseData.client_email || null,
+            client_language: caseData.client_language || null,
+            missing_fields: caseData.missing_fields || [],
+            created_by: userContext.name
+        });
+
+        return {
+            id,
+            case_number: caseData.case_number || ASSIGNED_ON_CREATE,
+            case_name: caseData.case_name,
+            status: isDraft ? config.caseStatuses.DRAFT : config.caseStatuses.ACTIVE,
+            is_draft: isDraft,
+            missing_fields: caseData.missing_fields || []
+        };
+    }
+
+    async updateCase(pageId, updates) {
+        this.plan.notion.push({
+            operation: 'UPDATE_CASE',
+            case_id: pageId,
+            case_name: this.caseNames.get(pageId) || null,
+            fields: { ...updates }
+        });
+        return { id: pageId, ...updates };
+    }
+
+    async addHearing(casePageId, hearingData) {
+        const currentCase = await this.getCaseById(casePageId);
+        const hearingNumber = (currentCase.hearing_count || 0) + 1;
+        const hearingDate = hearingData.date || new Date().toISOString().split('T')[0];
+
+        this.plan.hearings.push({
+            case_id: casePageId,
+            case_name: currentCase.case_name,
+            hearing_number: hearingNumber,
+            date: hearingDate,
+            description: hearingData.description || '',
+            outcome: hearingData.outcome || '',
+            next_steps: hearingData.next_steps || '',
+            documents: hearingData.documents || '',
+            court: hearingData.court || '',
+            // addHearing also bumps the case itself
+            case_updates: {
+                hearing_count: hearingNumber,
+                latest_outcome: hearingData.outcome || `Hearing ${hearingNumber} completed`,
+                next_hearing_date: hearingData.next_hearing_date
+                    ? formatDateForNotion(hearingData.next_hearing_date)
+                    : null
+            }
+        });
+
+        return {
+            hearing_id: null,
+            hearing_number: hearingNumber,
+            date: hearingDate,
+            outcome: hearingData.outcome
+        };
+    }
+
+    async addHistoryEntry(pageId, entry) {
+        this.plan.notion.push({
+            operation: 'ADD_HISTORY_ENTRY',
+            case_id: pageId,
+            case_name: this.caseNames.get(pageId) || null,
+            entry
+        });
+    }
+
+    async addAttachment(pageId, attachment) {
+        this.plan.notion.push({
+            operation: 'ADD_ATTACHMENT',
+            case_id: pageId,
+            case_name: this.caseNames.get(pageId) || null,
+            filename: attachment.filename,
+            size_bytes: attachment.size_bytes
+        });
+        return true;
+    }
+
+    async closeCase(pageId) {
+        this.plan.notion.push({
+            operation: 'CLOSE_CASE',
+            case_id: pageId,
+            case_name: this.caseNames.get(pageId) || null,
+            status: config.caseStatuses.CLOSED
+        });
+    }
+}
+
+/**
+ * Preview Calendar Service
+ * Records events instead of inserting them
+ */
+class PreviewCalendarService {
+    constructor(target, plan) {
+        this.target = target;
+        this.plan = plan;
+        this.isConfigured = target.isConfigured;
+    }
+
+    record(entry) {
+        if (!this.isConfigured) {
+            entry.skipped = true;
+            entry.reason = 'Calendar not configured';
+        }
+        this.plan.calendar.push(entry);
+        return this.isConfigured
+            ? { preview: true, summary: entry.summary }
+            : { skipped: true, reason: 'Calendar not configured' };
+    }
+
+    async createHearingEvent(eventData, userContext) {
+        return this.record({
+            type: 'HEARING',
+            summary: `[Court] ${eventData.case_name} Hearing`,
+            date: eventData.date,
+            time: eventData.time || '09:00',
+            location: eventData.court_location || 'Court',
+            attendees: this.target.buildAttendeesList(eventData, userContext).map(a => a.email)
+        });
+    }
+
+    async createDocumentReminder(reminderData) {
+        return this.record({
+            type: 'DOCUMENT_REMINDER',
+            summary: `📄 [Documents] ${reminderData.case_name}`,
+            date: reminderData.due_date || 'in 3 days',
+            documents: reminderData.documents_needed || reminderData.documents || []
+        });
+    }
+
+    async deleteEvent() {
+        return false;
+    }
+}
+
+/**
+ * Preview Email Service
+ * Renders every email exactly like the real service, but
+ * captures recipient and subject instead of sending
+ */
+class PreviewEmailService extends EmailService {
+    constructor(target, plan) {
+        super();
+        this.plan = plan;
+        this.willSend = target.isConfigured;
+        // Pretend to be configured so every template is rendered
+        this.isConfigured = true;
+        this.transporter = null;
+    }
+
+    async sendEmail(options) {
+        const entry = {
+            to: options.to,
+            subject: options.subject
+        };
+        if (!this.willSend) {
+            entry.skipped = true;
+            entry.reason = 'Email not configured';
+        }
+        this.plan.emails.push(entry);
+
+        return {
+            success: true,
+            preview: true,
+            to: options.to
+        };
+    }
+}
+
+/**
+ * Wrap real services with their preview stand-ins
+ * @param {Object} services - { notion, calendar, email } real instances
+ * @param {Object} plan - Plan to record into
+ * @returns {Object} Preview services
+ */
+const createPreviewServices = ({ notion, calendar, email }, plan) => ({
+    notion: new PreviewNotionService(notion, plan),
+    calendar: new PreviewCalendarService(calendar, plan),
+    email: new PreviewEmailService(email, plan)
+});
+
+module.exports = {
+    createEmptyPlan,
+    createPreviewServices,
+    PreviewNotionService,
+    PreviewCalendarService,
+    PreviewEmailService
+};
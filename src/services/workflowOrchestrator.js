@@ -6,13 +6,104 @@
  */
 
 const { extractCaseInformation, transcribeAudio, generateCaseSummary } = require('../agents/aiAgent');
-const { NotionService } = require('./notionService');
+const { createCaseStore, caseStoreFor, pickClearWinner, updatedFields, CASE_STORES } = require('./caseStore');
+const { CaseSearchIndex } = require('./caseSearchIndex');
 const { CalendarService } = require('./calendarService');
 const { EmailService } = require('./emailService');
+const { createEmptyPlan, createPreviewServices } = require('./previewServices');
+const { pendingActionStore, PENDING_STATUSES } = require('./pendingActionStore');
+const { conversationStore } = require('./conversationStore');
+const { resolveCaseChoice, resolveIntent } = require('./clarificationResolver');
+const { CompensationLog } = require('./compensationLog');
+const { auditLog, createAuditedServices, AUDIT_TYPES } = require('./auditLog');
+const { ruleStore, matchRules, RULE_TRIGGERS } = require('./workflowRules');
+const { resolveConfidenceGates, gateForCase, GATE_MODES } = require('./confidenceGates');
+const { fetchAudio } = require('./audioFetcher');
 const { logger } = require('../utils/logger');
+const { withSpanListener } = require('../utils/tracing');
+const { getCorrelationId } = require('../utils/requestContext');
 const { config } = require('../config');
-const { CaseNotFoundError, DuplicateCaseError, CaseAlreadyExistsError } = require('../utils/errors');
-const { isRealEmail } = require('../utils/helpers');
+const { 
+    AppError,
+    NotFoundError,
+    ValidationError,
+    CaseNotFoundError, 
+    DuplicateCaseError, 
+    CaseAlreadyExistsError 
+} = require('../utils/errors');
+const { isRealEmail, generateId } = require('../utils/helpers');
+
+/**
+ * Case fields a lawyer may change on a pending action before confirming
+ */
+const EDITABLE_CASE_FIELDS = [
+    'action_type', 'lookup_key', 'case_name', 'case_number', 'case_summary',
+    'client_name', 'client_email', 'client_language', 'outcome', 'status',
+    'next_hearing_date', 'next_hearing_time', 'documents_needed',
+    'assign_to_junior', 'junior_name', 'junior_email', 'notify_client',
+    'court', 'bench', 'judge', 'sections', 'fir_number', 'opposing_party', 'opposing_counsel'
+];
+
+/**
+ * Court-side fields copied from a voice update onto the case
+ */
+const LEGAL_FIELDS = ['court', 'bench', 'judge', 'fir_number', 'opposing_party', 'opposing_counsel'];
+
+/**
+ * Where and before whom a hearing is: dictated now, else as stored on the case
+ * @param {Object} record - Case record
+ * @param {Object} caseData - Extracted update
+ * @returns {Object} { court, bench, judge }
+ */
+const hearingVenue = (record, caseData) => ({
+    court: caseData.court || record.court || null,
+    bench: caseData.bench || record.bench || null,
+    judge: caseData.judge || record.judge || null
+});
+
+/**
+ * "Justice A. K. Menon, Delhi High Court, Court Room 12" for the hearing row
+ */
+const describeVenue = ({ judge, court, bench }) => [judge, court, bench].filter(Boolean).join(', ');
+
+/**
+ * Drafts created by createDraftFromUnknown for a lookup that found nothing
+ */
+const UNKNOWN_CASE_PREFIX = 'Unknown Case: ';
+const isUnknownDraft = (caseData) => (caseData?.case_name || '').startsWith(UNKNOWN_CASE_PREFIX);
+
+// Candidates listed per draft by suggestDraftMerges
+const MERGE_SUGGESTION_LIMIT = 3;
+
+/**
+ * Copy only the editable case fields from a request body
+ * @param {Object} source - Untrusted input
+ * @returns {Object} Editable fields that were present
+ */
+const pickEditableFields = (source = {}) => {
+    const fields = {};
+    for (const field of EDITABLE_CASE_FIELDS) {
+        if (source[field] !== undefined) {
+            fields[field] = source[field];
+        }
+    }
+    return fields;
+};
+
+/**
+ * Public view of a clarification question (internal case data stays server-side)
+ */
+const formatQuestion = (question) => ({
+    id: question.id,
+    type: question.type,
+    question: question.question,
+    case_name: question.case_data?.lookup_key || question.case_data?.case_name || null,
+    options: question.options?.map(o => ({
+        id: o.id,
+        case_name: o.case_name,
+        case_number: o.case_number
+    }))
+});
 
 /**
  * Workflow Orchestrator Class
@@ -21,91 +112,832 @@ const { isRealEmail } = require('../utils/helpers');
 class WorkflowOrchestrator {
     constructor(userContext) {
         this.user = userContext;
-        this.notion = new NotionService(
-            userContext.notion_token,
-            userContext.notion_db_id
-        );
+        // The lawyer's case store - Notion or local (see caseStore.js)
+        this.notion = createCaseStore(userContext);
         this.calendar = new CalendarService(userContext.google_refresh_token);
         this.email = new EmailService();
         
         // Track all operations performed
         this.operationLog = [];
+        // Optional listener for each logged step (job progress)
+        this.onStep = null;
+        // Timed calls (AI, Notion, Calendar, email) land in the log too
+        this.spanListener = span => this.recordSpan(span);
+        
+        // Dry-run state (see enablePreview)
+        this.preview = false;
+        this.plan = null;
+        
+        // Last transcription/extraction, kept so a plan can be parked
+        this.transcription = null;
+        this.extraction = null;
+        // Recording downloaded from an audio_url, attached to the cases it touched
+        this.evidence = null;
+        
+        this.pendingActions = pendingActionStore;
+        
+        // Clarification session being resumed, if any
+        this.conversations = conversationStore;
+        this.conversation = null;
+        
+        // Durable audit trail (see enableAudit); currentCase tags its entries
+        this.audit = auditLog;
+        this.audited = false;
+        this.currentCase = null;
+        
+        // Per-user side-effect rules, loaded on first use
+        this.rules = ruleStore;
+        this.workflowRules = null;
+        
+        // What runs unattended for each AI confidence (see confidenceGates.js);
+        // a plan the lawyer confirmed is not gated again
+        this.confidenceGates = resolveConfidenceGates(userContext.preferences);
+        this.confirmed = false;
+        this.caseGate = GATE_MODES.FULL;
+        this.heldEmails = [];
+    }
+    
+    /**
+     * Record every external write and email in the audit log
+     * Applied right before execution so it wraps whatever services are set;
+     * previews write nothing, so there is nothing to wrap
+     */
+    enableAudit() {
+        if (this.audited || this.preview) return;
+        
+        const auditedServices = createAuditedServices({
+            notion: this.notion,
+            calendar: this.calendar,
+            email: this.email
+        }, this.audit, () => ({ user: this.user, caseRef: this.currentCase }));
+        
+        this.notion = auditedServices.notion;
+        this.calendar = auditedServices.calendar;
+        this.email = auditedServices.email;
+        this.audited = true;
+    }
+    
+    /**
+     * Add a workflow entry (dictation, extraction, decision) to the audit log
+     * @param {string} type - AUDIT_TYPES value
+     * @param {Object} data - Entry payload
+     */
+    async recordAudit(type, data) {
+        await this.audit.record({
+            user_id: this.user.id,
+            user_name: this.user.name,
+            type,
+            case_id: this.currentCase?.id || null,
+            case_name: this.currentCase?.case_name || null,
+            ...(this.preview && { preview: true }),
+            ...data
+        });
+    }
+    
+    /**
+     * Switch to preview (dry-run) mode
+     * Reads still hit Notion so case lookup is real, but every write,
+     * calendar insert and email is recorded into this.plan instead
+     */
+    enablePreview() {
+        if (this.preview) return;
+        
+        this.plan = createEmptyPlan();
+        const previewServices = createPreviewServices({
+            notion: this.notion,
+            calendar: this.calendar,
+            email: this.email
+        }, this.plan);
+        
+        this.notion = previewServices.notion;
+        this.calendar = previewServices.calendar;
+        this.email = previewServices.email;
+        this.preview = true;
     }
     
     /**
      * Process a voice note - Main entry point
      * @param {Object} input - Voice note input (file path or text)
+     * @param {Object} options - Processing options
+     * @param {boolean} options.preview - Return a plan instead of executing it
      * @returns {Object} Processing result
      */
-    async processVoiceNote(input) {
-        logger.info('Orchestrator: Starting voice note processing', {
-            userId: this.user.id
-        });
+    async processVoiceNote(input, options = {}) {
+        return this.traced(async () => {
+            logger.info('Orchestrator: Starting voice note processing', {
+                userId: this.user.id,
+                preview: !!options.preview
+            });
         
-        try {
-            // Step 1: Get transcription
-            let transcription;
-            if (input.audioFilePath) {
-                transcription = await transcribeAudio(input.audioFilePath);
-            } else if (input.text) {
-                transcription = input.text;
-            } else {
-                throw new Error('No input provided');
+            if (options.preview) {
+                this.enablePreview();
             }
+        
+            try {
+                // Step 1: Get transcription
+                let transcription;
+                let transcript = null;
+                if (input.audioFilePath) {
+                    transcript = await transcribeAudio(input.audioFilePath);
+                    transcription = transcript.text;
+                } else if (input.text) {
+                    transcription = input.text;
+                } else if (input.audioUrl) {
+                    this.evidence = await fetchAudio(input.audioUrl);
+                    this.log('AUDIO_DOWNLOAD', `Downloaded voice note audio (${this.evidence.mime_type}, ${Math.ceil(this.evidence.size_bytes / 1024)} KB)`);
+                    transcript = await transcribeAudio(this.evidence.path);
+                    transcription = transcript.text;
+                } else {
+                    throw new Error('No input provided');
+                }
             
-            this.log('TRANSCRIPTION', 'Voice note transcribed successfully');
+                this.log('TRANSCRIPTION', transcript
+                    ? `Voice note transcribed with ${transcript.backend} (${transcript.segments.length} segment(s))`
+                    : 'Voice note transcribed successfully');
+                this.transcription = transcription;
+                await this.recordAudit(AUDIT_TYPES.VOICE_NOTE, {
+                    source: transcript ? 'audio' : 'text',
+                    transcription,
+                    ...(this.evidence && { evidence: this.evidence })
+                });
+            
+                // Step 2: Extract case information using AI
+                const extraction = await extractCaseInformation(transcription, this.user);
+                this.log('AI_EXTRACTION', extraction.extraction_method === 'RULE_BASED'
+                    ? `AI unavailable - extracted ${extraction.cases.length} case(s) with offline rules (confidence LOW)`
+                    : `Extracted ${extraction.cases.length} case(s)`);
+                this.extraction = extraction;
+                await this.recordAudit(AUDIT_TYPES.EXTRACTION, { extraction });
+            
+                const result = await this.processExtraction(extraction);
+                await this.attachEvidence(result);
+                
+                // Timed segments let the caller line each case up with the recording
+                if (transcript) {
+                    result.transcript = {
+                        backend: transcript.backend,
+                        language: transcript.language,
+                        speakers: transcript.speakers,
+                        segments: transcript.segments
+                    };
+                }
+                
+                return result;
             
-            // Step 2: Extract case information using AI
-            const extraction = await extractCaseInformation(transcription, this.user);
-            this.log('AI_EXTRACTION', `Extracted ${extraction.cases.length} case(s)`);
+            } catch (error) {
+                logger.error('Orchestrator: Processing failed', { error: error.message });
+                this.log('ERROR', error.message);
             
-            // Step 3: Check if clarification is needed
-            if (extraction.requires_clarification) {
                 return {
-                    success: true,
-                    status: 'CLARIFICATION_NEEDED',
-                    message: extraction.clarification_message,
-                    cases_found: extraction.cases.length,
+                    success: false,
+                    status: 'ERROR',
+                    error: error.message,
                     operations: this.operationLog
                 };
             }
+        });
+    }
+    
+    /**
+     * Process a voice note in two phases: build the plan now, execute it
+     * only after the lawyer confirms via confirmPendingAction()
+     * @param {Object} input - Voice note input (file path or text)
+     * @returns {Object} Preview result with pending_action_id
+     */
+    async proposeVoiceNote(input) {
+        const result = await this.processVoiceNote(input, { preview: true });
+        
+        // Errors and clarification requests have nothing to approve
+        if (result.status !== 'PREVIEW') {
+            return result;
+        }
+        
+        const pending = await this.pendingActions.create({
+            user_id: this.user.id,
+            transcription: this.transcription,
+            extraction: this.extraction,
+            summary: result.summary,
+            plan: result.plan,
+            evidence: this.evidence
+        });
+        this.log('PENDING_ACTION', `Plan parked for confirmation (${pending.id})`);
+        
+        return {
+            ...result,
+            status: 'PENDING_CONFIRMATION',
+            pending_action_id: pending.id,
+            expires_at: pending.expires_at,
+            operations: this.operationLog
+        };
+    }
+    
+    /**
+     * Load a pending action owned by the current user that is still open
+     * @param {string} pendingId - Pending action ID
+     * @returns {Object} Pending action
+     */
+    async getOpenPendingAction(pendingId) {
+        const pending = await this.pendingActions.get(pendingId);
+        
+        if (!pending || pending.user_id !== this.user.id) {
+            throw new NotFoundError('Pending action');
+        }
+        
+        if (pending.status !== PENDING_STATUSES.PENDING) {
+            throw new AppError(
+                `Pending action is already ${pending.status.toLowerCase()}`,
+                409,
+                'PENDING_ACTION_CLOSED'
+            );
+        }
+        
+        return pending;
+    }
+    
+    /**
+     * Execute a parked plan
+     * Runs the stored extraction, so the AI is not called again
+     * @param {string} pendingId - Pending action ID
+     * @returns {Object} Processing result
+     */
+    async confirmPendingAction(pendingId) {
+        return this.traced(async () => {
+            const pending = await this.getOpenPendingAction(pendingId);
+        
+            // Close it first so a double-tap cannot execute twice
+            await this.pendingActions.update(pendingId, { status: PENDING_STATUSES.CONFIRMED });
+            this.log('PENDING_ACTION', `Confirmed pending action ${pendingId}`);
+            this.confirmed = true;
+            await this.recordAudit(AUDIT_TYPES.PENDING_CONFIRMED, {
+                pending_action_id: pendingId,
+                transcription: pending.transcription,
+                extraction: pending.extraction
+            });
+        
+            try {
+                this.evidence = pending.evidence || null;
+                const result = pending.held_emails
+                    ? await this.releaseHeldEmails(pending.held_emails)
+                    : await this.processExtraction(pending.extraction);
+                if (!pending.held_emails) {
+                    await this.attachEvidence(result);
+                }
+                await this.pendingActions.update(pendingId, {
+                    confirmed_at: new Date().toISOString(),
+                    result_status: result.status
+                });
+                return { ...result, pending_action_id: pendingId };
             
-            // Step 4: Process each case
-            const results = [];
-            for (const caseData of extraction.cases) {
-                const result = await this.processSingleCase(caseData);
-                results.push(result);
-            }
+            } catch (error) {
+                logger.error('Orchestrator: Pending action failed', { pendingId, error: error.message });
+                this.log('ERROR', `Pending action failed: ${error.message}`);
+                await this.pendingActions.update(pendingId, {
+                    status: PENDING_STATUSES.FAILED,
+                    error: error.message
+                });
             
-            // Step 5: Compile final response
-            return {
+                return {
+                    success: false,
+                    status: 'ERROR',
+                    error: error.message,
+                    pending_action_id: pendingId,
+                    operations: this.operationLog
+                };
+            }
+        });
+    }
+    
+    /**
+     * Edit the extracted cases of a pending action and rebuild its plan
+     * @param {string} pendingId - Pending action ID
+     * @param {Object} edits - { cases: [{ index, ...fields }], remove_cases: [index] }
+     * @returns {Object} Updated pending action
+     */
+    async editPendingAction(pendingId, edits = {}) {
+        const pending = await this.getOpenPendingAction(pendingId);
+        
+        if (pending.held_emails) {
+            throw new ValidationError('Held client emails cannot be edited - confirm or reject them', ['held_emails']);
+        }
+        
+        const extraction = JSON.parse(JSON.stringify(pending.extraction));
+        
+        for (const caseEdit of edits.cases || []) {
+            const target = extraction.cases[caseEdit.index];
+            if (!target) {
+                throw new ValidationError(`No case at index ${caseEdit.index}`, ['cases']);
+            }
+            Object.assign(target, pickEditableFields(caseEdit));
+        }
+        
+        const removed = new Set(edits.remove_cases || []);
+        extraction.cases = extraction.cases.filter((_, index) => !removed.has(index));
+        
+        // Re-plan in preview mode; this instance only serves the edit request
+        this.enablePreview();
+        const result = await this.processExtraction(extraction);
+        
+        this.log('PENDING_ACTION', `Edited pending action ${pendingId}`);
+        
+        return this.pendingActions.update(pendingId, {
+            extraction,
+            plan: result.plan,
+            edited_at: new Date().toISOString()
+        });
+    }
+    
+    /**
+     * Reject a parked plan - nothing is executed
+     * @param {string} pendingId - Pending action ID
+     * @param {string} reason - Optional reason
+     * @returns {Object} Updated pending action
+     */
+    async rejectPendingAction(pendingId, reason = null) {
+        await this.getOpenPendingAction(pendingId);
+        this.log('PENDING_ACTION', `Rejected pending action ${pendingId}`);
+        
+        return this.pendingActions.update(pendingId, {
+            status: PENDING_STATUSES.REJECTED,
+            rejected_at: new Date().toISOString(),
+            rejection_reason: reason
+        });
+    }
+    
+    /**
+     * Run the case workflow for an AI extraction
+     * @param {Object} extraction - Output of extractCaseInformation
+     * @returns {Object} Processing result
+     */
+    async processExtraction(extraction) {
+        this.enableAudit();
+        
+        // Step 3: Check if clarification is needed
+        if (extraction.requires_clarification) {
+            return this.openConversation({
                 success: true,
-                status: 'COMPLETED',
-                summary: extraction.overall_summary,
-                cases_processed: results.length,
-                cases: results,
+                status: 'CLARIFICATION_NEEDED',
+                message: extraction.clarification_message,
+                cases_found: extraction.cases.length,
                 operations: this.operationLog
-            };
+            }, [{
+                type: 'EXTRACTION',
+                question: extraction.clarification_message,
+                extraction
+            }]);
+        }
+        
+        // Step 4: Process each case, as far as its confidence allows
+        const results = [];
+        const questions = [];
+        const unconfirmed = [];
+        this.heldEmails = [];
+        for (const caseData of extraction.cases) {
+            const gate = this.gateFor(caseData);
+            
+            if (gate === GATE_MODES.CONFIRM) {
+                unconfirmed.push(caseData);
+                results.push(await this.leaveDraftNote(caseData));
+                continue;
+            }
+            
+            this.caseGate = gate;
+            let result;
+            try {
+                result = await this.processSingleCase(caseData);
+            } finally {
+                this.caseGate = GATE_MODES.FULL;
+            }
+            results.push(result);
+            
+            if (result.status === 'CLARIFICATION_NEEDED') {
+                questions.push({
+                    type: result.matches ? 'CASE_CHOICE' : 'INTENT',
+                    question: result.matches
+                        ? result.message
+                        : `Is "${result.case_name}" a new case or an update to an existing one?`,
+                    options: result.matches,
+                    case_data: caseData
+                });
+            }
+        }
+        
+        // Step 5: Compile final response
+        const response = {
+            success: true,
+            status: this.preview ? 'PREVIEW' : 'COMPLETED',
+            summary: extraction.overall_summary,
+            cases_processed: results.length,
+            cases: results,
+            operations: this.operationLog
+        };
+        
+        if (this.preview) {
+            response.plan = this.plan;
+        }
+        
+        const pendingActions = [];
+        if (unconfirmed.length > 0) {
+            const pending = await this.parkUnconfirmedCases(extraction, unconfirmed);
+            results.filter(r => r.status === 'AWAITING_CONFIRMATION').forEach(r => { r.pending_action_id = pending.id; });
+            pendingActions.push(pending);
+        }
+        if (this.heldEmails.length > 0) {
+            pendingActions.push(await this.parkHeldEmails());
+        }
+        if (pendingActions.length > 0) {
+            response.pending_actions = pendingActions.map(p => ({
+                id: p.id,
+                reason: p.reason,
+                summary: p.summary,
+                expires_at: p.expires_at
+            }));
+        }
+        
+        return this.openConversation(response, questions);
+    }
+    
+    /**
+     * Gate mode for a case
+     * Previews and confirmed plans are already in front of the lawyer
+     * @param {Object} caseData - Extracted case
+     * @returns {string} GATE_MODES value
+     */
+    gateFor(caseData) {
+        if (this.preview || this.confirmed) return GATE_MODES.FULL;
+        return gateForCase(caseData, this.confidenceGates);
+    }
+    
+    /**
+     * Low confidence: note the dictation on the case (if it can be found)
+     * and change nothing else until the lawyer confirms
+     * @param {Object} caseData - Extracted case
+     * @returns {Object} Case result
+     */
+    async leaveDraftNote(caseData) {
+        this.currentCase = null;
+        const lookupKey = caseData.lookup_key || caseData.case_name;
+        
+        try {
+            let existingCase = null;
+            if (caseData.action_type === 'UPDATE_EXISTING' && (caseData.case_id || lookupKey)) {
+                try {
+                    existingCase = caseData.case_id
+                        ? await this.notion.getCaseById(caseData.case_id)
+                        : await this.notion.findCase(lookupKey);
+                } catch (error) {
+                    // Unknown or ambiguous case - the pending action is the only draft
+                    if (!(error instanceof CaseNotFoundError) && !(error instanceof DuplicateCaseError)) {
+                        throw error;
+                    }
+                }
+            }
+            
+            if (existingCase) {
+                this.currentCase = existingCase;
+                await this.notion.addHistoryEntry(
+                    existingCase.id,
+                    `📝 Unconfirmed voice note (${caseData.confidence} confidence): ${caseData.raw_notes || caseData.outcome || this.transcription}. Nothing was changed - awaiting confirmation.`,
+                    this.user
+                );
+                this.log('DRAFT_NOTE', `Draft note added to ${existingCase.case_name}, awaiting confirmation`);
+            } else {
+                this.log('DRAFT_NOTE', `"${lookupKey || 'Unidentified case'}" held for confirmation`);
+            }
             
+            return {
+                status: 'AWAITING_CONFIRMATION',
+                case_id: existingCase?.id || null,
+                notion_page_id: existingCase?.id || null,
+                case_name: existingCase?.case_name || lookupKey || null,
+                case_number: existingCase?.case_number || caseData.case_number || null,
+                confidence: caseData.confidence,
+                message: `Low-confidence extraction for "${lookupKey || 'this note'}" - please review and confirm before anything is changed.`,
+                actions: [existingCase ? 'Draft note added - awaiting confirmation' : 'Held for confirmation']
+            };
         } catch (error) {
-            logger.error('Orchestrator: Processing failed', { error: error.message });
-            this.log('ERROR', error.message);
+            logger.error('Orchestrator: Failed to leave draft note', { error: error.message });
+            this.log('ERROR', `Failed to leave draft note: ${error.message}`);
             
             return {
-                success: false,
                 status: 'ERROR',
-                error: error.message,
-                operations: this.operationLog
+                case_name: lookupKey,
+                error: error.message
             };
         }
     }
     
+    /**
+     * Park low-confidence cases as one pending action, with the plan
+     * of what confirming them would do
+     * @param {Object} extraction - Full extraction
+     * @param {Array} cases - Cases that need confirmation
+     * @returns {Object} Pending action
+     */
+    async parkUnconfirmedCases(extraction, cases) {
+        const gated = {
+            ...extraction,
+            cases,
+            requires_clarification: false
+        };
+        
+        // Plan on a separate dry-run orchestrator sharing this one's services
+        const planner = new WorkflowOrchestrator(this.user);
+        planner.notion = this.notion;
+        planner.calendar = this.calendar;
+        planner.email = this.email;
+        planner.rules = this.rules;
+        planner.workflowRules = this.workflowRules;
+        planner.enablePreview();
+        const planned = await planner.processExtraction(gated);
+        
+        const names = cases.map(c => c.lookup_key || c.case_name || 'unidentified case');
+        const pending = await this.pendingActions.create({
+            user_id: this.user.id,
+            reason: 'LOW_CONFIDENCE',
+            transcription: this.transcription,
+            extraction: gated,
+            summary: `Low-confidence extraction awaiting confirmation: ${names.join(', ')}`,
+            plan: planned.plan,
+            evidence: this.evidence
+        });
+        this.log('PENDING_ACTION', `Low-confidence case(s) parked for confirmation (${pending.id})`);
+        
+        return pending;
+    }
+    
+    /**
+     * Park the client emails held back for medium-confidence cases
+     * @returns {Object} Pending action
+     */
+    async parkHeldEmails() {
+        const pending = await this.pendingActions.create({
+            user_id: this.user.id,
+            reason: 'CLIENT_EMAILS_HELD',
+            transcription: this.transcription,
+            held_emails: this.heldEmails,
+            summary: `${this.heldEmails.length} client email(s) held for approval`,
+            plan: {
+                notion: [],
+                hearings: [],
+                calendar: [],
+                emails: this.heldEmails.map(held => ({
+                    template: held.template,
+                    case_name: held.record.case_name || held.case_data.case_name,
+                    to: held.record.client_email || held.case_data.client_email || null
+                }))
+            }
+        });
+        this.log('PENDING_ACTION', `Client email(s) parked for approval (${pending.id})`);
+        
+        return pending;
+    }
+    
+    /**
+     * Send client emails the lawyer approved
+     * @param {Array} heldEmails - { template, record, case_data } as held
+     * @returns {Object} Processing result
+     */
+    async releaseHeldEmails(heldEmails) {
+        this.enableAudit();
+        
+        const results = [];
+        for (const held of heldEmails) {
+            this.currentCase = { id: held.record.id, case_name: held.record.case_name };
+            const result = {
+                status: 'EMAIL_RELEASED',
+                case_id: held.record.id,
+                notion_page_id: held.record.id,
+                case_name: held.record.case_name,
+                case_number: held.record.case_number,
+                actions: []
+            };
+            await this.runClientEmail(held.template, {
+                record: held.record,
+                caseData: held.case_data,
+                result,
+                saga: null
+            });
+            results.push(result);
+        }
+        
+        return {
+            success: true,
+            status: 'COMPLETED',
+            summary: `Released ${heldEmails.length} held client email(s)`,
+            cases_processed: results.length,
+            cases: results,
+            operations: this.operationLog
+        };
+    }
+    
+    /**
+     * Park unanswered questions in a clarification session
+     * While resuming, new questions join the same session
+     * @param {Object} response - Response to annotate
+     * @param {Array} questions - New questions ({ type, question, options, case_data | extraction })
+     * @returns {Object} Response with conversation_id and clarifications
+     */
+    openConversation(response, questions) {
+        // Previews have nothing to resume
+        if (this.preview) return response;
+        
+        const newQuestions = questions.map(q => ({ id: generateId().slice(0, 8), ...q }));
+        
+        if (this.conversation) {
+            this.conversation = this.conversations.update(this.conversation.id, {
+                questions: [...this.conversation.questions, ...newQuestions]
+            });
+        } else if (newQuestions.length > 0) {
+            this.conversation = this.conversations.create({
+                user_id: this.user.id,
+                transcription: this.transcription,
+                evidence: this.evidence,
+                questions: newQuestions
+            });
+        }
+        
+        if (!this.conversation) return response;
+        
+        if (newQuestions.length > 0) {
+            this.log('CLARIFICATION', `Awaiting answer in conversation ${this.conversation.id}`);
+        }
+        
+        response.conversation_id = this.conversation.id;
+        response.clarifications = this.conversation.questions.map(formatQuestion);
+        return response;
+    }
+    
+    /**
+     * Attach the downloaded recording to every case the note changed
+     * Cases still awaiting confirmation get it when they are confirmed
+     * @param {Object} result - processExtraction result; gets an evidence summary
+     */
+    async attachEvidence(result) {
+        if (!this.evidence) return;
+        
+        const attachedTo = [];
+        for (const caseResult of result.cases || []) {
+            if (!caseResult.case_id || caseResult.status === 'AWAITING_CONFIRMATION' || attachedTo.includes(caseResult.case_id)) {
+                continue;
+            }
+            
+            this.currentCase = { id: caseResult.case_id, case_name: caseResult.case_name };
+            if (await this.notion.addAttachment(caseResult.case_id, this.evidence, this.user)) {
+                attachedTo.push(caseResult.case_id);
+            }
+        }
+        this.currentCase = null;
+        
+        if (attachedTo.length > 0) {
+            this.log('EVIDENCE', `Voice note audio ${this.preview ? 'would be ' : ''}attached to ${attachedTo.length} case(s)`);
+        }
+        
+        result.evidence = {
+            filename: this.evidence.filename,
+            mime_type: this.evidence.mime_type,
+            size_bytes: this.evidence.size_bytes,
+            sha256: this.evidence.sha256,
+            attached_to: attachedTo
+        };
+    }
+    
+    /**
+     * Continue a voice note that stopped for clarification
+     * @param {string} conversationId - Conversation ID from the earlier response
+     * @param {Object} reply - { answer, question_id, case_id, fields }
+     * @returns {Object} Processing result
+     */
+    async resumeConversation(conversationId, reply = {}) {
+        return this.traced(async () => {
+            const conversation = this.conversations.get(conversationId);
+        
+            if (!conversation || conversation.user_id !== this.user.id) {
+                throw new NotFoundError('Conversation');
+            }
+        
+            const question = reply.question_id
+                ? conversation.questions.find(q => q.id === reply.question_id)
+                : conversation.questions[0];
+        
+            if (!question) {
+                throw new ValidationError(`Unknown question: ${reply.question_id}`, ['question_id']);
+            }
+        
+            this.transcription = conversation.transcription;
+            this.evidence = conversation.evidence || null;
+            this.log('CLARIFICATION', `Answer received for conversation ${conversationId}`);
+            await this.recordAudit(AUDIT_TYPES.CLARIFICATION_ANSWER, {
+                conversation_id: conversationId,
+                question: question.question,
+                answer: reply.answer || null,
+                case_choice: reply.case_id || null,
+                fields: reply.fields || null
+            });
+        
+            const extraction = await this.resolveClarification(question, reply);
+        
+            // Could not map the answer - ask again in the same session
+            if (!extraction) {
+                this.conversation = this.conversations.update(conversationId, {
+                    turns: conversation.turns + 1
+                });
+                this.log('CLARIFICATION', 'Answer did not resolve the question');
+            
+                return {
+                    success: true,
+                    status: 'CLARIFICATION_NEEDED',
+                    message: `Sorry, I could not match that answer. ${question.question}`,
+                    conversation_id: conversationId,
+                    clarifications: this.conversation.questions.map(formatQuestion),
+                    operations: this.operationLog
+                };
+            }
+        
+            const remaining = conversation.questions.filter(q => q !== question);
+            if (remaining.length > 0) {
+                this.conversation = this.conversations.update(conversationId, {
+                    questions: remaining,
+                    turns: conversation.turns + 1
+                });
+            } else {
+                this.conversations.close(conversationId);
+            }
+        
+            const result = await this.processExtraction(extraction);
+            await this.attachEvidence(result);
+        
+            if (this.conversation && !result.conversation_id) {
+                result.conversation_id = this.conversation.id;
+                result.clarifications = this.conversation.questions.map(formatQuestion);
+            }
+        
+            return result;
+        });
+    }
+    
+    /**
+     * Turn an answer into an extraction that can continue the workflow
+     * @param {Object} question - Stored question
+     * @param {Object} reply - { answer, case_id, fields }
+     * @returns {Object|null} Extraction, or null if the answer did not resolve it
+     */
+    async resolveClarification(question, reply) {
+        const answer = (reply.answer || '').trim();
+        const fields = pickEditableFields(reply.fields);
+        
+        if (question.type === 'EXTRACTION') {
+            if (Object.keys(fields).length > 0) {
+                return {
+                    ...question.extraction,
+                    requires_clarification: false,
+                    cases: question.extraction.cases.map(c => ({ ...c, ...fields }))
+                };
+            }
+            
+            if (!answer) return null;
+            
+            // Re-read the SAME voice note with the answer attached - never the answer alone
+            return extractCaseInformation(
+                `${this.transcription}\n\nClarification from the lawyer: ${answer}`,
+                this.user
+            );
+        }
+        
+        const caseData = { ...question.case_data, ...fields };
+        
+        if (question.type === 'CASE_CHOICE') {
+            const choice = reply.case_id
+                ? question.options.find(o => o.id === reply.case_id)
+                : resolveCaseChoice(answer, question.options);
+            
+            if (!choice) return null;
+            
+            caseData.case_id = choice.id;
+            caseData.lookup_key = choice.case_number || choice.case_name;
+            this.log('CLARIFICATION', `Resolved to case ${caseData.lookup_key}`);
+        } else if (!fields.action_type) {
+            const intent = resolveIntent(answer);
+            if (!intent) return null;
+            
+            caseData.action_type = intent;
+            this.log('CLARIFICATION', `Resolved intent: ${intent}`);
+        }
+        
+        return {
+            cases: [caseData],
+            overall_summary: `Clarified: ${caseData.lookup_key || caseData.case_name}`,
+            requires_clarification: false
+        };
+    }
+    
     /**
      * Process a single case
      * @param {Object} caseData - Extracted case data
      * @returns {Object} Processing result
      */
     async processSingleCase(caseData) {
+        this.currentCase = null;
+        
         logger.info('Orchestrator: Processing case', {
             action: caseData.action_type,
             lookupKey: caseData.lookup_key || caseData.case_name
@@ -139,13 +971,18 @@ class WorkflowOrchestrator {
      */
     async handleExistingCase(caseData) {
         const lookupKey = caseData.lookup_key || caseData.case_name;
+        // Every write below is recorded so a failure midway can be undone
+        const saga = new CompensationLog();
+        let existingCase = null;
         
         try {
-            // Step 1: Find the case in Notion
-            let existingCase;
+            // Step 1: Find the case in Notion (case_id is set once a clarification picked it)
             try {
-                existingCase = await this.notion.findCase(lookupKey);
+                existingCase = caseData.case_id
+                    ? await this.notion.getCaseById(caseData.case_id)
+                    : await this.notion.findCase(lookupKey);
                 this.log('NOTION_SEARCH', `Found case: ${existingCase.case_name}`);
+                this.currentCase = existingCase;
             } catch (error) {
                 if (error instanceof CaseNotFoundError) {
                     // Case not found - convert to draft
@@ -162,6 +999,7 @@ class WorkflowOrchestrator {
                         try {
                             existingCase = await this.notion.getCaseById(realCases[0].id);
                             this.log('NOTION_SEARCH', `Found case after filtering: ${existingCase.case_name}`);
+                            this.currentCase = existingCase;
                         } catch (getErr) {
                             logger.error('Failed to get case by ID', { error: getErr.message });
                             throw getErr;
@@ -185,6 +1023,19 @@ class WorkflowOrchestrator {
                 }
             }
             
+            // Restoring the snapshot undoes addHearing's counters, updateCase and closeCase.
+            // Only the fields written here are put back, and the step is recorded at the
+            // first write, so an earlier failure leaves the case alone
+            const snapshot = { ...existingCase };
+            const written = new Set();
+            let restoreRecorded = false;
+            const caseChanged = (fields) => {
+                fields.forEach(field => written.add(field));
+                if (restoreRecorded) return;
+                restoreRecorded = true;
+                saga.record('Case properties restored', () => this.notion.restoreCase(existingCase.id, snapshot, [...written]));
+            };
+            
             // Step 2: Add hearing record to the case's hearing history table
             let hearingResult = null;
             if (caseData.outcome) {
@@ -194,11 +1045,19 @@ class WorkflowOrchestrator {
                     outcome: caseData.outcome,
                     next_steps: caseData.next_hearing_date ? `Next hearing: ${caseData.next_hearing_date}` : '',
                     documents: caseData.documents_needed?.join(', ') || '',
-                    court: '',
+                    court: describeVenue(hearingVenue(existingCase, caseData)),
                     next_hearing_date: caseData.next_hearing_date
                 }, this.user);
+                caseChanged(['hearing_count', 'latest_outcome', 'next_hearing']);
                 
                 this.log('HEARING_ADDED', `Added hearing ${hearingResult.hearing_number} to case`);
+                
+                if (hearingResult.hearing_id) {
+                    saga.record(
+                        `Hearing ${hearingResult.hearing_number} row deleted`,
+                        () => this.notion.archivePage(hearingResult.hearing_id)
+                    );
+                }
             }
             
             // Build comprehensive update object with ALL extracted fields
@@ -213,36 +1072,19 @@ class WorkflowOrchestrator {
             if (caseData.client_email) updates.client_email = caseData.client_email;
             if (caseData.client_name) updates.client_name = caseData.client_name;
             if (caseData.client_phone) updates.client_phone = caseData.client_phone;
+            if (caseData.client_language) updates.client_language = caseData.client_language;
             
             // Case details
             if (caseData.case_summary) updates.case_summary = caseData.case_summary;
             if (caseData.outcome) updates.latest_outcome = caseData.outcome;
             if (caseData.case_number && !existingCase.case_number) updates.case_number = caseData.case_number;
             
-            // Junior assignment
-            if (caseData.assign_to_junior) {
-                // Always prefer extracted junior_name/email, fallback to user context if missing
-                updates.junior_name = caseData.junior_name || this.user.junior_name || null;
-                updates.junior_email = caseData.junior_email || this.user.junior_email || null;
-                // Always send assignment email to junior with all details
-                await this.email.sendJuniorAssignmentEmail({
-                    ...existingCase,
-                    ...caseData,
-                    junior_name: updates.junior_name,
-                    junior_email: updates.junior_email
-                }, this.user);
-                this.log('JUNIOR_EMAIL', 'Sent assignment email to junior');
-            }
-            
-            // Apply updates if any fields were extracted
-            if (Object.keys(updates).length > 0) {
-                await this.notion.updateCase(existingCase.id, updates, this.user);
-                this.log('NOTION_UPDATE', `Updated case: ${existingCase.case_name} (fields: ${Object.keys(updates).join(', ')})`);
-            } else {
-                this.log('NOTION_UPDATE', `Updated case: ${existingCase.case_name}`);
+            // Court, judge, FIR and the other side
+            for (const field of LEGAL_FIELDS) {
+                if (caseData[field]) updates[field] = caseData[field];
             }
+            if (caseData.sections?.length > 0) updates.sections = caseData.sections;
             
-            // Step 3: Handle case status
             const result = {
                 status: 'UPDATED',
                 case_id: existingCase.id,
@@ -254,83 +1096,41 @@ class WorkflowOrchestrator {
                 next_date: caseData.next_hearing_date,
                 actions: []
             };
+            const ctx = { record: existingCase, caseData, result, saga, isNew: false, caseChanged };
             
-            // Step 4: Status-specific actions
-            if (caseData.status === 'FINALIZED') {
-                // Close the case
-                await this.notion.closeCase(existingCase.id, this.user);
-                this.log('CASE_CLOSED', `Case finalized: ${existingCase.case_name}`);
-                result.actions.push('Case closed/archived');
-                
-                // Send final update to client
-                if (existingCase.client_email) {
-                    await this.email.sendClientUpdateEmail({
-                        ...existingCase,
-                        outcome: caseData.outcome,
-                        status: 'Finalized'
-                    }, this.user);
-                    result.actions.push('Client notified of case conclusion');
-                }
-            } else if (caseData.status === 'CONTINUING') {
-                // Status is continuing, will set calendar below
+            // Junior assignment
+            if (caseData.assign_to_junior) {
+                // Always prefer extracted junior_name/email, fallback to user context if missing
+                updates.junior_name = caseData.junior_name || this.user.junior_name || null;
+                updates.junior_email = caseData.junior_email || this.user.junior_email || null;
+                await this.runRules(RULE_TRIGGERS.JUNIOR_ASSIGNED, {
+                    ...ctx,
+                    junior: { name: updates.junior_name, email: updates.junior_email }
+                });
             }
             
-            // ALWAYS set calendar reminder when there's a next hearing date
-            if (caseData.next_hearing_date) {
-                const calendarEvent = await this.calendar.createHearingEvent({
-                    case_name: existingCase.case_name,
-                    case_number: existingCase.case_number,
-                    date: caseData.next_hearing_date,
-                    time: caseData.next_hearing_time, // Pass extracted time (or null for default 9 AM)
-                    client_name: existingCase.client_name,
-                    documents_needed: caseData.documents_needed,
-                    include_junior: caseData.assign_to_junior
-                }, this.user);
-                
-                if (calendarEvent && !calendarEvent.skipped) {
-                    this.log('CALENDAR_EVENT', `Created hearing reminder`);
-                    result.actions.push('Calendar reminder set');
-                    result.calendar_event = calendarEvent;
-                }
+            // Apply updates if any fields were extracted
+            if (Object.keys(updates).length > 0) {
+                await this.notion.updateCase(existingCase.id, updates, this.user);
+                caseChanged(updatedFields(updates));
+                this.log('NOTION_UPDATE', `Updated case: ${existingCase.case_name} (fields: ${Object.keys(updates).join(', ')})`);
+            } else {
+                this.log('NOTION_UPDATE', `Updated case: ${existingCase.case_name}`);
             }
             
-            // Step 5: Handle document requests
+            // Step 3: Everything else comes from the user's workflow rules,
+            // raised in the order the lawyer would do it by hand
+            if (caseData.status) {
+                await this.runRules(RULE_TRIGGERS.STATUS_CHANGED, ctx);
+            }
+            if (caseData.next_hearing_date) {
+                await this.runRules(RULE_TRIGGERS.NEXT_HEARING_SET, ctx);
+            }
             if (caseData.documents_needed?.length > 0) {
-                await this.handleDocumentRequest(existingCase, caseData);
-                result.actions.push('Document request processed');
+                await this.runRules(RULE_TRIGGERS.DOCUMENTS_REQUESTED, ctx);
             }
-            
-            // Step 6: Client communication - Send hearing report after EVERY hearing
-            const newHearingCount = (existingCase.hearing_count || 0) + 1;
-            
-            // Resolve client email: Use case email if valid, otherwise fallback to default
-            const caseEmail = existingCase.client_email || caseData.client_email;
-            const resolvedEmail = this.resolveClientEmail(caseEmail, 'hearing update');
-            
-            if (caseData.outcome && resolvedEmail) {
-                // Send detailed hearing report to client after EVERY hearing
-                const emailResult = await this.email.sendClientHearingReport({
-                    ...existingCase,
-                    client_email: resolvedEmail, // Use resolved email
-                    outcome: caseData.outcome,
-                    next_hearing_date: caseData.next_hearing_date,
-                    documents_needed: caseData.documents_needed,
-                    status: caseData.status === 'FINALIZED' ? 'Finalized' : 'Continuing'
-                }, this.user, newHearingCount);
-                
-                if (emailResult && !emailResult.skipped) {
-                    this.log('CLIENT_EMAIL', `Sent hearing #${newHearingCount} report to client (${resolvedEmail})`);
-                    result.actions.push(`Hearing #${newHearingCount} report sent to client`);
-                    result.email_sent = true;
-                    result.email_to = resolvedEmail;
-                }
-                
-                // Mark welcome sent after first hearing
-                if (newHearingCount === 1 && !existingCase.client_welcome_sent) {
-                    await this.notion.updateCase(existingCase.id, {
-                        client_welcome_sent: true
-                    }, this.user);
-                }
+            if (caseData.outcome) {
+                await this.runRules(RULE_TRIGGERS.HEARING_RECORDED, ctx);
             }
             
             return result;
@@ -339,14 +1139,47 @@ class WorkflowOrchestrator {
             logger.error('Orchestrator: Failed to update case', { error: error.message });
             this.log('ERROR', `Failed to update case: ${error.message}`);
             
+            const rollback = await this.compensate(saga, existingCase, error);
+            
             return {
                 status: 'ERROR',
                 case_name: lookupKey,
-                error: error.message
+                error: error.message,
+                ...(rollback && { rollback })
             };
         }
     }
     
+    /**
+     * Undo the recorded steps of a failed workflow
+     * @param {CompensationLog} saga - Steps recorded so far
+     * @param {Object|null} existingCase - Case being updated
+     * @param {Error} error - The failure that triggered the rollback
+     * @param {string} workflow - What failed, for the case history
+     * @returns {Object|null} Rollback report, or null if nothing had been done
+     */
+    async compensate(saga, existingCase, error, workflow = 'Voice update') {
+        // Preview never wrote anything, so there is nothing to undo
+        if (this.preview || saga.steps.length === 0) return null;
+        
+        const report = await saga.rollback();
+        
+        report.rolled_back.forEach(step => this.log('ROLLBACK', step));
+        report.failed.forEach(f => this.log('ROLLBACK_FAILED', `${f.step}: ${f.error}`));
+        report.not_reversible.forEach(step => this.log('NOT_REVERSIBLE', `${step} was already sent`));
+        
+        // History entries cannot be removed - leave a visible trace instead
+        if (existingCase) {
+            await this.notion.addHistoryEntry(
+                existingCase.id,
+                `↩️ ${workflow} failed and was rolled back: ${error.message}`,
+                this.user
+            );
+        }
+        
+        return report;
+    }
+    
     /**
      * Handle new case creation (Branch B)
      * @param {Object} caseData - New case data
@@ -382,6 +1215,7 @@ class WorkflowOrchestrator {
             // Step 3: Create case in Notion
             const createdCase = await this.notion.createCase(caseData, this.user);
             this.log('NOTION_CREATE', `Created case: ${caseData.case_name} (${createdCase.is_draft ? 'Draft' : 'Active'})`);
+            this.currentCase = { id: createdCase.id, case_name: caseData.case_name };
             
             const result = {
                 status: createdCase.is_draft ? 'CREATED_AS_DRAFT' : 'CREATED',
@@ -404,43 +1238,39 @@ class WorkflowOrchestrator {
                 return result;
             }
             
-            // Step 5: Senior assigns to junior
-            if (this.user.role === 'SENIOR' && caseData.assign_to_junior) {
-                await this.email.sendJuniorAssignmentEmail(caseData, this.user);
-                this.log('JUNIOR_EMAIL', 'Sent assignment email to junior');
-                result.actions.push('Junior notified of assignment');
-            } else if (this.user.role === 'SENIOR' && this.user.preferences?.auto_assign_to_junior) {
-                // Auto-assign based on preferences
-                await this.email.sendJuniorAssignmentEmail(caseData, this.user);
-                this.log('JUNIOR_EMAIL', 'Auto-assigned to junior');
-                result.actions.push('Auto-assigned to junior');
+            // Step 5: Side effects come from the user's workflow rules
+            const ctx = {
+                record: { ...caseData, id: createdCase.id, case_number: createdCase.case_number },
+                caseData,
+                result,
+                saga: null,
+                isNew: true
+            };
+            await this.runRules(RULE_TRIGGERS.CASE_CREATED, ctx);
+            
+            // Senior assigns to junior (explicitly or via auto-assign preference)
+            const autoAssign = !caseData.assign_to_junior && this.user.preferences?.auto_assign_to_junior;
+            if (this.user.role === 'SENIOR' && (caseData.assign_to_junior || autoAssign)) {
+                await this.runRules(RULE_TRIGGERS.JUNIOR_ASSIGNED, {
+                    ...ctx,
+                    junior: {
+                        name: caseData.junior_name || this.user.junior_name || null,
+                        email: caseData.junior_email || this.user.junior_email || null,
+                        auto: autoAssign
+                    }
+                });
             }
             
-            // Step 6: Handle document requirements
             if (caseData.documents_needed?.length > 0) {
-                await this.handleDocumentRequest(caseData, caseData);
-                result.actions.push('Document collection requested');
+                await this.runRules(RULE_TRIGGERS.DOCUMENTS_REQUESTED, ctx);
             }
-            
-            // Step 7: Set calendar for first hearing if date provided
             if (caseData.next_hearing_date) {
-                const calendarEvent = await this.calendar.createHearingEvent({
-                    case_name: caseData.case_name,
-                    case_number: createdCase.case_number,
-                    date: caseData.next_hearing_date,
-                    time: caseData.next_hearing_time, // Pass extracted time (or null for default 9 AM)
-                    client_name: caseData.client_name,
-                    include_junior: caseData.assign_to_junior
-                }, this.user);
-                
-                if (calendarEvent) {
-                    result.actions.push('First hearing calendar event created');
-                    result.calendar_event = calendarEvent;
-                }
+                await this.runRules(RULE_TRIGGERS.NEXT_HEARING_SET, ctx);
             }
             
-            // Note: Don't email client for new cases - wait until first hearing
-            result.actions.push('Client email held until first hearing');
+            if (!result.email_sent) {
+                result.actions.push('Client email held until first hearing');
+            }
             
             return result;
             
@@ -461,7 +1291,7 @@ class WorkflowOrchestrator {
                         id: error.existingCase?.id,
                         case_name: error.existingCase?.case_name,
                         case_number: error.existingCase?.case_number,
-                        notion_url: error.existingCase?.id ? 
+                        notion_url: error.existingCase?.id && caseStoreFor(this.user) === CASE_STORES.NOTION ? 
                             `https://notion.so/${error.existingCase.id.replace(/-/g, '')}` : null
                     },
                     message: error.message,
@@ -487,13 +1317,14 @@ class WorkflowOrchestrator {
      */
     async createDraftFromUnknown(caseData, lookupKey) {
         const draftData = {
-            case_name: `Unknown Case: ${lookupKey}`,
+            case_name: `${UNKNOWN_CASE_PREFIX}${lookupKey}`,
             case_summary: caseData.outcome || caseData.raw_notes,
             missing_fields: ['case_verification', 'client_name', 'client_email'],
             assign_to_junior: false
         };
         
         const createdCase = await this.notion.createCase(draftData, this.user);
+        this.currentCase = { id: createdCase.id, case_name: draftData.case_name };
         
         // Add note about the original reference
         await this.notion.addHistoryEntry(
@@ -515,40 +1346,398 @@ class WorkflowOrchestrator {
     }
     
     /**
-     * Handle document request logic
-     * Sends email to both junior (to collect) and client (to submit)
-     * @param {Object} existingCase - Existing case data
-     * @param {Object} updateData - Update data with document needs
+     * Merge an "Unknown Case" draft into the real case it was meant to be
+     * The draft's hearing rows and history entries move to the target,
+     * the target's Hearing Count is recounted from its rows and the draft
+     * is archived. A failure before the archive undoes the copied rows
+     * and the recount; history is only copied after the archive.
+     * @param {string} draftId - ID of the "Unknown Case: ..." draft
+     * @param {string} targetId - ID of the case to merge it into
+     * @returns {Object} Merge result
      */
-    async handleDocumentRequest(existingCase, updateData) {
-        const documents = updateData.documents_needed || [];
-        if (documents.length === 0) return;
+    async mergeDraftCase(draftId, targetId) {
+        return this.traced(async () => {
+            if (!targetId) {
+                throw new ValidationError('target_case_id is required', ['target_case_id']);
+            }
+            if (draftId === targetId) {
+                throw new ValidationError('A draft cannot be merged into itself', ['target_case_id']);
+            }
+            
+            const draft = await this.notion.getCaseById(draftId);
+            if (!isUnknownDraft(draft)) {
+                throw new ValidationError(`"${draft.case_name}" is not an Unknown Case draft`, ['case_id']);
+            }
+            const target = await this.notion.getCaseById(targetId);
+            if (isUnknownDraft(target)) {
+                throw new ValidationError('Merge into a real case, not another Unknown Case draft', ['target_case_id']);
+            }
+            
+            this.enableAudit();
+            this.currentCase = target;
+            const mergedDraft = { id: draft.id, case_name: draft.case_name, case_number: draft.case_number };
+            await this.recordAudit(AUDIT_TYPES.CASE_MERGE, { draft: mergedDraft });
+            
+            const saga = new CompensationLog();
+            
+            try {
+                // The draft's rows go after the target's, numbered in date order.
+                // A failed read must stop the merge, not look like a case without hearings
+                const existing = await this.notion.getHearings(target.id, { strict: true });
+                const moved = (await this.notion.getHearings(draft.id, { strict: true }))
+                    .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+                const history = await this.notion.getHistoryEntries(draft.id);
+                
+                // Restoring the snapshot undoes the recount; recorded at the first write
+                const snapshot = { ...target };
+                let restoreRecorded = false;
+                const caseChanged = () => {
+                    if (restoreRecorded) return;
+                    restoreRecorded = true;
+                    saga.record('Case properties restored', () => this.notion.restoreCase(target.id, snapshot, ['hearing_count']));
+                };
+                
+                for (const [index, hearing] of moved.entries()) {
+                    const hearingNumber = `Hearing ${existing.length + index + 1}`;
+                    const row = await this.notion.addHearingRow(target.id, { ...hearing, hearing_number: hearingNumber });
+                    caseChanged();
+                    saga.record(`${hearingNumber} row deleted`, () => this.notion.archivePage(row.hearing_id));
+                }
+                this.log('HEARING_ADDED', `Moved ${moved.length} hearing(s) from "${draft.case_name}"`);
+                
+                const hearingCount = existing.length + moved.length;
+                await this.notion.updateCase(target.id, { hearing_count: hearingCount }, this.user);
+                caseChanged();
+                this.log('NOTION_UPDATE', `Updated case: ${target.case_name} (fields: hearing_count)`);
+                
+                await this.notion.archivePage(draft.id);
+                
+                // History cannot be undone, so it is written once the merge has gone through;
+                // entries keep their original time and author in the text
+                for (const item of history) {
+                    await this.notion.addHistoryEntry(
+                        target.id,
+                        `↪️ From "${draft.case_name}" [${item.timestamp}] (${item.by}): ${item.entry}`,
+                        this.user
+                    );
+                }
+                await this.notion.addHistoryEntry(
+                    target.id,
+                    `🔀 Merged draft "${draft.case_name}" (${draft.case_number}): ${moved.length} hearing(s), ${history.length} history entries` +
+                        (draft.summary ? `. Draft notes: ${draft.summary}` : ''),
+                    this.user
+                );
+                this.log('CASE_MERGED', `Merged "${draft.case_name}" into ${target.case_name} and archived the draft`);
+                
+                return {
+                    success: true,
+                    status: 'MERGED',
+                    case_id: target.id,
+                    notion_page_id: target.id, // For Notion URL
+                    case_name: target.case_name,
+                    case_number: target.case_number,
+                    merged_draft: mergedDraft,
+                    hearings_moved: moved.length,
+                    history_moved: history.length,
+                    hearing_count: hearingCount,
+                    operations: this.operationLog
+                };
+                
+            } catch (error) {
+                logger.error('Orchestrator: Failed to merge draft', { draftId, targetId, error: error.message });
+                this.log('ERROR', `Failed to merge draft: ${error.message}`);
+                
+                const rollback = await this.compensate(saga, target, error, 'Draft merge');
+                
+                return {
+                    success: false,
+                    status: 'ERROR',
+                    case_id: target.id,
+                    merged_draft: mergedDraft,
+                    error: error.message,
+                    ...(rollback && { rollback }),
+                    operations: this.operationLog
+                };
+            }
+        });
+    }
+    
+    /**
+     * Suggest the real case each "Unknown Case" draft was probably meant to be
+     * Ranks the real cases against the name the lookup failed on; the
+     * suggestion is only made when one case is clearly ahead, as in findCase
+     * @param {Object} options - { limit } candidates listed per draft
+     * @returns {Array} [{ draft, lookup_key, suggested_case_id, candidates: [{ id, case_name, case_number, score, reasons }] }]
+     */
+    async suggestDraftMerges(options = {}) {
+        const cases = await this.notion.getAllCases(this.user);
+        const index = new CaseSearchIndex(cases.filter(c => !isUnknownDraft(c)));
         
-        const caseData = {
-            case_name: existingCase.case_name || updateData.case_name,
-            case_number: existingCase.case_number || updateData.case_number,
-            documents_needed: documents,
-            client_name: existingCase.client_name || updateData.client_name,
-            client_email: existingCase.client_email || updateData.client_email
-        };
+        return cases.filter(isUnknownDraft).map(draft => {
+            const lookupKey = draft.case_name.slice(UNKNOWN_CASE_PREFIX.length);
+            const ranked = index.search(lookupKey);
+            const winner = pickClearWinner(ranked);
+            
+            return {
+                draft: { id: draft.id, case_name: draft.case_name, case_number: draft.case_number },
+                lookup_key: lookupKey,
+                suggested_case_id: winner?.case.id || null,
+                candidates: ranked.slice(0, options.limit || MERGE_SUGGESTION_LIMIT).map(({ case: caseData, score, reasons }) => ({
+                    id: caseData.id,
+                    case_name: caseData.case_name,
+                    case_number: caseData.case_number,
+                    score,
+                    reasons
+                }))
+            };
+        });
+    }
+    
+    /**
+     * Run the user's rules for a trigger
+     * @param {string} trigger - RULE_TRIGGERS value
+     * @param {Object} ctx - { record, caseData, result, saga, isNew, junior, caseChanged }
+     */
+    async runRules(trigger, ctx) {
+        if (!this.workflowRules) {
+            this.workflowRules = (await this.rules.getRules(this.user.id)).rules;
+        }
         
-        // Create document reminder in calendar
-        await this.calendar.createDocumentReminder(caseData, this.user);
-        this.log('CALENDAR_EVENT', 'Created document collection reminder');
+        const matched = matchRules(this.workflowRules, trigger, {
+            status: ctx.caseData.status,
+            role: this.user.role,
+            is_new: ctx.isNew
+        });
         
-        // Send email to client to submit documents
-        if (caseData.client_email) {
-            await this.email.sendDocumentRequestToClient(caseData, this.user);
+        for (const rule of matched) {
+            this.log('RULE', `${rule.name || rule.id} (${trigger})`);
+            for (const action of rule.actions) {
+                await this.runRuleAction(action, ctx);
+            }
+        }
+    }
+    
+    /**
+     * Execute one rule action against the current case
+     * @param {Object} action - Validated rule action
+     * @param {Object} ctx - { record, caseData, result, saga, isNew, junior, caseChanged }
+     */
+    async runRuleAction(action, ctx) {
+        const { record, caseData, result, saga } = ctx;
+        const notifyClient = caseData.notify_client !== false;
+        
+        switch (action.type) {
+            case 'CLOSE_CASE': {
+                await this.notion.closeCase(record.id, this.user);
+                ctx.caseChanged?.(['status']);
+                this.log('CASE_CLOSED', `Case finalized: ${record.case_name}`);
+                result.actions.push('Case closed/archived');
+                return;
+            }
+            
+            case 'SET_STATUS': {
+                await this.notion.updateCase(record.id, { status: action.status }, this.user);
+                ctx.caseChanged?.(['status']);
+                this.log('NOTION_UPDATE', `Status set to ${action.status}`);
+                result.actions.push(`Status set to ${action.status}`);
+                return;
+            }
+            
+            case 'CALENDAR': {
+                const venue = hearingVenue(record, caseData);
+                const calendarEvent = action.event === 'HEARING'
+                    ? await this.calendar.createHearingEvent({
+                        case_name: record.case_name,
+                        case_number: record.case_number,
+                        date: caseData.next_hearing_date,
+                        time: caseData.next_hearing_time, // Pass extracted time (or null for default 9 AM)
+                        client_name: record.client_name,
+                        court_location: [venue.court, venue.bench].filter(Boolean).join(', ') || null,
+                        judge: venue.judge,
+                        opposing_counsel: caseData.opposing_counsel || record.opposing_counsel,
+                        documents_needed: caseData.documents_needed,
+                        include_junior: caseData.assign_to_junior
+                    }, this.user)
+                    : await this.calendar.createDocumentReminder(this.buildDocumentRequest(record, caseData), this.user);
+                
+                if (!calendarEvent || calendarEvent.skipped) return;
+                
+                if (action.event === 'HEARING') {
+                    this.log('CALENDAR_EVENT', `Created hearing reminder`);
+                    result.actions.push(ctx.isNew ? 'First hearing calendar event created' : 'Calendar reminder set');
+                    result.calendar_event = calendarEvent;
+                } else {
+                    this.log('CALENDAR_EVENT', 'Created document collection reminder');
+                    result.actions.push('Document reminder set');
+                }
+                
+                if (calendarEvent.event_id) {
+                    saga?.record(
+                        action.event === 'HEARING' ? 'Hearing calendar event deleted' : 'Document reminder deleted',
+                        () => this.calendar.deleteEvent(calendarEvent.event_id, this.user)
+                    );
+                }
+                return;
+            }
+            
+            case 'NOTIFY_JUNIOR': {
+                if (action.template === 'ASSIGNMENT') {
+                    const sent = await this.email.sendJuniorAssignmentEmail({
+                        ...record,
+                        ...caseData,
+                        junior_name: ctx.junior?.name,
+                        junior_email: ctx.junior?.email
+                    }, this.user);
+                    this.log('JUNIOR_EMAIL', ctx.junior?.auto ? 'Auto-assigned to junior' : 'Sent assignment email to junior');
+                    result.actions.push(ctx.junior?.auto ? 'Auto-assigned to junior' : 'Junior notified of assignment');
+                    if (sent?.success) saga?.recordIrreversible('Assignment email to junior');
+                    return;
+                }
+                
+                if (!this.user.junior_email) return;
+                const sent = await this.email.sendDocumentRequestToJunior(this.buildDocumentRequest(record, caseData), this.user);
+                this.log('JUNIOR_EMAIL', 'Sent document collection request to junior');
+                result.actions.push('Junior asked to collect documents');
+                if (sent?.success) saga?.recordIrreversible('Document collection email to junior');
+                return;
+            }
+            
+            case 'EMAIL_CLIENT':
+                if (!notifyClient) return;
+                if (this.caseGate === GATE_MODES.HOLD_CLIENT_EMAILS) {
+                    return this.holdClientEmail(action.template, ctx);
+                }
+                return this.runClientEmail(action.template, ctx);
+                
+            default:
+                logger.warn('Orchestrator: Unknown rule action', { type: action.type });
+        }
+    }
+    
+    /**
+     * Keep a client email back for approval (medium confidence)
+     * The case as it was now is stored, so the email reads the same later
+     * @param {string} template - Client email template
+     * @param {Object} ctx - Rule context
+     */
+    holdClientEmail(template, ctx) {
+        const { record, caseData, result } = ctx;
+        
+        this.heldEmails.push({
+            template,
+            record: { ...record },
+            case_data: { ...caseData }
+        });
+        this.log('CLIENT_EMAIL_HELD', `${template} email held for approval (${caseData.confidence} confidence)`);
+        result.actions.push(`Client email (${template.toLowerCase().replace(/_/g, ' ')}) held for approval`);
+    }
+    
+    /**
+     * Send one of the client email templates for a rule
+     * @param {string} template - HEARING_REPORT, CASE_CONCLUDED, DOCUMENT_REQUEST or WELCOME
+     * @param {Object} ctx - Rule context
+     */
+    async runClientEmail(template, ctx) {
+        const { record, caseData, result, saga } = ctx;
+        
+        if (template === 'CASE_CONCLUDED') {
+            if (!record.client_email) return;
+            
+            const sent = await this.email.sendClientUpdateEmail({
+                ...record,
+                outcome: caseData.outcome,
+                status: 'Finalized'
+            }, this.user);
+            result.actions.push('Client notified of case conclusion');
+            if (sent?.success) saga?.recordIrreversible('Case conclusion email to client');
+            return;
+        }
+        
+        if (template === 'DOCUMENT_REQUEST') {
+            const request = this.buildDocumentRequest(record, caseData);
+            if (!request.client_email) return;
+            
+            const sent = await this.email.sendDocumentRequestToClient(request, this.user);
             this.log('CLIENT_EMAIL', 'Sent document request to client');
+            result.actions.push('Client asked for documents');
+            if (sent?.success) saga?.recordIrreversible('Document request email to client');
+            return;
         }
         
-        // If senior, also email junior to follow up
-        if (this.user.role === 'SENIOR' && this.user.junior_email) {
-            await this.email.sendDocumentRequestToJunior(caseData, this.user);
-            this.log('JUNIOR_EMAIL', 'Sent document collection request to junior');
+        // Resolve client email: Use case email if valid, otherwise fallback to default
+        const resolvedEmail = this.resolveClientEmail(
+            record.client_email || caseData.client_email,
+            template === 'WELCOME' ? 'welcome email' : 'hearing update'
+        );
+        if (!resolvedEmail) return;
+        
+        if (template === 'WELCOME') {
+            const sent = await this.email.sendClientWelcomeEmail({
+                ...record,
+                ...caseData,
+                client_email: resolvedEmail
+            }, this.user);
+            
+            if (sent && !sent.skipped) {
+                this.log('CLIENT_EMAIL', `Sent welcome email to client (${resolvedEmail})`);
+                result.actions.push('Welcome email sent to client');
+                result.email_sent = true;
+                result.email_to = resolvedEmail;
+                await this.notion.updateCase(record.id, { client_welcome_sent: true }, this.user);
+                ctx.caseChanged?.(['client_welcome_sent']);
+            }
+            if (sent?.success) saga?.recordIrreversible('Welcome email to client');
+            return;
+        }
+        
+        // HEARING_REPORT - detailed report to the client after every hearing
+        const newHearingCount = (record.hearing_count || 0) + 1;
+        const emailResult = await this.email.sendClientHearingReport({
+            ...record,
+            client_email: resolvedEmail, // Use resolved email
+            client_language: caseData.client_language || record.client_language,
+            outcome: caseData.outcome,
+            next_hearing_date: caseData.next_hearing_date,
+            documents_needed: caseData.documents_needed,
+            status: caseData.status === 'FINALIZED' ? 'Finalized' : 'Continuing'
+        }, this.user, newHearingCount);
+        
+        if (emailResult && !emailResult.skipped) {
+            this.log('CLIENT_EMAIL', `Sent hearing #${newHearingCount} report to client (${resolvedEmail})`);
+            result.actions.push(`Hearing #${newHearingCount} report sent to client`);
+            result.email_sent = true;
+            result.email_to = resolvedEmail;
+        }
+        if (emailResult?.success) saga?.recordIrreversible(`Hearing #${newHearingCount} report to client`);
+        
+        // Mark welcome sent after first hearing
+        if (newHearingCount === 1 && !record.client_welcome_sent) {
+            await this.notion.updateCase(record.id, {
+                client_welcome_sent: true
+            }, this.user);
+            ctx.caseChanged?.(['client_welcome_sent']);
         }
     }
     
+    /**
+     * Document request details shared by the reminder and both emails
+     * @param {Object} record - Case record
+     * @param {Object} caseData - Extracted update
+     * @returns {Object} Document request data
+     */
+    buildDocumentRequest(record, caseData) {
+        return {
+            case_name: record.case_name || caseData.case_name,
+            case_number: record.case_number || caseData.case_number,
+            documents_needed: caseData.documents_needed || [],
+            client_name: record.client_name || caseData.client_name,
+            client_language: caseData.client_language || record.client_language,
+            client_email: caseData.notify_client === false
+                ? null
+                : record.client_email || caseData.client_email
+        };
+    }
+    
     /**
      * Map AI status to Notion status
      * @param {string} status - AI extracted status
@@ -607,21 +1796,59 @@ class WorkflowOrchestrator {
         return null;
     }
     
+    /**
+     * Run an entry point with this orchestrator listening for spans
+     * @param {Function} fn - Work to run
+     */
+    traced(fn) {
+        return withSpanListener(this.spanListener, fn);
+    }
+    
+    /**
+     * Add a finished span to the operation log
+     * The tracer has already written it to the logger
+     * @param {Object} span - { name, duration_ms, status, ... }
+     */
+    recordSpan(span) {
+        this.pushEntry({
+            timestamp: span.started_at,
+            type: 'SPAN',
+            message: `${span.name} ${span.status === 'error' ? 'failed' : 'took'} ${span.duration_ms}ms${span.cache ? ` (cache ${span.cache})` : ''}`,
+            user: this.user.name,
+            span: span.name,
+            duration_ms: span.duration_ms,
+            status: span.status,
+            ...(span.provider && { provider: span.provider }),
+            ...(span.cache && { cache: span.cache })
+        });
+    }
+    
     /**
      * Log an operation
      * @param {string} type - Operation type
      * @param {string} message - Operation message
      */
     log(type, message) {
-        const entry = {
+        this.pushEntry({
             timestamp: new Date().toISOString(),
             type,
             message,
             user: this.user.name
-        };
+        });
+        logger.info(`Orchestrator [${type}]: ${message}`);
+    }
+    
+    pushEntry(entry) {
+        const correlationId = getCorrelationId();
+        if (correlationId) {
+            entry.correlation_id = correlationId;
+        }
+        if (this.preview) {
+            entry.preview = true;
+        }
         
         this.operationLog.push(entry);
-        logger.info(`Orchestrator [${type}]: ${message}`);
+        if (this.onStep) this.onStep(entry);
     }
     
     /**
@@ -0,0 +1,284 @@
+/**
+ * ============================================
+ * WORKFLOW RULES - THE FIRM'S PLAYBOOK
+ * Declarative, per-user side effects for case workflows
+ * ============================================
+ *
+ * The orchestrator raises triggers as it works through a
+ * voice note (hearing recorded, next hearing set, ...).
+ * Each rule says which actions to run for a trigger:
+ *
+ * {
+ *   "id": "close-on-finalized",
+ *   "trigger": "STATUS_CHANGED",
+ *   "when": { "status": "FINALIZED" },
+ *   "actions": [{ "type": "CLOSE_CASE" }, { "type": "EMAIL_CLIENT", "template": "CASE_CONCLUDED" }]
+ * }
+ *
+ * Users without their own rules get DEFAULT_RULES, which is
+ * the behaviour the orchestrator always had. Custom rules are
+ * stored in data/rules/<user_id>.json and edited via /api/rules.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { config } = require('../config');
+const { logger } = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+const { generateId } = require('../utils/helpers');
+
+const RULE_TRIGGERS = {
+    CASE_CREATED: 'CASE_CREATED',
+    HEARING_RECORDED: 'HEARING_RECORDED',
+    STATUS_CHANGED: 'STATUS_CHANGED',
+    NEXT_HEARING_SET: 'NEXT_HEARING_SET',
+    DOCUMENTS_REQUESTED: 'DOCUMENTS_REQUESTED',
+    JUNIOR_ASSIGNED: 'JUNIOR_ASSIGNED'
+};
+
+/**
+ * Action types and the options each one accepts
+ */
+const RULE_ACTIONS = {
+    EMAIL_CLIENT: { template: ['HEARING_REPORT', 'CASE_CONCLUDED', 'DOCUMENT_REQUEST', 'WELCOME'] },
+    CALENDAR: { event: ['HEARING', 'DOCUMENT_REMINDER'] },
+    NOTIFY_JUNIOR: { template: ['ASSIGNMENT', 'DOCUMENT_REQUEST'] },
+    SET_STATUS: { status: Object.values(config.caseStatuses) },
+    CLOSE_CASE: {}
+};
+
+/**
+ * Conditions a rule may put in "when"
+ */
+const RULE_CONDITIONS = {
+    status: ['CONTINUING', 'FINALIZED'],
+    role: ['SENIOR', 'JUNIOR'],
+    is_new: [true, false]
+};
+
+/**
+ * What the orchestrator did before rules existed
+ */
+const DEFAULT_RULES = [
+    {
+        id: 'junior-assignment',
+        name: 'Email the junior when a case is assigned',
+        trigger: RULE_TRIGGERS.JUNIOR_ASSIGNED,
+        actions: [{ type: 'NOTIFY_JUNIOR', template: 'ASSIGNMENT' }]
+    },
+    {
+        id: 'close-on-finalized',
+        name: 'Close finalized cases and tell the client',
+        trigger: RULE_TRIGGERS.STATUS_CHANGED,
+        when: { status: 'FINALIZED' },
+        actions: [{ type: 'CLOSE_CASE' }, { type: 'EMAIL_CLIENT', template: 'CASE_CONCLUDED' }]
+    },
+    {
+        id: 'hearing-calendar',
+        name: 'Put the next hearing in the calendar',
+        trigger: RULE_TRIGGERS.NEXT_HEARING_SET,
+        actions: [{ type: 'CALENDAR', event: 'HEARING' }]
+    },
+    {
+        id: 'document-request',
+        name: 'Remind and ask the client for documents',
+        trigger: RULE_TRIGGERS.DOCUMENTS_REQUESTED,
+        actions: [
+            { type: 'CALENDAR', event: 'DOCUMENT_REMINDER' },
+            { type: 'EMAIL_CLIENT', template: 'DOCUMENT_REQUEST' }
+        ]
+    },
+    {
+        id: 'junior-document-follow-up',
+        name: 'Seniors: ask the junior to collect documents',
+        trigger: RULE_TRIGGERS.DOCUMENTS_REQUESTED,
+        when: { role: 'SENIOR' },
+        actions: [{ type: 'NOTIFY_JUNIOR', template: 'DOCUMENT_REQUEST' }]
+    },
+    {
+        id: 'hearing-report',
+        name: 'Send the client a report after every hearing',
+        trigger: RULE_TRIGGERS.HEARING_RECORDED,
+        actions: [{ type: 'EMAIL_CLIENT', template: 'HEARING_REPORT' }]
+    }
+];
+
+/**
+ * Validate one rule and fill in defaults
+ * @param {Object} rule - Untrusted rule
+ * @param {number} index - Position, for error messages
+ * @returns {Object} Normalised rule
+ */
+const validateRule = (rule, index = 0) => {
+    const where = `rules[${index}]`;
+
+    if (!rule || typeof rule !== 'object') {
+        throw new ValidationError(`${where} must be an object`, [where]);
+    }
+    if (!RULE_TRIGGERS[rule.trigger]) {
+        throw new ValidationError(`${where}.trigger must be one of: ${Object.keys(RULE_TRIGGERS).join(', ')}`, [`${where}.trigger`]);
+    }
+
+    const when = rule.when || {};
+    for (const [key, value] of Object.entries(when)) {
+        if (!RULE_CONDITIONS[key]) {
+            throw new ValidationError(`${where}.when.${key} is not a known condition`, [`${where}.when`]);
+        }
+        if (!RULE_CONDITIONS[key].includes(value)) {
+            throw new ValidationError(`${where}.when.${key} must be one of: ${RULE_CONDITIONS[key].join(', ')}`, [`${where}.when.${key}`]);
+        }
+    }
+
+    if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+        throw new ValidationError(`${where}.actions must be a non-empty array`, [`${where}.actions`]);
+    }
+
+    const actions = rule.actions.map((action, i) => {
+        const spec = RULE_ACTIONS[action?.type];
+        if (!spec) {
+            throw new ValidationError(`${where}.actions[${i}].type must be one of: ${Object.keys(RULE_ACTIONS).join(', ')}`, [`${where}.actions[${i}].type`]);
+        }
+
+        const normalised = { type: action.type };
+        for (const [option, allowed] of Object.entries(spec)) {
+            if (!allowed.includes(action[option])) {
+                throw new ValidationError(`${where}.actions[${i}].${option} must be one of: ${allowed.join(', ')}`, [`${where}.actions[${i}].${option}`]);
+            }
+            normalised[option] = action[option];
+        }
+        return normalised;
+    });
+
+    return {
+        id: typeof rule.id === 'string' && rule.id ? rule.id : generateId(),
+        name: rule.name || null,
+        trigger: rule.trigger,
+        ...(Object.keys(when).length > 0 && { when }),
+        actions,
+        enabled: rule.enabled !== false
+    };
+};
+
+/**
+ * Validate a complete rule set
+ * @param {Array} rules - Untrusted rules
+ * @returns {Array} Normalised rules
+ */
+const validateRules = (rules) => {
+    if (!Array.isArray(rules)) {
+        throw new ValidationError('rules must be an array', ['rules']);
+    }
+
+    const normalised = rules.map(validateRule);
+    const ids = new Set();
+    for (const rule of normalised) {
+        if (ids.has(rule.id)) {
+            throw new ValidationError(`Duplicate rule id: ${rule.id}`, ['rules']);
+        }
+        ids.add(rule.id);
+    }
+    return normalised;
+};
+
+/**
+ * Rules that fire for a trigger, in order
+ * @param {Array} rules - Rule set
+ * @param {string} trigger - RULE_TRIGGERS value
+ * @param {Object} facts - { status, role, is_new }
+ * @returns {Array} Matching enabled rules
+ */
+const matchRules = (rules, trigger, facts) => rules.filter(rule =>
+    rule.enabled !== false
+    && rule.trigger === trigger
+    && Object.entries(rule.when || {}).every(([key, value]) => facts[key] === value)
+);
+
+/**
+ * Rule Store Class
+ * One JSON file per user; no file means DEFAULT_RULES
+ */
+class RuleStore {
+    constructor(options = {}) {
+        this.directory = options.directory || path.join(__dirname, '../../data/rules');
+        this.cache = new Map();
+    }
+
+    filePath(userId) {
+        // User IDs come from the registry, but never trust them as paths
+        return path.join(this.directory, `${userId.replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+    }
+
+    /**
+     * Get a user's rules
+     * @param {string} userId - User ID
+     * @returns {Object} { rules, is_default }
+     */
+    async getRules(userId) {
+        if (this.cache.has(userId)) return this.cache.get(userId);
+
+        let entry = { rules: DEFAULT_RULES, is_default: true };
+        try {
+            const data = JSON.parse(await fs.readFile(this.filePath(userId), 'utf8'));
+            entry = { rules: validateRules(data.rules), is_default: false };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Rules: Failed to load rules, using defaults', { userId, error: error.message });
+            }
+        }
+
+        this.cache.set(userId, entry);
+        return entry;
+    }
+
+    /**
+     * Replace a user's rules
+     * @param {string} userId - User ID
+     * @param {Array} rules - Untrusted rules
+     * @returns {Object} { rules, is_default }
+     */
+    async setRules(userId, rules) {
+        const entry = { rules: validateRules(rules), is_default: false };
+
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(this.filePath(userId), JSON.stringify({
+            user_id: userId,
+            updated_at: new Date().toISOString(),
+            rules: entry.rules
+        }, null, 2));
+
+        this.cache.set(userId, entry);
+        logger.info('Rules: Updated', { userId, count: entry.rules.length });
+        return entry;
+    }
+
+    /**
+     * Drop a user's custom rules and fall back to defaults
+     * @param {string} userId - User ID
+     */
+    async resetRules(userId) {
+        try {
+            await fs.unlink(this.filePath(userId));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        this.cache.delete(userId);
+        logger.info('Rules: Reset to defaults', { userId });
+        return this.getRules(userId);
+    }
+}
+
+// Shared store used by the orchestrator and /api/rules
+const ruleStore = new RuleStore();
+
+module.exports = {
+    RuleStore,
+    ruleStore,
+    DEFAULT_RULES,
+    RULE_TRIGGERS,
+    RULE_ACTIONS,
+    RULE_CONDITIONS,
+    validateRule,
+    validateRules,
+    matchRules
+};
@@ -86,12 +86,13 @@ const parseDate = (dateStr) => {
 /**
  * Format date for display
  * @param {Date} date - Date object
+ * @param {string} locale - Display locale (e.g. 'hi-IN' for a Hindi email)
  * @returns {string} Formatted date string
  */
-const formatDate = (date) => {
+const formatDate = (date, locale = 'en-IN') => {
     if (!date) return '';
     const d = new Date(date);
-    return d.toLocaleDateString('en-IN', {
+    return d.toLocaleDateString(locale, {
         year: 'numeric',
         month: 'long',
         day: 'numeric'
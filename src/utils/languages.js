@@ -0,0 +1,73 @@
+/**
+ * ============================================
+ * LANGUAGES
+ * Languages lawyers dictate in and clients read
+ * ============================================
+ */
+
+/**
+ * Languages client emails can be sent in
+ */
+const SUPPORTED_LANGUAGES = ['en', 'hi', 'ta'];
+
+const LANGUAGE_NAMES = {
+    en: 'English',
+    hi: 'Hindi',
+    ta: 'Tamil'
+};
+
+/**
+ * What a voice note can be dictated in (code-mixed included)
+ */
+const DICTATION_LANGUAGES = ['en', 'hi', 'ta', 'hi-en', 'ta-en'];
+
+const LANGUAGE_ALIASES = {
+    english: 'en',
+    angrezi: 'en',
+    hindi: 'hi',
+    'हिंदी': 'hi',
+    'हिन्दी': 'hi',
+    tamil: 'ta',
+    'தமிழ்': 'ta',
+    hinglish: 'hi-en',
+    tanglish: 'ta-en'
+};
+
+/**
+ * "Hindi", "hi-IN", "हिंदी" -> "hi"
+ * @param {string} value - Language as spoken, stored or returned by the model
+ * @param {Array} allowed - Codes to accept
+ * @returns {string|null} Language code, or null if not recognised
+ */
+const normaliseLanguage = (value, allowed = SUPPORTED_LANGUAGES) => {
+    if (typeof value !== 'string' || !value.trim()) return null;
+
+    const text = value.trim().toLowerCase().replace(/_/g, '-');
+    const code = LANGUAGE_ALIASES[text]
+        || (allowed.includes(text) ? text : null)
+        || (allowed.includes(text.split('-')[0]) ? text.split('-')[0] : null);
+
+    return allowed.includes(code) ? code : null;
+};
+
+// Zero of each script's digit block
+const DIGIT_ZEROS = [0x0966 /* Devanagari */, 0x0BE6 /* Tamil */];
+
+/**
+ * "१५/०७/२०२५" -> "15/07/2025"
+ * @param {string} text - Text possibly containing Devanagari or Tamil digits
+ * @returns {string} Text with ASCII digits
+ */
+const normaliseDigits = (text) => text.replace(/[०-९௦-௯]/g, (digit) => {
+    const code = digit.charCodeAt(0);
+    const zero = DIGIT_ZEROS.find(z => code >= z && code <= z + 9);
+    return String(code - zero);
+});
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    LANGUAGE_NAMES,
+    DICTATION_LANGUAGES,
+    normaliseLanguage,
+    normaliseDigits
+};
@@ -6,9 +6,19 @@
  */
 
 const winston = require('winston');
+const { getCorrelationId } = require('./requestContext');
 
 const { combine, timestamp, printf, colorize, errors } = winston.format;
 
+// Tag every line logged while serving a request with its correlation ID
+const correlation = winston.format((info) => {
+    const correlationId = getCorrelationId();
+    if (correlationId && !info.correlation_id) {
+        info.correlation_id = correlationId;
+    }
+    return info;
+});
+
 // Custom log format
 const logFormat = printf(({ level, message, timestamp, ...metadata }) => {
     let metaStr = '';
@@ -22,6 +32,7 @@ const logFormat = printf(({ level, message, timestamp, ...metadata }) => {
 const logger = winston.createLogger({
     level: process.env.LOG_LEVEL || 'info',
     format: combine(
+        correlation(),
         errors({ stack: true }),
         timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
         logFormat
@@ -0,0 +1,172 @@
+/**
+ * ============================================
+ * NAME MATCHING
+ * Spelling-tolerant comparison of Indian names
+ * ============================================
+ *
+ * The same client reaches us as "Sharma", "Sarma" or "शर्मा",
+ * as "Meera" or "Mira", and with whatever typo speech-to-text
+ * made. Words are transliterated to Latin script, then compared
+ * by a phonetic key that folds the usual romanisation variants
+ * (sh/s, ee/i, oo/u, aspirated consonants, v/w, ksh/x) and by
+ * edit distance for everything else.
+ */
+
+/**
+ * Devanagari letters as names are usually spelt in English
+ * (long vowels written short: शर्मा -> sharma, मीरा -> mira)
+ */
+const DEVANAGARI_CONSONANTS = {
+    'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+    'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+    'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+    'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+    'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+    'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'v', 'श': 'sh',
+    'ष': 'sh', 'स': 's', 'ह': 'h', '\u0915\u093C': 'q', '\u0916\u093C': 'kh',
+    '\u0917\u093C': 'g', '\u091C\u093C': 'z', '\u0921\u093C': 'r', '\u0922\u093C': 'rh', '\u092B\u093C': 'f'
+};
+
+const DEVANAGARI_VOWELS = {
+    'अ': 'a', 'आ': 'a', 'इ': 'i', 'ई': 'i', 'उ': 'u', 'ऊ': 'u',
+    'ऋ': 'ri', 'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au'
+};
+
+const DEVANAGARI_MATRAS = {
+    'ा': 'a', 'ि': 'i', 'ी': 'i', 'ु': 'u', 'ू': 'u',
+    'ृ': 'ri', 'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au'
+};
+
+const VIRAMA = '्';
+const NUKTA = '़';
+const NASALS = ['ं', 'ँ'];
+const VISARGA = 'ः';
+
+/**
+ * Words that never identify a case
+ */
+const NAME_STOPWORDS = new Set([
+    'case', 'matter', 'vs', 'v', 'versus', 'the', 'of', 'and', 'for',
+    'mr', 'mrs', 'ms', 'shri', 'sri', 'smt', 'kumari', 'dr', 'adv', 'advocate', 'ji'
+]);
+
+/**
+ * Romanisation variants folded together, applied in order
+ */
+const PHONETIC_RULES = [
+    [/ksh/g, 'ks'], [/x/g, 'ks'], [/q/g, 'k'], [/ck/g, 'k'], [/ph/g, 'f'],
+    [/chh/g, 'c'], [/ch/g, 'c'], [/sh/g, 's'],
+    [/([bdgjkt])h/g, '$1'],
+    [/z/g, 'j'], [/w/g, 'v'], [/y/g, 'i'],
+    [/(.)\1+/g, '$1']
+];
+
+/**
+ * Romanise Devanagari; other text is returned unchanged
+ * The inherent "a" is dropped at the end of a word (कमल -> kamal)
+ * @param {string} text - Text in any script
+ * @returns {string} Latin-script text
+ */
+const transliterate = (text) => {
+    if (!/[\u0900-\u097F]/.test(text || '')) return text || '';
+
+    const chars = [...text.normalize('NFC')];
+    let output = '';
+
+    for (let i = 0; i < chars.length; i++) {
+        let char = chars[i];
+        if (chars[i + 1] === NUKTA && DEVANAGARI_CONSONANTS[char + NUKTA]) {
+            char += NUKTA;
+            i++;
+        }
+
+        const next = chars[i + 1];
+        if (DEVANAGARI_CONSONANTS[char]) {
+            output += DEVANAGARI_CONSONANTS[char];
+            if (DEVANAGARI_MATRAS[next]) {
+                output += DEVANAGARI_MATRAS[next];
+                i++;
+            } else if (next === VIRAMA) {
+                i++;
+            } else if (next && /[\u0900-\u097F]/.test(next)) {
+                output += 'a';
+            }
+        } else if (DEVANAGARI_VOWELS[char]) {
+            output += DEVANAGARI_VOWELS[char];
+        } else if (NASALS.includes(char)) {
+            output += 'n';
+        } else if (char === VISARGA) {
+            output += 'h';
+        } else if (char !== NUKTA && char !== VIRAMA) {
+            output += char;
+        }
+    }
+
+    return output;
+};
+
+/**
+ * Lowercase Latin words of a name, without honorifics or filler
+ * @param {string} text - Name, case name or query
+ * @returns {Array} Words
+ */
+const nameTokens = (text) => transliterate(text)
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !NAME_STOPWORDS.has(word));
+
+/**
+ * Phonetic key: first letter plus the consonants, variants folded
+ * "Sharma", "Sarma" -> "srm"; "Meera", "Mira" -> "mr"; "Lakshmi", "Laxmi" -> "lksm"
+ * @param {string} word - One lowercase word
+ * @returns {string} Key
+ */
+const phoneticKey = (word) => {
+    let key = (word || '').toLowerCase().replace(/[^a-z]/g, '');
+    for (const [pattern, replacement] of PHONETIC_RULES) {
+        key = key.replace(pattern, replacement);
+    }
+    return key.charAt(0) + key.slice(1).replace(/[aeiouh]/g, '');
+};
+
+/**
+ * Levenshtein distance
+ */
+const editDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+};
+
+/**
+ * 1 for identical words, 0 for nothing in common
+ * @param {string} a - Word
+ * @param {string} b - Word
+ * @returns {number} 1 - distance / longer length
+ */
+const editSimilarity = (a, b) => {
+    if (!a || !b) return 0;
+    return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+};
+
+module.exports = {
+    NAME_STOPWORDS,
+    transliterate,
+    nameTokens,
+    phoneticKey,
+    editDistance,
+    editSimilarity
+};
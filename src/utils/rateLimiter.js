@@ -0,0 +1,38 @@
+/**
+ * ============================================
+ * RATE LIMITER
+ * Spaces out calls to stay under an API's limit
+ * ============================================
+ */
+
+/**
+ * Rate Limiter Class
+ * Calls are started no closer together than 1 / requestsPerSecond,
+ * in the order they were scheduled
+ */
+class RateLimiter {
+    constructor(options = {}) {
+        this.intervalMs = 1000 / (options.requestsPerSecond || 3);
+        this.nextSlot = 0;
+    }
+
+    /**
+     * Run fn in the next free slot
+     * @param {Function} fn - Async work
+     * @returns {Promise} Result of fn
+     */
+    async schedule(fn) {
+        const now = Date.now();
+        const slot = Math.max(now, this.nextSlot);
+        this.nextSlot = slot + this.intervalMs;
+
+        if (slot > now) {
+            await new Promise(resolve => setTimeout(resolve, slot - now));
+        }
+        return fn();
+    }
+}
+
+module.exports = {
+    RateLimiter
+};
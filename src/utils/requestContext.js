@@ -0,0 +1,41 @@
+/**
+ * ============================================
+ * REQUEST CONTEXT
+ * Per-request state that follows async calls
+ * ============================================
+ *
+ * Holds the correlation ID of the request being served so the
+ * logger, the orchestrator and the services can all tag their
+ * output with it without passing it through every call.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn with a correlation ID
+ * @param {string} correlationId - Request/correlation ID
+ * @param {Function} fn - Work to run inside the context
+ */
+const runWithCorrelationId = (correlationId, fn) => storage.run({
+    correlation_id: correlationId,
+    span_listeners: []
+}, fn);
+
+/**
+ * Current context, or null outside a request
+ */
+const getRequestContext = () => storage.getStore() || null;
+
+/**
+ * Correlation ID of the current request, if any
+ */
+const getCorrelationId = () => storage.getStore()?.correlation_id || null;
+
+module.exports = {
+    storage,
+    runWithCorrelationId,
+    getRequestContext,
+    getCorrelationId
+};
@@ -0,0 +1,98 @@
+/**
+ * ============================================
+ * TRACING
+ * Timed spans around slow external calls
+ * ============================================
+ *
+ * Every span (AI provider, Notion, Calendar, email) is logged
+ * with its duration and the request's correlation ID, and handed
+ * to any span listener registered for the current async context -
+ * that is how the orchestrator puts timings in its operation log.
+ */
+
+const { storage } = require('./requestContext');
+const { logger } = require('./logger');
+
+/**
+ * Run fn with an extra span listener
+ * The correlation ID and any outer listeners are kept
+ * @param {Function} listener - Called with each finished span
+ * @param {Function} fn - Work to run
+ */
+const withSpanListener = (listener, fn) => {
+    const parent = storage.getStore();
+    const listeners = parent?.span_listeners || [];
+
+    // Nested entry points of the same orchestrator
+    if (listeners.includes(listener)) return fn();
+
+    return storage.run({
+        correlation_id: parent?.correlation_id || null,
+        span_listeners: [...listeners, listener]
+    }, fn);
+};
+
+/**
+ * Time an async call
+ * @param {string} name - Span name, e.g. "notion.findCase"
+ * @param {Function} fn - Work; receives the span attributes to add to
+ * @param {Object} attributes - Extra fields for the span
+ * @returns {Promise} Result of fn
+ */
+const traceSpan = async (name, fn, attributes = {}) => {
+    const started = process.hrtime.bigint();
+    const span = {
+        name,
+        started_at: new Date().toISOString(),
+        ...attributes
+    };
+
+    try {
+        const result = await fn(span);
+        span.status = 'ok';
+        return result;
+    } catch (error) {
+        span.status = 'error';
+        span.error = error.message;
+        throw error;
+    } finally {
+        span.duration_ms = Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10;
+
+        const context = storage.getStore();
+        if (context?.correlation_id) span.correlation_id = context.correlation_id;
+
+        logger.info(`Trace: ${name} ${span.duration_ms}ms`, { span });
+
+        for (const listener of context?.span_listeners || []) {
+            try {
+                listener(span);
+            } catch (error) {
+                logger.warn('Trace: Span listener failed', { span: name, error: error.message });
+            }
+        }
+    }
+};
+
+/**
+ * Replace methods of a service instance with traced versions
+ * Internal calls (this.method) are traced too
+ * @param {Object} instance - Service instance
+ * @param {string} component - Span prefix, e.g. "notion"
+ * @param {Array} methods - Method names
+ * @returns {Object} The same instance
+ */
+const traceMethods = (instance, component, methods) => {
+    for (const method of methods) {
+        const original = instance[method];
+        if (typeof original !== 'function') continue;
+
+        instance[method] = (...args) => traceSpan(`${component}.${method}`, () => original.apply(instance, args));
+    }
+    return instance;
+};
+
+module.exports = {
+    withSpanListener,
+    traceSpan,
+    traceMethods
+};
@@ -0,0 +1,106 @@
+/**
+ * ============================================
+ * AI CACHE TESTS
+ * Repeated prompts answered without another model call
+ * ============================================
+ */
+
+const { AIResponseCache, aiResponseCache } = require('../src/agents/aiCache');
+const { callAI } = require('../src/agents/aiAgent');
+const { WorkflowOrchestrator } = require('../src/services/workflowOrchestrator');
+const { getUserById } = require('../src/auth/userRegistry');
+const { config } = require('../src/config');
+const { useStubProvider } = require('./helpers/stubProvider');
+
+describe('AIResponseCache', () => {
+    const key = (prompt, model = 'llama3.1') =>
+        AIResponseCache.keyFor('local', { model, baseUrl: 'http://localhost:11434/v1' }, 'system', prompt);
+
+    test('keys change with the model and either prompt', () => {
+        expect(key('Sharma bail granted')).toBe(key('Sharma bail granted'));
+        expect(key('Sharma bail granted')).not.toBe(key('Sharma bail granted', 'qwen2.5'));
+        expect(key('Sharma bail granted')).not.toBe(key('Mehta adjourned'));
+        expect(AIResponseCache.keyFor('local', {}, 'other system', 'x')).not.toBe(AIResponseCache.keyFor('local', {}, 'system', 'x'));
+    });
+
+    test('entries expire after the TTL', () => {
+        const cache = new AIResponseCache({ ttlMs: 1000, maxEntries: 10 });
+        const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+
+        try {
+            cache.set('a', 'answer');
+            expect(cache.get('a')).toBe('answer');
+
+            now.mockReturnValue(1_001_000);
+            expect(cache.get('a')).toBeUndefined();
+            expect(cache.getStats()).toMatchObject({ hits: 1, misses: 1, size: 0 });
+        } finally {
+            now.mockRestore();
+        }
+    });
+
+    test('evicts the least recently used past the size bound', () => {
+        const cache = new AIResponseCache({ ttlMs: 60000, maxEntries: 2 });
+
+        cache.set('a', '1');
+        cache.set('b', '2');
+        cache.get('a');
+        cache.set('c', '3');
+
+        expect(cache.get('b')).toBeUndefined();
+        expect(cache.get('a')).toBe('1');
+        expect(cache.get('c')).toBe('3');
+        expect(cache.getStats()).toMatchObject({ evictions: 1, size: 2 });
+    });
+});
+
+describe('callAI caching', () => {
+    let stub;
+    const calls = () => stub.requests.length;
+
+    beforeEach(async () => {
+        aiResponseCache.clear();
+        stub = await useStubProvider(index => `answer ${index + 1}`);
+    });
+
+    afterEach(async () => {
+        config.ai.cache.enabled = true;
+        aiResponseCache.clear();
+        await stub.restore();
+    });
+
+    test('the same prompts are answered once and logged as hit or miss', async () => {
+        const orchestrator = new WorkflowOrchestrator(getUserById('lawyer_senior_01'));
+
+        const first = await orchestrator.traced(() => callAI('Sharma bail granted', 'system'));
+        const second = await orchestrator.traced(() => callAI('Sharma bail granted', 'system'));
+        const other = await orchestrator.traced(() => callAI('Mehta adjourned', 'system'));
+
+        expect([first, second, other]).toEqual(['answer 1', 'answer 1', 'answer 2']);
+        expect(calls()).toBe(2);
+        expect(orchestrator.operationLog.filter(e => e.span === 'ai.callAI').map(e => e.cache)).toEqual(['miss', 'hit', 'miss']);
+        expect(orchestrator.operationLog[1].message).toMatch(/\(cache hit\)$/);
+        expect(aiResponseCache.getStats()).toMatchObject({ hits: 1, misses: 2, size: 2 });
+    });
+
+    test('responses the caller rejects are not cached', async () => {
+        const cacheable = text => text !== 'answer 1';
+
+        await callAI('Sharma bail granted', 'system', { cacheable });
+        const retried = await callAI('Sharma bail granted', 'system', { cacheable });
+        const again = await callAI('Sharma bail granted', 'system', { cacheable });
+
+        expect([retried, again]).toEqual(['answer 2', 'answer 2']);
+        expect(calls()).toBe(2);
+    });
+
+    test('can be turned off', async () => {
+        config.ai.cache.enabled = false;
+
+        await callAI('Sharma bail granted', 'system');
+        await callAI('Sharma bail granted', 'system');
+
+        expect(calls()).toBe(2);
+        expect(aiResponseCache.getStats().size).toBe(0);
+    });
+});
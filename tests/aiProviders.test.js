@@ -0,0 +1,99 @@
+/**
+ * ============================================
+ * AI PROVIDER TESTS
+ * Registry and OpenAI-compatible stub server
+ * ============================================
+ */
+
+const { ProviderRegistry, providerRegistry } = require('../src/agents/aiProviders');
+const { callAI } = require('../src/agents/aiAgent');
+const { config } = require('../src/config');
+const { AIProcessingError } = require('../src/utils/errors');
+const { startStubServer, reply } = require('./helpers/stubProvider');
+
+describe('AI provider registry', () => {
+    let stub;
+
+    afterEach(async () => {
+        if (stub) await stub.close();
+        stub = null;
+    });
+
+    test('sends model, temperature and JSON mode to an OpenAI-compatible server', async () => {
+        stub = await startStubServer(reply('{"cases": []}'));
+        const registry = new ProviderRegistry({
+            local: { type: 'openai-compatible', baseUrl: stub.baseUrl, model: 'llama3.1', temperature: 0.2, jsonMode: true, requiresKey: false }
+        });
+
+        const output = await registry.call('local', 'Sharma bail granted', 'Extract cases');
+
+        expect(output).toBe('{"cases": []}');
+        expect(stub.requests[0].authorization).toBeUndefined();
+        expect(stub.requests[0].body).toMatchObject({
+            model: 'llama3.1',
+            temperature: 0.2,
+            response_format: { type: 'json_object' },
+            messages: [
+                { role: 'system', content: 'Extract cases' },
+                { role: 'user', content: 'Sharma bail granted' }
+            ]
+        });
+    });
+
+    test('gives up on a slow provider after its timeout', async () => {
+        stub = await startStubServer((req, res) => setTimeout(() => reply('late')(req, res), 500));
+        const registry = new ProviderRegistry({
+            local: { label: 'Local AI', type: 'openai-compatible', baseUrl: stub.baseUrl, model: 'm', timeoutMs: 50, requiresKey: false }
+        });
+
+        await expect(registry.call('local', 'p', 's')).rejects.toThrow('Local AI API timed out after 50ms');
+    });
+
+    test('only providers with a key (or a keyless local URL) are configured', () => {
+        const registry = new ProviderRegistry({
+            cloud: { type: 'openai-compatible', baseUrl: 'https://api.example.com/v1', model: 'm' },
+            keyed: { type: 'openai-compatible', baseUrl: 'https://api.example.com/v1', model: 'm', apiKey: 'k' },
+            local: { type: 'openai-compatible', model: 'm', requiresKey: false }
+        });
+
+        expect(registry.isConfigured('cloud')).toBe(false);
+        expect(registry.isConfigured('keyed')).toBe(true);
+        expect(registry.isConfigured('local')).toBe(false);
+        expect(registry.list().find(p => p.name === 'keyed')).not.toHaveProperty('apiKey');
+    });
+
+    test('puts the preferred provider first unless an explicit order is set', () => {
+        expect(providerRegistry.getOrder('gemini', null).slice(0, 3)).toEqual(['gemini', 'groq', 'together']);
+        expect(providerRegistry.getOrder('hf', null)[0]).toBe('huggingface');
+        expect(providerRegistry.getOrder('groq', 'local')).toEqual(['local']);
+    });
+
+    test('calls OpenAI only when asked to', () => {
+        expect(providerRegistry.getOrder('groq', null)).not.toContain('openai');
+        expect(providerRegistry.getOrder('openai', null)[0]).toBe('openai');
+        expect(providerRegistry.getOrder('groq', 'groq,openai')).toEqual(['groq', 'openai']);
+    });
+
+    test('rejects unknown provider types', () => {
+        expect(() => new ProviderRegistry({ odd: { type: 'telepathy' } })).toThrow(AIProcessingError);
+    });
+
+    test('callAI falls back along the configured order', async () => {
+        stub = await startStubServer(reply('{"ok": true}'));
+        const originalOrder = config.ai.providerOrder;
+        const originalLocal = providerRegistry.get('local');
+
+        providerRegistry.register('broken', { type: 'openai-compatible', baseUrl: 'http://127.0.0.1:1/v1', model: 'm', requiresKey: false });
+        providerRegistry.register('local', { ...originalLocal, baseUrl: stub.baseUrl });
+        config.ai.providerOrder = 'broken,groq-unconfigured,local';
+
+        try {
+            await expect(callAI('prompt', 'system')).resolves.toBe('{"ok": true}');
+            expect(stub.requests).toHaveLength(1);
+        } finally {
+            config.ai.providerOrder = originalOrder;
+            providerRegistry.register('local', originalLocal);
+            providerRegistry.providers.delete('broken');
+        }
+    });
+});
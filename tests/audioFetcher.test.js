@@ -0,0 +1,189 @@
+/**
+ * ============================================
+ * AUDIO URL TESTS
+ * Downloading SpeakSpace recordings and keeping them as evidence
+ * ============================================
+ */
+
+jest.mock('../src/agents/aiAgent', () => require('./helpers/aiAgentMock'));
+
+const fs = require('fs');
+const dns = require('dns');
+const path = require('path');
+const express = require('express');
+const { extractCaseInformation, transcribeAudio } = require('../src/agents/aiAgent');
+const { fetchAudio, checkAudioUrl } = require('../src/services/audioFetcher');
+const { getUserById } = require('../src/auth/userRegistry');
+const { config } = require('../src/config');
+const { useTempDir, createTestOrchestrator } = require('./helpers/workflow');
+
+const evidenceDir = useTempDir('evidence-test');
+const AUDIO = Buffer.alloc(4096, 7);
+
+let server;
+let baseUrl;
+
+beforeAll(() => new Promise(resolve => {
+    const app = express();
+    app.get('/note.mp3', (req, res) => res.type('audio/mpeg').send(AUDIO));
+    app.get('/bucket/note.m4a', (req, res) => res.type('application/octet-stream').send(AUDIO));
+    app.get('/page.html', (req, res) => res.type('text/html').send('<html></html>'));
+    app.get('/missing.mp3', (req, res) => res.status(404).end());
+    app.get('/moved.mp3', (req, res) => res.redirect(302, '/note.mp3'));
+    app.get('/away.mp3', (req, res) => res.redirect(302, req.query.to));
+    app.get('/loop.mp3', (req, res) => res.redirect(302, '/loop.mp3'));
+    // Chunked, so there is no Content-Length to check up front
+    app.get('/endless.wav', (req, res) => {
+        res.type('audio/wav');
+        res.write(AUDIO);
+        res.write(AUDIO);
+        res.end(AUDIO);
+    });
+    server = app.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+    });
+}));
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+describe('fetchAudio', () => {
+    // The test server is on loopback, which is refused by default
+    const fetchWith = (url, options = {}) => fetchAudio(url, { evidenceDir, maxBytes: 10000, allowedHosts: [], allowPrivateHosts: true, ...options });
+
+    test('saves the recording with its hash', async () => {
+        const evidence = await fetchWith(`${baseUrl}/note.mp3`);
+
+        expect(evidence).toMatchObject({ mime_type: 'audio/mpeg', size_bytes: 4096, source_url: `${baseUrl}/note.mp3` });
+        expect(evidence.filename).toMatch(/^voice-note-.*\.mp3$/);
+        expect(fs.readFileSync(evidence.path)).toEqual(AUDIO);
+        expect(evidence.sha256).toHaveLength(64);
+    });
+
+    test('trusts the extension when the server says octet-stream', async () => {
+        const evidence = await fetchWith(`${baseUrl}/bucket/note.m4a`);
+        expect(evidence.mime_type).toBe('audio/mp4');
+    });
+
+    test('rejects anything that is not audio', async () => {
+        await expect(fetchWith(`${baseUrl}/page.html`)).rejects.toThrow(/not audio \(Content-Type: text\/html\)/);
+    });
+
+    test('rejects recordings over the size limit', async () => {
+        await expect(fetchWith(`${baseUrl}/note.mp3`, { maxBytes: 1000 })).rejects.toThrow(/larger than 1000 bytes/);
+        await expect(fetchWith(`${baseUrl}/endless.wav`)).rejects.toThrow(/larger than 10000 bytes/);
+    });
+
+    test('reports failed downloads as external errors', async () => {
+        await expect(fetchWith(`${baseUrl}/missing.mp3`)).rejects.toMatchObject({ statusCode: 502, message: expect.stringMatching(/HTTP 404/) });
+    });
+
+    test('only fetches http(s) URLs on allowed hosts', () => {
+        expect(() => checkAudioUrl('file:///etc/passwd')).toThrow(/must be an http\(s\) URL/);
+        expect(() => checkAudioUrl('not a url')).toThrow(/not a valid URL/);
+        expect(() => checkAudioUrl('https://evil.example/a.mp3', ['speakspace.ai'])).toThrow(/host evil.example is not allowed/);
+        expect(checkAudioUrl('https://cdn.speakspace.ai/a.mp3', ['speakspace.ai']).hostname).toBe('cdn.speakspace.ai');
+    });
+
+    test('refuses loopback, private and metadata addresses', async () => {
+        for (const url of [
+            'http://127.0.0.1/a.mp3',
+            'http://localhost/a.mp3',
+            'http://10.0.0.5/a.mp3',
+            'http://192.168.1.20/a.mp3',
+            'http://169.254.169.254/latest/meta-data/a.mp3',
+            'http://[::1]/a.mp3',
+            'http://[::ffff:127.0.0.1]/a.mp3',
+            'http://[fe80::1]/a.mp3'
+        ]) {
+            expect(() => checkAudioUrl(url)).toThrow(/is a private address/);
+        }
+        expect(checkAudioUrl('http://127.0.0.1/a.mp3', [], true).hostname).toBe('127.0.0.1');
+
+        await expect(fetchWith(`${baseUrl}/note.mp3`, { allowPrivateHosts: false })).rejects.toThrow(/127.0.0.1 is a private address/);
+    });
+
+    test('refuses host names that resolve to a private address', async () => {
+        const lookup = jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }, { address: '10.1.2.3', family: 4 }]);
+        try {
+            await expect(fetchWith('http://recordings.example/a.mp3', { allowPrivateHosts: false })).rejects.toThrow(/recordings.example is a private address/);
+            expect(lookup).toHaveBeenCalledWith('recordings.example', { all: true });
+        } finally {
+            lookup.mockRestore();
+        }
+    });
+
+    test('follows redirects on allowed hosts', async () => {
+        const evidence = await fetchWith(`${baseUrl}/moved.mp3`, { allowedHosts: ['127.0.0.1'] });
+        expect(evidence).toMatchObject({ mime_type: 'audio/mpeg', size_bytes: 4096, source_url: `${baseUrl}/moved.mp3` });
+    });
+
+    test('checks every redirect like the first URL', async () => {
+        const port = new URL(baseUrl).port;
+        const away = (to) => `${baseUrl}/away.mp3?to=${encodeURIComponent(to)}`;
+
+        await expect(fetchWith(away(`http://localhost:${port}/note.mp3`), { allowedHosts: ['127.0.0.1'] }))
+            .rejects.toThrow(/host localhost is not allowed/);
+        await expect(fetchWith(away('file:///etc/passwd'))).rejects.toThrow(/must be an http\(s\) URL/);
+        await expect(fetchWith(`${baseUrl}/loop.mp3`)).rejects.toThrow(/more than 5 redirects/);
+    });
+});
+
+describe('Voice notes sent as audio_url', () => {
+    const SHARMA = { id: 'case-sharma', case_name: 'Rohan Sharma Bail Matter', client_name: 'Rohan Sharma', hearing_count: 2 };
+
+    const createOrchestrator = () => {
+        const orchestrator = createTestOrchestrator(getUserById('lawyer_senior_01'), evidenceDir);
+        orchestrator.notion = {
+            writes: [],
+            async findCase() { return SHARMA; },
+            async getCaseById() { return SHARMA; },
+            async searchCases() { return [SHARMA]; },
+            async updateCase(id, updates) { this.writes.push(['updateCase', id]); return { id, ...updates }; },
+            async addHearing(id) { this.writes.push(['addHearing', id]); return { hearing_id: 'h1', hearing_number: 3 }; },
+            async addHistoryEntry(id) { this.writes.push(['addHistoryEntry', id]); },
+            async addAttachment(id, evidence) { this.writes.push(['addAttachment', id, evidence.filename]); return true; }
+        };
+        return orchestrator;
+    };
+
+    const originalAudio = { ...config.audio };
+    beforeAll(() => Object.assign(config.audio, { evidenceDir, allowPrivateHosts: true }));
+    afterAll(() => Object.assign(config.audio, originalAudio));
+
+    beforeEach(() => {
+        transcribeAudio.mockResolvedValue({ text: 'Sharma bail granted', backend: 'vosk', language: 'en', speakers: [], segments: [] });
+        extractCaseInformation.mockResolvedValue({
+            cases: [{ action_type: 'UPDATE_EXISTING', confidence: 'HIGH', lookup_key: 'Sharma', outcome: 'Bail granted', status: 'CONTINUING', documents_needed: [], missing_fields: [] }],
+            requires_clarification: false
+        });
+    });
+
+    test('downloads, transcribes and attaches the recording to the case', async () => {
+        const orchestrator = createOrchestrator();
+        const result = await orchestrator.processVoiceNote({ audioUrl: `${baseUrl}/note.mp3` });
+
+        expect(transcribeAudio).toHaveBeenCalledWith(expect.stringContaining(evidenceDir));
+        expect(extractCaseInformation).toHaveBeenCalledWith('Sharma bail granted', expect.anything());
+        expect(orchestrator.notion.writes).toContainEqual(['addAttachment', 'case-sharma', result.evidence.filename]);
+        expect(result.evidence).toMatchObject({ mime_type: 'audio/mpeg', size_bytes: 4096, attached_to: ['case-sharma'] });
+        expect(fs.existsSync(path.join(evidenceDir, result.evidence.filename))).toBe(true);
+        expect(orchestrator.operationLog.map(e => e.type)).toEqual(expect.arrayContaining(['AUDIO_DOWNLOAD', 'EVIDENCE']));
+    });
+
+    test('a preview plans the attachment', async () => {
+        const orchestrator = createOrchestrator();
+        const result = await orchestrator.processVoiceNote({ audioUrl: `${baseUrl}/note.mp3` }, { preview: true });
+
+        expect(result.plan.notion).toContainEqual(expect.objectContaining({ operation: 'ADD_ATTACHMENT', case_id: 'case-sharma', size_bytes: 4096 }));
+        expect(orchestrator.notion.target.writes).toEqual([]);
+    });
+
+    test('a bad download fails the note without calling the AI', async () => {
+        extractCaseInformation.mockClear();
+        const result = await createOrchestrator().processVoiceNote({ audioUrl: `${baseUrl}/page.html` });
+
+        expect(result).toMatchObject({ success: false, error: expect.stringMatching(/not audio/) });
+        expect(extractCaseInformation).not.toHaveBeenCalled();
+    });
+});
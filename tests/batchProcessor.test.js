@@ -0,0 +1,201 @@
+/**
+ * ============================================
+ * BATCH PROCESSOR TESTS
+ * Several voice notes in one request
+ * ============================================
+ */
+
+const { BatchProcessor, createCachingNotion, buildCaseReport } = require('../src/services/batchProcessor');
+const { RateLimiter } = require('../src/utils/rateLimiter');
+const { CaseNotFoundError } = require('../src/utils/errors');
+
+const USER = { id: 'lawyer_senior_01', name: 'Adv. Test', email: 'senior@example.com' };
+
+/**
+ * Notion stand-in that counts reads
+ */
+const createFakeNotion = () => {
+    const cases = [
+        { id: 'case-sharma', case_name: 'Rohan Sharma Bail Matter', case_number: 'CRIM-2025-001', hearing_count: 2 },
+        { id: 'case-gupta', case_name: 'Gupta Tax Appeal', case_number: 'TAX-2025-004', hearing_count: 0 }
+    ];
+
+    return {
+        reads: 0,
+        async findCase(lookupKey) {
+            this.reads++;
+            const found = cases.find(c => c.case_name.toLowerCase().includes(lookupKey.toLowerCase()));
+            if (!found) throw new CaseNotFoundError(lookupKey);
+            return { ...found };
+        },
+        async getCaseById(id) {
+            this.reads++;
+            return { ...cases.find(c => c.id === id) };
+        },
+        async searchCases() {
+            this.reads++;
+            return cases;
+        },
+        async addHearing(id) {
+            const found = cases.find(c => c.id === id);
+            found.hearing_count++;
+            return { hearing_number: found.hearing_count };
+        }
+    };
+};
+
+/**
+ * Orchestrator stand-in: one note = "<lookup key>: <outcome>"
+ */
+const createFakeOrchestrator = () => ({
+    notion: null,
+    async processVoiceNote({ text }) {
+        const [lookupKey, outcome] = text.split(':').map(s => s.trim());
+        if (lookupKey === 'crash') throw new Error('AI provider timed out');
+
+        const found = await this.notion.findCase(lookupKey);
+        const hearing = await this.notion.addHearing(found.id);
+
+        return {
+            success: true,
+            status: 'COMPLETED',
+            cases: [{
+                status: 'UPDATED',
+                case_id: found.id,
+                case_name: found.case_name,
+                case_number: found.case_number,
+                outcome,
+                hearing_number: hearing.hearing_number,
+                actions: [`Hearing #${hearing.hearing_number} recorded`]
+            }]
+        };
+    }
+});
+
+const createFakeEmail = () => ({
+    digests: [],
+    async sendBatchDigestEmail(report, user) {
+        this.digests.push({ report, user });
+        return { success: true, to: user.email };
+    }
+});
+
+const createProcessor = (options = {}) => new BatchProcessor(USER, {
+    notion: createFakeNotion(),
+    email: createFakeEmail(),
+    createOrchestrator: createFakeOrchestrator,
+    ...options
+});
+
+describe('Caching Notion service', () => {
+    test('looks a case up once and serves repeats from the cache', async () => {
+        const notion = createFakeNotion();
+        const cached = createCachingNotion(notion);
+
+        await cached.findCase('Sharma');
+        await cached.findCase('  sharma ');
+        await cached.findCase('Sharma');
+
+        expect(notion.reads).toBe(1);
+        expect(cached.stats).toEqual({ lookups: 3, cache_hits: 2 });
+    });
+
+    test('re-reads a case after it was written to', async () => {
+        const notion = createFakeNotion();
+        const cached = createCachingNotion(notion);
+
+        expect((await cached.findCase('Sharma')).hearing_count).toBe(2);
+        await cached.addHearing('case-sharma', {});
+
+        expect((await cached.findCase('Sharma')).hearing_count).toBe(3);
+        expect(notion.reads).toBe(2);
+    });
+
+    test('does not cache cases that were not found', async () => {
+        const notion = createFakeNotion();
+        const cached = createCachingNotion(notion);
+
+        await expect(cached.findCase('Kapoor')).rejects.toThrow(CaseNotFoundError);
+        await expect(cached.findCase('Kapoor')).rejects.toThrow(CaseNotFoundError);
+        expect(notion.reads).toBe(2);
+    });
+});
+
+describe('Batch processor', () => {
+    test('groups results per case across notes', async () => {
+        const processor = createProcessor();
+
+        const report = await processor.process([
+            { text: 'Sharma: Bail granted' },
+            { text: 'Gupta: Adjourned' },
+            { text: 'Sharma: Surety accepted' }
+        ]);
+
+        expect(report.notes_processed).toBe(3);
+        expect(report.cases).toHaveLength(2);
+
+        const sharma = report.cases.find(c => c.case_id === 'case-sharma');
+        expect(sharma.notes).toEqual([0, 2]);
+        expect(sharma.outcomes).toEqual(['Bail granted', 'Surety accepted']);
+        expect(sharma.actions).toEqual(['Hearing #3 recorded', 'Hearing #4 recorded']);
+        expect(report.lookups).toEqual({ lookups: 3, cache_hits: 1 });
+    });
+
+    test('keeps going when one note fails', async () => {
+        const processor = createProcessor();
+
+        const report = await processor.process([
+            { text: 'crash: nothing' },
+            { text: 'Gupta: Adjourned' }
+        ]);
+
+        expect(report.success).toBe(true);
+        expect(report.notes_failed).toBe(1);
+        expect(report.notes[0]).toMatchObject({ success: false, error: 'AI provider timed out' });
+        expect(report.cases.map(c => c.case_id)).toEqual(['case-gupta']);
+    });
+
+    test('sends one digest to the lawyer', async () => {
+        const email = createFakeEmail();
+        const processor = createProcessor({ email });
+
+        const report = await processor.process([
+            { text: 'Sharma: Bail granted' },
+            { text: 'Gupta: Adjourned' }
+        ]);
+
+        expect(email.digests).toHaveLength(1);
+        expect(email.digests[0].report.cases).toHaveLength(2);
+        expect(report.digest).toEqual({ sent: true, to: 'senior@example.com' });
+    });
+
+    test('skips the digest in preview mode or when turned off', async () => {
+        const email = createFakeEmail();
+
+        await createProcessor({ email, preview: true }).process([{ text: 'Sharma: Bail granted' }]);
+        await createProcessor({ email }).process([{ text: 'Sharma: Bail granted' }], { sendDigest: false });
+
+        expect(email.digests).toHaveLength(0);
+    });
+
+    test('reports clarification questions as case errors', () => {
+        const cases = buildCaseReport([{
+            index: 0,
+            result: { cases: [{ status: 'CLARIFICATION_NEEDED', case_name: 'Mehta', message: 'Which Mehta case?' }] }
+        }]);
+
+        expect(cases).toEqual([expect.objectContaining({ case_id: null, case_name: 'Mehta', errors: ['Which Mehta case?'] })]);
+    });
+});
+
+describe('Rate limiter', () => {
+    test('spaces calls by the configured rate', async () => {
+        const limiter = new RateLimiter({ requestsPerSecond: 20 });
+        const started = [];
+
+        await Promise.all([1, 2, 3].map(() => limiter.schedule(async () => started.push(Date.now()))));
+
+        expect(started[1] - started[0]).toBeGreaterThanOrEqual(45);
+        expect(started[2] - started[1]).toBeGreaterThanOrEqual(45);
+    });
+});
@@ -0,0 +1,144 @@
+/**
+ * ============================================
+ * CASE LISTING TESTS
+ * GET /api/cases filters, sorting and Notion pagination
+ * ============================================
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const caseRoutes = require('../src/routes/cases');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const { parseCaseFilters, createCaseStore } = require('../src/services/caseStore');
+const { NotionService } = require('../src/services/notionService');
+const { getUserById } = require('../src/auth/userRegistry');
+const { config } = require('../src/config');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'case-listing-test-'));
+const originalDir = config.caseStore.localDir;
+const SENIOR = getUserById('lawyer_senior_01');
+const USER = { ...SENIOR, id: 'listing_lawyer', case_store: 'local' };
+
+beforeAll(async () => {
+    config.caseStore.localDir = directory;
+    const store = createCaseStore(USER);
+
+    const sharma = await store.createCase({ case_name: 'Rohan Sharma Bail Matter', client_name: 'Rohan Sharma', next_hearing_date: '2026-11-20' }, USER);
+    await store.createCase({ case_name: 'Arun Mehta Contract Breach', client_name: 'Arun Mehta', next_hearing_date: '2026-11-05', assign_to_junior: true }, USER);
+    await store.createCase({ case_name: 'Kavya Iyer Divorce', client_name: 'Kavya Iyer', missing_fields: ['client_email'] }, USER);
+    await store.closeCase(sharma.id, USER);
+});
+
+afterAll(() => {
+    config.caseStore.localDir = originalDir;
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const createApp = () => {
+    const app = express();
+    app.use((req, res, next) => {
+        req.user = USER;
+        next();
+    });
+    app.use('/api/cases', caseRoutes);
+    app.use(errorHandler);
+    return app;
+};
+
+describe('parseCaseFilters', () => {
+    test('defaults to the most recently updated first', () => {
+        expect(parseCaseFilters({})).toMatchObject({ status: [], client: null, sort: 'last_updated', order: 'desc' });
+        expect(parseCaseFilters({ sort: 'next_hearing' }).order).toBe('asc');
+    });
+
+    test('normalises statuses and rejects unknown values', () => {
+        expect(parseCaseFilters({ status: 'active, draft' }).status).toEqual(['Active', 'Draft']);
+        expect(() => parseCaseFilters({ status: 'Pending' })).toThrow(/Unknown status "Pending"/);
+        expect(() => parseCaseFilters({ hearing_from: '5 Nov' })).toThrow(/hearing_from must be a date/);
+        expect(() => parseCaseFilters({ sort: 'judge' })).toThrow(/sort must be one of/);
+        expect(() => parseCaseFilters({ order: 'up' })).toThrow(/order must be asc or desc/);
+    });
+});
+
+describe('GET /api/cases', () => {
+    test('filters by status, client, assignee and hearing range', async () => {
+        const app = createApp();
+        const names = async (query) => (await request(app).get('/api/cases').query(query).expect(200)).body.data.cases.map(c => c.case_name);
+
+        expect(await names({ status: 'Active,Draft' })).toHaveLength(2);
+        expect(await names({ status: 'Closed' })).toEqual(['Rohan Sharma Bail Matter']);
+        expect(await names({ client: 'mehta' })).toEqual(['Arun Mehta Contract Breach']);
+        expect(await names({ assignee: 'rahul' })).toEqual(['Arun Mehta Contract Breach']);
+        expect(await names({ hearing_from: '2026-11-10', hearing_to: '2026-11-30' })).toEqual(['Rohan Sharma Bail Matter']);
+    });
+
+    test('sorts with empty values last', async () => {
+        const response = await request(createApp()).get('/api/cases').query({ sort: 'next_hearing' }).expect(200);
+
+        expect(response.body.data.cases.map(c => c.client_name)).toEqual(['Arun Mehta', 'Rohan Sharma', 'Kavya Iyer']);
+        expect(response.body.data.filters).toMatchObject({ sort: 'next_hearing', order: 'asc' });
+    });
+
+    test('bad filters are a 400', async () => {
+        const response = await request(createApp()).get('/api/cases').query({ hearing_to: 'tomorrow' }).expect(400);
+        expect(response.body.error).toMatch(/hearing_to/);
+    });
+});
+
+describe('NotionService.getAllCases', () => {
+    const page = (id) => ({ id, properties: {}, created_time: '2026-10-01T00:00:00.000Z' });
+
+    const createNotion = (pages) => {
+        const notion = new NotionService('token', 'database-id');
+        notion.initialized = true;
+        notion.client = {
+            databases: {
+                query: jest.fn(async ({ start_cursor }) => {
+                    const start = start_cursor ? Number(start_cursor) : 0;
+                    const next = start + 100;
+                    return {
+                        results: pages.slice(start, next),
+                        has_more: next < pages.length,
+                        next_cursor: next < pages.length ? String(next) : null
+                    };
+                })
+            }
+        };
+        return notion;
+    };
+
+    test('follows next_cursor past the first 100 cases', async () => {
+        const notion = createNotion(Array.from({ length: 250 }, (_, i) => page(`case-${i}`)));
+
+        const cases = await notion.getAllCases(SENIOR);
+
+        expect(cases).toHaveLength(250);
+        expect(cases[249].id).toBe('case-249');
+        expect(notion.client.databases.query.mock.calls.map(([query]) => query.start_cursor)).toEqual([undefined, '100', '200']);
+    });
+
+    test('sends the filters to Notion as a query', async () => {
+        const notion = createNotion([page('case-1')]);
+
+        await notion.getAllCases(SENIOR, parseCaseFilters({
+            status: 'Active,Draft', client: 'Sharma', hearing_from: '2026-11-01', sort: 'created', order: 'asc'
+        }));
+
+        const [query] = notion.client.databases.query.mock.calls[0];
+        expect(query.filter).toEqual({
+            and: [
+                { or: [
+                    { property: 'Status', select: { equals: 'Active' } },
+                    { property: 'Status', select: { equals: 'Draft' } }
+                ] },
+                { property: 'Client Name', rich_text: { contains: 'Sharma' } },
+                { property: 'Next Hearing', date: { on_or_after: '2026-11-01' } }
+            ]
+        });
+        expect(query.sorts).toEqual([{ timestamp: 'created_time', direction: 'ascending' }]);
+        expect(query.page_size).toBe(100);
+    });
+});
@@ -0,0 +1,228 @@
+/**
+ * ============================================
+ * CASE MERGE TESTS
+ * Folding "Unknown Case" drafts into the real case
+ * ============================================
+ */
+
+jest.mock('../src/agents/aiAgent', () => require('./helpers/aiAgentMock'));
+
+const express = require('express');
+const request = require('supertest');
+const caseRoutes = require('../src/routes/cases');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const { AUDIT_TYPES } = require('../src/services/auditLog');
+const { createCaseStore } = require('../src/services/caseStore');
+const { NotionService } = require('../src/services/notionService');
+const { getUserById } = require('../src/auth/userRegistry');
+const { config } = require('../src/config');
+const { CaseNotFoundError, ValidationError } = require('../src/utils/errors');
+const { useTempDir, createTestOrchestrator } = require('./helpers/workflow');
+
+const directory = useTempDir('case-merge-test');
+const originalDir = config.caseStore.localDir;
+const SENIOR = getUserById('lawyer_senior_01');
+
+let userCount = 0;
+
+beforeAll(() => {
+    config.caseStore.localDir = directory;
+});
+
+afterAll(() => {
+    config.caseStore.localDir = originalDir;
+});
+
+const createOrchestrator = (user) => createTestOrchestrator(user, directory);
+
+/**
+ * A lawyer with one real case (one hearing) and a draft left by "Sarma bail granted"
+ */
+const setup = async () => {
+    const user = { ...SENIOR, id: `merge_lawyer_${++userCount}`, case_store: 'local' };
+    const store = createCaseStore(user);
+
+    const target = await store.createCase({ case_name: 'Rohan Sharma Bail Matter', client_name: 'Rohan Sharma', missing_fields: [] }, user);
+    await store.createCase({ case_name: 'Arun Mehta Contract Breach', client_name: 'Arun Mehta', missing_fields: [] }, user);
+    await store.addHearing(target.id, { date: '2026-09-01', outcome: 'Notice issued' }, user);
+
+    const draft = await createOrchestrator(user).createDraftFromUnknown({ outcome: 'Bail granted' }, 'Sarma');
+    await store.addHearing(draft.case_id, { date: '2026-10-10', outcome: 'Bail granted', court: 'Sessions Court' }, user);
+
+    return { user, store, targetId: target.id, draftId: draft.case_id };
+};
+
+describe('suggestDraftMerges', () => {
+    test('names the real case a draft most likely meant', async () => {
+        const { user, targetId, draftId } = await setup();
+
+        const [suggestion, ...rest] = await createOrchestrator(user).suggestDraftMerges();
+
+        expect(rest).toHaveLength(0);
+        expect(suggestion).toMatchObject({
+            draft: { id: draftId, case_name: 'Unknown Case: Sarma' },
+            lookup_key: 'Sarma',
+            suggested_case_id: targetId
+        });
+        expect(suggestion.candidates[0]).toMatchObject({
+            case_name: 'Rohan Sharma Bail Matter',
+            score: 0.85,
+            reasons: [expect.objectContaining({ query: 'sarma', matched: 'sharma', kind: 'phonetic' })]
+        });
+    });
+
+    test('makes no suggestion when nothing is clearly ahead', async () => {
+        const user = { ...SENIOR, id: `merge_lawyer_${++userCount}`, case_store: 'local' };
+        const store = createCaseStore(user);
+        await store.createCase({ case_name: 'Arun Mehta Contract Breach', client_name: 'Arun Mehta', missing_fields: [] }, user);
+        await store.createCase({ case_name: 'Arun Mehta Property Dispute', client_name: 'Arun Kumar Mehta', missing_fields: [] }, user);
+        await createOrchestrator(user).createDraftFromUnknown({ outcome: 'Adjourned' }, 'Mehta');
+
+        const [suggestion] = await createOrchestrator(user).suggestDraftMerges();
+
+        expect(suggestion.suggested_case_id).toBeNull();
+        expect(suggestion.candidates).toHaveLength(2);
+    });
+});
+
+describe('mergeDraftCase', () => {
+    test('moves hearings and history, recounts hearings and archives the draft', async () => {
+        const { user, store, targetId, draftId } = await setup();
+        const orchestrator = createOrchestrator(user);
+
+        const result = await orchestrator.mergeDraftCase(draftId, targetId);
+
+        expect(result).toMatchObject({
+            success: true,
+            status: 'MERGED',
+            case_id: targetId,
+            merged_draft: { id: draftId, case_name: 'Unknown Case: Sarma' },
+            hearings_moved: 1,
+            history_moved: 4,
+            hearing_count: 2
+        });
+
+        const hearings = await store.getHearings(targetId);
+        expect(hearings.map(h => [h.hearing_number, h.date, h.outcome])).toEqual([
+            ['Hearing 2', '2026-10-10', 'Bail granted'],
+            ['Hearing 1', '2026-09-01', 'Notice issued']
+        ]);
+        expect((await store.getCaseById(targetId)).hearing_count).toBe(2);
+
+        const history = (await store.getHistoryEntries(targetId)).map(h => h.entry);
+        expect(history).toContainEqual(expect.stringMatching(/^↪️ From "Unknown Case: Sarma" \[.+\] \(.+\): ⚠️ This case was auto-created because "Sarma"/));
+        expect(history[history.length - 1]).toBe('🔀 Merged draft "Unknown Case: Sarma" (' + result.merged_draft.case_number + '): 1 hearing(s), 4 history entries. Draft notes: Bail granted');
+
+        await expect(store.getCaseById(draftId)).rejects.toBeInstanceOf(CaseNotFoundError);
+
+        const [audit] = await orchestrator.audit.query({ type: AUDIT_TYPES.CASE_MERGE });
+        expect(audit).toMatchObject({ case_id: targetId, draft: { id: draftId } });
+    });
+
+    test('only merges an Unknown Case draft into a real case', async () => {
+        const { user, store, targetId, draftId } = await setup();
+        const orchestrator = createOrchestrator(user);
+        const [other] = await store.searchCases('Mehta');
+
+        await expect(orchestrator.mergeDraftCase(other.id, targetId)).rejects.toThrow(/is not an Unknown Case draft/);
+        await expect(orchestrator.mergeDraftCase(draftId, draftId)).rejects.toBeInstanceOf(ValidationError);
+        await expect(orchestrator.mergeDraftCase(draftId)).rejects.toThrow(/target_case_id is required/);
+        expect(await store.getCaseById(draftId)).toBeDefined();
+    });
+
+    test('rolls the target back when the draft cannot be archived', async () => {
+        const { user, store, targetId, draftId } = await setup();
+        const orchestrator = createOrchestrator(user);
+        const archivePage = orchestrator.notion.archivePage;
+        orchestrator.notion.archivePage = jest.fn(async (id) => {
+            if (id === draftId) throw new Error('Store unavailable');
+            return archivePage(id);
+        });
+
+        const result = await orchestrator.mergeDraftCase(draftId, targetId);
+
+        expect(result).toMatchObject({ success: false, status: 'ERROR', error: 'Store unavailable' });
+        expect(result.rollback.rolled_back).toEqual(['Hearing 2 row deleted', 'Case properties restored']);
+        expect((await store.getHearings(targetId)).map(h => h.hearing_number)).toEqual(['Hearing 1']);
+        expect((await store.getCaseById(targetId)).hearing_count).toBe(1);
+        expect(await store.getCaseById(draftId)).toBeDefined();
+
+        const history = (await store.getHistoryEntries(targetId)).map(h => h.entry);
+        expect(history[history.length - 1]).toBe('↩️ Draft merge failed and was rolled back: Store unavailable');
+        // A retry must not find the draft's history already copied
+        expect(history.filter(entry => /^(↪️|🔀)/.test(entry))).toEqual([]);
+    });
+});
+
+describe('Hearing reads during a merge', () => {
+    test('a failed read stops the merge instead of losing the draft\'s hearings', async () => {
+        const { user, store, targetId, draftId } = await setup();
+        const orchestrator = createOrchestrator(user);
+        const getHearings = orchestrator.notion.getHearings.bind(orchestrator.notion);
+        orchestrator.notion.getHearings = jest.fn(async (id, options = {}) => {
+            if (id !== draftId) return getHearings(id, options);
+            if (options.strict) throw new Error('Store unavailable');
+            return [];
+        });
+
+        const result = await orchestrator.mergeDraftCase(draftId, targetId);
+
+        expect(result).toMatchObject({ success: false, error: 'Store unavailable' });
+        expect(await store.getCaseById(draftId)).toBeDefined();
+        expect((await store.getCaseById(targetId)).hearing_count).toBe(1);
+        // Nothing was written, so there is nothing to roll back
+        expect(result.rollback).toBeUndefined();
+        expect((await store.getHistoryEntries(targetId)).map(h => h.entry).join('\n')).not.toMatch(/Merge|From "Unknown/);
+    });
+});
+
+describe('Merge routes', () => {
+    const createApp = (user) => {
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.user = user;
+            next();
+        });
+        app.use('/api/cases', caseRoutes);
+        app.use(errorHandler);
+        return app;
+    };
+
+    test('suggest, then merge', async () => {
+        const { user, targetId, draftId } = await setup();
+        const app = createApp(user);
+
+        const suggestions = await request(app).get('/api/cases/merge-suggestions').expect(200);
+        expect(suggestions.body.data).toMatchObject({ count: 1, drafts: [{ suggested_case_id: targetId }] });
+
+        await request(app).post(`/api/cases/${draftId}/merge`).send({}).expect(400);
+
+        const merged = await request(app).post(`/api/cases/${draftId}/merge`).send({ target_case_id: targetId }).expect(200);
+        expect(merged.body).toMatchObject({ success: true, data: { status: 'MERGED', hearing_count: 2 } });
+    });
+});
+
+describe('NotionService.getHistoryEntries', () => {
+    test('reads back history paragraphs across pages and skips other blocks', async () => {
+        const paragraph = (...texts) => ({ type: 'paragraph', paragraph: { rich_text: texts.map(plain_text => ({ plain_text })) } });
+        const pages = [
+            { results: [paragraph('[1 Oct 2026, 10:00 am] ', '(Adv. Priya) ', 'Case created by Adv. Priya')], has_more: true, next_cursor: 'next' },
+            { results: [
+                { type: 'child_database', child_database: { title: 'Hearing History' } },
+                paragraph('🎙️ Voice note evidence: ', 'note.mp3'),
+                paragraph('[2 Oct 2026, 4:30 pm] ', '(Adv. Priya) ', '📋 Hearing 1: ', 'Adjourned')
+            ], has_more: false, next_cursor: null }
+        ];
+        const notion = new NotionService('token', 'database-id');
+        notion.client = { blocks: { children: { list: jest.fn(async () => pages.shift()) } } };
+
+        const entries = await notion.getHistoryEntries('page-id');
+
+        expect(entries).toEqual([
+            { timestamp: '1 Oct 2026, 10:00 am', by: 'Adv. Priya', entry: 'Case created by Adv. Priya' },
+            { timestamp: '2 Oct 2026, 4:30 pm', by: 'Adv. Priya', entry: '📋 Hearing 1: Adjourned' }
+        ]);
+        expect(notion.client.blocks.children.list.mock.calls[1][0].start_cursor).toBe('next');
+    });
+});
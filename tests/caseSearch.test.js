@@ -0,0 +1,170 @@
+/**
+ * ============================================
+ * CASE SEARCH TESTS
+ * Fuzzy, phonetic and transliterated case lookup
+ * ============================================
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { transliterate, nameTokens, phoneticKey } = require('../src/utils/nameMatching');
+const { CaseSearchIndex } = require('../src/services/caseSearchIndex');
+const { LocalCaseStore } = require('../src/services/localCaseStore');
+const { getUserById } = require('../src/auth/userRegistry');
+const { CaseNotFoundError, DuplicateCaseError } = require('../src/utils/errors');
+
+const CASES = [
+    { id: 'sharma', case_name: 'Rohan Sharma Bail Matter', client_name: 'Rohan Sharma', case_number: 'CRIM-2025-001', summary: 'Anticipatory bail, Section 438' },
+    { id: 'meera', case_name: 'Meera Iyer Divorce', client_name: 'Meera Iyer', case_number: 'FAM-2025-014', summary: 'Mutual consent divorce' },
+    { id: 'lakshmi', case_name: 'Lakshmi Textiles Recovery', client_name: 'Lakshmi Narayanan', case_number: 'CIV-2025-007', summary: 'Cheque bounce under NI Act' },
+    { id: 'priya', case_name: 'Priya Patel Property Dispute', client_name: 'Priya Patel', case_number: 'PROP-2025-003', summary: 'Ancestral land partition' }
+];
+
+const top = (query) => new CaseSearchIndex(CASES).search(query)[0];
+
+describe('Name matching', () => {
+    test('romanises Devanagari the way names are usually spelt', () => {
+        expect(transliterate('शर्मा')).toBe('sharma');
+        expect(transliterate('मीरा अय्यर')).toBe('mira ayyar');
+        expect(transliterate('Sharma')).toBe('Sharma');
+    });
+
+    test('folds Indian spelling variants into one phonetic key', () => {
+        expect(phoneticKey('sarma')).toBe(phoneticKey('sharma'));
+        expect(phoneticKey('mira')).toBe(phoneticKey('meera'));
+        expect(phoneticKey('laxmi')).toBe(phoneticKey('lakshmi'));
+        expect(phoneticKey('muhammad')).toBe(phoneticKey('mohammed'));
+        expect(phoneticKey('mehta')).not.toBe(phoneticKey('sharma'));
+    });
+
+    test('drops honorifics and filler words', () => {
+        expect(nameTokens('Adv. Rohan Sharma vs State matter')).toEqual(['rohan', 'sharma', 'state']);
+    });
+});
+
+describe('CaseSearchIndex', () => {
+    test.each([
+        ['Sarma', 'sharma', 'phonetic'],
+        ['Mira', 'meera', 'phonetic'],
+        ['Laxmi', 'lakshmi', 'phonetic'],
+        ['Shrama', 'sharma', 'phonetic'],
+        ['Lakshmi Narayanam', 'lakshmi', 'fuzzy'],
+        ['शर्मा', 'sharma', 'exact'],
+        ['Sharm', 'sharma', 'prefix']
+    ])('"%s" finds %s (%s)', (query, id, kind) => {
+        const result = top(query);
+
+        expect(result.case.id).toBe(id);
+        expect(result.reasons.map(r => r.kind)).toContain(kind);
+    });
+
+    test('explains every score', () => {
+        const result = top('Rohan Sarma');
+
+        expect(result.score).toBe(0.93);
+        expect(result.reasons).toEqual([
+            { query: 'rohan', field: 'case_name', matched: 'rohan', kind: 'exact', score: 1 },
+            { query: 'sarma', field: 'case_name', matched: 'sharma', kind: 'phonetic', score: 0.85 }
+        ]);
+    });
+
+    test('case numbers match whatever the punctuation', () => {
+        expect(top('crim 2025 001')).toMatchObject({ score: 1, case: { id: 'sharma' }, reasons: [{ field: 'case_number' }] });
+        expect(top('hearing in CRIM/2025-001 today')).toMatchObject({ score: 1, case: { id: 'sharma' } });
+    });
+
+    test('a longer case number is a different case', () => {
+        const index = new CaseSearchIndex([
+            { id: 'contract', case_name: 'Arun Mehta Contract Breach', client_name: 'Arun Mehta', case_number: 'CTR-2025-001' },
+            { id: 'crim', case_name: 'Vikram Singh Theft', client_name: 'Vikram Singh', case_number: 'CRIM/2025-1' }
+        ]);
+        const exact = (query) => index.search(query, { minScore: 1 });
+
+        expect(exact('CTR-2025-0011')).toEqual([]);
+        expect(exact('CRIM/2025-12')).toEqual([]);
+        expect(exact('CTR-2025-001')).toMatchObject([{ case: { id: 'contract' }, score: 1 }]);
+        expect(exact('crim 2025 1')).toMatchObject([{ case: { id: 'crim' }, score: 1 }]);
+    });
+
+    test('summary words count for less than names', () => {
+        const [result] = new CaseSearchIndex(CASES).search('cheque', { minScore: 0 });
+        expect(result).toMatchObject({ case: { id: 'lakshmi' }, score: 0.6, reasons: [{ field: 'summary' }] });
+    });
+
+    test('half a name is not a match', () => {
+        expect(new CaseSearchIndex(CASES).search('Priya Sharma').map(r => r.case.id)).not.toContain('priya');
+    });
+});
+
+describe('findCase on the index', () => {
+    const senior = getUserById('lawyer_senior_01');
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'case-search-test-'));
+    let store;
+
+    beforeAll(async () => {
+        store = new LocalCaseStore({ file: path.join(directory, 'cases.json') });
+        await store.createCase({ case_name: 'Arun Mehta Contract Breach', client_name: 'Arun Mehta' }, senior);
+        await store.createCase({ case_name: 'Arun Mehta Property Dispute', client_name: 'Arun Kumar Mehta' }, senior);
+        await store.createCase({ case_name: 'Rohan Sharma Bail Matter', client_name: 'Rohan Sharma' }, senior);
+    });
+
+    afterAll(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    test('returns the clear winner with its score', async () => {
+        const found = await store.findCase('Sarma');
+        expect(found).toMatchObject({ case_name: 'Rohan Sharma Bail Matter', match: { score: 0.85 } });
+
+        expect((await store.findCase('Arun Mehta contract')).case_name).toBe('Arun Mehta Contract Breach');
+    });
+
+    test('hands back ranked candidates when it is close', async () => {
+        const error = await store.findCase('Mehta').catch(e => e);
+
+        expect(error).toBeInstanceOf(DuplicateCaseError);
+        expect(error.matches).toHaveLength(2);
+        expect(error.matches[0]).toMatchObject({ score: 1, reasons: [expect.objectContaining({ matched: 'mehta' })] });
+    });
+
+    test('misses are not found', async () => {
+        await expect(store.findCase('Priya Desai')).rejects.toBeInstanceOf(CaseNotFoundError);
+    });
+
+    test('new cases are searchable straight away', async () => {
+        await store.findCase('Sharma');
+        await store.createCase({ case_name: 'Meera Iyer Divorce', client_name: 'Meera Iyer' }, senior);
+
+        expect((await store.findCase('Mira Iyer')).case_name).toBe('Meera Iyer Divorce');
+    });
+
+    test('stores on the same cases share one index, kept in step with writes', async () => {
+        await store.findCase('Sharma');
+        // As a new orchestrator or request would
+        const next = new LocalCaseStore({ file: store.file });
+        const getAllCases = jest.spyOn(next, 'getAllCases');
+        const getCaseById = jest.spyOn(next, 'getCaseById');
+
+        await next.findCase('Sharma');
+        expect(getAllCases).not.toHaveBeenCalled();
+
+        const kavita = await store.createCase({ case_name: 'Kavita Rao Tenancy', client_name: 'Kavita Rao' }, senior);
+        expect((await next.findCase('Kavitha Rao')).case_name).toBe('Kavita Rao Tenancy');
+        // Only the new case was read, not the whole store
+        expect(getCaseById).toHaveBeenCalledWith(kavita.id);
+
+        await store.archivePage(kavita.id);
+        await expect(next.findCase('Kavitha Rao')).rejects.toBeInstanceOf(CaseNotFoundError);
+        expect(getAllCases).not.toHaveBeenCalled();
+    });
+
+    test('hands back the case as it is now, not the indexed copy', async () => {
+        const sharma = await store.findCase('Sharma');
+        const getCaseById = jest.spyOn(store, 'getCaseById').mockResolvedValueOnce({ ...sharma, client_email: 'rohan@new.example', match: undefined });
+
+        const found = await store.findCase('Sharma');
+
+        expect(getCaseById).toHaveBeenCalledWith(sharma.id);
+        expect(found).toMatchObject({ client_email: 'rohan@new.example', match: { score: 1 } });
+        getCaseById.mockRestore();
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * ============================================
+ * EXTRACTION EVAL TESTS
+ * Scoring and the recorded golden run
+ * ============================================
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { scoreCases, summarise, alignCases, loadFixtures, runEvaluation } = require('../src/eval/extractionEval');
+const { providerRegistry } = require('../src/agents/aiProviders');
+const { config } = require('../src/config');
+
+describe('Scoring', () => {
+    test('pairs cases by agreement, not by order', () => {
+        const pairs = alignCases(
+            [{ action_type: 'UPDATE_EXISTING', lookup_key: 'Kapoor' }, { action_type: 'UPDATE_EXISTING', lookup_key: 'EMP-2025-003' }],
+            [{ action_type: 'UPDATE_EXISTING', lookup_key: 'EMP-2025-003' }, { action_type: 'UPDATE_EXISTING', lookup_key: 'Mrs Kapoor' }]
+        );
+
+        expect(pairs.map(p => [p.expected.lookup_key, p.predicted.lookup_key])).toEqual([
+            ['Kapoor', 'Mrs Kapoor'],
+            ['EMP-2025-003', 'EMP-2025-003']
+        ]);
+    });
+
+    test('counts wrong, missing and invented values', () => {
+        const { counts, mismatches } = scoreCases(
+            [{ action_type: 'UPDATE_EXISTING', lookup_key: 'Sharma', next_hearing_date: '2025-07-15', documents_needed: ['Surety bond', 'PAN card'] }],
+            [
+                { action_type: 'UPDATE_EXISTING', lookup_key: 'Rohan Sharma', next_hearing_date: '2025-07-16', documents_needed: ['surety bond', 'Affidavit'] },
+                { action_type: 'CREATE_NEW', lookup_key: null, next_hearing_date: null, documents_needed: [] }
+            ]
+        );
+
+        expect(counts).toEqual({
+            action_type: { tp: 1, fp: 1, fn: 0 },
+            lookup_key: { tp: 1, fp: 0, fn: 0 },
+            next_hearing_date: { tp: 0, fp: 1, fn: 1 },
+            documents_needed: { tp: 1, fp: 1, fn: 1 }
+        });
+        expect(mismatches.map(m => m.field)).toEqual(['next_hearing_date', 'documents_needed', 'action_type']);
+    });
+
+    test('a field nobody filled in scores perfectly', () => {
+        const fields = summarise({ next_hearing_date: { tp: 0, fp: 0, fn: 0 }, lookup_key: { tp: 3, fp: 1, fn: 2 } });
+
+        expect(fields.next_hearing_date).toMatchObject({ precision: 1, recall: 1, f1: 1 });
+        expect(fields.lookup_key.precision).toBeCloseTo(0.75);
+        expect(fields.lookup_key.recall).toBeCloseTo(0.6);
+    });
+});
+
+describe('Golden run', () => {
+    test('every fixture has a recorded response', async () => {
+        const report = await runEvaluation({ provider: 'recorded' });
+
+        expect(report.fixtures).toBe(loadFixtures().length);
+        expect(report.results.filter(r => r.error)).toEqual([]);
+        for (const field of Object.values(report.fields)) {
+            expect(field.f1).toBeGreaterThanOrEqual(0.8);
+        }
+    });
+
+    test('puts the provider settings back afterwards', async () => {
+        const order = config.ai.providerOrder;
+        const ruleFallback = config.ai.ruleFallback;
+
+        await runEvaluation({ provider: 'recorded' });
+
+        expect(config.ai.providerOrder).toBe(order);
+        expect(config.ai.ruleFallback).toBe(ruleFallback);
+        expect(providerRegistry.get('recorded')).toBeNull();
+    });
+
+    test('records a live provider and replays it', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eval-'));
+        const fixtures = path.join(dir, 'golden');
+        const recordingsPath = path.join(dir, 'recorded.json');
+        fs.mkdirSync(fixtures);
+        fs.writeFileSync(path.join(fixtures, 'one.json'), JSON.stringify({
+            transcript: 'Mehta adjourned to 15 July 2025',
+            expected: { cases: [{ action_type: 'UPDATE_EXISTING', lookup_key: 'Mehta', next_hearing_date: '2025-07-15', documents_needed: [] }] }
+        }));
+
+        const live = JSON.stringify({ cases: [{ action_type: 'UPDATE_EXISTING', confidence: 'HIGH', lookup_key: 'Mehta', next_hearing_date: '2025-07-15' }] });
+        providerRegistry.register('fake-live', { type: 'recorded', responses: { 'Mehta adjourned to 15 July 2025': live } });
+
+        try {
+            const recorded = await runEvaluation({ provider: 'fake-live', fixturesDir: fixtures, recordingsPath, record: true });
+            expect(JSON.parse(fs.readFileSync(recordingsPath, 'utf8'))).toEqual({ 'Mehta adjourned to 15 July 2025': live });
+
+            const replayed = await runEvaluation({ provider: 'recorded', fixturesDir: fixtures, recordingsPath });
+            expect(replayed.fields).toEqual(recorded.fields);
+            expect(replayed.fields.next_hearing_date.f1).toBe(1);
+        } finally {
+            providerRegistry.providers.delete('fake-live');
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,179 @@
+/**
+ * ============================================
+ * EXTRACTION SCHEMA TESTS
+ * Validation, coercion and repair retries
+ * ============================================
+ */
+
+const {
+    parseModelJson,
+    coerceExtraction,
+    validateExtraction,
+    coerceDate,
+    coerceTime
+} = require('../src/agents/extractionSchema');
+const { extractCaseInformation } = require('../src/agents/aiAgent');
+const { useStubProvider } = require('./helpers/stubProvider');
+
+const NOW = new Date(2025, 5, 10); // 10 June 2025
+
+const validCase = (overrides = {}) => ({
+    action_type: 'UPDATE_EXISTING',
+    confidence: 'HIGH',
+    lookup_key: 'Sharma',
+    status: 'CONTINUING',
+    next_hearing_date: '2025-07-15',
+    documents_needed: [],
+    missing_fields: [],
+    ...overrides
+});
+
+describe('Extraction schema', () => {
+    test('accepts a well-formed extraction', () => {
+        expect(validateExtraction({ cases: [validCase()], overall_summary: 'ok', requires_clarification: false })).toEqual([]);
+    });
+
+    test('reports enum, date and type problems with their path', () => {
+        const errors = validateExtraction({
+            cases: [validCase({ action_type: 'MAYBE', next_hearing_date: 'someday', documents_needed: 'bond' })]
+        });
+
+        expect(errors).toEqual([
+            expect.stringMatching(/^response\.cases\[0\]\.action_type must be one of: UPDATE_EXISTING/),
+            expect.stringMatching(/^response\.cases\[0\]\.next_hearing_date must be a valid ISO date/),
+            'response.cases[0].documents_needed must be array (got string)'
+        ]);
+    });
+
+    test('finds the JSON inside fences and chatter', () => {
+        expect(parseModelJson('```json\n{"cases": []}\n```').value).toEqual({ cases: [] });
+        expect(parseModelJson('Sure! Here it is: {"cases": []} Hope that helps.').value).toEqual({ cases: [] });
+        expect(parseModelJson('{"cases": [{"action_type": ').error).toMatch(/not valid JSON/);
+    });
+});
+
+describe('Field coercion', () => {
+    test('reads spoken and day-first dates', () => {
+        expect(coerceDate('Jan 15', NOW)).toBe('2026-01-15');
+        expect(coerceDate('July 3rd', NOW)).toBe('2025-07-03');
+        expect(coerceDate('15th January, 2026', NOW)).toBe('2026-01-15');
+        expect(coerceDate('05/08/2025', NOW)).toBe('2025-08-05');
+        expect(coerceDate('2025-07-15T10:00:00Z', NOW)).toBe('2025-07-15');
+        expect(coerceDate('whenever', NOW)).toBe('whenever');
+    });
+
+    test('does not roll impossible dates into the next month', () => {
+        expect(coerceDate('Feb 30', NOW)).toBe('Feb 30');
+        expect(coerceDate('31 April 2026', NOW)).toBe('31 April 2026');
+        expect(coerceDate('31/04/2026', NOW)).toBe('31/04/2026');
+        expect(coerceDate('29 Feb 2028', NOW)).toBe('2028-02-29');
+
+        for (const date of ['2026-02-30', '2026-04-31', '2026-13-01']) {
+            expect(validateExtraction({ cases: [validCase({ next_hearing_date: date })] }))
+                .toEqual([expect.stringMatching(/^response\.cases\[0\]\.next_hearing_date must be a valid ISO date/)]);
+        }
+        expect(validateExtraction({ cases: [validCase({ next_hearing_date: '2028-02-29' })] })).toEqual([]);
+    });
+
+    test('normalises times to 24-hour', () => {
+        expect(coerceTime('2 PM')).toBe('14:00');
+        expect(coerceTime('10.30 am')).toBe('10:30');
+        expect(coerceTime('12 am')).toBe('00:00');
+    });
+
+    test('fixes enums, emails, lists and null strings', () => {
+        const extraction = coerceExtraction({
+            cases: [{
+                action_type: 'update',
+                status: 'adjourned',
+                client_email: 'rohan dot sharma at gmail dot com',
+                documents_needed: 'surety bond, ID proof',
+                case_number: 'null',
+                assign_to_junior: 'false'
+            }]
+        }, NOW);
+
+        expect(extraction.cases[0]).toMatchObject({
+            action_type: 'UPDATE_EXISTING',
+            status: 'CONTINUING',
+            client_email: 'rohan.sharma@gmail.com',
+            documents_needed: ['surety bond', 'ID proof'],
+            case_number: null,
+            assign_to_junior: false
+        });
+        // Confidence is not guessed
+        expect(validateExtraction(extraction)).toEqual(['response.cases[0].confidence is required']);
+    });
+
+    test('reads court, judge, sections and the opposing side', () => {
+        const extraction = coerceExtraction({
+            cases: [{
+                action_type: 'UPDATE_EXISTING',
+                confidence: 'HIGH',
+                court: 'Delhi High Court',
+                bench: 'Court Room 12',
+                judge: 'justice menon',
+                sections: 'Section 420 IPC; Section 138 NI Act',
+                fir_number: 'FIR 245/2025',
+                opposing_party: 'State of NCT of Delhi',
+                opposing_counsel: 'N/A'
+            }]
+        }, NOW);
+
+        expect(extraction.cases[0]).toMatchObject({
+            judge: 'Justice Menon',
+            sections: ['Section 420 IPC', 'Section 138 NI Act'],
+            opposing_party: 'State of NCT of Delhi',
+            opposing_counsel: null
+        });
+        expect(validateExtraction(extraction)).toEqual([]);
+        expect(validateExtraction({ cases: [validCase({ sections: 'IPC 420' })] }))
+            .toEqual(['response.cases[0].sections must be array (got string)']);
+    });
+});
+
+describe('Repair retries', () => {
+    let stub;
+    const useResponses = async (responses) => { stub = await useStubProvider(responses); };
+    // What the model was sent each time
+    const prompts = () => stub.requests.map(({ body }) => body.messages[1].content);
+
+    afterEach(() => stub.restore());
+
+    const USER = { id: 'lawyer_senior_01', name: 'Adv. Test', role: 'SENIOR' };
+
+    test('sends the validation errors back and accepts the repaired output', async () => {
+        await useResponses([
+            JSON.stringify({ cases: [validCase({ action_type: 'ADJOURN' })] }),
+            JSON.stringify({ cases: [validCase()] })
+        ]);
+
+        const result = await extractCaseInformation('Sharma matter adjourned to 15 July', USER);
+
+        expect(result.cases[0].action_type).toBe('UPDATE_EXISTING');
+        expect(prompts()).toHaveLength(2);
+        expect(prompts()[1]).toContain('response.cases[0].action_type must be one of');
+    });
+
+    test('asks for a confidence the model left out', async () => {
+        const withoutConfidence = validCase();
+        delete withoutConfidence.confidence;
+        await useResponses([
+            JSON.stringify({ cases: [withoutConfidence] }),
+            JSON.stringify({ cases: [validCase({ confidence: 'MEDIUM' })] })
+        ]);
+
+        const result = await extractCaseInformation('Sharma matter adjourned to 15 July', USER);
+
+        expect(result.cases[0].confidence).toBe('MEDIUM');
+        expect(prompts()[1]).toContain('response.cases[0].confidence is required');
+    });
+
+    test('gives up after the repair attempts run out', async () => {
+        await useResponses(['{"cases": [', '{"cases": [', '{"cases": [']);
+
+        await expect(extractCaseInformation('Sharma matter', USER))
+            .rejects.toThrow(/did not match the extraction schema: Response is not valid JSON/);
+        expect(prompts()).toHaveLength(3);
+    });
+});
@@ -0,0 +1,15 @@
+/**
+ * ============================================
+ * AI AGENT MOCK
+ * Stand-in for src/agents/aiAgent so workflow tests never call a model
+ * ============================================
+ *
+ * jest.mock('../src/agents/aiAgent', () => require('./helpers/aiAgentMock'));
+ * then set extractCaseInformation / transcribeAudio results per test.
+ */
+
+module.exports = {
+    extractCaseInformation: jest.fn(),
+    transcribeAudio: jest.fn(),
+    generateCaseSummary: jest.fn(async () => 'Generated summary')
+};
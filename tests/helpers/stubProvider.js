@@ -0,0 +1,62 @@
+/**
+ * ============================================
+ * STUB AI PROVIDER
+ * OpenAI-compatible server the tests point the AI agent at
+ * ============================================
+ */
+
+const express = require('express');
+const { providerRegistry } = require('../../src/agents/aiProviders');
+const { config } = require('../../src/config');
+
+/**
+ * Minimal /v1/chat/completions server, like llama.cpp or Ollama
+ * @param {Function} handler - (req, res, index) for each request, index counting from 0
+ * @returns {Object} { server, requests: [{ body, authorization }], baseUrl, close }
+ */
+const startStubServer = (handler) => new Promise((resolve) => {
+    const app = express();
+    const requests = [];
+    app.use(express.json());
+    app.post('/v1/chat/completions', (req, res) => {
+        requests.push({ body: req.body, authorization: req.get('Authorization') });
+        handler(req, res, requests.length - 1);
+    });
+
+    const server = app.listen(0, '127.0.0.1', () => resolve({
+        server,
+        requests,
+        baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+        close: () => new Promise(done => server.close(done))
+    }));
+});
+
+const reply = (content) => (req, res) => res.json({ choices: [{ message: { content } }] });
+
+/**
+ * Make the "local" provider a stub and the only one callAI tries
+ * @param {Array|Function} responses - Reply texts in turn, or (index) => text
+ * @returns {Object} The stub server, with restore() to put the real provider back
+ */
+const useStubProvider = async (responses) => {
+    const originalLocal = providerRegistry.get('local');
+    const originalOrder = config.ai.providerOrder;
+    const answer = typeof responses === 'function' ? responses : index => responses[index];
+
+    const stub = await startStubServer((req, res, index) => reply(answer(index))(req, res));
+    providerRegistry.register('local', { ...originalLocal, baseUrl: stub.baseUrl });
+    config.ai.providerOrder = 'local';
+
+    stub.restore = async () => {
+        config.ai.providerOrder = originalOrder;
+        providerRegistry.register('local', originalLocal);
+        await stub.close();
+    };
+    return stub;
+};
+
+module.exports = {
+    startStubServer,
+    reply,
+    useStubProvider
+};
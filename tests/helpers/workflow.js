@@ -0,0 +1,43 @@
+/**
+ * ============================================
+ * WORKFLOW TEST SETUP
+ * Temp folders and orchestrators that write nothing outside them
+ * ============================================
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WorkflowOrchestrator } = require('../../src/services/workflowOrchestrator');
+const { AuditLog } = require('../../src/services/auditLog');
+
+let auditCount = 0;
+
+/**
+ * Temp folder for this test file, removed once its tests are done
+ * @param {string} prefix - e.g. "case-merge-test"
+ * @returns {string} Folder path
+ */
+const useTempDir = (prefix) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-`));
+    afterAll(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+};
+
+/**
+ * Orchestrator with an audit log of its own under directory
+ * @param {Object} user - User context
+ * @param {string} directory - Temp folder (see useTempDir)
+ * @param {Object} services - Replacements, e.g. { notion, email, pendingActions }
+ * @returns {WorkflowOrchestrator} Orchestrator
+ */
+const createTestOrchestrator = (user, directory, services = {}) => {
+    const orchestrator = new WorkflowOrchestrator(user);
+    orchestrator.audit = new AuditLog({ directory: path.join(directory, `audit-${++auditCount}`) });
+    return Object.assign(orchestrator, services);
+};
+
+module.exports = {
+    useTempDir,
+    createTestOrchestrator
+};
@@ -0,0 +1,114 @@
+/**
+ * ============================================
+ * IDEMPOTENCY TESTS
+ * Retried voice notes replay instead of re-running
+ * ============================================
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { idempotency } = require('../src/middleware/idempotency');
+const { IdempotencyStore } = require('../src/services/idempotencyStore');
+const { errorHandler } = require('../src/middleware/errorHandler');
+
+/**
+ * Tiny app whose handler counts how often it really runs
+ */
+const createApp = (handler) => {
+    const app = express();
+    const store = new IdempotencyStore();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.user = { id: req.get('x-user-id') || 'lawyer_senior_01' };
+        next();
+    });
+    app.post('/action', idempotency(store), handler);
+    app.use(errorHandler);
+    return app;
+};
+
+const note = { transcription: 'Sharma bail granted', timestamp: '2025-01-10T10:30:00Z' };
+
+describe('Idempotency', () => {
+    test('same Idempotency-Key replays the first response', async () => {
+        let runs = 0;
+        const app = createApp((req, res) => res.json({ run: ++runs }));
+
+        const first = await request(app).post('/action').set('Idempotency-Key', 'note-1').send(note).expect(200);
+        const retry = await request(app).post('/action').set('Idempotency-Key', 'note-1').send(note).expect(200);
+
+        expect(first.body).toEqual({ run: 1 });
+        expect(retry.body).toEqual({ run: 1 });
+        expect(retry.headers['idempotent-replayed']).toBe('true');
+        expect(runs).toBe(1);
+    });
+
+    test('without a header the key is derived from transcription and timestamp', async () => {
+        let runs = 0;
+        const app = createApp((req, res) => res.json({ run: ++runs }));
+
+        await request(app).post('/action').send(note).expect(200);
+        const retry = await request(app).post('/action').send(note).expect(200);
+        const later = await request(app).post('/action')
+            .send({ ...note, timestamp: '2025-01-10T11:00:00Z' }).expect(200);
+        const otherUser = await request(app).post('/action').set('x-user-id', 'lawyer_junior_01').send(note).expect(200);
+
+        expect(retry.body).toEqual({ run: 1 });
+        expect(later.body).toEqual({ run: 2 });
+        expect(otherUser.body).toEqual({ run: 3 });
+    });
+
+    test('a concurrent retry waits for the original and replays it', async () => {
+        let runs = 0;
+        const app = createApp(async (req, res) => {
+            runs++;
+            await new Promise(resolve => setTimeout(resolve, 50));
+            res.json({ run: runs });
+        });
+
+        const [first, retry] = await Promise.all([
+            request(app).post('/action').send(note),
+            request(app).post('/action').send(note)
+        ]);
+
+        expect(first.body).toEqual({ run: 1 });
+        expect(retry.body).toEqual({ run: 1 });
+        expect(runs).toBe(1);
+    });
+
+    test('server errors are not stored, so the retry runs again', async () => {
+        let runs = 0;
+        const app = createApp((req, res) => {
+            runs++;
+            if (runs === 1) return res.status(502).json({ success: false });
+            res.json({ run: runs });
+        });
+
+        await request(app).post('/action').send(note).expect(502);
+        const retry = await request(app).post('/action').send(note).expect(200);
+
+        expect(retry.body).toEqual({ run: 2 });
+    });
+
+    test('reusing a key for a different body is rejected', async () => {
+        const app = createApp((req, res) => res.json({ ok: true }));
+
+        await request(app).post('/action').set('Idempotency-Key', 'note-1').send(note).expect(200);
+        const response = await request(app).post('/action').set('Idempotency-Key', 'note-1')
+            .send({ ...note, transcription: 'Mehta case adjourned' }).expect(422);
+
+        expect(response.body.success).toBe(false);
+    });
+
+    test('preview and real run of the same note are not retries of each other', async () => {
+        let runs = 0;
+        const app = createApp((req, res) => res.json({ run: ++runs }));
+
+        await request(app).post('/action?preview=true').send(note).expect(200);
+        const real = await request(app).post('/action').send(note).expect(200);
+        const retry = await request(app).post('/action').send(note).expect(200);
+
+        expect(real.body).toEqual({ run: 2 });
+        expect(retry.body).toEqual({ run: 2 });
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * ============================================
+ * JOB QUEUE TESTS
+ * Async voice-note processing with retries
+ * ============================================
+ */
+
+const { JobQueue, JOB_STATUSES } = require('../src/services/jobQueue');
+const { NotFoundError } = require('../src/utils/errors');
+
+const USER = { id: 'lawyer_senior_01', name: 'Adv. Test' };
+
+/**
+ * Stand-in orchestrator exposing only the step logger
+ */
+const createFakeOrchestrator = () => ({
+    onStep: null,
+    log(type, message) {
+        if (this.onStep) this.onStep({ type, message, timestamp: new Date().toISOString() });
+    }
+});
+
+const createQueue = (options = {}) => new JobQueue({
+    retryDelayMs: 1,
+    createOrchestrator: createFakeOrchestrator,
+    ...options
+});
+
+const waitFor = async (job) => {
+    for (let i = 0; i < 200 && ![JOB_STATUSES.COMPLETED, JOB_STATUSES.FAILED].includes(job.status); i++) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    return job;
+};
+
+describe('Job queue', () => {
+    test('runs the work and records each orchestrator step', async () => {
+        const queue = createQueue();
+        const job = queue.enqueue(USER, async (orchestrator) => {
+            orchestrator.log('TRANSCRIPTION', 'Voice note transcribed successfully');
+            orchestrator.log('AI_EXTRACTION', 'Extracted 1 case(s)');
+            return { success: true, status: 'COMPLETED' };
+        });
+
+        expect(job.status).toBe(JOB_STATUSES.RUNNING);
+        await waitFor(job);
+
+        expect(job.status).toBe(JOB_STATUSES.COMPLETED);
+        expect(job.steps.map(s => s.type)).toEqual(['TRANSCRIPTION', 'AI_EXTRACTION']);
+        expect(job.result.status).toBe('COMPLETED');
+    });
+
+    test('retries failed attempts up to the limit', async () => {
+        const queue = createQueue({ maxAttempts: 3 });
+        let calls = 0;
+        const job = queue.enqueue(USER, async () => {
+            calls++;
+            if (calls < 3) return { success: false, error: 'AI provider timed out' };
+            return { success: true };
+        });
+
+        await waitFor(job);
+
+        expect(job.status).toBe(JOB_STATUSES.COMPLETED);
+        expect(job.attempts).toBe(3);
+        expect(job.error).toBeNull();
+    });
+
+    test('gives up after the last attempt', async () => {
+        const queue = createQueue({ maxAttempts: 2 });
+        const job = queue.enqueue(USER, async () => {
+            throw new Error('Notion unavailable');
+        });
+
+        await waitFor(job);
+
+        expect(job.status).toBe(JOB_STATUSES.FAILED);
+        expect(job.attempts).toBe(2);
+        expect(job.error).toBe('Notion unavailable');
+    });
+
+    test('client errors are not retried', async () => {
+        const queue = createQueue({ maxAttempts: 3 });
+        const job = queue.enqueue(USER, async () => {
+            throw new NotFoundError('Conversation');
+        });
+
+        await waitFor(job);
+
+        expect(job.status).toBe(JOB_STATUSES.FAILED);
+        expect(job.attempts).toBe(1);
+    });
+
+    test('never runs more jobs at once than the concurrency limit', async () => {
+        const queue = createQueue({ concurrency: 2 });
+        let active = 0;
+        let peak = 0;
+        const work = async () => {
+            active++;
+            peak = Math.max(peak, active);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            active--;
+            return { success: true };
+        };
+
+        const jobs = [1, 2, 3, 4, 5].map(() => queue.enqueue(USER, work));
+        expect(jobs.filter(j => j.status === JOB_STATUSES.QUEUED)).toHaveLength(3);
+
+        await Promise.all(jobs.map(waitFor));
+
+        expect(peak).toBe(2);
+        expect(jobs.every(j => j.status === JOB_STATUSES.COMPLETED)).toBe(true);
+    });
+
+    test('rejects new jobs when the queue is full', () => {
+        const queue = createQueue({ concurrency: 1, maxQueued: 1 });
+        const never = () => new Promise(() => {});
+
+        queue.enqueue(USER, never);
+        queue.enqueue(USER, never);
+
+        expect(() => queue.enqueue(USER, never)).toThrow('Job queue is full');
+    });
+});
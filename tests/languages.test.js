@@ -0,0 +1,227 @@
+/**
+ * ============================================
+ * MULTILINGUAL TESTS
+ * Hindi, Tamil and code-mixed voice notes and client emails
+ * ============================================
+ */
+
+jest.mock('../src/agents/aiAgent', () => require('./helpers/aiAgentMock'));
+
+const { extractCaseInformation } = require('../src/agents/aiAgent');
+const { normaliseLanguage, normaliseDigits, DICTATION_LANGUAGES } = require('../src/utils/languages');
+const { coerceExtraction, validateExtraction, coerceDate } = require('../src/agents/extractionSchema');
+const { extractWithRules } = require('../src/agents/ruleBasedExtractor');
+const { getClientEmailStrings } = require('../src/services/emailTemplates');
+const { EmailService } = require('../src/services/emailService');
+const { getUserById } = require('../src/auth/userRegistry');
+const { useTempDir, createTestOrchestrator } = require('./helpers/workflow');
+
+const directory = useTempDir('languages-test');
+const NOW = new Date(2025, 5, 10); // 10 June 2025
+const USER = { id: 'lawyer_senior_01', name: 'Adv. Test', role: 'SENIOR' };
+
+/**
+ * EmailService that renders but does not send
+ */
+const createRenderingEmailService = () => {
+    const service = new EmailService();
+    service.isConfigured = true;
+    service.sent = [];
+    service.sendEmail = async (options) => {
+        service.sent.push(options);
+        return { success: true };
+    };
+    return service;
+};
+
+describe('Language normalisation', () => {
+    test('reads codes, names, native script and locales', () => {
+        expect(normaliseLanguage('Hindi')).toBe('hi');
+        expect(normaliseLanguage('हिंदी')).toBe('hi');
+        expect(normaliseLanguage('தமிழ்')).toBe('ta');
+        expect(normaliseLanguage('ta_IN')).toBe('ta');
+        expect(normaliseLanguage('English')).toBe('en');
+        expect(normaliseLanguage('French')).toBeNull();
+        expect(normaliseLanguage(null)).toBeNull();
+    });
+
+    test('code-mixed languages are only accepted where allowed', () => {
+        expect(normaliseLanguage('Hinglish', DICTATION_LANGUAGES)).toBe('hi-en');
+        expect(normaliseLanguage('ta-en', DICTATION_LANGUAGES)).toBe('ta-en');
+        expect(normaliseLanguage('Hinglish')).toBeNull();
+    });
+
+    test('converts Devanagari and Tamil digits', () => {
+        expect(normaliseDigits('१५/०७/२०२५')).toBe('15/07/2025');
+        expect(normaliseDigits('௧௫ ஜூலை')).toBe('15 ஜூலை');
+    });
+});
+
+describe('Multilingual extraction', () => {
+    test('reads Hindi and Tamil dates', () => {
+        expect(coerceDate('१५ जुलाई', NOW)).toBe('2025-07-15');
+        expect(coerceDate('15 सितंबर 2025', NOW)).toBe('2025-09-15');
+        expect(coerceDate('ஜூலை 15', NOW)).toBe('2025-07-15');
+        expect(coerceDate('3 agast', NOW)).toBe('2025-08-03');
+        expect(coerceDate('०५/०८/२०२५', NOW)).toBe('2025-08-05');
+    });
+
+    test('normalises languages and lowercase names from the model', () => {
+        const extraction = coerceExtraction({
+            detected_language: 'Hinglish',
+            cases: [{
+                action_type: 'update',
+                confidence: 'HIGH',
+                lookup_key: 'Sharma',
+                client_name: 'rohan sharma',
+                client_language: 'Hindi',
+                next_hearing_date: '१५ जुलाई'
+            }]
+        }, NOW);
+
+        expect(validateExtraction(extraction)).toEqual([]);
+        expect(extraction.detected_language).toBe('hi-en');
+        expect(extraction.cases[0]).toMatchObject({
+            client_name: 'Rohan Sharma',
+            client_language: 'hi',
+            next_hearing_date: '2025-07-15'
+        });
+    });
+
+    test('drops a client language emails cannot be written in', () => {
+        const extraction = coerceExtraction({
+            cases: [{ action_type: 'CREATE_NEW', confidence: 'HIGH', client_name: 'Anne McDonald', client_language: 'French' }]
+        }, NOW);
+
+        expect(validateExtraction(extraction)).toEqual([]);
+        expect(extraction.cases[0].client_language).toBeNull();
+        expect(extraction.cases[0].client_name).toBe('Anne McDonald');
+    });
+
+    test('rejects an unknown dictation language', () => {
+        expect(validateExtraction({ cases: [], detected_language: 'fr' })).toEqual([
+            expect.stringMatching(/detected_language must be one of/)
+        ]);
+    });
+
+    test('offline rules understand Hinglish status words and native digits', () => {
+        const [caseData] = extractWithRules('CTR-2025-001 mein jamanat mil gayi, agli tareekh १५/०७/२०२५', NOW).cases;
+
+        expect(caseData).toMatchObject({
+            lookup_key: 'CTR-2025-001',
+            status: 'CONTINUING',
+            next_hearing_date: '2025-07-15'
+        });
+    });
+});
+
+describe('Client emails in the preferred language', () => {
+    const REPORT = {
+        case_name: 'Rohan Sharma Bail Matter',
+        case_number: 'CRIM-2025-001',
+        client_name: 'Rohan Sharma',
+        client_email: 'rohan.sharma@gmail.com',
+        outcome: 'Bail granted',
+        next_hearing_date: '2025-07-15',
+        documents_needed: ['Surety bond'],
+        status: 'Continuing'
+    };
+
+    test('falls back to English for unknown languages', () => {
+        expect(getClientEmailStrings('hearingReport', 'fr')).toMatchObject({ language: 'en', locale: 'en-IN' });
+        expect(getClientEmailStrings('documentRequest', 'Tamil')).toMatchObject({ language: 'ta', locale: 'ta-IN' });
+    });
+
+    test('English reports are unchanged', async () => {
+        const email = createRenderingEmailService();
+        await email.sendClientHearingReport(REPORT, USER, 3);
+
+        expect(email.sent[0].subject).toBe('📋 Hearing #3 Report - Rohan Sharma Bail Matter');
+        expect(email.sent[0].html).toContain('What Happened in Court Today');
+        expect(email.sent[0].html).toContain('Continuing');
+    });
+
+    test('renders a Hindi hearing report', async () => {
+        const email = createRenderingEmailService();
+        await email.sendClientHearingReport({ ...REPORT, client_language: 'hi' }, USER, 3);
+
+        const { subject, html } = email.sent[0];
+        expect(subject).toBe('📋 सुनवाई #3 रिपोर्ट - Rohan Sharma Bail Matter');
+        expect(html).toContain('lang="hi"');
+        expect(html).toContain('आज अदालत में क्या हुआ');
+        expect(html).toContain('जारी');
+        expect(html).toContain('जुलाई');
+        expect(html).toContain('Bail granted');
+        expect(html).not.toContain('What Happened in Court Today');
+    });
+
+    test('renders a Tamil document request', async () => {
+        const email = createRenderingEmailService();
+        await email.sendDocumentRequestToClient({ ...REPORT, client_language: 'ta' }, USER);
+
+        const { subject, html } = email.sent[0];
+        expect(subject).toBe('📄 தேவையான ஆவணங்கள் - Rohan Sharma Bail Matter');
+        expect(html).toContain('சமர்ப்பிக்கும் முறை');
+        expect(html).toContain('Surety bond');
+    });
+
+    test('the orchestrator sends in the language stored on the case or dictated', async () => {
+        const sharma = {
+            id: 'case-sharma',
+            case_name: 'Rohan Sharma Bail Matter',
+            client_name: 'Rohan Sharma',
+            client_email: 'rohan.sharma@gmail.com',
+            client_language: 'ta',
+            hearing_count: 2
+        };
+        const writes = [];
+        const notion = {
+            async findCase() { return sharma; },
+            async updateCase(id, updates) { writes.push(updates); return { id, ...updates }; },
+            async addHearing() { return { hearing_id: 'hearing-1', hearing_number: 3 }; },
+            async addHistoryEntry() {}
+        };
+
+        const orchestrator = createTestOrchestrator(getUserById('lawyer_senior_01'), directory, {
+            notion,
+            email: createRenderingEmailService()
+        });
+
+        extractCaseInformation.mockResolvedValue({
+            cases: [{
+                action_type: 'UPDATE_EXISTING',
+                confidence: 'HIGH',
+                lookup_key: 'Sharma',
+                outcome: 'Bail granted',
+                status: 'CONTINUING',
+                documents_needed: ['Surety bond'],
+                missing_fields: []
+            }],
+            requires_clarification: false
+        });
+        await orchestrator.processVoiceNote({ text: 'Sharma bail granted' });
+
+        const subjects = orchestrator.email.sent.map(e => e.subject);
+        expect(subjects).toContain('📋 விசாரணை #3 அறிக்கை - Rohan Sharma Bail Matter');
+        expect(subjects).toContain('📄 தேவையான ஆவணங்கள் - Rohan Sharma Bail Matter');
+
+        orchestrator.email.sent = [];
+        extractCaseInformation.mockResolvedValue({
+            cases: [{
+                action_type: 'UPDATE_EXISTING',
+                confidence: 'HIGH',
+                lookup_key: 'Sharma',
+                outcome: 'Bail granted',
+                status: 'CONTINUING',
+                client_language: 'hi',
+                documents_needed: [],
+                missing_fields: []
+            }],
+            requires_clarification: false
+        });
+        await orchestrator.processVoiceNote({ text: 'Sharma bail granted, client prefers Hindi' });
+
+        expect(orchestrator.email.sent.map(e => e.subject)).toContain('📋 सुनवाई #3 रिपोर्ट - Rohan Sharma Bail Matter');
+        expect(writes).toContainEqual(expect.objectContaining({ client_language: 'hi' }));
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * ============================================
+ * LOCAL CASE STORE TESTS
+ * Cases kept on disk instead of in Notion
+ * ============================================
+ */
+
+jest.mock('../src/agents/aiAgent', () => require('./helpers/aiAgentMock'));
+
+const fs = require('fs');
+const path = require('path');
+const { extractCaseInformation } = require('../src/agents/aiAgent');
+const { LocalCaseStore } = require('../src/services/localCaseStore');
+const { CaseStore, createCaseStore } = require('../src/services/caseStore');
+const { NotionService } = require('../src/services/notionService');
+const { getUserById } = require('../src/auth/userRegistry');
+const { config } = require('../src/config');
+const { CaseNotFoundError, CaseAlreadyExistsError, DuplicateCaseError } = require('../src/utils/errors');
+const { useTempDir, createTestOrchestrator } = require('./helpers/workflow');
+
+const directory = useTempDir('case-store-test');
+const SENIOR = getUserById('lawyer_senior_01');
+
+let fileCount = 0;
+const createStore = () => new LocalCaseStore({ file: path.join(directory, `cases-${++fileCount}.json`) });
+
+const SHARMA = { case_name: 'Rohan Sharma Bail Matter', client_name: 'Rohan Sharma', client_email: 'rohan@example.com', missing_fields: [] };
+
+describe('LocalCaseStore', () => {
+    test('creates, finds and updates cases in the Notion case shape', async () => {
+        const store = createStore();
+        const created = await store.createCase({ ...SHARMA, court: 'Delhi High Court', sections: ['437 CrPC'] }, SENIOR);
+
+        expect(created).toMatchObject({ case_name: 'Rohan Sharma Bail Matter', status: 'Active', is_draft: false });
+
+        const found = await store.findCase('Rohan Sharma');
+        expect(found).toMatchObject({ id: created.id, court: 'Delhi High Court', sections: ['437 CrPC'], hearing_count: 0, created_by: SENIOR.name });
+        expect(found.history).toBeUndefined();
+
+        await store.updateCase(created.id, { status: 'Continuing', documents_needed: ['Surety bond'], next_hearing_date: '2026-11-02' }, SENIOR);
+        expect(await store.getCaseById(created.id)).toMatchObject({ status: 'Continuing', documents_needed: ['Surety bond'], next_hearing: '2026-11-02' });
+
+        await expect(store.getCaseById('missing')).rejects.toBeInstanceOf(CaseNotFoundError);
+    });
+
+    test('shares lookup and duplicate detection with the Notion store', async () => {
+        const store = createStore();
+        await store.createCase({ case_name: 'Arun Mehta Contract Breach', client_name: 'Arun Mehta', missing_fields: [] }, SENIOR);
+        await store.createCase({ case_name: 'Arun Mehta Property Dispute', client_name: 'Arun Kumar Mehta', missing_fields: [] }, SENIOR);
+
+        await expect(store.findCase('Mehta')).rejects.toBeInstanceOf(DuplicateCaseError);
+        await expect(store.createCase({ case_name: 'Arun Mehta Appeal', client_name: 'Arun Mehta' }, SENIOR))
+            .rejects.toBeInstanceOf(CaseAlreadyExistsError);
+
+        expect(store.findCase).toBe(NotionService.prototype.findCase);
+    });
+
+    test('records hearings and can undo them', async () => {
+        const store = createStore();
+        const { id } = await store.createCase(SHARMA, SENIOR);
+
+        const first = await store.addHearing(id, { date: '2026-10-01', outcome: 'Notice issued' }, SENIOR);
+        const second = await store.addHearing(id, { date: '2026-10-15', outcome: 'Bail granted', next_hearing_date: '2026-11-20' }, SENIOR);
+
+        expect([first.hearing_number, second.hearing_number]).toEqual([1, 2]);
+        expect((await store.getHearings(id)).map(h => h.outcome)).toEqual(['Bail granted', 'Notice issued']);
+        expect(await store.getCaseById(id)).toMatchObject({ hearing_count: 2, latest_outcome: 'Bail granted', next_hearing: '2026-11-20' });
+
+        const snapshot = await store.getCaseById(id);
+        await store.archivePage(second.hearing_id);
+        await store.restoreCase(id, { ...snapshot, hearing_count: 1, latest_outcome: 'Notice issued', next_hearing: null });
+
+        expect((await store.getHearings(id)).map(h => h.outcome)).toEqual(['Notice issued']);
+        expect(await store.getCaseById(id)).toMatchObject({ hearing_count: 1, latest_outcome: 'Notice issued', next_hearing: null });
+    });
+
+    test('restores only what changed since the snapshot', async () => {
+        const store = createStore();
+        const { id } = await store.createCase(SHARMA, SENIOR);
+        const snapshot = await store.getCaseById(id);
+
+        await store.updateCase(id, { status: 'Closed', latest_outcome: 'Disposed of' }, SENIOR);
+        // Edited by someone else meanwhile - not this workflow's to undo
+        await store.updateCase(id, { judge: 'Justice Rao' }, SENIOR);
+        await store.restoreCase(id, snapshot, ['status', 'latest_outcome']);
+
+        expect(await store.getCaseById(id)).toMatchObject({ status: 'Active', latest_outcome: null, judge: 'Justice Rao' });
+    });
+
+    test('keeps cases on disk across restarts', async () => {
+        const file = path.join(directory, 'persisted.json');
+        const store = new LocalCaseStore({ file });
+        const { id } = await store.createCase(SHARMA, SENIOR);
+        await store.closeCase(id, SENIOR);
+
+        const saved = JSON.parse(fs.readFileSync(file, 'utf8')).cases[0];
+        expect(saved).toMatchObject({ id, status: 'Closed' });
+        expect(saved.history.map(h => h.entry)).toEqual(['Case created by Advocate Priya Sharma', '✅ Case closed/finalized']);
+    });
+});
+
+describe('createCaseStore', () => {
+    test('uses the backend the lawyer has configured', () => {
+        expect(createCaseStore({ ...SENIOR, case_store: 'local' })).toBeInstanceOf(LocalCaseStore);
+        expect(createCaseStore({ ...SENIOR, case_store: 'notion' })).toBeInstanceOf(NotionService);
+        expect(createCaseStore(SENIOR)).toBeInstanceOf(CaseStore);
+        expect(() => createCaseStore({ ...SENIOR, case_store: 'dropbox' })).toThrow(/Unknown case store "dropbox"/);
+    });
+
+    test('falls back to CASE_STORE', () => {
+        const original = config.caseStore.backend;
+        config.caseStore.backend = 'local';
+
+        try {
+            expect(createCaseStore(SENIOR)).toBeInstanceOf(LocalCaseStore);
+        } finally {
+            config.caseStore.backend = original;
+        }
+    });
+});
+
+describe('Orchestrator on the local store', () => {
+    test('processes voice notes without Notion', async () => {
+        const originalDir = config.caseStore.localDir;
+        config.caseStore.localDir = directory;
+        const user = { ...SENIOR, id: 'local_lawyer', case_store: 'local' };
+        const createOrchestrator = () => createTestOrchestrator(user, directory);
+
+        try {
+            extractCaseInformation.mockResolvedValueOnce({
+                cases: [{ action_type: 'CREATE_NEW', confidence: 'HIGH', ...SHARMA, case_summary: 'Bail application', documents_needed: [] }],
+                requires_clarification: false
+            });
+            const orchestrator = createOrchestrator();
+            const created = await orchestrator.processVoiceNote({ text: 'New bail matter for Rohan Sharma' });
+
+            expect(created.success).toBe(true);
+            expect(orchestrator.notion).toBeInstanceOf(LocalCaseStore);
+
+            extractCaseInformation.mockResolvedValueOnce({
+                cases: [{ action_type: 'UPDATE_EXISTING', confidence: 'HIGH', lookup_key: 'Rohan Sharma', outcome: 'Bail granted', status: 'CONTINUING', documents_needed: [], missing_fields: [] }],
+                requires_clarification: false
+            });
+            const updated = await createOrchestrator().processVoiceNote({ text: 'Sharma bail granted' });
+
+            expect(updated.success).toBe(true);
+            const [stored] = await createCaseStore(user).getAllCases();
+            expect(stored).toMatchObject({ case_name: 'Rohan Sharma Bail Matter', hearing_count: 1, latest_outcome: 'Bail granted' });
+            expect(fs.existsSync(path.join(directory, 'local_lawyer.json'))).toBe(true);
+        } finally {
+            config.caseStore.localDir = originalDir;
+        }
+    });
+});
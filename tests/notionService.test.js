@@ -0,0 +1,144 @@
+/**
+ * ============================================
+ * NOTION SERVICE TESTS
+ * Database schema upkeep against a fake Notion client
+ * ============================================
+ */
+
+const { NotionService } = require('../src/services/notionService');
+const { getUserById } = require('../src/auth/userRegistry');
+
+// A database created before the court columns existed
+const OLD_COLUMNS = [
+    'Case Name', 'Case Number', 'Status', 'Client Name', 'Client Email', 'Summary',
+    'Latest Outcome', 'Next Hearing', 'Hearing Count', 'Documents Needed', 'Assigned To',
+    'Junior Name', 'Junior Email', 'Created By', 'Last Updated', 'Client Welcome Sent'
+];
+
+const SENIOR = getUserById('lawyer_senior_01');
+
+const createNotion = (columns = OLD_COLUMNS, options = {}) => {
+    const notion = new NotionService('token', 'database-id');
+    const properties = Object.fromEntries(columns.map(name => [name, {}]));
+
+    notion.client = {
+        databases: {
+            retrieve: jest.fn(async () => ({ title: [{ plain_text: 'Legal Cases - SpeakSpace' }], properties })),
+            update: jest.fn(async ({ properties: added }) => {
+                if (options.readOnlySchema) throw new Error('Insufficient permissions');
+                Object.assign(properties, added);
+                return {};
+            }),
+            query: jest.fn(async () => ({ results: [], has_more: false }))
+        },
+        pages: {
+            create: jest.fn(async () => ({ id: 'page-1' })),
+            update: jest.fn(async () => ({}))
+        },
+        blocks: {
+            children: { append: jest.fn(async () => ({})) }
+        }
+    };
+    return notion;
+};
+
+describe('NotionService.initialize', () => {
+    test('adds missing columns to a configured database', async () => {
+        const notion = createNotion();
+
+        await notion.initialize();
+
+        expect(notion.client.databases.retrieve).toHaveBeenCalledTimes(1);
+        const [{ properties }] = notion.client.databases.update.mock.calls[0];
+        expect(Object.keys(properties)).toEqual([
+            'Client Language', 'Court', 'Bench', 'Judge', 'Sections',
+            'FIR Number', 'Opposing Party', 'Opposing Counsel'
+        ]);
+    });
+
+    test('leaves a complete database alone', async () => {
+        const notion = createNotion();
+        await notion.initialize();
+        notion.client.databases.update.mockClear();
+
+        // Next request, next service on the same database
+        notion.initialized = false;
+        await notion.initialize();
+
+        expect(notion.client.databases.update).not.toHaveBeenCalled();
+    });
+});
+
+describe('Writes to a database missing columns', () => {
+    test('leave out the columns Notion would reject', async () => {
+        const notion = createNotion(OLD_COLUMNS, { readOnlySchema: true });
+
+        await notion.createCase({
+            case_name: 'Rohan Sharma Bail Matter',
+            client_name: 'Rohan Sharma',
+            client_language: 'hi',
+            court: 'Delhi High Court'
+        }, SENIOR);
+        await notion.updateCase('page-1', { client_language: 'ta', judge: 'Justice Rao', latest_outcome: 'Adjourned' }, SENIOR);
+
+        const [{ properties: created }] = notion.client.pages.create.mock.calls[0];
+        expect(created).toHaveProperty(['Client Name']);
+        expect(created).not.toHaveProperty(['Client Language']);
+        expect(created).not.toHaveProperty(['Court']);
+
+        const [{ properties: updated }] = notion.client.pages.update.mock.calls[0];
+        expect(Object.keys(updated).sort()).toEqual(['Last Updated', 'Latest Outcome']);
+    });
+});
+
+describe('NotionService.getHearings', () => {
+    const row = (i) => ({ id: `row-${i}`, properties: { 'Hearing #': { title: [{ text: { content: `Hearing ${i}` } }] } } });
+
+    test('follows next_cursor through every row', async () => {
+        const notion = createNotion();
+        notion.getOrCreateHearingTable = jest.fn(async () => 'hearing-table');
+        notion.client.databases.query = jest.fn(async ({ start_cursor }) => start_cursor
+            ? { results: [row(101)], has_more: false, next_cursor: null }
+            : { results: Array.from({ length: 100 }, (_, i) => row(i + 1)), has_more: true, next_cursor: 'next' });
+
+        const hearings = await notion.getHearings('page-1');
+
+        expect(hearings).toHaveLength(101);
+        expect(notion.client.databases.query.mock.calls[1][0]).toMatchObject({ database_id: 'hearing-table', start_cursor: 'next' });
+    });
+
+    test('throws on a failed read only when asked to', async () => {
+        const notion = createNotion();
+        notion.getOrCreateHearingTable = jest.fn(async () => {
+            throw new Error('Service unavailable');
+        });
+
+        expect(await notion.getHearings('page-1')).toEqual([]);
+        await expect(notion.getHearings('page-1', { strict: true })).rejects.toThrow(/Failed to get hearings/);
+    });
+});
+
+describe('NotionService.restoreCase', () => {
+    test('puts back only the fields the workflow wrote that changed', async () => {
+        const notion = createNotion(OLD_COLUMNS, { readOnlySchema: true });
+        const snapshot = { id: 'page-1', status: 'Active', hearing_count: 2, latest_outcome: 'Notice issued', court: 'Saket Court', judge: null };
+        notion.getCaseById = jest.fn(async () => ({ ...snapshot, status: 'Closed', hearing_count: 3, latest_outcome: 'Disposed of', court: 'Delhi High Court', judge: 'Justice Rao' }));
+
+        await notion.restoreCase('page-1', snapshot, ['status', 'hearing_count', 'court', 'client_email']);
+
+        const [{ properties }] = notion.client.pages.update.mock.calls[0];
+        // Court is not a column of this database; Latest Outcome and Judge were not written by the workflow
+        expect(Object.keys(properties).sort()).toEqual(['Hearing Count', 'Last Updated', 'Status']);
+        expect(properties.Status).toEqual({ select: { name: 'Active' } });
+        expect(properties['Hearing Count']).toEqual({ number: 2 });
+    });
+
+    test('writes nothing when nothing changed', async () => {
+        const notion = createNotion();
+        notion.getCaseById = jest.fn(async () => ({ id: 'page-1', status: 'Active', sections: [] }));
+
+        await notion.restoreCase('page-1', { id: 'page-1', status: 'Active', sections: null });
+
+        expect(notion.client.pages.update).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,131 @@
+/**
+ * ============================================
+ * RULE-BASED EXTRACTOR TESTS
+ * Offline extraction when the AI providers are down
+ * ============================================
+ */
+
+const { extractWithRules } = require('../src/agents/ruleBasedExtractor');
+const { validateExtraction } = require('../src/agents/extractionSchema');
+const { extractCaseInformation } = require('../src/agents/aiAgent');
+const { providerRegistry } = require('../src/agents/aiProviders');
+const { config } = require('../src/config');
+
+const NOW = new Date(2025, 5, 10); // 10 June 2025
+
+describe('Rule-based extraction', () => {
+    test('splits a multi-case note and reads numbers, names, dates and statuses', () => {
+        const extraction = extractWithRules(
+            'Sharma bail matter: bail granted today. Next hearing on 15 July at 10:30 am. ' +
+            'Also, new client Priya Nair, email priya.nair@gmail.com, property dispute. ' +
+            'In CTR-2025-001 the matter was disposed.',
+            NOW
+        );
+
+        expect(validateExtraction(extraction)).toEqual([]);
+        expect(extraction.extraction_method).toBe('RULE_BASED');
+        expect(extraction.cases).toHaveLength(3);
+        expect(extraction.cases.every(c => c.confidence === 'LOW')).toBe(true);
+
+        expect(extraction.cases[0]).toMatchObject({
+            action_type: 'UPDATE_EXISTING',
+            lookup_key: 'Sharma',
+            status: 'CONTINUING',
+            outcome: 'Sharma bail matter: bail granted today.',
+            next_hearing_date: '2025-07-15',
+            next_hearing_time: '10:30'
+        });
+        expect(extraction.cases[1]).toMatchObject({
+            action_type: 'CREATE_NEW',
+            client_name: 'Priya Nair',
+            case_name: 'Priya Nair Property Dispute',
+            client_email: 'priya.nair@gmail.com',
+            missing_fields: []
+        });
+        expect(extraction.cases[2]).toMatchObject({
+            action_type: 'UPDATE_EXISTING',
+            lookup_key: 'CTR-2025-001',
+            case_number: 'CTR-2025-001',
+            status: 'FINALIZED'
+        });
+    });
+
+    test('reads day-first dates, 12-hour times and generated case numbers', () => {
+        const [caseData] = extractWithRules('case-2025-ab12c adjourned to 05/08/2025 at 2 PM', NOW).cases;
+
+        expect(caseData).toMatchObject({
+            lookup_key: 'CASE-2025-AB12C',
+            status: 'CONTINUING',
+            next_hearing_date: '2025-08-05',
+            next_hearing_time: '14:00'
+        });
+    });
+
+    test('attaches sentences before the case is named and picks up documents', () => {
+        const { cases } = extractWithRules('Bail granted today, surety bond needed. That was the Rohan Sharma Bail case.', NOW);
+
+        expect(cases).toHaveLength(1);
+        expect(cases[0]).toMatchObject({
+            lookup_key: 'Rohan Sharma',
+            documents_needed: ['Surety Bond']
+        });
+    });
+
+    test('picks up the court, judge, sections and FIR number', () => {
+        const [caseData] = extractWithRules(
+            'In CTR-2025-001 before Justice A. K. Menon at Delhi High Court, bail granted u/s 438 CrPC in FIR no. 245/2025 under section 420 IPC.',
+            NOW
+        ).cases;
+
+        expect(caseData).toMatchObject({
+            court: 'Delhi High Court',
+            judge: 'Justice A. K. Menon',
+            sections: ['Section 438 CrPC', 'Section 420 IPC'],
+            fir_number: 'FIR 245/2025'
+        });
+    });
+
+    test('asks for clarification when no case can be identified', () => {
+        const extraction = extractWithRules('Hearing went well, judge was happy.', NOW);
+
+        expect(extraction.requires_clarification).toBe(true);
+        expect(extraction.clarification_message).toMatch(/case number/);
+        expect(extraction.cases[0].action_type).toBe('CLARIFICATION_NEEDED');
+    });
+
+    test('lists missing details for a new client', () => {
+        const [caseData] = extractWithRules('Signed a new retainer today for a divorce.', NOW).cases;
+
+        expect(caseData.action_type).toBe('CREATE_NEW');
+        expect(caseData.missing_fields).toEqual(['case_name', 'client_name', 'client_email']);
+    });
+});
+
+describe('Fallback from the AI agent', () => {
+    const originalOrder = config.ai.providerOrder;
+    const USER = { id: 'lawyer_senior_01', name: 'Adv. Test', role: 'SENIOR' };
+
+    beforeEach(() => {
+        providerRegistry.register('broken', { type: 'openai-compatible', baseUrl: 'http://127.0.0.1:1/v1', model: 'm', requiresKey: false });
+        config.ai.providerOrder = 'broken';
+    });
+
+    afterEach(() => {
+        config.ai.providerOrder = originalOrder;
+        config.ai.ruleFallback = true;
+        providerRegistry.providers.delete('broken');
+    });
+
+    test('uses the rules when every provider fails', async () => {
+        const extraction = await extractCaseInformation('CTR-2025-001 adjourned to 15 July', USER);
+
+        expect(extraction.extraction_method).toBe('RULE_BASED');
+        expect(extraction.cases[0]).toMatchObject({ lookup_key: 'CTR-2025-001', confidence: 'LOW' });
+    });
+
+    test('still fails when the fallback is disabled', async () => {
+        config.ai.ruleFallback = false;
+
+        await expect(extractCaseInformation('CTR-2025-001 adjourned', USER)).rejects.toThrow(/All AI providers failed/);
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * ============================================
+ * TRACING TESTS
+ * Correlation IDs and timed spans
+ * ============================================
+ */
+
+jest.mock('../src/agents/aiAgent', () => {
+    const { traceSpan } = require('../src/utils/tracing');
+    return {
+        extractCaseInformation: jest.fn((transcription) => traceSpan('ai.callAI', async (span) => {
+            span.provider = 'groq';
+            return {
+                cases: [{
+                    action_type: 'UPDATE_EXISTING',
+                    lookup_key: 'Sharma',
+                    outcome: 'Bail granted',
+                    status: 'CONTINUING',
+                    missing_fields: []
+                }],
+                overall_summary: transcription,
+                requires_clarification: false
+            };
+        })),
+        transcribeAudio: jest.fn(),
+        generateCaseSummary: jest.fn()
+    };
+});
+
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { correlationId } = require('../src/middleware/correlationId');
+const { getCorrelationId, runWithCorrelationId } = require('../src/utils/requestContext');
+const { traceSpan, traceMethods, withSpanListener } = require('../src/utils/tracing');
+const { WorkflowOrchestrator } = require('../src/services/workflowOrchestrator');
+const { AuditLog } = require('../src/services/auditLog');
+const { getUserById } = require('../src/auth/userRegistry');
+
+const createApp = (handler) => {
+    const app = express();
+    app.use(correlationId());
+    app.get('/', handler);
+    return app;
+};
+
+describe('Correlation ID middleware', () => {
+    test('generates an ID and makes it available to the handler', async () => {
+        const app = createApp(async (req, res) => {
+            await new Promise(resolve => setTimeout(resolve, 1));
+            res.json({ seen: getCorrelationId() });
+        });
+
+        const response = await request(app).get('/').expect(200);
+
+        expect(response.headers['x-correlation-id']).toBeTruthy();
+        expect(response.body.seen).toBe(response.headers['x-correlation-id']);
+    });
+
+    test('reuses a well-formed client ID and replaces a malformed one', async () => {
+        const app = createApp((req, res) => res.json({ seen: getCorrelationId() }));
+
+        const reused = await request(app).get('/').set('X-Request-ID', 'speakspace-42').expect(200);
+        const replaced = await request(app).get('/').set('X-Correlation-ID', 'x'.repeat(200)).expect(200);
+
+        expect(reused.body.seen).toBe('speakspace-42');
+        expect(replaced.body.seen).not.toBe('x'.repeat(200));
+    });
+});
+
+describe('Spans', () => {
+    test('report duration, status and correlation ID to listeners', async () => {
+        const spans = [];
+
+        await runWithCorrelationId('req-1', () => withSpanListener(span => spans.push(span), async () => {
+            await traceSpan('notion.findCase', () => new Promise(resolve => setTimeout(resolve, 20)));
+            await expect(traceSpan('email.sendEmail', async () => {
+                throw new Error('SMTP down');
+            })).rejects.toThrow('SMTP down');
+        }));
+
+        expect(spans).toHaveLength(2);
+        expect(spans[0]).toMatchObject({ name: 'notion.findCase', status: 'ok', correlation_id: 'req-1' });
+        expect(spans[0].duration_ms).toBeGreaterThanOrEqual(15);
+        expect(spans[1]).toMatchObject({ name: 'email.sendEmail', status: 'error', error: 'SMTP down' });
+    });
+
+    test('traced methods keep their result and this', async () => {
+        const spans = [];
+        const service = traceMethods({
+            base: 2,
+            async double(n) { return n * this.base; }
+        }, 'fake', ['double']);
+
+        const result = await withSpanListener(span => spans.push(span), () => service.double(21));
+
+        expect(result).toBe(42);
+        expect(spans.map(s => s.name)).toEqual(['fake.double']);
+    });
+});
+
+describe('Orchestrator timings', () => {
+    test('AI and Notion spans appear in the operation log with the correlation ID', async () => {
+        const sharma = { id: 'case-sharma', case_name: 'Rohan Sharma Bail Matter', hearing_count: 1 };
+        const notion = traceMethods({
+            async findCase() { return sharma; },
+            async updateCase(id, updates) { return { id, ...updates }; },
+            async addHearing() { return { hearing_number: 2 }; },
+            async addHistoryEntry() {}
+        }, 'notion', ['findCase', 'updateCase', 'addHearing', 'addHistoryEntry']);
+
+        const orchestrator = new WorkflowOrchestrator(getUserById('lawyer_senior_01'));
+        orchestrator.notion = notion;
+        orchestrator.audit = new AuditLog({
+            directory: path.join(os.tmpdir(), `tracing-test-${process.pid}-${Date.now()}`)
+        });
+        orchestrator.workflowRules = [];
+
+        const result = await runWithCorrelationId('req-42', () =>
+            orchestrator.processVoiceNote({ text: 'Sharma bail granted' }));
+
+        const spans = result.operations.filter(op => op.type === 'SPAN');
+        expect(spans.map(s => s.span)).toEqual(expect.arrayContaining(['ai.callAI', 'notion.findCase', 'notion.updateCase']));
+        expect(spans.find(s => s.span === 'ai.callAI').provider).toBe('groq');
+        expect(result.operations.every(op => op.correlation_id === 'req-42')).toBe(true);
+    });
+});
@@ -0,0 +1,209 @@
+/**
+ * ============================================
+ * TRANSCRIPTION BACKEND TESTS
+ * AssemblyAI polling, local CLIs and fallback
+ * ============================================
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { TranscriptionRegistry, transcriptionRegistry, groupIntoSegments } = require('../src/agents/transcriptionBackends');
+const { transcribeAudio } = require('../src/agents/aiAgent');
+const { config } = require('../src/config');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stt-test-'));
+const audioFile = path.join(workDir, 'note.webm');
+fs.writeFileSync(audioFile, 'not really audio');
+
+/**
+ * Executable node script standing in for a CLI
+ */
+const fakeCli = (name, body) => {
+    const file = path.join(workDir, name);
+    fs.writeFileSync(file, `#!${process.execPath}\nconst args = process.argv.slice(2);\nconst fs = require('fs');\n${body}\n`);
+    fs.chmodSync(file, 0o755);
+    return file;
+};
+
+// Copies -i to the last argument, like a format conversion
+const fakeFfmpeg = fakeCli('ffmpeg', 'fs.copyFileSync(args[args.indexOf("-i") + 1], args[args.length - 1]);');
+
+const fakeWhisper = fakeCli('whisper-cli', `
+const words = ['Sharma', 'bail', 'granted.', 'Mehta', 'adjourned.'];
+fs.writeFileSync(args[args.indexOf('-of') + 1] + '.json', JSON.stringify({
+    result: { language: 'en' },
+    transcription: words.map((text, i) => ({ offsets: { from: i * 500, to: i * 500 + 400 }, text: ' ' + text }))
+}));`);
+
+const fakeVosk = fakeCli('vosk-transcriber', `
+fs.writeFileSync(args[args.indexOf('-o') + 1], JSON.stringify({
+    schemaVersion: '2.0',
+    monologues: [{ speaker: null, terms: [
+        { text: 'jamanat', start: 0.5, end: 1.0, confidence: 0.9, type: 'WORD' },
+        { text: 'mil', start: 1.1, end: 1.3, confidence: 0.8, type: 'WORD' },
+        { text: 'gayi', start: 4.0, end: 4.4, confidence: 0.95, type: 'WORD' }
+    ] }]
+}));`);
+
+afterAll(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('Segments', () => {
+    test('split at speaker changes, long pauses and sentence ends', () => {
+        const word = (text, start, speaker = 'A') => ({ text, start_ms: start, end_ms: start + 300, speaker, confidence: null });
+
+        const segments = groupIntoSegments([
+            word('Bail', 0), word('granted.', 400),
+            word('Next', 800), word('date', 1200),
+            word('Mehta', 5000),
+            word('Objection', 5400, 'B')
+        ]);
+
+        expect(segments.map(s => [s.speaker, s.text, s.start_ms])).toEqual([
+            ['A', 'Bail granted.', 0],
+            ['A', 'Next date', 800],
+            ['A', 'Mehta', 5000],
+            ['B', 'Objection', 5400]
+        ]);
+    });
+});
+
+describe('AssemblyAI', () => {
+    let server;
+    let baseUrl;
+    let status;
+    const requests = [];
+
+    beforeAll(() => new Promise(resolve => {
+        const app = express();
+        app.use(express.json());
+        app.post('/v2/upload', (req, res) => res.json({ upload_url: 'https://cdn.example/audio' }));
+        app.post('/v2/transcript', (req, res) => {
+            requests.push(req.body);
+            res.json({ id: 'job-1' });
+        });
+        app.get('/v2/transcript/job-1', (req, res) => {
+            if (status !== 'completed') return res.json({ id: 'job-1', status });
+            res.json({
+                status,
+                text: 'Sharma bail granted. Objection.',
+                language_code: 'en',
+                words: [
+                    { text: 'Sharma', start: 100, end: 500, confidence: 0.99, speaker: 'A' },
+                    { text: 'bail', start: 520, end: 800, confidence: 0.97, speaker: 'A' },
+                    { text: 'granted.', start: 820, end: 1200, confidence: 0.95, speaker: 'A' },
+                    { text: 'Objection.', start: 2000, end: 2600, confidence: 0.9, speaker: 'B' }
+                ],
+                utterances: [
+                    { speaker: 'A', start: 100, end: 1200, text: 'Sharma bail granted.' },
+                    { speaker: 'B', start: 2000, end: 2600, text: 'Objection.' }
+                ]
+            });
+        });
+        server = app.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}/v2`;
+            resolve();
+        });
+    }));
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    const registry = (overrides = {}) => new TranscriptionRegistry({
+        assemblyai: { type: 'assemblyai', label: 'AssemblyAI', apiKey: 'key', baseUrl, pollIntervalMs: 20, speakerLabels: true, ...overrides }
+    });
+
+    test('returns word timestamps and speaker turns', async () => {
+        status = 'completed';
+
+        const transcript = await registry().transcribe('assemblyai', audioFile);
+
+        expect(requests[0]).toMatchObject({ audio_url: 'https://cdn.example/audio', speaker_labels: true });
+        expect(transcript).toMatchObject({ text: 'Sharma bail granted. Objection.', language: 'en', backend: 'assemblyai', speakers: ['A', 'B'] });
+        expect(transcript.words[0]).toEqual({ text: 'Sharma', start_ms: 100, end_ms: 500, speaker: 'A', confidence: 0.99 });
+        expect(transcript.segments).toEqual([
+            { speaker: 'A', start_ms: 100, end_ms: 1200, text: 'Sharma bail granted.' },
+            { speaker: 'B', start_ms: 2000, end_ms: 2600, text: 'Objection.' }
+        ]);
+    });
+
+    test('stops polling at the timeout', async () => {
+        status = 'processing';
+
+        await expect(registry({ timeoutMs: 150 }).transcribe('assemblyai', audioFile))
+            .rejects.toThrow(/AssemblyAI transcription timed out after 150ms/);
+    });
+});
+
+describe('Local CLIs', () => {
+    test('whisper.cpp converts the audio and reads word timings', async () => {
+        const originalFfmpeg = config.transcription.ffmpegCommand;
+        config.transcription.ffmpegCommand = fakeFfmpeg;
+
+        try {
+            const registry = new TranscriptionRegistry({
+                'whisper-cpp': { type: 'whisper-cpp', command: fakeWhisper, model: '/models/ggml-small.bin' }
+            });
+            const transcript = await registry.transcribe('whisper-cpp', audioFile);
+
+            expect(transcript.text).toBe('Sharma bail granted. Mehta adjourned.');
+            expect(transcript.language).toBe('en');
+            expect(transcript.words[1]).toEqual({ text: 'bail', start_ms: 500, end_ms: 900, speaker: null, confidence: null });
+            expect(transcript.segments.map(s => s.text)).toEqual(['Sharma bail granted.', 'Mehta adjourned.']);
+        } finally {
+            config.transcription.ffmpegCommand = originalFfmpeg;
+        }
+    });
+
+    test('Vosk transcripts are converted to milliseconds', async () => {
+        const registry = new TranscriptionRegistry({
+            vosk: { type: 'vosk', command: fakeVosk, model: '/models/vosk-model-small-hi' }
+        });
+        const transcript = await registry.transcribe('vosk', audioFile);
+
+        expect(transcript.words[0]).toEqual({ text: 'jamanat', start_ms: 500, end_ms: 1000, speaker: null, confidence: 0.9 });
+        expect(transcript.segments.map(s => s.text)).toEqual(['jamanat mil', 'gayi']);
+    });
+
+    test('a missing binary is reported clearly', async () => {
+        const registry = new TranscriptionRegistry({
+            vosk: { type: 'vosk', label: 'Vosk', command: path.join(workDir, 'missing'), model: '/models/x' }
+        });
+
+        await expect(registry.transcribe('vosk', audioFile)).rejects.toThrow(/Vosk: .*missing not found/);
+    });
+
+    test('a backend without a model is not configured', () => {
+        const registry = new TranscriptionRegistry({ vosk: { type: 'vosk', command: fakeVosk } });
+        expect(registry.isConfigured('vosk')).toBe(false);
+    });
+});
+
+describe('transcribeAudio', () => {
+    const originalOrder = config.transcription.backendOrder;
+
+    afterEach(() => {
+        config.transcription.backendOrder = originalOrder;
+        transcriptionRegistry.backends.delete('broken');
+        transcriptionRegistry.backends.delete('offline');
+    });
+
+    test('falls back to the next configured backend', async () => {
+        transcriptionRegistry.register('broken', { type: 'vosk', command: path.join(workDir, 'missing'), model: '/models/x' });
+        transcriptionRegistry.register('offline', { type: 'vosk', command: fakeVosk, model: '/models/x' });
+        config.transcription.backendOrder = 'assemblyai,broken,offline';
+
+        const transcript = await transcribeAudio(audioFile);
+
+        expect(transcript.backend).toBe('offline');
+        expect(transcript.text).toBe('jamanat mil gayi');
+    });
+
+    test('explains how to configure a backend when none is', async () => {
+        config.transcription.backendOrder = 'assemblyai';
+
+        await expect(transcribeAudio(audioFile)).rejects.toThrow(/WHISPER_CPP_MODEL \/ VOSK_MODEL/);
+    });
+});
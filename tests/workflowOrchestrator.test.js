@@ -0,0 +1,727 @@
+/**
+ * ============================================
+ * WORKFLOW ORCHESTRATOR TESTS
+ * Orchestrator behaviour against in-memory fakes
+ * ============================================
+ */
+
+jest.mock('../src/agents/aiAgent', () => require('./helpers/aiAgentMock'));
+
+const fs = require('fs');
+const path = require('path');
+const { extractCaseInformation } = require('../src/agents/aiAgent');
+const { getUserById } = require('../src/auth/userRegistry');
+const { PendingActionStore } = require('../src/services/pendingActionStore');
+const { ConversationStore } = require('../src/services/conversationStore');
+const { AuditLog } = require('../src/services/auditLog');
+const { RuleStore, DEFAULT_RULES, validateRules } = require('../src/services/workflowRules');
+const { resolveCaseChoice, resolveIntent } = require('../src/services/clarificationResolver');
+const { CaseNotFoundError, DuplicateCaseError } = require('../src/utils/errors');
+const { useTempDir, createTestOrchestrator } = require('./helpers/workflow');
+
+const SHARMA_CASE = {
+    id: 'case-sharma',
+    case_name: 'Rohan Sharma Bail Matter',
+    case_number: 'CRIM-2025-001',
+    client_name: 'Rohan Sharma',
+    client_email: 'rohan.sharma@gmail.com',
+    hearing_count: 2
+};
+
+/**
+ * Minimal stand-in for NotionService that records writes
+ */
+const createFakeNotion = (cases = [SHARMA_CASE]) => ({
+    writes: [],
+    async searchCases(query) {
+        return cases.filter(c => c.case_name.toLowerCase().includes(query.toLowerCase()));
+    },
+    async findCase(lookupKey) {
+        const found = await this.searchCases(lookupKey);
+        if (found.length === 0) throw new CaseNotFoundError(lookupKey);
+        if (found.length > 1) throw new DuplicateCaseError(found);
+        return found[0];
+    },
+    async getCaseById(id) {
+        return cases.find(c => c.id === id);
+    },
+    async checkDuplicateCase() {
+        return null;
+    },
+    async createCase(caseData) {
+        this.writes.push(['createCase', caseData]);
+        return { id: 'new-case', case_number: 'CASE-2025-NEW01', is_draft: false };
+    },
+    async updateCase(id, updates) {
+        this.writes.push(['updateCase', id, updates]);
+        return { id, ...updates };
+    },
+    async addHearing(id, hearing) {
+        this.writes.push(['addHearing', id, hearing]);
+        return { hearing_id: 'hearing-1', hearing_number: 3 };
+    },
+    async addHistoryEntry(id, entry) {
+        this.writes.push(['addHistoryEntry', id, entry]);
+    },
+    async closeCase(id) {
+        this.writes.push(['closeCase', id]);
+    },
+    async restoreCase(id, snapshot) {
+        this.writes.push(['restoreCase', id, snapshot]);
+    },
+    async archivePage(id) {
+        this.writes.push(['archivePage', id]);
+    }
+});
+
+const directory = useTempDir('workflow-test');
+let folderCount = 0;
+const tempFolder = (name) => path.join(directory, `${name}-${++folderCount}`);
+
+const createTempAuditLog = () => new AuditLog({ directory: tempFolder('audit') });
+
+const createOrchestrator = (notion = createFakeNotion(), pendingActions = null) =>
+    createTestOrchestrator(getUserById('lawyer_senior_01'), directory, pendingActions ? { notion, pendingActions } : { notion });
+
+const MEHTA_CASES = [
+    { id: 'case-mehta-1', case_name: 'Arun Mehta Contract Breach', case_number: 'CTR-2025-001', hearing_count: 0 },
+    { id: 'case-mehta-2', case_name: 'Arun Mehta Property Dispute', case_number: 'PROP-2025-002', hearing_count: 1 }
+];
+
+const createTempPendingStore = () => new PendingActionStore({ directory: tempFolder('pending') });
+
+const hearingUpdate = (overrides = {}) => ({
+    cases: [{
+        action_type: 'UPDATE_EXISTING',
+        confidence: 'HIGH',
+        lookup_key: 'Sharma',
+        outcome: 'Bail granted',
+        status: 'CONTINUING',
+        next_hearing_date: '2025-01-15',
+        documents_needed: ['Surety bond'],
+        missing_fields: [],
+        ...overrides
+    }],
+    overall_summary: 'Sharma bail granted',
+    requires_clarification: false
+});
+
+describe('Preview mode', () => {
+    beforeEach(() => {
+        extractCaseInformation.mockReset();
+    });
+
+    test('returns a plan and performs no writes', async () => {
+        extractCaseInformation.mockResolvedValue(hearingUpdate());
+        const notion = createFakeNotion();
+        const orchestrator = createOrchestrator(notion);
+
+        const result = await orchestrator.processVoiceNote({ text: 'Sharma bail granted' }, { preview: true });
+
+        expect(result.success).toBe(true);
+        expect(result.status).toBe('PREVIEW');
+        expect(notion.writes).toHaveLength(0);
+
+        expect(result.plan.hearings).toHaveLength(1);
+        expect(result.plan.hearings[0]).toMatchObject({
+            case_id: 'case-sharma',
+            hearing_number: 3,
+            outcome: 'Bail granted'
+        });
+        expect(result.plan.notion.some(op => op.operation === 'UPDATE_CASE')).toBe(true);
+        expect(result.plan.calendar.map(e => e.type)).toEqual(['HEARING', 'DOCUMENT_REMINDER']);
+    });
+
+    test('lists each email with recipient and subject', async () => {
+        extractCaseInformation.mockResolvedValue(hearingUpdate());
+        const orchestrator = createOrchestrator();
+
+        const result = await orchestrator.processVoiceNote({ text: 'Sharma bail granted' }, { preview: true });
+        const subjects = result.plan.emails.map(e => e.subject);
+
+        expect(result.plan.emails.every(e => e.to)).toBe(true);
+        expect(subjects).toContain('📋 Hearing #3 Report - Rohan Sharma Bail Matter');
+        expect(subjects).toContain('📄 Documents Required - Rohan Sharma Bail Matter');
+    });
+
+    test('plans a case creation with a placeholder case number', async () => {
+        extractCaseInformation.mockResolvedValue({
+            cases: [{
+                action_type: 'CREATE_NEW',
+                case_name: 'Anita Rao Property Dispute',
+                client_name: 'Anita Rao',
+                client_email: 'anita.rao@gmail.com',
+                documents_needed: [],
+                missing_fields: []
+            }],
+            overall_summary: 'New property matter',
+            requires_clarification: false
+        });
+        const notion = createFakeNotion();
+        const orchestrator = createOrchestrator(notion);
+
+        const result = await orchestrator.processVoiceNote({ text: 'New client Anita Rao' }, { preview: true });
+
+        expect(notion.writes).toHaveLength(0);
+        expect(result.plan.notion[0]).toMatchObject({
+            operation: 'CREATE_CASE',
+            case_name: 'Anita Rao Property Dispute',
+            status: 'Active'
+        });
+    });
+
+    test('without preview the workflow executes', async () => {
+        extractCaseInformation.mockResolvedValue(hearingUpdate());
+        const notion = createFakeNotion();
+        const orchestrator = createOrchestrator(notion);
+
+        const result = await orchestrator.processVoiceNote({ text: 'Sharma bail granted' });
+
+        expect(result.status).toBe('COMPLETED');
+        expect(result.plan).toBeUndefined();
+        expect(notion.writes.map(w => w[0])).toContain('addHearing');
+    });
+});
+
+describe('Pending actions', () => {
+    beforeEach(() => {
+        extractCaseInformation.mockReset();
+        extractCaseInformation.mockResolvedValue(hearingUpdate());
+    });
+
+    test('proposing parks the plan without executing it', async () => {
+        const notion = createFakeNotion();
+        const store = createTempPendingStore();
+        const orchestrator = createOrchestrator(notion, store);
+
+        const result = await orchestrator.proposeVoiceNote({ text: 'Sharma bail granted' });
+
+        expect(result.status).toBe('PENDING_CONFIRMATION');
+        expect(notion.writes).toHaveLength(0);
+
+        const pending = await store.get(result.pending_action_id);
+        expect(pending.status).toBe('PENDING');
+        expect(pending.transcription).toBe('Sharma bail granted');
+        expect(pending.extraction.cases[0].outcome).toBe('Bail granted');
+    });
+
+    test('confirming executes the stored extraction once', async () => {
+        const notion = createFakeNotion();
+        const store = createTempPendingStore();
+        const { pending_action_id } = await createOrchestrator(notion, store)
+            .proposeVoiceNote({ text: 'Sharma bail granted' });
+
+        const result = await createOrchestrator(notion, store).confirmPendingAction(pending_action_id);
+
+        expect(result.status).toBe('COMPLETED');
+        expect(extractCaseInformation).toHaveBeenCalledTimes(1);
+        expect(notion.writes.map(w => w[0])).toContain('addHearing');
+
+        await expect(createOrchestrator(notion, store).confirmPendingAction(pending_action_id))
+            .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('editing rebuilds the plan and can silence client emails', async () => {
+        const store = createTempPendingStore();
+        const { pending_action_id, plan } = await createOrchestrator(createFakeNotion(), store)
+            .proposeVoiceNote({ text: 'Sharma bail granted' });
+        const clientEmails = p => p.emails.filter(e => e.to === SHARMA_CASE.client_email);
+        expect(clientEmails(plan).length).toBeGreaterThan(0);
+
+        const edited = await createOrchestrator(createFakeNotion(), store).editPendingAction(pending_action_id, {
+            cases: [{ index: 0, outcome: 'Bail rejected', notify_client: false }]
+        });
+
+        expect(edited.extraction.cases[0].outcome).toBe('Bail rejected');
+        expect(edited.plan.hearings[0].outcome).toBe('Bail rejected');
+        expect(clientEmails(edited.plan)).toHaveLength(0);
+    });
+
+    test('rejecting closes the action and other users cannot see it', async () => {
+        const notion = createFakeNotion();
+        const store = createTempPendingStore();
+        const { pending_action_id } = await createOrchestrator(notion, store)
+            .proposeVoiceNote({ text: 'Sharma bail granted' });
+
+        const other = createTestOrchestrator(getUserById('lawyer_senior_02'), directory, { pendingActions: store });
+        await expect(other.rejectPendingAction(pending_action_id)).rejects.toMatchObject({ statusCode: 404 });
+
+        const rejected = await createOrchestrator(notion, store).rejectPendingAction(pending_action_id, 'Wrong case');
+        expect(rejected.status).toBe('REJECTED');
+        expect(notion.writes).toHaveLength(0);
+    });
+
+    test('after a restart, reads wait for the saved actions and skip bad files', async () => {
+        const store = createTempPendingStore();
+        const { pending_action_id } = await createOrchestrator(createFakeNotion(), store)
+            .proposeVoiceNote({ text: 'Sharma bail granted' });
+        fs.writeFileSync(path.join(store.directory, '0-corrupt.json'), '{"id": ');
+
+        const restarted = new PendingActionStore({ directory: store.directory });
+        const [first, second] = await Promise.all([restarted.get(pending_action_id), restarted.get(pending_action_id)]);
+
+        expect(first).toMatchObject({ id: pending_action_id, status: 'PENDING' });
+        expect(second).toBe(first);
+    });
+
+    test('actions closed for longer than the TTL are purged on load', async () => {
+        const store = createTempPendingStore();
+        const old = new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString();
+        const recent = new Date().toISOString();
+        const saved = [
+            { id: 'rejected-long-ago', status: 'REJECTED', updated_at: old, expires_at: old },
+            { id: 'expired-long-ago', status: 'PENDING', updated_at: old, expires_at: old },
+            { id: 'rejected-just-now', status: 'REJECTED', updated_at: recent, expires_at: old }
+        ];
+        fs.mkdirSync(store.directory, { recursive: true });
+        saved.forEach(action => fs.writeFileSync(path.join(store.directory, `${action.id}.json`), JSON.stringify({ user_id: 'u', ...action })));
+
+        const restarted = new PendingActionStore({ directory: store.directory, ttlMs: 60 * 60 * 1000 });
+
+        expect(await restarted.get('rejected-long-ago')).toBeNull();
+        expect(await restarted.get('expired-long-ago')).toBeNull();
+        expect(await restarted.get('rejected-just-now')).toMatchObject({ status: 'REJECTED' });
+        expect(fs.readdirSync(store.directory)).toEqual(['rejected-just-now.json']);
+    });
+});
+
+describe('Clarification conversations', () => {
+    beforeEach(() => {
+        extractCaseInformation.mockReset();
+    });
+
+    const createConversingOrchestrator = (notion, conversations) => {
+        const orchestrator = createOrchestrator(notion);
+        orchestrator.conversations = conversations;
+        return orchestrator;
+    };
+
+    test('multi-match resumes with the chosen case without re-extracting', async () => {
+        extractCaseInformation.mockResolvedValue(hearingUpdate({ lookup_key: 'Arun Mehta', documents_needed: [] }));
+        const notion = createFakeNotion(MEHTA_CASES);
+        const conversations = new ConversationStore();
+
+        const first = await createConversingOrchestrator(notion, conversations)
+            .processVoiceNote({ text: 'Arun Mehta matter adjourned' });
+
+        expect(first.cases[0].status).toBe('CLARIFICATION_NEEDED');
+        expect(first.conversation_id).toBeDefined();
+        expect(first.clarifications[0].options).toHaveLength(2);
+        expect(notion.writes).toHaveLength(0);
+
+        const resumed = await createConversingOrchestrator(notion, conversations)
+            .resumeConversation(first.conversation_id, { answer: 'the CTR-2025-001 one' });
+
+        expect(extractCaseInformation).toHaveBeenCalledTimes(1);
+        expect(resumed.cases[0]).toMatchObject({ status: 'UPDATED', case_id: 'case-mehta-1' });
+        expect(resumed.conversation_id).toBeUndefined();
+        expect(conversations.get(first.conversation_id)).toBeNull();
+    });
+
+    test('an unmatched answer keeps the conversation open', async () => {
+        extractCaseInformation.mockResolvedValue(hearingUpdate({ lookup_key: 'Arun Mehta' }));
+        const notion = createFakeNotion(MEHTA_CASES);
+        const conversations = new ConversationStore();
+        const first = await createConversingOrchestrator(notion, conversations)
+            .processVoiceNote({ text: 'Arun Mehta matter adjourned' });
+
+        const retry = await createConversingOrchestrator(notion, conversations)
+            .resumeConversation(first.conversation_id, { answer: 'the tax one' });
+
+        expect(retry.status).toBe('CLARIFICATION_NEEDED');
+        expect(retry.conversation_id).toBe(first.conversation_id);
+        expect(notion.writes).toHaveLength(0);
+    });
+
+    test('supplied fields answer an ambiguous extraction', async () => {
+        extractCaseInformation.mockResolvedValue({
+            ...hearingUpdate({ lookup_key: null, case_name: 'Rohan Sharma Bail Matter' }),
+            requires_clarification: true,
+            clarification_message: 'Which case is this about?'
+        });
+        const notion = createFakeNotion();
+        const conversations = new ConversationStore();
+
+        const first = await createConversingOrchestrator(notion, conversations)
+            .processVoiceNote({ text: 'bail granted today' });
+        expect(first.status).toBe('CLARIFICATION_NEEDED');
+
+        const resumed = await createConversingOrchestrator(notion, conversations)
+            .resumeConversation(first.conversation_id, { fields: { lookup_key: 'Sharma' } });
+
+        expect(extractCaseInformation).toHaveBeenCalledTimes(1);
+        expect(resumed.cases[0].status).toBe('UPDATED');
+    });
+
+    test('resolver understands case numbers, ordinals and intent', () => {
+        expect(resolveCaseChoice('the PROP-2025-002 one', MEHTA_CASES).id).toBe('case-mehta-2');
+        expect(resolveCaseChoice('the first one', MEHTA_CASES).id).toBe('case-mehta-1');
+        expect(resolveCaseChoice('2', MEHTA_CASES).id).toBe('case-mehta-2');
+        expect(resolveCaseChoice('contract breach', MEHTA_CASES).id).toBe('case-mehta-1');
+        expect(resolveCaseChoice('Arun Mehta', MEHTA_CASES)).toBeNull();
+
+        const CONTRACTS = [
+            { id: 'case-ctr-1', case_name: 'Arun Mehta Contract Breach', case_number: 'CTR-2025-001' },
+            { id: 'case-ctr-11', case_name: 'Arun Mehta Supply Contract', case_number: 'CTR-2025-0011' }
+        ];
+        expect(resolveCaseChoice('the CTR-2025-0011 one', CONTRACTS).id).toBe('case-ctr-11');
+        expect(resolveCaseChoice('ctr 2025 001', CONTRACTS).id).toBe('case-ctr-1');
+        expect(resolveIntent('it is a new client')).toBe('CREATE_NEW');
+        expect(resolveIntent('update the existing matter')).toBe('UPDATE_EXISTING');
+        expect(resolveIntent('not sure')).toBeNull();
+    });
+});
+
+describe('Rollback on failure', () => {
+    const createFakeCalendar = () => ({
+        isConfigured: true,
+        deleted: [],
+        async createHearingEvent() {
+            return { event_id: 'event-hearing', html_link: 'https://calendar/event-hearing' };
+        },
+        async createDocumentReminder() {
+            return { event_id: 'event-documents' };
+        },
+        async deleteEvent(eventId) {
+            this.deleted.push(eventId);
+            return eventId !== 'event-documents';
+        }
+    });
+
+    beforeEach(() => {
+        extractCaseInformation.mockReset();
+    });
+
+    test('a late failure undoes earlier writes and reports them', async () => {
+        extractCaseInformation.mockResolvedValue(hearingUpdate());
+        const notion = createFakeNotion();
+        const orchestrator = createOrchestrator(notion);
+        orchestrator.calendar = createFakeCalendar();
+        orchestrator.email.sendDocumentRequestToClient = jest.fn(async () => ({ success: true }));
+        orchestrator.email.sendDocumentRequestToJunior = jest.fn(async () => ({ success: true }));
+        orchestrator.email.sendClientHearingReport = jest.fn(async () => {
+            throw new Error('SMTP connection reset');
+        });
+
+        const result = await orchestrator.processVoiceNote({ text: 'Sharma bail granted' });
+        const caseResult = result.cases[0];
+
+        expect(caseResult.status).toBe('ERROR');
+        expect(caseResult.rollback).toEqual({
+            rolled_back: [
+                'Hearing calendar event deleted',
+                'Hearing 3 row deleted',
+                'Case properties restored'
+            ],
+            failed: [{ step: 'Document reminder deleted', error: 'Compensation returned false' }],
+            not_reversible: [
+                'Document collection email to junior',
+                'Document request email to client'
+            ]
+        });
+
+        expect(orchestrator.calendar.deleted).toEqual(['event-documents', 'event-hearing']);
+        expect(notion.writes).toContainEqual(['archivePage', 'hearing-1']);
+        expect(notion.writes).toContainEqual(['restoreCase', 'case-sharma', SHARMA_CASE]);
+        expect(notion.writes[notion.writes.length - 1][2]).toMatch(/rolled back: SMTP connection reset/);
+    });
+
+    test('a failure before any write reports no rollback', async () => {
+        extractCaseInformation.mockResolvedValue(hearingUpdate());
+        const notion = createFakeNotion();
+        notion.findCase = async () => {
+            throw new Error('Notion unavailable');
+        };
+
+        const result = await createOrchestrator(notion).processVoiceNote({ text: 'Sharma bail granted' });
+
+        expect(result.cases[0].status).toBe('ERROR');
+        expect(result.cases[0].rollback).toBeUndefined();
+        expect(notion.writes).toHaveLength(0);
+    });
+
+    test('a failed first write leaves the case untouched', async () => {
+        extractCaseInformation.mockResolvedValue(hearingUpdate());
+        const notion = createFakeNotion();
+        notion.addHearing = async () => {
+            throw new Error('Notion unavailable');
+        };
+
+        const result = await createOrchestrator(notion).processVoiceNote({ text: 'Sharma bail granted' });
+
+        expect(result.cases[0].status).toBe('ERROR');
+        expect(result.cases[0].rollback).toBeUndefined();
+        expect(notion.writes).toHaveLength(0);
+    });
+});
+
+describe('Audit trail', () => {
+    beforeEach(() => {
+        extractCaseInformation.mockReset();
+    });
+
+    test('records dictation, extraction and every write for the case', async () => {
+        extractCaseInformation.mockResolvedValue(hearingUpdate({ documents_needed: [] }));
+        const notion = createFakeNotion();
+        const orchestrator = createOrchestrator(notion);
+        orchestrator.email.isConfigured = true;
+        orchestrator.email.transporter = { sendMail: async () => ({ messageId: 'msg-1' }) };
+
+        await orchestrator.processVoiceNote({ text: 'Sharma bail granted' });
+        const entries = await orchestrator.audit.query({});
+        const types = entries.map(e => e.type);
+
+        expect(types).toContain('VOICE_NOTE');
+        expect(types).toContain('EXTRACTION');
+        expect(entries.find(e => e.type === 'VOICE_NOTE')).toMatchObject({
+            user_id: 'lawyer_senior_01',
+            transcription: 'Sharma bail granted'
+        });
+        expect(entries.find(e => e.type === 'EXTRACTION').extraction.cases[0].outcome).toBe('Bail granted');
+
+        const writes = await orchestrator.audit.query({ case_id: 'case-sharma', type: 'EXTERNAL_WRITE' });
+        expect(writes.map(w => w.operation).sort()).toEqual(['addHearing', 'createHearingEvent', 'updateCase']);
+        // The user context (with OAuth tokens) is never written
+        expect(JSON.stringify(writes)).not.toContain('notion_token');
+
+        const emails = await orchestrator.audit.query({ case_id: 'case-sharma', type: 'EMAIL' });
+        expect(emails.find(e => e.subject === '📋 Hearing #3 Report - Rohan Sharma Bail Matter')).toMatchObject({
+            to: 'rohan.sharma@gmail.com',
+            outcome: 'SENT',
+            message_id: 'msg-1'
+        });
+    });
+
+    test('previews record the dictation but no writes', async () => {
+        extractCaseInformation.mockResolvedValue(hearingUpdate());
+        const orchestrator = createOrchestrator();
+
+        await orchestrator.processVoiceNote({ text: 'Sharma bail granted' }, { preview: true });
+        const entries = await orchestrator.audit.query({});
+
+        expect(entries.map(e => e.type).sort()).toEqual(['EXTRACTION', 'VOICE_NOTE']);
+        expect(entries.every(e => e.preview)).toBe(true);
+    });
+
+    test('filters by user and time range', async () => {
+        const audit = createTempAuditLog();
+        await audit.record({ user_id: 'lawyer_senior_01', type: 'VOICE_NOTE', case_id: 'a' });
+        await audit.record({ user_id: 'lawyer_junior_01', type: 'VOICE_NOTE', case_id: 'b' });
+
+        expect(await audit.query({ user: 'lawyer_junior_01' })).toHaveLength(1);
+        expect(await audit.query({ from: new Date(Date.now() + 60000) })).toHaveLength(0);
+        expect(await audit.query({ to: new Date(Date.now() + 60000), limit: 1 })).toHaveLength(1);
+    });
+});
+
+describe('Workflow rules', () => {
+    const createTempRuleStore = () => new RuleStore({ directory: tempFolder('rules') });
+
+    beforeEach(() => {
+        extractCaseInformation.mockReset();
+    });
+
+    test('custom rules replace the hard-coded side effects', async () => {
+        extractCaseInformation.mockResolvedValue(hearingUpdate({ documents_needed: [] }));
+        const rules = createTempRuleStore();
+        await rules.setRules('lawyer_senior_01', [
+            // No hearing report to the client; flag the case instead
+            ...DEFAULT_RULES.filter(r => r.id !== 'hearing-report'),
+            {
+                id: 'flag-next-hearing',
+                trigger: 'NEXT_HEARING_SET',
+                actions: [{ type: 'SET_STATUS', status: 'Action Required' }]
+            }
+        ]);
+
+        const orchestrator = createOrchestrator();
+        orchestrator.rules = rules;
+        const result = await orchestrator.processVoiceNote({ text: 'Sharma bail granted' }, { preview: true });
+
+        expect(result.plan.emails).toHaveLength(0);
+        expect(result.plan.calendar.map(e => e.type)).toEqual(['HEARING']);
+        expect(result.plan.notion).toContainEqual(expect.objectContaining({
+            operation: 'UPDATE_CASE',
+            fields: { status: 'Action Required' }
+        }));
+    });
+
+    test('conditions limit when a rule fires', async () => {
+        extractCaseInformation.mockResolvedValue(hearingUpdate({ status: 'FINALIZED', next_hearing_date: null, documents_needed: [] }));
+
+        const result = await createOrchestrator().processVoiceNote({ text: 'Sharma matter concluded' }, { preview: true });
+
+        expect(result.plan.notion.some(op => op.operation === 'CLOSE_CASE')).toBe(true);
+        expect(result.plan.emails.map(e => e.subject)).toHaveLength(2);
+    });
+
+    test('invalid rules are rejected with the offending field', () => {
+        expect(() => validateRules([{ trigger: 'CASE_CREATED', actions: [{ type: 'EMAIL_CLIENT', template: 'NOPE' }] }]))
+            .toThrow('rules[0].actions[0].template must be one of');
+        expect(() => validateRules([{ trigger: 'SOMETIMES', actions: [{ type: 'CLOSE_CASE' }] }]))
+            .toThrow('rules[0].trigger must be one of');
+        expect(() => validateRules([{ trigger: 'CASE_CREATED', when: { mood: 'good' }, actions: [{ type: 'CLOSE_CASE' }] }]))
+            .toThrow('rules[0].when.mood is not a known condition');
+    });
+
+    test('defaults are used until a user saves rules, and come back on reset', async () => {
+        const rules = createTempRuleStore();
+
+        expect((await rules.getRules('lawyer_junior_01')).is_default).toBe(true);
+        await rules.setRules('lawyer_junior_01', [{ trigger: 'CASE_CREATED', actions: [{ type: 'EMAIL_CLIENT', template: 'WELCOME' }] }]);
+
+        const reloaded = await new RuleStore({ directory: rules.directory }).getRules('lawyer_junior_01');
+        expect(reloaded.is_default).toBe(false);
+        expect(reloaded.rules[0]).toMatchObject({ trigger: 'CASE_CREATED', enabled: true });
+
+        expect((await rules.resetRules('lawyer_junior_01')).rules).toBe(DEFAULT_RULES);
+    });
+});
+
+describe('Court details', () => {
+    beforeEach(() => {
+        extractCaseInformation.mockReset();
+    });
+
+    test('dictated court and judge reach the case, hearing row and calendar', async () => {
+        extractCaseInformation.mockResolvedValue(hearingUpdate({
+            next_hearing_date: '2025-07-15',
+            court: 'Delhi High Court',
+            bench: 'Court Room 12',
+            judge: 'Justice A. K. Menon',
+            sections: ['Section 438 CrPC'],
+            opposing_counsel: 'Adv. R. Iyer'
+        }));
+
+        const result = await createOrchestrator().processVoiceNote({ text: 'Sharma bail granted' }, { preview: true });
+
+        expect(result.plan.hearings[0].court).toBe('Justice A. K. Menon, Delhi High Court, Court Room 12');
+        expect(result.plan.calendar[0]).toMatchObject({ type: 'HEARING', location: 'Delhi High Court, Court Room 12' });
+        expect(result.plan.notion.find(op => op.operation === 'UPDATE_CASE').fields).toMatchObject({
+            court: 'Delhi High Court',
+            bench: 'Court Room 12',
+            judge: 'Justice A. K. Menon',
+            sections: ['Section 438 CrPC'],
+            opposing_counsel: 'Adv. R. Iyer'
+        });
+    });
+
+    test('the court stored on the case is used when the note does not name one', async () => {
+        extractCaseInformation.mockResolvedValue(hearingUpdate({ next_hearing_date: '2025-07-15' }));
+        const notion = createFakeNotion([{ ...SHARMA_CASE, court: 'Saket District Court', judge: 'Justice Rao' }]);
+
+        const result = await createOrchestrator(notion).processVoiceNote({ text: 'Sharma bail granted' }, { preview: true });
+
+        expect(result.plan.hearings[0].court).toBe('Justice Rao, Saket District Court');
+        expect(result.plan.calendar[0].location).toBe('Saket District Court');
+    });
+});
+
+describe('Confidence gates', () => {
+    const createFakeEmail = () => ({
+        sent: [],
+        isConfigured: true,
+        async sendClientHearingReport(data) {
+            this.sent.push(['hearingReport', data.client_email]);
+            return { success: true };
+        },
+        async sendDocumentRequestToClient(data) {
+            this.sent.push(['documentRequest', data.client_email]);
+            return { success: true };
+        },
+        async sendDocumentRequestToJunior() {
+            this.sent.push(['juniorDocuments']);
+            return { success: true };
+        }
+    });
+
+    beforeEach(() => {
+        extractCaseInformation.mockReset();
+    });
+
+    test('HIGH confidence runs the whole workflow', async () => {
+        extractCaseInformation.mockResolvedValue(hearingUpdate());
+        const store = createTempPendingStore();
+        const orchestrator = createOrchestrator(createFakeNotion(), store);
+        orchestrator.email = createFakeEmail();
+
+        const result = await orchestrator.processVoiceNote({ text: 'Sharma bail granted' });
+
+        expect(result.pending_actions).toBeUndefined();
+        expect(orchestrator.email.sent.map(s => s[0])).toEqual(['documentRequest', 'juniorDocuments', 'hearingReport']);
+    });
+
+    test('MEDIUM confidence updates Notion but holds client emails until approved', async () => {
+        extractCaseInformation.mockResolvedValue(hearingUpdate({ confidence: 'MEDIUM' }));
+        const notion = createFakeNotion();
+        const store = createTempPendingStore();
+        const orchestrator = createOrchestrator(notion, store);
+        orchestrator.email = createFakeEmail();
+
+        const result = await orchestrator.processVoiceNote({ text: 'Sharma bail granted' });
+
+        expect(notion.writes.map(w => w[0])).toEqual(expect.arrayContaining(['addHearing', 'updateCase']));
+        expect(orchestrator.email.sent.map(s => s[0])).toEqual(['juniorDocuments']);
+        expect(result.pending_actions).toEqual([expect.objectContaining({ reason: 'CLIENT_EMAILS_HELD' })]);
+
+        const pending = await store.get(result.pending_actions[0].id);
+        expect(pending.plan.emails.map(e => e.template)).toEqual(['DOCUMENT_REQUEST', 'HEARING_REPORT']);
+
+        await expect(createOrchestrator(notion, store).editPendingAction(pending.id, {}))
+            .rejects.toThrow('Held client emails cannot be edited');
+
+        const releaser = createOrchestrator(notion, store);
+        releaser.email = createFakeEmail();
+        const released = await releaser.confirmPendingAction(pending.id);
+
+        expect(released.status).toBe('COMPLETED');
+        expect(releaser.email.sent).toEqual([
+            ['documentRequest', SHARMA_CASE.client_email],
+            ['hearingReport', SHARMA_CASE.client_email]
+        ]);
+    });
+
+    test('LOW confidence leaves only a draft note and parks the case', async () => {
+        extractCaseInformation.mockResolvedValue(hearingUpdate({ confidence: 'LOW', raw_notes: 'Sharma bail granted' }));
+        const notion = createFakeNotion();
+        const store = createTempPendingStore();
+        const orchestrator = createOrchestrator(notion, store);
+        orchestrator.email = createFakeEmail();
+
+        const result = await orchestrator.processVoiceNote({ text: 'Sharma bail granted' });
+
+        expect(notion.writes).toEqual([
+            ['addHistoryEntry', 'case-sharma', expect.stringContaining('Unconfirmed voice note (LOW confidence): Sharma bail granted')]
+        ]);
+        expect(orchestrator.email.sent).toHaveLength(0);
+        expect(result.cases[0]).toMatchObject({ status: 'AWAITING_CONFIRMATION', case_id: 'case-sharma' });
+
+        const pending = await store.get(result.cases[0].pending_action_id);
+        expect(pending.reason).toBe('LOW_CONFIDENCE');
+        expect(pending.plan.hearings).toHaveLength(1);
+
+        // Confirming is the lawyer's approval - the whole workflow runs
+        const confirmer = createOrchestrator(notion, store);
+        confirmer.email = createFakeEmail();
+        await confirmer.confirmPendingAction(pending.id);
+
+        expect(notion.writes.map(w => w[0])).toContain('addHearing');
+        expect(confirmer.email.sent.map(s => s[0])).toContain('hearingReport');
+    });
+
+    test('gates follow the user preferences', async () => {
+        extractCaseInformation.mockResolvedValue(hearingUpdate({ confidence: 'LOW' }));
+        const user = getUserById('lawyer_senior_01');
+        const notion = createFakeNotion();
+        const orchestrator = createTestOrchestrator({
+            ...user,
+            preferences: { ...user.preferences, confidence_gates: { low: 'full', MEDIUM: 'SOMETIMES' } }
+        }, directory, { notion, email: createFakeEmail() });
+
+        const result = await orchestrator.processVoiceNote({ text: 'Sharma bail granted' });
+
+        expect(orchestrator.confidenceGates).toEqual({ HIGH: 'FULL', MEDIUM: 'HOLD_CLIENT_EMAILS', LOW: 'FULL' });
+        expect(result.cases[0].status).toBe('UPDATED');
+        expect(notion.writes.map(w => w[0])).toContain('addHearing');
+    });
+});